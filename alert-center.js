@@ -0,0 +1,216 @@
+// alert-center.js - alert inbox and notification rules (Advirs)
+// Alerts are owned by background.js (chrome.storage.local.alerts) and changed through messages;
+// the mute rules (chrome.storage.sync.alertRules) are edited here directly.
+// alert-center.html#<id> opens the report of one alert (target of a notification click).
+
+const HOUR_MS = 60 * 60 * 1000;
+
+document.addEventListener("DOMContentLoaded", async () => {
+    await AdvirsI18n.init();
+    AdvirsI18n.localizePage();
+    const t = AdvirsI18n.t;
+
+    const rowsEl = document.getElementById("rows");
+    const summaryEl = document.getElementById("summary");
+    const readFilterEl = document.getElementById("readFilter");
+    const detailEl = document.getElementById("detail");
+    const muteStatusEl = document.getElementById("muteStatus");
+    const mutedDomainsEl = document.getElementById("mutedDomains");
+    const quietEnabledEl = document.getElementById("quietEnabled");
+    const quietStartEl = document.getElementById("quietStart");
+    const quietEndEl = document.getElementById("quietEnd");
+
+    let alerts = [];
+    let rules = AdvirsAlertRules.normalizeRules(null);
+
+    function send(message) {
+        return new Promise((resolve) => chrome.runtime.sendMessage(message, (resp) => resolve(resp || { ok: false })));
+    }
+
+    function reasonText(alert) {
+        return AdvirsI18n.formatReasons((alert.result && alert.result.reasons) || []);
+    }
+
+    function scoreText(alert) {
+        return `${Math.round(((alert.result && alert.result.score) || 0) * 100)}%`;
+    }
+
+    async function load() {
+        const resp = await send({ type: "get_alerts" });
+        alerts = resp.ok ? resp.alerts : [];
+        render();
+        renderDetail();
+    }
+
+    // ---------- Inbox ----------
+    function render() {
+        const unreadOnly = readFilterEl.value === "unread";
+        const list = alerts.filter(a => !unreadOnly || !a.read);
+        rowsEl.innerHTML = "";
+        summaryEl.textContent = t("alerts_summary", { shown: list.length, total: alerts.length, unread: alerts.filter(a => !a.read).length });
+
+        list.forEach(a => {
+            const tr = document.createElement("tr");
+            if (!a.read) tr.className = "unread";
+
+            const time = document.createElement("td");
+            time.textContent = new Date(a.lastSeen || a.createdAt).toLocaleString();
+
+            const domain = document.createElement("td");
+            domain.className = "url";
+            domain.textContent = a.domain || a.origin;
+            domain.title = a.origin;
+
+            const score = document.createElement("td");
+            score.textContent = scoreText(a);
+
+            const reasons = document.createElement("td");
+            const text = reasonText(a);
+            reasons.textContent = text.length ? text[0] : a.message.split("\n")[0];
+            if (text.length > 1) reasons.title = text.join("\n");
+
+            const actions = document.createElement("td");
+            const open = document.createElement("button");
+            open.textContent = t("alerts_view");
+            open.addEventListener("click", () => { location.hash = encodeURIComponent(a.id); });
+            const del = document.createElement("button");
+            del.className = "danger";
+            del.textContent = t("history_delete");
+            del.addEventListener("click", async () => { await send({ type: "delete_alerts", ids: [a.id] }); load(); });
+            actions.append(open, " ", del);
+
+            tr.append(time, domain, score, reasons, actions);
+            rowsEl.appendChild(tr);
+        });
+    }
+
+    // ---------- Report of one alert ----------
+    function currentAlert() {
+        const id = decodeURIComponent(location.hash.slice(1));
+        return id ? alerts.find(a => a.id === id) || null : null;
+    }
+
+    function renderDetail() {
+        const alert = currentAlert();
+        detailEl.hidden = !alert;
+        if (!alert) return;
+
+        document.getElementById("detailUrl").textContent = alert.origin;
+        document.getElementById("detailDomain").textContent = alert.domain || "-";
+        document.getElementById("detailTime").textContent = new Date(alert.createdAt).toLocaleString();
+        document.getElementById("detailScore").textContent = scoreText(alert);
+        document.getElementById("detailCount").textContent = t("alerts_seen_count", {
+            count: alert.count || 1,
+            last: new Date(alert.lastSeen || alert.createdAt).toLocaleString()
+        });
+        document.getElementById("detailMuted").textContent = t(alert.muted ? `alerts_muted_${alert.muted}` : "alerts_notified");
+
+        const reasonsEl = document.getElementById("detailReasons");
+        reasonsEl.innerHTML = "";
+        reasonText(alert).forEach(r => {
+            const li = document.createElement("li");
+            li.textContent = r;
+            reasonsEl.appendChild(li);
+        });
+        const breakdownEl = document.getElementById("detailBreakdown");
+        breakdownEl.innerHTML = "";
+        const table = AdvirsBreakdown.render(alert.result);
+        if (table) {
+            const heading = document.createElement("h4");
+            heading.textContent = t("signal_breakdown");
+            breakdownEl.append(heading, table);
+        }
+
+        document.getElementById("detailTrust").disabled = !alert.domain;
+        document.getElementById("detailMute").disabled = !alert.domain;
+
+        if (!alert.read) send({ type: "mark_alerts", ids: [alert.id], read: true });
+    }
+
+    async function detailAction(action) {
+        const alert = currentAlert();
+        if (!alert) return;
+        const resp = await send({ type: "alert_action", id: alert.id, action });
+        if (!resp.ok) window.alert(t("alerts_action_failed"));
+    }
+
+    document.getElementById("detailTrust").addEventListener("click", () => detailAction("trust"));
+    document.getElementById("detailMute").addEventListener("click", () => detailAction("mute"));
+    document.getElementById("detailUnread").addEventListener("click", async () => {
+        const alert = currentAlert();
+        if (!alert) return;
+        await send({ type: "mark_alerts", ids: [alert.id], read: false });
+        location.hash = "";
+    });
+    document.getElementById("detailClose").addEventListener("click", () => { location.hash = ""; });
+
+    // ---------- Notification rules ----------
+    function loadRules() {
+        chrome.storage.sync.get({ alertRules: AdvirsAlertRules.DEFAULT_RULES }, (res) => {
+            rules = AdvirsAlertRules.normalizeRules(res.alertRules);
+            renderRules();
+        });
+    }
+
+    function saveRules(next) {
+        chrome.storage.sync.set({ alertRules: next });
+    }
+
+    function renderRules() {
+        const now = Date.now();
+        if (rules.snoozeUntil > now) muteStatusEl.textContent = t("alerts_snoozed_until", { time: new Date(rules.snoozeUntil).toLocaleString() });
+        else if (AdvirsAlertRules.inQuietHours(rules)) muteStatusEl.textContent = t("alerts_quiet_now");
+        else muteStatusEl.textContent = t("alerts_active");
+
+        quietEnabledEl.checked = rules.quietHours.enabled;
+        quietStartEl.value = rules.quietHours.start.padStart(5, "0");
+        quietEndEl.value = rules.quietHours.end.padStart(5, "0");
+
+        mutedDomainsEl.innerHTML = "";
+        Object.entries(rules.mutedDomains).forEach(([domain, until]) => {
+            const li = document.createElement("li");
+            li.textContent = t("alerts_domain_muted_until", { domain, time: new Date(until).toLocaleString() }) + " ";
+            const unmute = document.createElement("button");
+            unmute.className = "secondary";
+            unmute.textContent = t("alerts_unmute");
+            unmute.addEventListener("click", () => saveRules(AdvirsAlertRules.unmuteDomain(rules, domain)));
+            li.appendChild(unmute);
+            mutedDomainsEl.appendChild(li);
+        });
+    }
+
+    document.getElementById("snooze").addEventListener("click", () => {
+        const hours = Number(document.getElementById("snoozeFor").value) || 1;
+        saveRules({ ...rules, snoozeUntil: Date.now() + hours * HOUR_MS });
+    });
+
+    document.getElementById("resume").addEventListener("click", () => saveRules({ ...rules, snoozeUntil: 0 }));
+
+    document.getElementById("saveQuiet").addEventListener("click", () => {
+        saveRules({
+            ...rules,
+            quietHours: { enabled: quietEnabledEl.checked, start: quietStartEl.value, end: quietEndEl.value }
+        });
+    });
+
+    // ---------- Toolbar ----------
+    readFilterEl.addEventListener("input", render);
+
+    document.getElementById("markAllRead").addEventListener("click", () => send({ type: "mark_alerts", read: true }));
+
+    document.getElementById("clearAlerts").addEventListener("click", async () => {
+        if (!confirm(t("alerts_confirm_clear"))) return;
+        await send({ type: "delete_alerts" });
+        location.hash = "";
+    });
+
+    window.addEventListener("hashchange", renderDetail);
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && changes.alerts) load();
+        if (area === "sync" && changes.alertRules) loadRules();
+    });
+
+    loadRules();
+    load();
+});
@@ -0,0 +1,72 @@
+// alert-rules.js - alert mute rules (Advirs)
+// Decides whether a new alert may show a notification. The rules live in chrome.storage.sync
+// (alertRules) and are shared by background.js, which checks them before notifying, and the alert
+// center, which edits them. Muted alerts are still recorded in the inbox; only the popup is suppressed.
+
+(function (root) {
+    const DEFAULT_RULES = {
+        snoozeUntil: 0, // global snooze, ms timestamp
+        mutedDomains: {}, // registered domain -> muted until (ms timestamp)
+        quietHours: { enabled: false, start: '22:00', end: '07:00' } // local time, may span midnight
+    };
+
+    // "HH:MM" -> minutes after midnight, or null
+    function parseTime(value) {
+        const m = /^(\d{1,2}):(\d{2})$/.exec((value || '').toString().trim());
+        if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+        return Number(m[1]) * 60 + Number(m[2]);
+    }
+
+    // Fills in defaults and drops malformed or expired entries
+    function normalizeRules(raw, now = Date.now()) {
+        const rules = raw && typeof raw === 'object' ? raw : {};
+        const mutedDomains = {};
+        for (const [domain, until] of Object.entries(rules.mutedDomains || {})) {
+            if (domain && typeof until === 'number' && until > now) mutedDomains[domain.toLowerCase()] = until;
+        }
+        const qh = rules.quietHours || {};
+        return {
+            snoozeUntil: typeof rules.snoozeUntil === 'number' && rules.snoozeUntil > now ? rules.snoozeUntil : 0,
+            mutedDomains,
+            quietHours: {
+                enabled: !!qh.enabled,
+                start: parseTime(qh.start) !== null ? qh.start : DEFAULT_RULES.quietHours.start,
+                end: parseTime(qh.end) !== null ? qh.end : DEFAULT_RULES.quietHours.end
+            }
+        };
+    }
+
+    function inQuietHours(rules, date = new Date()) {
+        const qh = rules && rules.quietHours;
+        if (!qh || !qh.enabled) return false;
+        const start = parseTime(qh.start);
+        const end = parseTime(qh.end);
+        if (start === null || end === null || start === end) return false;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    }
+
+    // null when an alert for this registered domain may notify, otherwise why not:
+    // 'snoozed' | 'domain_muted' | 'quiet_hours'
+    function muteReason(rules, domain, now = Date.now()) {
+        const r = normalizeRules(rules, now);
+        if (r.snoozeUntil > now) return 'snoozed';
+        if (domain && r.mutedDomains[domain.toLowerCase()]) return 'domain_muted';
+        if (inQuietHours(r, new Date(now))) return 'quiet_hours';
+        return null;
+    }
+
+    function muteDomain(rules, domain, durationMs, now = Date.now()) {
+        const r = normalizeRules(rules, now);
+        if (domain) r.mutedDomains[domain.toLowerCase()] = now + durationMs;
+        return r;
+    }
+
+    function unmuteDomain(rules, domain, now = Date.now()) {
+        const r = normalizeRules(rules, now);
+        delete r.mutedDomains[(domain || '').toLowerCase()];
+        return r;
+    }
+
+    root.AdvirsAlertRules = { DEFAULT_RULES, parseTime, normalizeRules, inQuietHours, muteReason, muteDomain, unmuteDomain };
+})(self);
@@ -1,380 +1,641 @@
 // background.js - PhishGuard (Manifest V3 service worker)
 // Robust typosquat detection + storage-backed trusted domains + notifications + badge updates
 
-// ---------- Defaults / Config ----------
-let TRUSTED_REGISTERED_DOMAINS = new Set([
-    'facebook.com',
-    'tiktok.com'
-]);
+importScripts('psl-data.js', 'psl.js', 'confusables-data.js', 'idn.js', 'unwrap.js', 'schemes.js', 'scan-scope.js', 'blocklist.js', 'verdict-cache.js', 'alert-rules.js', 'i18n.js', 'rules.js', 'brands-data.js', 'brands.js', 'fingerprints-data.js', 'fingerprint.js', 'qr.js', 'text-data.js', 'text-model-data.js', 'text.js', 'engine.js');
 
-const DEFAULT_TRUSTED = Array.from(TRUSTED_REGISTERED_DOMAINS);
+// ---------- Defaults / Config ----------
+const DEFAULT_TRUSTED = AdvirsEngine.DEFAULT_TRUSTED;
+
+// thresholds, weights and keyword lists come from the active rule pack (rules.js);
+// loadRulePack() refreshes this before each analysis
+let RULES = AdvirsRules.DEFAULT_PACK;
+
+// top-level pages scoring at or above RULES.thresholds.interstitialScore are replaced by blocked.html
+const BYPASS_DURATION_MS = 60 * 60 * 1000; // "Proceed anyway" lasts one hour per origin
+
+// content scripts are registered at runtime so the "Enabled Sites" / "Disabled Sites" scope applies
+const CONTENT_SCRIPT_ID = 'advirs-content';
+const CONTENT_SCRIPT_FILES = ['unwrap.js', 'schemes.js', 'i18n.js', 'fingerprint.js', 'qr.js', 'platforms.js', 'webmail.js', 'inline-warning.js', 'content.js'];
+
+// most links content.js may send in one analyzeLinks batch
+const LINK_BATCH_MAX = 50;
+
+// scan history: every analysis is appended to history:<host> in chrome.storage.local
+const HISTORY_MAX_PER_ORIGIN = 25;
+const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// login page fingerprints captured on the brands' own login pages (loginUrls), kept per brand and kind
+const LEARNED_FINGERPRINTS_PER_KIND = 5;
+
+// alert center: alerts are kept in chrome.storage.local.alerts (newest first) with read/unread state
+const ALERTS_MAX = 200;
+const ALERT_REPEAT_WINDOW_MS = 24 * 60 * 60 * 1000; // the same alert key within this window updates the existing alert
+const ALERT_MUTE_MS = 24 * 60 * 60 * 1000; // "Mute for 24h" notification button
+const ALERT_NOTIFICATION_PREFIX = 'advirs-alert:';
+
+// password reuse alert (opt-in): salted hashes of passwords typed on trusted domains are kept in
+// chrome.storage.local.passwordGuard = { enabled, salt, entries: [{ domain, hash, addedAt }], ignoredHosts }
+// and password-guard.js, registered on every site while enabled, has what is typed elsewhere checked against them
+const PASSWORD_GUARD_SCRIPT_ID = 'advirs-password-guard';
+const PASSWORD_GUARD_FILES = ['password-guard.js'];
+// its warning dialog, loaded on a match into frames where content.js has not already brought it
+const PASSWORD_WARNING_FILES = ['i18n.js', 'inline-warning.js'];
+const PASSWORD_GUARD_MAX_PER_DOMAIN = 3;
+const PASSWORD_HASH_ITERATIONS = 600000; // PBKDF2-SHA256: slow enough that stored hashes resist guessing
+const PASSWORD_MAX_LENGTH = 256;
+
+// downloads are checked as their file name is determined; those scoring at or above
+// RULES.thresholds.interstitialScore are cancelled, suspicious ones raise an alert
+const DOWNLOAD_PAGE_VERDICT_MAX_AGE_MS = 60 * 60 * 1000; // how old the verdict of the page it came from may be
+
+// ---------- Analysis engine ----------
+// Heuristics, scoring and reasons live in engine.js, shared with the advirs-scan CLI; this worker adds
+// the browser side around them (storage, messages, alerts, navigation).
+const { safeGetHostname, getRegisteredDomain, reason, createScoreLedger, collectAnalysisUrls, analyzeProfileCore, analyzeSchemeLink, analyzeDownloadCore } = AdvirsEngine;
+
+// ---------- Alert center ----------
+// alerts writes are read-modify-write like history, so they are chained too
+let alertsWriteQueue = Promise.resolve();
+
+// Runs mutator(alerts) on the stored list and saves it; resolves with the mutator's return value
+function updateAlerts(mutator) {
+    const run = alertsWriteQueue.then(() => new Promise((resolve) => {
+        chrome.storage.local.get({ alerts: [] }, (res) => {
+            const alerts = Array.isArray(res.alerts) ? res.alerts : [];
+            const value = mutator(alerts);
+            chrome.storage.local.set({ alerts: alerts.slice(0, ALERTS_MAX) }, () => resolve(value));
+        });
+    }));
+    alertsWriteQueue = run.catch((e) => console.warn('updateAlerts failed', e));
+    return run;
+}
 
-const TYPOSQUAT_DISTANCE_THRESHOLD = 0.30; // smaller => stricter
-const TYPOSQUAT_SCORE_BUMP = 0.75;
+function loadAlerts() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get({ alerts: [] }, (res) => resolve(Array.isArray(res.alerts) ? res.alerts : []));
+    });
+}
 
-// keep track of notifications sent per alert id (e.g. link)
-const notificationsSent = {}; // { [alertId]: count }
+function loadAlertRules() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get({ alertRules: AdvirsAlertRules.DEFAULT_RULES }, (res) => resolve(AdvirsAlertRules.normalizeRules(res.alertRules)));
+    });
+}
 
-// ---------- Utilities ----------
-function safeGetHostname(urlOrHost) {
+// Records an alert in the inbox and notifies unless it repeats a recent alert or a mute rule applies.
+// key identifies the alert across repeats (usually the link); returns true when a notification was shown.
+async function raiseAlert(key, origin, result, rawMsg) {
     try {
-        if (!urlOrHost) return '';
-        if (!/^https?:\/\//i.test(urlOrHost)) {
-            if (/^[a-z0-9.-]+$/i.test(urlOrHost)) return urlOrHost.toLowerCase();
-            urlOrHost = 'https://' + urlOrHost;
-        }
-        return new URL(urlOrHost).hostname.toLowerCase();
-    } catch (e) {
-        return (urlOrHost || '').toString().toLowerCase();
+        const now = Date.now();
+        const domain = AdvirsSchemes.inspectUrl(origin) ? '' : getRegisteredDomain(safeGetHostname(origin) || '');
+        const muted = AdvirsAlertRules.muteReason(await loadAlertRules(), domain, now);
+        const { alert, isNew } = await updateAlerts((alerts) => {
+            const existing = alerts.find(a => a.key === key && now - a.lastSeen < ALERT_REPEAT_WINDOW_MS);
+            if (existing) {
+                existing.count = (existing.count || 1) + 1;
+                existing.lastSeen = now;
+                return { alert: existing, isNew: false };
+            }
+            const created = {
+                id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                key,
+                origin: origin || '',
+                domain,
+                message: rawMsg || '',
+                result: result ? {
+                    suspicious: !!result.suspicious,
+                    score: result.score || 0,
+                    reasons: (result.reasons || []).slice(0, 20),
+                    signals: Array.isArray(result.signals) ? result.signals : [],
+                    details: { suspiciousThreshold: result.details && result.details.suspiciousThreshold }
+                } : null,
+                createdAt: now,
+                lastSeen: now,
+                count: 1,
+                read: false,
+                muted
+            };
+            alerts.unshift(created);
+            return { alert: created, isNew: true };
+        });
+        if (!isNew || muted) return false;
+        showAlertNotification(alert);
+        return true;
+    } catch (e) { console.warn('raiseAlert failed', e); return false; }
+}
+
+// Notification ids carry the alert id, so buttons and clicks still resolve after a worker restart.
+// Chrome allows two buttons; "View details" is a click on the notification itself.
+function showAlertNotification(alert) {
+    const score = Math.round(((alert.result && alert.result.score) || 0) * 100);
+    const suspicious = !alert.result || alert.result.suspicious;
+    const options = {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: AdvirsI18n.t(suspicious ? 'notif_title_phish' : 'notif_title_ok'),
+        message: alert.message || AdvirsI18n.t(suspicious ? 'notif_suspicious' : 'notif_checked', { score, origin: alert.origin }),
+        contextMessage: AdvirsI18n.t('notif_context_details'),
+        priority: 2
+    };
+    if (alert.domain) options.buttons = [{ title: AdvirsI18n.t('notif_btn_trust') }, { title: AdvirsI18n.t('notif_btn_mute') }];
+    chrome.notifications.create(ALERT_NOTIFICATION_PREFIX + alert.id, options);
+}
+
+function setAlertsRead(ids, read = true) {
+    const wanted = ids ? new Set(ids) : null;
+    return updateAlerts((alerts) => {
+        alerts.forEach(a => { if (!wanted || wanted.has(a.id)) a.read = read; });
+    });
+}
+
+function deleteAlerts(ids) {
+    const wanted = ids ? new Set(ids) : null;
+    return updateAlerts((alerts) => {
+        const keep = wanted ? alerts.filter(a => !wanted.has(a.id)) : [];
+        alerts.splice(0, alerts.length, ...keep);
+    });
+}
+
+// "trust" or "mute" from a notification button or the alert center; marks the alert read
+async function applyAlertAction(alertId, action) {
+    const alert = (await loadAlerts()).find(a => a.id === alertId);
+    if (!alert) return { ok: false, error: 'unknown_alert' };
+    if (action === 'trust') {
+        const domain = await trustDomain(alert.origin || alert.domain);
+        if (!domain) return { ok: false, error: 'invalid_domain' };
+    } else if (action === 'mute') {
+        if (!alert.domain) return { ok: false, error: 'invalid_domain' };
+        const rules = AdvirsAlertRules.muteDomain(await loadAlertRules(), alert.domain, ALERT_MUTE_MS);
+        await new Promise((resolve) => chrome.storage.sync.set({ alertRules: rules }, resolve));
+    } else {
+        return { ok: false, error: 'unknown_action' };
     }
+    await setAlertsRead([alertId]);
+    chrome.notifications.clear(ALERT_NOTIFICATION_PREFIX + alertId);
+    return { ok: true };
 }
 
-function getLabels(hostname) {
-    return (hostname || '').split('.').filter(Boolean);
+// Adds the registered domain of a hostname or URL to the trusted list; resolves with it, or '' if invalid
+function trustDomain(domainOrUrl) {
+    const reg = getRegisteredDomain(safeGetHostname((domainOrUrl || '').toString()));
+    if (!reg) return Promise.resolve('');
+    return new Promise((resolve) => {
+        chrome.storage.sync.get({ trustedDomains: DEFAULT_TRUSTED }, (res) => {
+            const arr = Array.isArray(res.trustedDomains) ? res.trustedDomains.slice() : DEFAULT_TRUSTED.slice();
+            if (!arr.includes(reg)) arr.push(reg);
+            chrome.storage.sync.set({ trustedDomains: arr }, () => resolve(reg));
+        });
+    });
 }
 
-function getRegisteredDomain(hostname) {
-    const parts = getLabels(hostname);
-    if (parts.length >= 2) return parts.slice(-2).join('.');
-    return hostname || '';
+// ---------- Password reuse alert ----------
+const DEFAULT_PASSWORD_GUARD = { enabled: false, salt: '', entries: [], ignoredHosts: [] };
+let passwordGuardWriteQueue = Promise.resolve();
+
+function loadPasswordGuard() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get({ passwordGuard: DEFAULT_PASSWORD_GUARD }, (res) => {
+            const g = res.passwordGuard && typeof res.passwordGuard === 'object' ? res.passwordGuard : {};
+            resolve({
+                enabled: !!g.enabled,
+                salt: typeof g.salt === 'string' ? g.salt : '',
+                entries: Array.isArray(g.entries) ? g.entries : [],
+                ignoredHosts: Array.isArray(g.ignoredHosts) ? g.ignoredHosts : []
+            });
+        });
+    });
 }
 
-function getSecondLevelLabel(hostname) {
-    const parts = getLabels(hostname);
-    if (!parts.length) return '';
-    if (parts.length >= 2) return parts[parts.length - 2].toLowerCase();
-    return parts[0].toLowerCase();
+// Runs mutator(guard) on the stored settings and saves them, chained like the alert writes
+function updatePasswordGuard(mutator) {
+    const run = passwordGuardWriteQueue.then(async () => {
+        const guard = await loadPasswordGuard();
+        const value = mutator(guard);
+        if (!guard.salt) guard.salt = newPasswordSalt();
+        await new Promise((resolve) => chrome.storage.local.set({ passwordGuard: guard }, resolve));
+        return value;
+    });
+    passwordGuardWriteQueue = run.catch((e) => console.warn('updatePasswordGuard failed', e));
+    return run;
 }
 
-function isIpAddress(hostname) {
-    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname);
+function newPasswordSalt() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16))).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
-function isPunycode(hostname) {
-    return typeof hostname === 'string' && hostname.includes('xn--');
+// Hex PBKDF2 hash of a password; the salt never leaves this worker
+async function hashPassword(salt, password) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_HASH_ITERATIONS }, key, 256);
+    return Array.from(new Uint8Array(bits)).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
-function getTld(hostname) {
-    const parts = (hostname || '').split('.');
-    return parts.length ? parts[parts.length - 1].toLowerCase() : '';
+// password-guard.js runs on every site, independent of the scan scope, but only while the alert is enabled
+async function registerPasswordGuard() {
+    try {
+        const { enabled } = await loadPasswordGuard();
+        const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [PASSWORD_GUARD_SCRIPT_ID] });
+        if (existing.length) await chrome.scripting.unregisterContentScripts({ ids: [PASSWORD_GUARD_SCRIPT_ID] });
+        if (!enabled) return;
+        await chrome.scripting.registerContentScripts([{
+            id: PASSWORD_GUARD_SCRIPT_ID,
+            js: PASSWORD_GUARD_FILES,
+            matches: ['*://*/*'],
+            allFrames: true,
+            runAt: 'document_idle'
+        }]);
+    } catch (e) { console.warn('registerPasswordGuard failed', e); }
 }
 
-function normalizeText(s) {
-    return (s || '').toString().trim().toLowerCase();
+// What password-guard.js does on a page: 'protect' remembers the login password (trusted domains),
+// 'watch' has typed passwords checked against the protected hashes (every other site), 'off' does nothing
+async function passwordGuardState(pageUrl) {
+    const guard = await loadPasswordGuard();
+    const host = /^https?:/i.test(pageUrl || '') ? safeGetHostname(pageUrl) : '';
+    if (!guard.enabled || !guard.salt || !host || guard.ignoredHosts.includes(host)) return { mode: 'off' };
+    const trustedSet = await refreshAnalysisState();
+    if (trustedSet.has(getRegisteredDomain(host))) return { mode: 'protect' };
+    return { mode: guard.entries.length ? 'watch' : 'off' };
 }
 
-// Levenshtein distance (iterative)
-function levenshtein(a = '', b = '') {
-    if (a === b) return 0;
-    if (!a.length) return b.length;
-    if (!b.length) return a.length;
-    const v0 = new Array(b.length + 1);
-    const v1 = new Array(b.length + 1);
-    for (let i = 0; i <= b.length; i++) v0[i] = i;
-    for (let i = 0; i < a.length; i++) {
-        v1[0] = i + 1;
-        for (let j = 0; j < b.length; j++) {
-            const cost = a[i] === b[j] ? 0 : 1;
-            v1[j + 1] = Math.min(v1[j] + 1, v0[j + 1] + 1, v0[j] + cost);
-        }
-        for (let j = 0; j <= b.length; j++) v0[j] = v1[j];
-    }
-    return v1[b.length];
+// Keeps the newest hashes per trusted domain; resolves false when the page is not on a trusted domain
+async function protectPassword(pageUrl, password) {
+    const domain = getRegisteredDomain(safeGetHostname(pageUrl || ''));
+    const trustedSet = await refreshAnalysisState();
+    if (!domain || !trustedSet.has(domain)) return false;
+    const { enabled, salt } = await loadPasswordGuard();
+    if (!enabled || !salt) return false;
+    const hash = await hashPassword(salt, password);
+    await updatePasswordGuard((guard) => {
+        if (!guard.enabled || guard.salt !== salt) return;
+        const others = guard.entries.filter(e => !(e.domain === domain && e.hash === hash));
+        const own = others.filter(e => e.domain === domain).slice(-(PASSWORD_GUARD_MAX_PER_DOMAIN - 1));
+        guard.entries = others.filter(e => e.domain !== domain).concat(own, [{ domain, hash, addedAt: Date.now() }]);
+    });
+    return true;
 }
 
-function normalizedDistance(a = '', b = '') {
-    const A = (a || '').toString();
-    const B = (b || '').toString();
-    const maxLen = Math.max(A.length, B.length, 1);
-    return levenshtein(A, B) / maxLen;
+// The protected domain this password belongs to, unless the page belongs to that domain
+async function findReusedPassword(pageUrl, password) {
+    const guard = await loadPasswordGuard();
+    const pageDomain = getRegisteredDomain(safeGetHostname(pageUrl || ''));
+    const candidates = guard.entries.filter(e => e.domain !== pageDomain);
+    if (!guard.enabled || !guard.salt || !candidates.length) return '';
+    const hash = await hashPassword(guard.salt, password);
+    const entry = candidates.find(e => e.hash === hash);
+    return entry ? entry.domain : '';
 }
 
-// ---------- Heuristics ----------
-const RISKY_TLDS = new Set([
-    'xyz', 'top', 'club', 'pw', 'icu', 'work', 'gq', 'cf', 'tk', 'ml', 'ga', 'biz', 'click', 'win', 'loan', 'party'
-]);
+// Logs the reuse in the scan history and the alert center; the verdict is forced regardless of the page
+async function reportPasswordReuse(pageUrl, domain, tabId) {
+    const host = safeGetHostname(pageUrl);
+    const ledger = createScoreLedger();
+    ledger.apply('password', 'PASSWORD_REUSE', 'max', 1, true);
+    const result = {
+        suspicious: true,
+        score: ledger.score,
+        reasons: [reason('PASSWORD_REUSE', { domain, host })],
+        signals: ledger.signals,
+        details: { suspiciousThreshold: RULES.thresholds.suspiciousScore }
+    };
+    saveScanHistory(host, pageUrl, result);
+    if (typeof tabId === 'number') updateBadgeForTab(tabId, true);
+    await raiseAlert(`password:${domain}:${host}`, pageUrl, result, AdvirsI18n.t('alert_password_reuse', { domain, host }));
+}
 
-function hostIsTrustedExact(hostname) {
-    if (!hostname) return false;
-    const reg = getRegisteredDomain(hostname).toLowerCase();
-    return TRUSTED_REGISTERED_DOMAINS.has(reg);
+// ---------- Downloads ----------
+// Newest recorded verdict for the page a download came from: its scan history, else the URL-only cache
+async function pageVerdictFor(pageUrl) {
+    const host = /^https?:/i.test(pageUrl || '') ? safeGetHostname(pageUrl) : '';
+    if (!host) return null;
+    const key = `history:${host}`;
+    const entries = await new Promise((resolve) => {
+        chrome.storage.local.get(key, (res) => resolve(Array.isArray(res[key]) ? res[key] : []));
+    });
+    const now = Date.now();
+    // earlier download verdicts are recorded in the same history (details.action) and are not page verdicts
+    const recent = entries.filter(e => e && e.result && !(e.result.details && e.result.details.action) &&
+        now - (e.timestamp || 0) <= DOWNLOAD_PAGE_VERDICT_MAX_AGE_MS);
+    const page = AdvirsVerdictCache.normalizeUrl(pageUrl);
+    const exact = recent.filter(e => AdvirsVerdictCache.normalizeUrl(e.url) === page);
+    const latest = (exact.length ? exact : recent).pop();
+    return latest ? latest.result : AdvirsVerdictCache.get({ url: pageUrl });
 }
 
-// ---------- Link analysis ----------
-function linkIsSuspicious(linkUrl, pageHostnameNormalized, reasons) {
+async function checkDownload(item) {
     try {
-        const url = new URL(linkUrl, 'https://' + (pageHostnameNormalized || 'example.com'));
-        const host = (url.hostname || '').toLowerCase();
-        const path = (url.pathname || '').toLowerCase();
-
-        if (!host) {
-            reasons.push(`Empty host for link: ${linkUrl}`);
-            return 0.02;
+        await AdvirsI18n.init();
+        await refreshAnalysisState();
+        const url = item.finalUrl || item.url || '';
+        const special = AdvirsSchemes.inspectUrl(url);
+        // blob: downloads often have no referrer, but their URL names the page that made them
+        const pageUrl = item.referrer || (special && special.origin) || '';
+
+        let blocklistHits = new Map();
+        const webUrls = [item.url, item.finalUrl].filter(u => /^https?:/i.test(u || ''));
+        if (webUrls.length) {
+            try { blocklistHits = await AdvirsBlocklist.lookupMany(webUrls); } catch (e) { console.warn('Blocklist lookup failed', e); }
         }
 
-        if (isIpAddress(host)) {
-            reasons.push(`Link uses raw IP address (${host})`);
-            return 0.20;
-        }
+        const result = analyzeDownloadCore({
+            url: item.url,
+            finalUrl: item.finalUrl,
+            mime: item.mime,
+            filename: item.filename,
+            referrer: pageUrl
+        }, await pageVerdictFor(pageUrl), blocklistHits, RULES);
+        const { action, filename } = result.details;
+        if (action === 'allow') return;
+        if (action === 'cancel') chrome.downloads.cancel(item.id);
+
+        const host = safeGetHostname(/^https?:/i.test(pageUrl) ? pageUrl : url);
+        if (/^https?:/i.test(pageUrl || url)) saveScanHistory(host, result.details.url, result);
+        const reasons = AdvirsI18n.formatReasons(result.reasons).join(AdvirsI18n.t('reason_separator'));
+        await raiseAlert(`download:${result.details.url}`, pageUrl || url, result,
+            AdvirsI18n.t(action === 'cancel' ? 'alert_download_cancelled' : 'alert_download_warning', { file: filename || result.details.url, reasons }));
+    } catch (e) { console.warn('Download check failed', e); }
+}
 
-        if (isPunycode(host)) {
-            reasons.push(`Link contains punycode domain (${host})`);
-            return 0.18;
+// ---------- Badge helper ----------
+function updateBadgeForTab(tabId, suspicious) {
+    try {
+        if (chrome.action && chrome.action.setBadgeText) {
+            chrome.action.setBadgeText({ tabId, text: suspicious ? '!' : '' });
+            chrome.action.setBadgeBackgroundColor({ color: suspicious ? '#d93025' : '#34a853' });
         }
+    } catch (e) { console.warn('Badge update failed', e); }
+}
 
-        const tld = getTld(host);
-        if (RISKY_TLDS.has(tld)) {
-            reasons.push(`Link uses uncommon TLD .${tld} (${host})`);
-            return 0.12;
-        }
+// ---------- Storage helpers ----------
+// history writes are read-modify-write, so they are chained to avoid losing concurrent entries
+let historyWriteQueue = Promise.resolve();
 
-        const suspiciousPathPatterns = ['verify', 'confirm', 'signin', 'login', 'account', 'secure', 'billing', 'payment'];
-        for (const p of suspiciousPathPatterns) {
-            if (path.includes(p)) {
-                reasons.push(`Link path contains suspicious token "${p}" (${url.pathname})`);
-                return 0.10;
-            }
-        }
+function pruneHistory(entries, now = Date.now()) {
+    return entries
+        .filter(e => e && (now - (e.timestamp || 0)) <= HISTORY_MAX_AGE_MS)
+        .slice(-HISTORY_MAX_PER_ORIGIN);
+}
 
-        const brandTokens = ['secure', 'login', 'paypal', 'bank', 'apple', 'google', 'microsoft'];
-        if (host !== pageHostnameNormalized) {
-            for (const t of brandTokens) {
-                if (host.includes(t)) {
-                    reasons.push(`External link appears to impersonate brand token "${t}" (${host})`);
-                    return 0.14;
-                }
+function saveScanHistory(originHost, url, result) {
+    if (!originHost || !result) return historyWriteQueue;
+    const key = `history:${originHost}`;
+    const entry = {
+        url: url || '',
+        timestamp: Date.now(),
+        result: { ...result, reasons: (result.reasons || []).slice(0, 20) }
+    };
+    historyWriteQueue = historyWriteQueue.then(() => new Promise((resolve) => {
+        chrome.storage.local.get(key, (res) => {
+            const entries = Array.isArray(res[key]) ? res[key] : [];
+            entries.push(entry);
+            chrome.storage.local.set({ [key]: pruneHistory(entries) }, resolve);
+        });
+    })).catch((e) => console.warn('saveScanHistory failed', e));
+    return historyWriteQueue;
+}
+
+// Converts the old single-entry lastResult:<host> keys into history:<host> lists and drops expired entries
+function migrateAndPruneHistory() {
+    chrome.storage.local.get(null, (all) => {
+        const updates = {};
+        const removals = [];
+        for (const [key, value] of Object.entries(all || {})) {
+            if (key.startsWith('lastResult:')) {
+                const historyKey = `history:${key.slice('lastResult:'.length)}`;
+                const existing = updates[historyKey] || (Array.isArray(all[historyKey]) ? all[historyKey] : []);
+                if (value && value.result) existing.unshift({ url: '', timestamp: value.timestamp || Date.now(), result: value.result });
+                updates[historyKey] = existing;
+                removals.push(key);
+            } else if (key.startsWith('history:') && Array.isArray(value) && !updates[key]) {
+                updates[key] = value;
             }
         }
+        for (const [key, entries] of Object.entries(updates)) {
+            const pruned = pruneHistory(entries);
+            if (pruned.length) updates[key] = pruned;
+            else { delete updates[key]; removals.push(key); }
+        }
+        chrome.storage.local.set(updates, () => { if (removals.length) chrome.storage.local.remove(removals); });
+    });
+}
 
-        return 0;
-    } catch (e) {
-        reasons.push(`Malformed/relative link flagged: ${linkUrl}`);
-        return 0.05;
-    }
+function loadTrusted() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get({ trustedDomains: DEFAULT_TRUSTED }, (res) => {
+            try {
+                const arr = Array.isArray(res.trustedDomains) ? res.trustedDomains : DEFAULT_TRUSTED.slice();
+                const set = new Set(arr.map(s => {
+                    try { return getRegisteredDomain(s.toString().toLowerCase()); } catch { return s.toString().toLowerCase(); }
+                }).filter(Boolean));
+                resolve(set);
+            } catch (e) { resolve(new Set(DEFAULT_TRUSTED)); }
+        });
+    });
 }
 
-// ---------- Main analysis function (pure) ----------
-function analyzeProfileCore(data = {}, trustedSet = null) {
-    const TRUSTED = trustedSet instanceof Set ? trustedSet : TRUSTED_REGISTERED_DOMAINS;
+function loadWatchedAccounts() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get({ watchedAccounts: [] }, (res) => {
+            resolve(Array.isArray(res.watchedAccounts) ? res.watchedAccounts : []);
+        });
+    });
+}
 
-    const usernameRaw = data.username || data.handle || data.user || '';
-    const username = normalizeText(usernameRaw).replace(/^@/, '');
-    const displayName = normalizeText(data.displayName || data.fullName || data.title || '');
-    const url = data.url || data.pageUrl || data.origin || '';
-    const pageHostname = safeGetHostname(url) || (data.hostname ? safeGetHostname(data.hostname) : '');
-    const links = Array.isArray(data.links) ? data.links : (data.linkList || []);
-    const forms = Array.isArray(data.forms) ? data.forms : (data.formList || []);
-    const textSample = (data.textSample || '').toString().slice(0, 4000);
+// The active rule pack is cached until chrome.storage.local.rulePack changes
+let rulePackPromise = null;
 
-    const reasons = [];
-    const trustedExact = hostIsTrustedExact(pageHostname);
-    let score = trustedExact ? 0.02 : 0.25;
-    let suspicious = false;
+function loadRulePack() {
+    if (!rulePackPromise) rulePackPromise = AdvirsRules.loadActivePack();
+    return rulePackPromise;
+}
 
-    // ---------- Typosquat detection (SLD-first) ----------
-    try {
-        const currentReg = getRegisteredDomain(pageHostname).toLowerCase();
-        const currentSld = getSecondLevelLabel(pageHostname);
-
-        if (!TRUSTED.has(currentReg)) {
-            let best = { domain: null, dist: 1.0, sld: null };
-            for (const td of TRUSTED) {
-                const tdSld = getSecondLevelLabel(td);
-                const d = normalizedDistance(currentSld, tdSld);
-                if (d < best.dist) best = { domain: td, dist: d, sld: tdSld };
-            }
-
-            if (best.domain && best.dist <= TYPOSQUAT_DISTANCE_THRESHOLD) {
-                reasons.push(`Domain SLD "${currentSld}" closely resembles trusted SLD "${best.sld}" (distance ${best.dist.toFixed(2)}). Treated as typosquat (${currentReg} ~ ${best.domain}).`);
-                suspicious = true;
-                score = Math.max(score, TYPOSQUAT_SCORE_BUMP);
-            } else {
-                let bestFull = { domain: null, dist: 1.0 };
-                for (const td of TRUSTED) {
-                    const d = normalizedDistance(currentReg, td);
-                    if (d < bestFull.dist) bestFull = { domain: td, dist: d };
-                }
-                if (bestFull.domain && bestFull.dist <= TYPOSQUAT_DISTANCE_THRESHOLD) {
-                    reasons.push(`Registered domain "${currentReg}" somewhat resembles trusted domain "${bestFull.domain}" (distance ${bestFull.dist.toFixed(2)}).`);
-                    suspicious = true;
-                    score = Math.max(score, TYPOSQUAT_SCORE_BUMP);
-                } else {
-                    reasons.push('No similarity to trusted domains detected');
+// Bundled fingerprints merged with the ones captured on the brands' own login pages; cached like the rule pack
+let fingerprintsPromise = null;
+
+function loadLoginFingerprints() {
+    if (!fingerprintsPromise) {
+        fingerprintsPromise = new Promise((resolve) => {
+            chrome.storage.local.get({ loginFingerprints: {} }, (res) => {
+                const merged = JSON.parse(JSON.stringify(self.ADVIRS_LOGIN_FINGERPRINTS || {}));
+                for (const [brandId, kinds] of Object.entries(res.loginFingerprints || {})) {
+                    merged[brandId] = merged[brandId] || {};
+                    for (const [kind, hashes] of Object.entries(kinds || {})) {
+                        merged[brandId][kind] = Array.from(new Set([...(merged[brandId][kind] || []), ...hashes]));
+                    }
                 }
-            }
+                resolve(merged);
+            });
+        });
+    }
+    return fingerprintsPromise;
+}
 
-            const BRAND_KEYWORDS = {
-                'facebook': ['faceb', 'fbk', 'fb', 'facebok', 'faceboek', 'faceboook'],
-                'tiktok': ['tiktok', 'ttk', 'tik-tok']
-            };
-            for (const [brand, keywords] of Object.entries(BRAND_KEYWORDS)) {
-                for (const kw of keywords) {
-                    if ((currentSld && currentSld.includes(kw)) && !TRUSTED.has(currentReg)) {
-                        reasons.push(`Domain SLD "${currentSld}" contains brand-like token "${kw}" (looks like ${brand})`);
-                        suspicious = true;
-                        score = Math.max(score, 0.65);
-                    }
+// Adds captured hashes ({ favicon: [], logo: [], form: [] }) to a brand's stored fingerprints, newest
+// first and a few per kind, since pages differ by locale and A/B variant
+function storeLoginFingerprints(brandId, captured) {
+    return new Promise((resolve) => {
+        chrome.storage.local.get({ loginFingerprints: {} }, (res) => {
+            const all = res.loginFingerprints || {};
+            const entry = all[brandId] || {};
+            let changed = false;
+            for (const [kind, hashes] of Object.entries(captured)) {
+                for (const h of hashes) {
+                    const list = entry[kind] || [];
+                    if (list.includes(h)) continue;
+                    entry[kind] = [h, ...list].slice(0, LEARNED_FINGERPRINTS_PER_KIND);
+                    changed = true;
                 }
             }
-        } else {
-            reasons.push('Exact registered domain is trusted');
-        }
-    } catch (e) {
-        reasons.push('Error during typosquat check');
-    }
+            if (!changed) return resolve();
+            all[brandId] = entry;
+            chrome.storage.local.set({ loginFingerprints: all }, resolve);
+        });
+    });
+}
 
-    // ---------- HTTPS check ----------
-    if (!/^https:/i.test(url)) {
-        reasons.push('Page not served over HTTPS');
-        score += 0.20;
-        if (trustedExact && !suspicious) score = Math.min(score, 0.05);
-    }
+// A brand's own sign-in page (its loginUrls) is the reference for that brand. Other pages on its
+// domains are not learned from: they can host forms and images put there by anyone.
+function learnLoginFingerprints(url, fp) {
+    const brand = AdvirsBrands.findLoginPage(url);
+    if (!brand || !fp) return;
+    storeLoginFingerprints(brand.id, {
+        favicon: AdvirsFingerprint.isInformative(fp.favicon) ? [fp.favicon] : [],
+        logo: (fp.logos || []).filter(AdvirsFingerprint.isInformative),
+        form: fp.form ? [fp.form] : []
+    });
+}
 
-    // ---------- Forms ----------
-    for (const f of forms) {
+// Seeds the favicon and logo hashes of every brand's first loginUrl when the extension is installed or
+// updated, fetched without cookies; form layouts need the rendered page and are learned when the user
+// opens it (learnLoginFingerprints)
+async function captureLoginFingerprints() {
+    for (const brand of AdvirsBrands.BRANDS) {
+        if (!brand.loginUrls || !brand.loginUrls.length) continue;
         try {
-            if (f.hasPassword && f.action) {
-                const actionHost = safeGetHostname(f.action);
-                if (actionHost && actionHost !== pageHostname && !actionHost.includes(pageHostname.split('.').slice(-2).join('.'))) {
-                    reasons.push(`Login form posts to external host (${actionHost})`);
-                    score += 0.40;
-                    suspicious = true;
-                }
-            } else if (f.inputCount > 0 && !f.hasPassword && f.action) {
-                reasons.push('Form with inputs but no password field (possible data harvesting)');
-                score += trustedExact ? 0.02 : 0.06;
-            }
-        } catch (e) {
-            reasons.push('Malformed form action detected');
-            score += 0.04;
-        }
+            const resp = await fetch(brand.loginUrls[0], { credentials: 'omit' });
+            if (!resp.ok || AdvirsBrands.findLoginPage(resp.url) !== brand) continue;
+            const images = AdvirsFingerprint.findPageImages(await resp.text(), resp.url);
+            const hash = (url) => AdvirsFingerprint.hashImageUrl(url).catch(() => null);
+            const [favicon, ...logos] = await Promise.all([images.favicon, ...images.logos].map(hash));
+            await storeLoginFingerprints(brand.id, {
+                favicon: AdvirsFingerprint.isInformative(favicon) ? [favicon] : [],
+                logo: logos.filter(AdvirsFingerprint.isInformative)
+            });
+        } catch (e) { console.warn('captureLoginFingerprints failed for', brand.id, e); }
     }
+}
 
-    // ---------- Links ----------
-    if (links && links.length) {
-        let linkRiskSum = 0;
-        const maxLinkContribution = trustedExact ? 0.15 : 0.40;
-        for (const L of links.slice(0, 40)) {
-            const linkScore = linkIsSuspicious(L, pageHostname, reasons);
-            linkRiskSum += linkScore;
-        }
-        const linkContribution = Math.min(maxLinkContribution, linkRiskSum / Math.max(1, links.length));
-        score += linkContribution;
-        if (linkContribution >= 0.3) suspicious = true;
-    }
+// Trusted domains and the watch list are cached until chrome.storage.sync changes them
+let trustedPromise = null;
+let watchedPromise = null;
+
+// Reloads the settings analyzeProfileCore reads from engine state; returns the trusted set
+async function refreshAnalysisState() {
+    if (!trustedPromise) trustedPromise = loadTrusted();
+    if (!watchedPromise) watchedPromise = loadWatchedAccounts();
+    const trustedSet = await trustedPromise;
+    RULES = await loadRulePack();
+    AdvirsEngine.configure({ trusted: trustedSet, rules: RULES, watchedAccounts: await watchedPromise, fingerprints: await loadLoginFingerprints() });
+    return trustedSet;
+}
 
-    // ---------- Text heuristics ----------
-    if (textSample) {
-        const lower = textSample.toLowerCase();
-        const redFlags = [
-            'your account will be locked', 'verify your account', 'click here to verify',
-            'confirm your identity', 'payment required', 'suspend', 'urgent action required'
-        ];
-        for (const f of redFlags) {
-            if (lower.includes(f)) {
-                reasons.push(`Suspicious page text matched: "${f}"`);
-                score += trustedExact ? 0.20 : 0.08;
-                suspicious = true;
-            }
-        }
+async function lookupBlocklist(data) {
+    try { return await AdvirsBlocklist.lookupMany(collectAnalysisUrls(data)); } catch (e) {
+        console.warn('Blocklist lookup failed', e);
+        return new Map();
     }
+}
 
-    // ---------- Misc hostname checks ----------
-    if (isPunycode(pageHostname)) {
-        reasons.push('Page hostname uses punycode');
-        score += 0.40;
-        suspicious = true;
-    }
-    if (isIpAddress(pageHostname)) {
-        reasons.push('Page served from IP address');
-        score += 0.40;
-        suspicious = true;
-    }
+// ---------- Scan scope ----------
+function loadScanSettings() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get({ enabledSites: {}, disabledSites: {} }, (res) => {
+            resolve({
+                enabledSites: res.enabledSites && typeof res.enabledSites === 'object' ? res.enabledSites : {},
+                disabledSites: res.disabledSites && typeof res.disabledSites === 'object' ? res.disabledSites : {}
+            });
+        });
+    });
+}
 
-    // ---------- Canonical/OG mismatch ----------
-    if (data.ogUrl || data.canonical) {
-        try {
-            const canonical = data.ogUrl || data.canonical;
-            const canonicalHost = safeGetHostname(canonical);
-            if (canonicalHost && pageHostname) {
-                const norm = normalizedDistance(canonicalHost.replace(/^www\./, ''), pageHostname.replace(/^www\./, ''));
-                if (norm > 0.35) {
-                    reasons.push(`Canonical/OG domain mismatch (normalized distance ${norm.toFixed(2)})`);
-                    score += trustedExact ? 0.20 : 0.12;
-                    suspicious = true;
-                } else {
-                    if (!trustedExact) reasons.push('Canonical/OG domain matches page');
-                }
-            }
-        } catch (e) { /* ignore */ }
-    }
+// (Re-)registers content.js for the configured scope; called on startup and whenever the lists change
+async function registerContentScripts() {
+    try {
+        const { enabledSites, disabledSites } = await loadScanSettings();
+        const scope = AdvirsScanScope.buildScope(enabledSites, disabledSites);
+        const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+        if (existing.length) await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+        if (!scope.matches.length) return;
+        const script = { id: CONTENT_SCRIPT_ID, js: CONTENT_SCRIPT_FILES, matches: scope.matches, runAt: 'document_idle' };
+        if (scope.excludeMatches.length) script.excludeMatches = scope.excludeMatches;
+        await chrome.scripting.registerContentScripts([script]);
+    } catch (e) { console.warn('registerContentScripts failed', e); }
+}
 
-    // ---------- Final trustedExact handling ----------
-    if (trustedExact && !suspicious) {
-        const weakPatterns = [/hyphen/i, /subdomain/i, /depth/i, /no similarity to trusted domains detected/i, /multiple capitalized tokens/i];
-        for (let i = reasons.length - 1; i >= 0; i--) {
-            if (weakPatterns.some(rx => rx.test(reasons[i]))) reasons.splice(i, 1);
+// Flips the current site in or out of scope: turning it off adds the host to disabledSites,
+// turning it on removes matching deny entries and, when an allow list exists, adds the host to it.
+async function toggleSiteScan(url) {
+    const host = safeGetHostname(url);
+    if (!host || !/^https?:/i.test(url)) return null;
+    const { enabledSites, disabledSites } = await loadScanSettings();
+    const scanning = AdvirsScanScope.isUrlInScope(url, enabledSites, disabledSites);
+
+    if (scanning) {
+        delete enabledSites[host];
+        disabledSites[host] = true;
+    } else {
+        for (const entry of Object.keys(disabledSites)) {
+            if (AdvirsScanScope.entryMatchesUrl(entry, url)) delete disabledSites[entry];
         }
-        score = Math.min(score, 0.05);
+        if (Object.keys(enabledSites).length && !AdvirsScanScope.isUrlInScope(url, enabledSites, {})) enabledSites[host] = true;
     }
 
-    score = Math.max(0, Math.min(1, score));
-    if (suspicious || score >= 0.55) suspicious = true;
-    else suspicious = false;
-
-    const details = {
-        username,
-        displayName,
-        isVerified: !!data.isVerified,
-        isBrand: !!data.isBrand,
-        pageHostname,
-        url,
-        linksCount: links.length,
-        formsCount: forms.length
-    };
+    await new Promise((resolve) => chrome.storage.sync.set({ enabledSites, disabledSites }, resolve));
+    return { host, scanning: !scanning };
+}
 
-    return { suspicious, score, reasons, details };
+// ---------- Interstitial helpers ----------
+function getOrigin(url) {
+    try { return new URL(url).origin; } catch (e) { return ''; }
 }
 
-// ---------- Notification helper ----------
-function createPhishNotification(alertId, origin, result, rawMsg) {
-    try {
-        // ensure max 2 notifications per alertId
-        const idKey = alertId || origin || `a-${Date.now()}`;
-        notificationsSent[idKey] = notificationsSent[idKey] || 0;
-        if (notificationsSent[idKey] >= 2) return false;
-        notificationsSent[idKey]++;
-
-        const title = result && result.suspicious ? 'Possible phishing detected' : 'Site looks OK';
-        const message = rawMsg || (result && result.suspicious
-            ? `Suspicion ${Math.round(result.score * 100)}% for ${origin}. Click to review.`
-            : `Checked ${origin}: score ${Math.round(result.score * 100)}%`);
-
-        const options = { type: 'basic', iconUrl: 'icons/icon128.png', title, message };
-        chrome.notifications.create(`phish-${Date.now()}`, options, (nid) => { setTimeout(() => chrome.notifications.clear(nid), 8000); });
-        return true;
-    } catch (e) { console.warn('createPhishNotification failed', e); return false; }
+function hasActiveBypass(url) {
+    const origin = getOrigin(url);
+    if (!origin) return Promise.resolve(false);
+    const key = `bypass:${origin}`;
+    return new Promise((resolve) => {
+        chrome.storage.local.get(key, (res) => {
+            const expiresAt = res && res[key];
+            if (expiresAt && expiresAt > Date.now()) return resolve(true);
+            if (expiresAt) chrome.storage.local.remove(key);
+            resolve(false);
+        });
+    });
 }
 
-// ---------- Badge helper ----------
-function updateBadgeForTab(tabId, suspicious) {
-    try {
-        if (chrome.action && chrome.action.setBadgeText) {
-            chrome.action.setBadgeText({ tabId, text: suspicious ? '!' : '' });
-            chrome.action.setBadgeBackgroundColor({ color: suspicious ? '#d93025' : '#34a853' });
-        }
-    } catch (e) { console.warn('Badge update failed', e); }
+function grantBypass(url) {
+    const origin = getOrigin(url);
+    if (!origin) return Promise.resolve(false);
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ [`bypass:${origin}`]: Date.now() + BYPASS_DURATION_MS }, () => resolve(true));
+    });
 }
 
-// ---------- Storage helpers ----------
-function saveLastResultForOrigin(originHost, result) {
+// Replaces the tab's page with blocked.html; the block details are kept in session storage for that tab
+function showInterstitial(tabId, url, result) {
     try {
-        if (!originHost) return;
-        const key = `lastResult:${originHost}`;
-        const toSave = {};
-        toSave[key] = { result, timestamp: Date.now() };
-        chrome.storage.local.set(toSave);
-    } catch (e) { console.warn('saveLastResultForOrigin failed', e); }
+        chrome.storage.session.set({ [`block:${tabId}`]: { url, result, timestamp: Date.now() } }, () => {
+            chrome.tabs.update(tabId, { url: chrome.runtime.getURL('blocked.html') });
+        });
+    } catch (e) { console.warn('showInterstitial failed', e); }
+}
+
+async function maybeBlockNavigation(tabId, url, result) {
+    if (!result || result.score < RULES.thresholds.interstitialScore) return false;
+    if (await hasActiveBypass(url)) return false;
+    showInterstitial(tabId, url, result);
+    return true;
 }
 
 // ---------- Message listener ----------
@@ -385,43 +646,83 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             const msgType = (message.type || '').toString();
             if (!msgType) { sendResponse({ ok: false, error: 'missing_type' }); return; }
 
-            const loadTrusted = () => new Promise((resolve) => {
-                chrome.storage.sync.get({ trustedDomains: DEFAULT_TRUSTED }, (res) => {
-                    try {
-                        const arr = Array.isArray(res.trustedDomains) ? res.trustedDomains : DEFAULT_TRUSTED.slice();
-                        const set = new Set(arr.map(s => {
-                            try { return getRegisteredDomain(s.toString().toLowerCase()); } catch { return s.toString().toLowerCase(); }
-                        }).filter(Boolean));
-                        resolve(set);
-                    } catch (e) { resolve(new Set(DEFAULT_TRUSTED)); }
-                });
-            });
+            await AdvirsI18n.init();
+
+            if (msgType === 'get_i18n') {
+                sendResponse({ ok: true, language: AdvirsI18n.getLanguage(), messages: AdvirsI18n.getCatalog() });
+                return;
+            }
 
             if (msgType === 'analyzeProfile') {
                 const data = message.data || {};
-                const trustedSet = await loadTrusted();
-                TRUSTED_REGISTERED_DOMAINS = new Set(trustedSet);
-
-                const result = analyzeProfileCore(data, trustedSet);
+                const trustedSet = await refreshAnalysisState();
+                let result = await AdvirsVerdictCache.get(data);
+                if (!result) {
+                    result = analyzeProfileCore(data, trustedSet, await lookupBlocklist(data), RULES);
+                    AdvirsVerdictCache.set(data, result);
+                    if (data.fingerprints && !result.suspicious) learnLoginFingerprints(data.url || '', data.fingerprints);
+                }
 
                 try {
                     const origin = safeGetHostname(data.url || (sender && sender.tab && sender.tab.url) || '');
-                    if (origin) saveLastResultForOrigin(origin, result);
+                    if (origin) saveScanHistory(origin, data.url || (sender && sender.tab && sender.tab.url) || '', result);
                 } catch (e) { /* ignore */ }
 
                 try { if (sender && sender.tab && typeof sender.tab.id === 'number') updateBadgeForTab(sender.tab.id, result.suspicious); } catch (e) { }
 
-                if (result.suspicious) {
-                    const origin = safeGetHostname(data.url || (sender && sender.tab && sender.tab.url) || '') || data.url || 'site';
-                    // do not auto-notify here; content may request a phish_alert message separately.
-                    // But we can optionally create a notification here if desired:
-                    // createPhishNotification(origin, origin, result);
+                // full-page analysis of the top frame (not of individual links) can still trigger the interstitial;
+                // an open webmail message (data.email) is scored on the mailbox's URL, and blocking would take the mailbox away
+                if (sender && sender.tab && sender.frameId === 0 && data.url && data.url === sender.tab.url && !data.email) {
+                    await maybeBlockNavigation(sender.tab.id, data.url, result);
                 }
 
                 sendResponse({ ok: true, result });
                 return;
             }
 
+            if (msgType === 'analyzeLinks') {
+                // Batched link verdicts from content.js: { links: [url], qrLinks?: [url] } -> { results: [{ url, result }] }
+                // qrLinks are the ones decoded from QR code images
+                const links = Array.from(new Set((Array.isArray(message.links) ? message.links : [])
+                    .filter(u => typeof u === 'string' && u))).slice(0, LINK_BATCH_MAX);
+                const trustedSet = await refreshAnalysisState();
+                const pageUrl = (sender && (sender.url || (sender.tab && sender.tab.url))) || '';
+                const results = [];
+                for (const url of links) {
+                    const result = AdvirsSchemes.inspectUrl(url) ? analyzeSchemeLink(url, pageUrl, RULES) : await AdvirsVerdictCache.get({ url });
+                    results.push({ url, result });
+                }
+                const misses = results.filter(r => !r.result);
+                if (misses.length) {
+                    let blocklistHits;
+                    try { blocklistHits = await AdvirsBlocklist.lookupMany(misses.map(r => r.url)); } catch (e) {
+                        console.warn('Blocklist lookup failed', e);
+                        blocklistHits = new Map();
+                    }
+                    for (const miss of misses) {
+                        miss.result = analyzeProfileCore({ url: miss.url }, trustedSet, blocklistHits, RULES);
+                        AdvirsVerdictCache.set({ url: miss.url }, miss.result);
+                    }
+                }
+                const qrLinks = new Set(Array.isArray(message.qrLinks) ? message.qrLinks : []);
+                results.forEach(r => {
+                    // copied: the cached verdict is shared with the same URL seen as a plain link
+                    if (qrLinks.has(r.url) && r.result.reasons.length) {
+                        r.result = { ...r.result, reasons: [reason('LINK_FROM_QR', { link: r.url }), ...r.result.reasons] };
+                    }
+                });
+                for (const { url, result } of results) {
+                    const origin = /^https?:/i.test(url) ? safeGetHostname(url) : '';
+                    if (origin) saveScanHistory(origin, url, result);
+                }
+                // a clean batch must not clear the page's own verdict, so only suspicious links touch the badge
+                if (results.some(r => r.result.suspicious) && sender && sender.tab && typeof sender.tab.id === 'number') {
+                    updateBadgeForTab(sender.tab.id, true);
+                }
+                sendResponse({ ok: true, results });
+                return;
+            }
+
             if (msgType === 'phish_alert') {
                 // Expect message to include: { id: string, msg: string, origin?: string, result?: object }
                 const alertId = (message.id || '').toString();
@@ -429,13 +730,202 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 const origin = message.origin || '';
                 const result = message.result || null;
 
-                const created = createPhishNotification(alertId || origin, origin, result, rawMsg);
+                const created = await raiseAlert(alertId || origin, origin, result, rawMsg);
                 sendResponse({ ok: true, notified: !!created });
                 return;
             }
 
+            if (msgType === 'get_alerts') {
+                const alerts = await loadAlerts();
+                sendResponse({ ok: true, alerts, unread: alerts.filter(a => !a.read).length });
+                return;
+            }
+
+            if (msgType === 'mark_alerts') {
+                // Expect message to include: { ids?: string[] (all when missing), read: boolean }
+                await setAlertsRead(Array.isArray(message.ids) ? message.ids : null, message.read !== false);
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'delete_alerts') {
+                // Expect message to include: { ids?: string[] (all when missing) }
+                await deleteAlerts(Array.isArray(message.ids) ? message.ids : null);
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'alert_action') {
+                // Expect message to include: { id: string, action: 'trust' | 'mute' }
+                sendResponse(await applyAlertAction((message.id || '').toString(), message.action));
+                return;
+            }
+
+            if (msgType === 'trust_domain') {
+                // Expect message to include: { domain: string } (hostname or URL)
+                const reg = await trustDomain(message.domain);
+                sendResponse(reg ? { ok: true, domain: reg } : { ok: false, error: 'invalid_domain' });
+                return;
+            }
+
+            if (msgType === 'password_guard_state') {
+                // From password-guard.js: how to treat the sending frame
+                sendResponse({ ok: true, ...(await passwordGuardState((sender && (sender.url || (sender.tab && sender.tab.url))) || '')) });
+                return;
+            }
+
+            if (msgType === 'protect_password') {
+                // Expect message to include: { password: string } — a login on a trusted domain; only its hash is kept
+                const password = typeof message.password === 'string' ? message.password : '';
+                if (!password || password.length > PASSWORD_MAX_LENGTH) { sendResponse({ ok: false, error: 'invalid_password' }); return; }
+                const pageUrl = (sender && (sender.url || (sender.tab && sender.tab.url))) || '';
+                const stored = await protectPassword(pageUrl, password);
+                sendResponse(stored ? { ok: true } : { ok: false, error: 'untrusted_domain' });
+                return;
+            }
+
+            if (msgType === 'check_password') {
+                // Expect message to include: { password: string } — a password being typed outside the trusted domains
+                const password = typeof message.password === 'string' ? message.password : '';
+                if (!password || password.length > PASSWORD_MAX_LENGTH) { sendResponse({ ok: false, error: 'invalid_password' }); return; }
+                const pageUrl = (sender && (sender.url || (sender.tab && sender.tab.url))) || '';
+                const domain = await findReusedPassword(pageUrl, password);
+                if (domain) await reportPasswordReuse(pageUrl, domain, sender && sender.tab ? sender.tab.id : null);
+                sendResponse({ ok: true, match: !!domain, domain });
+                return;
+            }
+
+            if (msgType === 'load_password_warning') {
+                // From password-guard.js on a match, in a frame without content.js: inject the warning dialog there
+                if (!sender || !sender.tab) { sendResponse({ ok: false, error: 'no_tab' }); return; }
+                await chrome.scripting.executeScript({ target: { tabId: sender.tab.id, frameIds: [sender.frameId || 0] }, files: PASSWORD_WARNING_FILES });
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'get_password_guard') {
+                // For the options page: the protected domains, never the hashes
+                const guard = await loadPasswordGuard();
+                const domains = {};
+                guard.entries.forEach(e => {
+                    const d = domains[e.domain] || (domains[e.domain] = { domain: e.domain, count: 0, addedAt: 0 });
+                    d.count++;
+                    d.addedAt = Math.max(d.addedAt, e.addedAt || 0);
+                });
+                sendResponse({ ok: true, enabled: guard.enabled, domains: Object.values(domains), ignoredHosts: guard.ignoredHosts });
+                return;
+            }
+
+            if (msgType === 'set_password_guard') {
+                // Expect message to include: { enabled: boolean }
+                await updatePasswordGuard((guard) => { guard.enabled = !!message.enabled; });
+                await registerPasswordGuard();
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'forget_passwords') {
+                // Expect message to include: { domain?: string } (all when missing)
+                const domain = message.domain ? getRegisteredDomain(safeGetHostname(message.domain.toString())) : '';
+                await updatePasswordGuard((guard) => { guard.entries = domain ? guard.entries.filter(e => e.domain !== domain) : []; });
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'password_guard_ignore') {
+                // Expect message to include: { host: string, ignore: boolean }
+                const host = safeGetHostname((message.host || '').toString());
+                if (!host) { sendResponse({ ok: false, error: 'invalid_host' }); return; }
+                await updatePasswordGuard((guard) => {
+                    guard.ignoredHosts = guard.ignoredHosts.filter(h => h !== host);
+                    if (message.ignore !== false) guard.ignoredHosts.push(host);
+                });
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'get_block_info') {
+                const tabId = sender && sender.tab ? sender.tab.id : message.tabId;
+                const key = `block:${tabId}`;
+                chrome.storage.session.get(key, (res) => { sendResponse({ ok: true, block: (res && res[key]) || null }); });
+                return;
+            }
+
+            if (msgType === 'bypass_block') {
+                // Expect message to include: { url: string } — the blocked page to proceed to
+                const url = (message.url || '').toString();
+                if (!/^https?:/i.test(url)) { sendResponse({ ok: false, error: 'invalid_url' }); return; }
+                await grantBypass(url);
+                if (sender && sender.tab) chrome.tabs.update(sender.tab.id, { url });
+                sendResponse({ ok: true, expiresInMs: BYPASS_DURATION_MS });
+                return;
+            }
+
+            if (msgType === 'leave_blocked_page') {
+                if (sender && sender.tab) chrome.tabs.update(sender.tab.id, { url: 'chrome://newtab/' });
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'hash_image') {
+                // Expect message to include: { url: string } — favicon/logo the page could not fetch itself (CORS)
+                const url = (message.url || '').toString();
+                if (!/^(https?|data):/i.test(url)) { sendResponse({ ok: false, error: 'invalid_url' }); return; }
+                try {
+                    sendResponse({ ok: true, hash: await AdvirsFingerprint.hashImageUrl(url) });
+                } catch (e) {
+                    sendResponse({ ok: false, error: 'unreadable_image' });
+                }
+                return;
+            }
+
+            if (msgType === 'decode_qr_image') {
+                // Expect message to include: { url: string } — image the page could not read itself (CORS)
+                const url = (message.url || '').toString();
+                if (!/^(https?|data):/i.test(url)) { sendResponse({ ok: false, error: 'invalid_url' }); return; }
+                try {
+                    sendResponse({ ok: true, text: await AdvirsQr.decodeImageUrl(url) });
+                } catch (e) {
+                    sendResponse({ ok: false, error: 'unreadable_image' });
+                }
+                return;
+            }
+
+            if (msgType === 'blocklist_updated') {
+                await AdvirsBlocklist.reload();
+                await AdvirsVerdictCache.invalidate();
+                sendResponse({ ok: true });
+                return;
+            }
+
+            if (msgType === 'get_cache_stats') {
+                sendResponse({ ok: true, stats: await AdvirsVerdictCache.getStats() });
+                return;
+            }
+
+            if (msgType === 'clear_verdict_cache') {
+                await AdvirsVerdictCache.clear();
+                sendResponse({ ok: true, stats: await AdvirsVerdictCache.getStats() });
+                return;
+            }
+
             if (msgType === 'check_host') {
-                chrome.storage.sync.get('optedSites', (res) => { sendResponse({ ok: true, optedSites: res.optedSites || {} }); });
+                const { enabledSites, disabledSites } = await loadScanSettings();
+                const url = message.url || (sender && sender.tab && sender.tab.url) || '';
+                sendResponse({ ok: true, enabledSites, disabledSites, scanning: AdvirsScanScope.isUrlInScope(url, enabledSites, disabledSites) });
+                return;
+            }
+
+            if (msgType === 'toggle_site_scan') {
+                // Expect message to include: { url: string, tabId?: number }
+                const state = await toggleSiteScan((message.url || '').toString());
+                if (!state) { sendResponse({ ok: false, error: 'unsupported_url' }); return; }
+                await registerContentScripts();
+                // start scanning the open tab right away instead of waiting for a reload
+                if (state.scanning && typeof message.tabId === 'number') {
+                    try { await chrome.scripting.executeScript({ target: { tabId: message.tabId }, files: CONTENT_SCRIPT_FILES }); } catch (e) { /* restricted page */ }
+                }
+                sendResponse({ ok: true, ...state });
                 return;
             }
 
@@ -450,7 +940,71 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
 });
 
-// ---------- Notification click handler ----------
+// ---------- Notification click handlers ----------
+// Clicking an alert opens its report in the alert center
 chrome.notifications.onClicked.addListener((notificationId) => {
-    try { chrome.tabs.create({ url: 'popup.html' }); } catch (e) { console.warn(e); }
+    try {
+        if (!notificationId.startsWith(ALERT_NOTIFICATION_PREFIX)) return;
+        const alertId = notificationId.slice(ALERT_NOTIFICATION_PREFIX.length);
+        chrome.tabs.create({ url: chrome.runtime.getURL(`alert-center.html#${encodeURIComponent(alertId)}`) });
+        setAlertsRead([alertId]);
+        chrome.notifications.clear(notificationId);
+    } catch (e) { console.warn(e); }
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    if (!notificationId.startsWith(ALERT_NOTIFICATION_PREFIX)) return;
+    const alertId = notificationId.slice(ALERT_NOTIFICATION_PREFIX.length);
+    (async () => {
+        await AdvirsI18n.init();
+        const res = await applyAlertAction(alertId, buttonIndex === 0 ? 'trust' : 'mute');
+        if (!res.ok) console.warn('Alert action failed', res.error);
+    })();
+});
+
+// ---------- Downloads ----------
+// Chrome waits for suggest() before settling the file, so a risky one is cancelled before it is written
+chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
+    checkDownload(item).finally(() => {
+        try { suggest(); } catch (e) { /* the download was cancelled */ }
+    });
+    return true;
+});
+
+// ---------- Pre-navigation interstitial ----------
+// URL-only heuristics run before the page renders; the full payload analysis catches the rest once loaded
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+    if (details.frameId !== 0 || !/^https?:/i.test(details.url)) return;
+    (async () => {
+        try {
+            const trustedSet = await refreshAnalysisState();
+            const data = { url: details.url };
+            let result = await AdvirsVerdictCache.get(data);
+            if (!result) {
+                result = analyzeProfileCore(data, trustedSet, await lookupBlocklist(data), RULES);
+                AdvirsVerdictCache.set(data, result);
+            }
+            if (await maybeBlockNavigation(details.tabId, details.url, result)) {
+                saveScanHistory(safeGetHostname(details.url), details.url, result);
+                updateBadgeForTab(details.tabId, true);
+            }
+        } catch (e) { console.warn('onBeforeNavigate check failed', e); }
+    })();
+});
+
+// ---------- Startup: content script registration + history retention ----------
+chrome.runtime.onInstalled.addListener(() => { registerContentScripts(); registerPasswordGuard(); migrateAndPruneHistory(); captureLoginFingerprints(); });
+chrome.runtime.onStartup.addListener(() => { registerContentScripts(); registerPasswordGuard(); migrateAndPruneHistory(); });
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && (changes.enabledSites || changes.disabledSites)) registerContentScripts();
+    if (area === 'sync' && changes.language) AdvirsI18n.init(true);
+    if (area === 'local' && changes.rulePack) rulePackPromise = null;
+    if (area === 'local' && changes.loginFingerprints) fingerprintsPromise = null;
+    if (area === 'sync' && changes.trustedDomains) trustedPromise = null;
+    if (area === 'sync' && changes.watchedAccounts) watchedPromise = null;
+    // cached verdicts were computed with the old settings
+    if ((area === 'sync' && (changes.trustedDomains || changes.watchedAccounts)) ||
+        (area === 'local' && (changes.rulePack || changes.loginFingerprints))) {
+        AdvirsVerdictCache.invalidate();
+    }
 });
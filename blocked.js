@@ -0,0 +1,57 @@
+// blocked.js - interstitial shown in place of high-risk pages (Advirs)
+
+document.addEventListener("DOMContentLoaded", async () => {
+  await AdvirsI18n.init();
+  AdvirsI18n.localizePage();
+  const t = AdvirsI18n.t;
+
+  const scoreEl = document.getElementById("score");
+  const urlEl = document.getElementById("url");
+  const lookalikeEl = document.getElementById("lookalike");
+  const reasonsEl = document.getElementById("reasons");
+  const backBtn = document.getElementById("backBtn");
+  const proceedBtn = document.getElementById("proceedBtn");
+  const bypassNote = document.getElementById("bypassNote");
+
+  let blockedUrl = "";
+
+  function render(block) {
+    if (!block || !block.result) {
+      scoreEl.innerText = t("blocked_no_details");
+      proceedBtn.disabled = true;
+      return;
+    }
+
+    const { score, reasons, details } = block.result;
+    blockedUrl = block.url;
+
+    scoreEl.innerText = t("blocked_score", { score: Math.round(score * 100) });
+    urlEl.innerText = block.url;
+
+    if (details && details.lookalikeOf) {
+      lookalikeEl.hidden = false;
+      lookalikeEl.innerText = t("blocked_lookalike", { domain: details.lookalikeOf });
+    }
+
+    AdvirsI18n.formatReasons((reasons || []).slice(0, 10)).forEach(r => {
+      const li = document.createElement("li");
+      li.innerText = r;
+      reasonsEl.appendChild(li);
+    });
+
+    bypassNote.innerText = t("blocked_bypass_note");
+  }
+
+  backBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ type: "leave_blocked_page" });
+  });
+
+  proceedBtn.addEventListener("click", () => {
+    if (!blockedUrl) return;
+    chrome.runtime.sendMessage({ type: "bypass_block", url: blockedUrl });
+  });
+
+  chrome.runtime.sendMessage({ type: "get_block_info" }, (resp) => {
+    render(resp && resp.block);
+  });
+});
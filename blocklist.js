@@ -0,0 +1,373 @@
+// blocklist.js - offline phishing blocklist store (Advirs)
+// Parses local feed files, stores entries in IndexedDB and answers lookups through an in-memory
+// Bloom filter, so the common "not listed" case never touches the database.
+//
+// Entry keys:
+//   u:<host><path><query>   exact URL (scheme, "www." and trailing slash ignored)
+//   h:<host>                exact hostname
+//   d:<domain>              domain and all of its subdomains
+// Each source stores its own row per key ({ key, source }), so sources listing the same key can be
+// removed or re-imported independently.
+
+(function (root) {
+    const DB_NAME = 'advirs-blocklist';
+    const DB_VERSION = 1;
+    const WRITE_BATCH = 5000;
+    const BLOOM_BITS_PER_ENTRY = 10;
+    const BLOOM_HASHES = 7;
+
+    const FORMATS = {
+        openphish: 'OpenPhish URL list',
+        phishtank_json: 'PhishTank JSON dump',
+        phishtank_csv: 'PhishTank CSV dump',
+        hosts: 'hosts file',
+        adblock: 'Adblock / domain list',
+        team_csv: 'Team CSV (type,value,note)'
+    };
+
+    // ---------- Normalization ----------
+    function stripWww(host) {
+        return (host || '').toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+    }
+
+    function normalizeUrlKey(url) {
+        try {
+            const u = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'http://' + url);
+            if (!/^https?:$/.test(u.protocol)) return '';
+            const path = u.pathname.replace(/\/+$/, '');
+            return stripWww(u.hostname) + path + u.search;
+        } catch (e) { return ''; }
+    }
+
+    function isHostname(s) {
+        return /^(?=.{1,253}$)[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(s || '');
+    }
+
+    // ---------- Parsers ----------
+    function parseCsvLine(line) {
+        const out = [];
+        let cur = '', quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cur += ch;
+            } else if (ch === '"') quoted = true;
+            else if (ch === ',') { out.push(cur); cur = ''; }
+            else cur += ch;
+        }
+        out.push(cur);
+        return out.map(s => s.trim());
+    }
+
+    function splitLines(text) {
+        return (text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    }
+
+    function urlEntry(url) {
+        const key = normalizeUrlKey(url);
+        return key ? 'u:' + key : '';
+    }
+
+    const PARSERS = {
+        openphish: (text) => splitLines(text).filter(l => !l.startsWith('#')).map(urlEntry),
+
+        phishtank_json: (text) => {
+            const data = JSON.parse(text);
+            return (Array.isArray(data) ? data : []).map(row => urlEntry(row && row.url));
+        },
+
+        phishtank_csv: (text) => {
+            const lines = splitLines(text);
+            const header = parseCsvLine(lines.shift() || '').map(h => h.toLowerCase());
+            const col = header.indexOf('url');
+            if (col < 0) throw new Error('PhishTank CSV needs a "url" column');
+            return lines.map(l => urlEntry(parseCsvLine(l)[col]));
+        },
+
+        // "0.0.0.0 a.example b.example # comment": every name after the address, or a bare name per line
+        hosts: (text) => splitLines(text).flatMap(l => {
+            const parts = l.replace(/#.*$/, '').trim().split(/\s+/).filter(Boolean);
+            return (parts.length > 1 ? parts.slice(1) : parts).map(name => {
+                const host = stripWww(name);
+                // "0.0.0.0 0.0.0.0" and "127.0.0.1 localhost" are the file's own sink lines, not blocked names
+                if (!isHostname(host) || /^[\d.]+$/.test(host) || host === 'localhost' || host.endsWith('.localdomain')) return '';
+                return 'h:' + host;
+            });
+        }),
+
+        adblock: (text) => splitLines(text).map(l => {
+            if (l.startsWith('!') || l.startsWith('#') || l.startsWith('[') || l.startsWith('@@')) return '';
+            const m = l.match(/^\|\|([a-z0-9.-]+)\^?(\$.*)?$/i);
+            const host = stripWww(m ? m[1] : l);
+            return isHostname(host) ? 'd:' + host : '';
+        }),
+
+        team_csv: (text) => {
+            const lines = splitLines(text);
+            const header = parseCsvLine(lines.shift() || '').map(h => h.toLowerCase());
+            const typeCol = header.indexOf('type');
+            const valueCol = header.indexOf('value');
+            if (typeCol < 0 || valueCol < 0) throw new Error('Team CSV needs "type" and "value" columns');
+            return lines.map(l => {
+                const row = parseCsvLine(l);
+                const type = (row[typeCol] || '').toLowerCase();
+                const value = row[valueCol] || '';
+                if (type === 'url') return urlEntry(value);
+                const host = stripWww(value);
+                if (!isHostname(host)) return '';
+                return type === 'host' ? 'h:' + host : (type === 'domain' ? 'd:' + host : '');
+            });
+        }
+    };
+
+    function detectFormat(text, filename = '') {
+        const name = filename.toLowerCase();
+        const head = (text || '').slice(0, 2000).trim();
+        if (head.startsWith('[') && /"url"\s*:/.test(head)) return 'phishtank_json';
+        const firstLine = head.split(/\r?\n/)[0].toLowerCase();
+        if (/(^|,)phish_id(,|$)/.test(firstLine)) return 'phishtank_csv';
+        if (/(^|,)type(,|$)/.test(firstLine) && /(^|,)value(,|$)/.test(firstLine)) return 'team_csv';
+        if (/^\s*(0\.0\.0\.0|127\.0\.0\.1)\s+/m.test(head) || name.includes('hosts')) return 'hosts';
+        if (/^\|\|/m.test(head) || /^!/m.test(head)) return 'adblock';
+        if (/^https?:\/\//im.test(head)) return 'openphish';
+        return 'adblock';
+    }
+
+    // Returns unique entry keys for a file in the given (or detected) format
+    function parseFeed(text, format, filename) {
+        const fmt = format && format !== 'auto' ? format : detectFormat(text, filename);
+        const parser = PARSERS[fmt];
+        if (!parser) throw new Error(`Unknown blocklist format: ${fmt}`);
+        return { format: fmt, keys: Array.from(new Set(parser(text).filter(Boolean))) };
+    }
+
+    // ---------- Bloom filter ----------
+    function fnv1a(str, seed) {
+        let h = 0x811c9dc5 ^ seed;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    function createBloom(n) {
+        const m = Math.max(1024, Math.ceil(n * BLOOM_BITS_PER_ENTRY));
+        return { m, k: BLOOM_HASHES, n: 0, bits: new Uint8Array(Math.ceil(m / 8)) };
+    }
+
+    function bloomPositions(bloom, key) {
+        const h1 = fnv1a(key, 0);
+        const h2 = fnv1a(key, 0x5bd1e995) | 1;
+        const out = [];
+        for (let i = 0; i < bloom.k; i++) out.push(((h1 + Math.imul(i, h2)) >>> 0) % bloom.m);
+        return out;
+    }
+
+    function bloomAdd(bloom, key) {
+        for (const p of bloomPositions(bloom, key)) bloom.bits[p >> 3] |= (1 << (p & 7));
+        bloom.n++;
+    }
+
+    function bloomHas(bloom, key) {
+        return bloomPositions(bloom, key).every(p => bloom.bits[p >> 3] & (1 << (p & 7)));
+    }
+
+    // ---------- IndexedDB ----------
+    let dbPromise = null;
+
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                // one row per source and key, so removing or re-importing a source leaves the others' rows alone
+                const entries = db.createObjectStore('entries', { keyPath: ['key', 'source'] }); // { key, source }
+                entries.createIndex('by_source', 'source');
+                db.createObjectStore('sources', { keyPath: 'id' });
+                db.createObjectStore('meta');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => { dbPromise = null; reject(req.error); };
+        });
+        return dbPromise;
+    }
+
+    function txDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function requestResult(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function deleteSourceEntries(db, sourceId) {
+        const tx = db.transaction('entries', 'readwrite');
+        const index = tx.objectStore('entries').index('by_source');
+        const req = index.openKeyCursor(IDBKeyRange.only(sourceId));
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            tx.objectStore('entries').delete(cursor.primaryKey);
+            cursor.continue();
+        };
+        await txDone(tx);
+    }
+
+    // Rebuilds the Bloom filter from every stored key and persists it
+    async function rebuildBloom() {
+        const db = await openDb();
+        const countTx = db.transaction('entries', 'readonly');
+        const total = await requestResult(countTx.objectStore('entries').count());
+        const next = createBloom(total);
+
+        const tx = db.transaction('entries', 'readonly');
+        const req = tx.objectStore('entries').openKeyCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            bloomAdd(next, cursor.key[0]);
+            cursor.continue();
+        };
+        await txDone(tx);
+
+        const metaTx = db.transaction('meta', 'readwrite');
+        metaTx.objectStore('meta').put(next, 'bloom');
+        await txDone(metaTx);
+        bloom = next;
+        return next.n;
+    }
+
+    // Imports a feed as source `name`; re-importing the same name replaces its previous entries
+    async function importFeed(name, text, format = 'auto', filename = '') {
+        const sourceName = (name || '').toString().trim() || filename || 'blocklist';
+        const sourceId = sourceName.toLowerCase();
+        const parsed = parseFeed(text, format, filename);
+        const db = await openDb();
+
+        await deleteSourceEntries(db, sourceId);
+        for (let i = 0; i < parsed.keys.length; i += WRITE_BATCH) {
+            const tx = db.transaction('entries', 'readwrite');
+            const store = tx.objectStore('entries');
+            for (const key of parsed.keys.slice(i, i + WRITE_BATCH)) store.put({ key, source: sourceId });
+            await txDone(tx);
+        }
+
+        const source = { id: sourceId, name: sourceName, format: parsed.format, count: parsed.keys.length, importedAt: Date.now() };
+        const tx = db.transaction('sources', 'readwrite');
+        tx.objectStore('sources').put(source);
+        await txDone(tx);
+
+        await rebuildBloom();
+        return source;
+    }
+
+    async function listSources() {
+        const db = await openDb();
+        const tx = db.transaction('sources', 'readonly');
+        return requestResult(tx.objectStore('sources').getAll());
+    }
+
+    async function removeSource(sourceId) {
+        const db = await openDb();
+        await deleteSourceEntries(db, sourceId);
+        const tx = db.transaction('sources', 'readwrite');
+        tx.objectStore('sources').delete(sourceId);
+        await txDone(tx);
+        await rebuildBloom();
+    }
+
+    // ---------- Lookup ----------
+    let bloom = null;
+    let bloomPromise = null;
+
+    function loadBloom(force = false) {
+        if (force) bloomPromise = null;
+        if (bloomPromise) return bloomPromise;
+        bloomPromise = (async () => {
+            try {
+                const db = await openDb();
+                const tx = db.transaction('meta', 'readonly');
+                bloom = (await requestResult(tx.objectStore('meta').get('bloom'))) || null;
+            } catch (e) {
+                console.warn('Blocklist bloom load failed', e);
+                bloom = null;
+            }
+            return bloom;
+        })();
+        return bloomPromise;
+    }
+
+    // Candidate keys for a URL, most specific first
+    function candidateKeys(url) {
+        let host = '';
+        try { host = new URL(url).hostname; } catch (e) { return []; }
+        host = stripWww(host);
+        const keys = [];
+        const urlKey = normalizeUrlKey(url);
+        if (urlKey) keys.push({ key: 'u:' + urlKey, matchType: 'url' });
+        keys.push({ key: 'h:' + host, matchType: 'host' });
+
+        const reg = root.AdvirsPsl ? root.AdvirsPsl.getRegisteredDomain(host) : host.split('.').slice(-2).join('.');
+        const labels = host.split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            keys.push({ key: 'd:' + candidate, matchType: candidate === reg ? 'domain' : 'host' });
+            if (!reg || candidate === reg) break;
+        }
+        return keys;
+    }
+
+    // Looks up many URLs at once; returns Map(url -> { source, sourceName, matchType, entry })
+    async function lookupMany(urls) {
+        const hits = new Map();
+        const current = await loadBloom();
+        if (!current || !current.n) return hits;
+
+        const pending = [];
+        for (const url of new Set((urls || []).filter(Boolean))) {
+            const keys = candidateKeys(url).filter(k => bloomHas(current, k.key));
+            if (keys.length) pending.push({ url, keys });
+        }
+        if (!pending.length) return hits;
+
+        const db = await openDb();
+        const tx = db.transaction(['entries', 'sources'], 'readonly');
+        const entries = tx.objectStore('entries');
+        const sources = tx.objectStore('sources');
+        const sourceNames = new Map((await requestResult(sources.getAll())).map(s => [s.id, s.name]));
+
+        for (const { url, keys } of pending) {
+            for (const k of keys) {
+                // first row of any source listing the key
+                const value = await requestResult(entries.get(IDBKeyRange.bound([k.key], [k.key, []])));
+                if (value) {
+                    hits.set(url, { source: value.source, sourceName: sourceNames.get(value.source) || value.source, matchType: k.matchType, entry: k.key.slice(2) });
+                    break;
+                }
+            }
+        }
+        return hits;
+    }
+
+    root.AdvirsBlocklist = {
+        FORMATS,
+        detectFormat,
+        parseFeed,
+        importFeed,
+        listSources,
+        removeSource,
+        lookupMany,
+        reload: () => loadBloom(true)
+    };
+})(self);
@@ -0,0 +1,359 @@
+// brands-data.js - bundled brand protection catalog (Advirs)
+// One entry per commonly phished brand:
+//   domains       official registered domains (subdomains are covered automatically)
+//   names         ways pages refer to the brand, Latin and Arabic spellings; short or generic words
+//                 (Orange, Apple, du, ...) are only listed in unambiguous multi-word forms
+//   loginPhrases  wording typical of the brand's own sign-in page
+//   loginUrls     the brand's own sign-in pages (origin + path prefix); login page fingerprints are only
+//                 captured there (optional)
+//   handles       distinctive social media handles impersonators imitate (optional; profiles using
+//                 exactly one of these are not flagged, near-misses are)
+// Matching is case-insensitive and ignores Arabic diacritics and alef/yaa/taa-marbuta variants.
+
+self.ADVIRS_BRANDS = [
+    // ---------- Social networks / messaging ----------
+    {
+        id: 'facebook', name: 'Facebook', category: 'social',
+        domains: ['facebook.com', 'fb.com', 'fb.me', 'messenger.com', 'meta.com', 'facebook.net', 'fbcdn.net', 'facebookmail.com'],
+        names: ['facebook', 'face book', 'meta business', 'meta for business', 'فيسبوك', 'فيس بوك', 'فيسبوك للأعمال', 'ميتا للأعمال'],
+        loginPhrases: ['log in to facebook', 'log into facebook', 'facebook helps you connect', 'تسجيل الدخول إلى فيسبوك', 'تسجيل الدخول إلى فيس بوك', 'meta business suite', 'facebook page violation'],
+        loginUrls: ['https://www.facebook.com/login', 'https://m.facebook.com/login'],
+        handles: ['facebook', 'meta']
+    },
+    {
+        id: 'instagram', name: 'Instagram', category: 'social',
+        domains: ['instagram.com', 'cdninstagram.com', 'facebook.com'],
+        names: ['instagram', 'انستغرام', 'انستجرام', 'إنستغرام', 'إنستجرام', 'انستقرام'],
+        loginPhrases: ['log in to instagram', 'تسجيل الدخول إلى إنستغرام', 'instagram copyright', 'instagram verified badge'],
+        loginUrls: ['https://www.instagram.com/accounts/login'],
+        handles: ['instagram']
+    },
+    {
+        id: 'whatsapp', name: 'WhatsApp', category: 'social',
+        domains: ['whatsapp.com', 'whatsapp.net', 'wa.me'],
+        names: ['whatsapp', 'whats app', 'واتساب', 'واتس اب', 'واتس آب'],
+        loginPhrases: ['whatsapp web', 'verify your whatsapp', 'رمز التحقق واتساب', 'تحقق من حساب واتساب'],
+        handles: ['whatsapp']
+    },
+    {
+        id: 'tiktok', name: 'TikTok', category: 'social',
+        domains: ['tiktok.com', 'tiktokv.com', 'tiktokcdn.com'],
+        names: ['tiktok', 'tik tok', 'تيك توك', 'تيكتوك'],
+        loginPhrases: ['log in to tiktok', 'tiktok verified', 'تسجيل الدخول إلى تيك توك'],
+        loginUrls: ['https://www.tiktok.com/login'],
+        handles: ['tiktok']
+    },
+    {
+        id: 'twitter', name: 'X (Twitter)', category: 'social',
+        domains: ['twitter.com', 'x.com', 't.co', 'twimg.com'],
+        names: ['twitter', 'تويتر', 'منصة إكس'],
+        loginPhrases: ['sign in to x', 'sign in to twitter', 'log in to twitter', 'تسجيل الدخول إلى تويتر', 'twitter verified'],
+        loginUrls: ['https://x.com/i/flow/login', 'https://twitter.com/i/flow/login'],
+        handles: ['twitter']
+    },
+    {
+        id: 'snapchat', name: 'Snapchat', category: 'social',
+        domains: ['snapchat.com', 'snap.com'],
+        names: ['snapchat', 'سناب شات', 'سنابشات'],
+        loginPhrases: ['log in to snapchat', 'تسجيل الدخول إلى سناب شات'],
+        loginUrls: ['https://accounts.snapchat.com/accounts'],
+        handles: ['snapchat']
+    },
+    {
+        id: 'linkedin', name: 'LinkedIn', category: 'social',
+        domains: ['linkedin.com', 'lnkd.in'],
+        names: ['linkedin', 'لينكد إن', 'لينكدإن', 'لينكدان'],
+        loginPhrases: ['sign in to linkedin', 'تسجيل الدخول إلى لينكد إن'],
+        loginUrls: ['https://www.linkedin.com/login', 'https://www.linkedin.com/uas/login'],
+        handles: ['linkedin']
+    },
+    {
+        id: 'telegram', name: 'Telegram', category: 'social',
+        domains: ['telegram.org', 't.me', 'telegram.me'],
+        names: ['telegram', 'تيليجرام', 'تلغرام', 'تليجرام', 'تيليغرام'],
+        loginPhrases: ['telegram web', 'log in to telegram', 'تسجيل الدخول إلى تيليجرام'],
+        handles: ['telegram']
+    },
+
+    // ---------- Email / accounts / shopping ----------
+    {
+        id: 'google', name: 'Google', category: 'email',
+        domains: ['google.com', 'gmail.com', 'youtube.com', 'google.com.sa', 'google.ae', 'google.com.eg', 'google.iq', 'google.jo', 'google.com.kw', 'google.com.qa'],
+        names: ['google account', 'gmail', 'حساب google', 'حساب جوجل', 'جوجل', 'جيميل'],
+        loginPhrases: ['sign in - google accounts', 'sign in with your google account', 'to continue to gmail', 'تسجيل الدخول - حسابات google', 'للمتابعة إلى gmail'],
+        loginUrls: ['https://accounts.google.com/v3/signin', 'https://accounts.google.com/signin', 'https://accounts.google.com/ServiceLogin'],
+        handles: ['google', 'gmail', 'youtube']
+    },
+    {
+        id: 'microsoft', name: 'Microsoft', category: 'email',
+        domains: ['microsoft.com', 'live.com', 'microsoftonline.com', 'office.com', 'office365.com', 'outlook.com', 'hotmail.com', 'sharepoint.com', 'onedrive.com'],
+        names: ['microsoft', 'office 365', 'microsoft 365', 'outlook web app', 'outlook.com', 'onedrive', 'sharepoint', 'hotmail', 'مايكروسوفت', 'بريد أوتلوك'],
+        loginPhrases: ['sign in to your microsoft account', 'sign in to outlook', 'stay signed in?', 'تسجيل الدخول إلى حساب microsoft', 'your mailbox is almost full'],
+        loginUrls: ['https://login.live.com/', 'https://login.microsoftonline.com/'],
+        handles: ['microsoft', 'office365', 'microsoft365']
+    },
+    {
+        id: 'apple', name: 'Apple', category: 'email',
+        domains: ['apple.com', 'icloud.com', 'me.com'],
+        names: ['apple id', 'apple account', 'icloud', 'معرف apple', 'معرف أبل', 'آي كلاود', 'اي كلاود'],
+        loginPhrases: ['sign in with your apple id', 'manage your apple id', 'find my iphone', 'تسجيل الدخول باستخدام معرف apple'],
+        loginUrls: ['https://appleid.apple.com/sign-in', 'https://idmsa.apple.com/'],
+        handles: ['applesupport', 'icloud']
+    },
+    {
+        id: 'amazon', name: 'Amazon', category: 'shopping',
+        domains: ['amazon.com', 'amazon.ae', 'amazon.sa', 'amazon.eg', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.com.tr', 'amazon.in'],
+        names: ['amazon', 'أمازون', 'امازون'],
+        loginPhrases: ['sign-in amazon', 'amazon sign-in', 'your amazon account', 'تسجيل الدخول أمازون', 'حساب أمازون الخاص بك'],
+        loginUrls: ['https://www.amazon.com/ap/signin', 'https://www.amazon.sa/ap/signin', 'https://www.amazon.ae/ap/signin', 'https://www.amazon.eg/ap/signin'],
+        handles: ['amazon']
+    },
+    {
+        id: 'netflix', name: 'Netflix', category: 'shopping',
+        domains: ['netflix.com'],
+        names: ['netflix', 'نتفليكس', 'نيتفليكس'],
+        loginPhrases: ['update your payment information netflix', 'your netflix membership', 'عضويتك في نتفليكس'],
+        loginUrls: ['https://www.netflix.com/login'],
+        handles: ['netflix']
+    },
+
+    // ---------- Payment providers ----------
+    {
+        id: 'paypal', name: 'PayPal', category: 'payment',
+        domains: ['paypal.com', 'paypal.me', 'paypalobjects.com'],
+        names: ['paypal', 'pay pal', 'باي بال', 'بايبال'],
+        loginPhrases: ['log in to your paypal account', 'paypal account limited', 'تسجيل الدخول إلى حساب paypal'],
+        loginUrls: ['https://www.paypal.com/signin'],
+        handles: ['paypal']
+    },
+    {
+        id: 'stcpay', name: 'STC Pay', category: 'payment',
+        domains: ['stcpay.com.sa', 'stc.com.sa'],
+        names: ['stc pay', 'stcpay', 'اس تي سي باي', 'إس تي سي باي'],
+        loginPhrases: ['stc pay login', 'تسجيل الدخول stc pay'],
+        handles: ['stcpay']
+    },
+    {
+        id: 'fawry', name: 'Fawry', category: 'payment',
+        domains: ['fawry.com', 'myfawry.com'],
+        names: ['fawry', 'فوري باي', 'ماي فوري', 'شبكة فوري'],
+        loginPhrases: ['myfawry', 'ماي فوري'],
+        handles: ['fawry']
+    },
+    {
+        id: 'zaincash', name: 'ZainCash', category: 'payment',
+        domains: ['zaincash.iq'],
+        names: ['zaincash', 'zain cash', 'زين كاش'],
+        loginPhrases: ['zain cash wallet', 'محفظة زين كاش'],
+        handles: ['zaincash']
+    },
+    {
+        id: 'westernunion', name: 'Western Union', category: 'payment',
+        domains: ['westernunion.com', 'wu.com'],
+        names: ['western union', 'ويسترن يونيون', 'ويسترن يونين'],
+        loginPhrases: ['log in to western union', 'track transfer western union'],
+        handles: ['westernunion']
+    },
+
+    // ---------- Banks ----------
+    {
+        id: 'alrajhi', name: 'Al Rajhi Bank', category: 'bank',
+        domains: ['alrajhibank.com.sa', 'alrajhibank.com'],
+        names: ['al rajhi', 'alrajhi', 'مصرف الراجحي', 'بنك الراجحي', 'الراجحي'],
+        loginPhrases: ['al rajhi online', 'الراجحي أونلاين', 'الراجحي اون لاين'],
+        handles: ['alrajhibank']
+    },
+    {
+        id: 'snb', name: 'Saudi National Bank', category: 'bank',
+        domains: ['alahli.com'],
+        names: ['saudi national bank', 'snb alahli', 'البنك الأهلي السعودي', 'الأهلي السعودي', 'الأهلي أونلاين'],
+        loginPhrases: ['alahli online', 'snb alahli online', 'الأهلي اون لاين']
+    },
+    {
+        id: 'emiratesnbd', name: 'Emirates NBD', category: 'bank',
+        domains: ['emiratesnbd.com', 'emiratesnbd.com.sa', 'emiratesnbd.com.eg'],
+        names: ['emirates nbd', 'بنك الإمارات دبي الوطني', 'الإمارات دبي الوطني'],
+        loginPhrases: ['emirates nbd online banking', 'enbd x'],
+        handles: ['emiratesnbd']
+    },
+    {
+        id: 'qnb', name: 'QNB', category: 'bank',
+        domains: ['qnb.com', 'qnb.com.eg', 'qnbalahli.com'],
+        names: ['qnb', 'qatar national bank', 'بنك قطر الوطني', 'كيو إن بي'],
+        loginPhrases: ['qnb internet banking', 'qnb mobile banking']
+    },
+    {
+        id: 'arabbank', name: 'Arab Bank', category: 'bank',
+        domains: ['arabbank.com', 'arabbank.jo', 'arabbank.ae'],
+        names: ['arab bank', 'البنك العربي'],
+        loginPhrases: ['arabi online', 'عربي أونلاين', 'عربي اون لاين'],
+        handles: ['arabbank']
+    },
+    {
+        id: 'cib', name: 'CIB Egypt', category: 'bank',
+        domains: ['cibeg.com'],
+        names: ['commercial international bank', 'cib egypt', 'البنك التجاري الدولي'],
+        loginPhrases: ['cib online banking', 'cib internet banking']
+    },
+    {
+        id: 'banquemisr', name: 'Banque Misr', category: 'bank',
+        domains: ['banquemisr.com'],
+        names: ['banque misr', 'بنك مصر'],
+        loginPhrases: ['banque misr internet banking', 'bm online'],
+        handles: ['banquemisr']
+    },
+    {
+        id: 'nbe', name: 'National Bank of Egypt', category: 'bank',
+        domains: ['nbe.com.eg'],
+        names: ['national bank of egypt', 'البنك الأهلي المصري'],
+        loginPhrases: ['al ahly net', 'الأهلي نت']
+    },
+    {
+        id: 'kfh', name: 'Kuwait Finance House', category: 'bank',
+        domains: ['kfh.com', 'kfh.com.kw'],
+        names: ['kuwait finance house', 'بيت التمويل الكويتي'],
+        loginPhrases: ['kfh online', 'بيتك أونلاين']
+    },
+    {
+        id: 'rafidain', name: 'Rafidain Bank', category: 'bank',
+        domains: ['rb.iq'],
+        names: ['rafidain bank', 'مصرف الرافدين'],
+        loginPhrases: ['rafidain e-banking', 'الرافدين الإلكتروني']
+    },
+    {
+        id: 'hsbc', name: 'HSBC', category: 'bank',
+        domains: ['hsbc.com', 'hsbc.co.uk', 'hsbc.ae', 'hsbc.com.eg', 'hsbc.com.sa', 'hsbc.com.hk'],
+        names: ['hsbc', 'اتش اس بي سي', 'إتش إس بي سي'],
+        loginPhrases: ['log on to online banking hsbc', 'hsbc online banking'],
+        handles: ['hsbc']
+    },
+    {
+        id: 'chase', name: 'Chase', category: 'bank',
+        domains: ['chase.com', 'jpmorganchase.com', 'jpmorgan.com'],
+        names: ['chase bank', 'jpmorgan chase', 'chase online'],
+        loginPhrases: ['sign in to chase', 'chase online banking']
+    },
+    {
+        id: 'bankofamerica', name: 'Bank of America', category: 'bank',
+        domains: ['bankofamerica.com', 'bofa.com'],
+        names: ['bank of america', 'bofa'],
+        loginPhrases: ['bank of america online banking', 'sign in to online banking bank of america'],
+        handles: ['bankofamerica']
+    },
+
+    // ---------- Telcos ----------
+    {
+        id: 'stc', name: 'stc', category: 'telco',
+        domains: ['stc.com.sa', 'stc.com.kw', 'stc.com.bh'],
+        names: ['saudi telecom', 'mystc', 'my stc', 'اس تي سي', 'إس تي سي', 'الاتصالات السعودية', 'ماي اس تي سي'],
+        loginPhrases: ['mystc login', 'تسجيل الدخول ماي اس تي سي']
+    },
+    {
+        id: 'mobily', name: 'Mobily', category: 'telco',
+        domains: ['mobily.com.sa'],
+        names: ['mobily', 'موبايلي'],
+        loginPhrases: ['mobily eshop', 'my mobily'],
+        handles: ['mobily']
+    },
+    {
+        id: 'zain', name: 'Zain', category: 'telco',
+        domains: ['zain.com', 'zain.iq'],
+        names: ['zain telecom', 'zain iraq', 'zain ksa', 'زين العراق', 'زين السعودية', 'زين الكويت', 'شركة زين'],
+        loginPhrases: ['my zain', 'ماي زين']
+    },
+    {
+        id: 'etisalat', name: 'e& (Etisalat)', category: 'telco',
+        domains: ['etisalat.ae', 'eand.com', 'etisalat.com.eg'],
+        names: ['etisalat', 'اتصالات الإمارات', 'اتصالات مصر', 'إي آند'],
+        loginPhrases: ['my etisalat', 'e& uae login', 'ماي اتصالات'],
+        handles: ['etisalat']
+    },
+    {
+        id: 'du', name: 'du', category: 'telco',
+        domains: ['du.ae'],
+        names: ['du telecom', 'emirates integrated telecommunications', 'الإمارات للاتصالات المتكاملة'],
+        loginPhrases: ['my du account', 'du online account']
+    },
+    {
+        id: 'asiacell', name: 'Asiacell', category: 'telco',
+        domains: ['asiacell.com'],
+        names: ['asiacell', 'اسيا سيل', 'آسيا سيل', 'اسياسيل'],
+        loginPhrases: ['asiacell app', 'تطبيق آسيا سيل'],
+        handles: ['asiacell']
+    },
+    {
+        id: 'vodafone', name: 'Vodafone', category: 'telco',
+        domains: ['vodafone.com', 'vodafone.com.eg', 'vodafone.co.uk', 'vodafone.qa', 'vodafone.de'],
+        names: ['vodafone', 'فودافون'],
+        loginPhrases: ['ana vodafone', 'vodafone cash', 'أنا فودافون', 'فودافون كاش'],
+        handles: ['vodafone']
+    },
+    {
+        id: 'orange', name: 'Orange', category: 'telco',
+        domains: ['orange.com', 'orange.eg', 'orange.jo', 'orange.fr', 'orange.ma'],
+        names: ['orange money', 'orange egypt', 'orange jordan', 'اورنج مصر', 'أورنج مصر', 'أورنج الأردن', 'اورنج الاردن'],
+        loginPhrases: ['my orange', 'ماي اورنج']
+    },
+
+    // ---------- Government portals ----------
+    {
+        id: 'absher', name: 'Absher', category: 'government',
+        domains: ['absher.sa', 'moi.gov.sa'],
+        names: ['absher', 'منصة أبشر', 'أبشر أفراد', 'أبشر أعمال'],
+        loginPhrases: ['absher individuals', 'أبشر أفراد', 'ابشر افراد'],
+        handles: ['absher']
+    },
+    {
+        id: 'nafath', name: 'Nafath', category: 'government',
+        domains: ['iam.gov.sa'],
+        names: ['nafath', 'النفاذ الوطني', 'النفاذ الوطني الموحد'],
+        loginPhrases: ['national single sign-on', 'الدخول عبر النفاذ الوطني']
+    },
+    {
+        id: 'uaepass', name: 'UAE PASS', category: 'government',
+        domains: ['uaepass.ae', 'u.ae', 'government.ae'],
+        names: ['uae pass', 'uaepass', 'يو إيه إي باس', 'الهوية الرقمية الإماراتية'],
+        loginPhrases: ['login with uae pass', 'تسجيل الدخول عبر الهوية الرقمية الإماراتية'],
+        handles: ['uaepass']
+    },
+    {
+        id: 'digitalegypt', name: 'Digital Egypt', category: 'government',
+        domains: ['digital.gov.eg'],
+        names: ['digital egypt', 'مصر الرقمية', 'بوابة مصر الرقمية'],
+        loginPhrases: ['digital egypt platform', 'منصة مصر الرقمية']
+    },
+    {
+        id: 'ur', name: 'Ur Portal (Iraq)', category: 'government',
+        domains: ['ur.gov.iq'],
+        names: ['ur portal', 'بوابة أور', 'بوابة اور', 'البوابة الإلكترونية أور'],
+        loginPhrases: ['ur.gov.iq', 'بوابة أور الإلكترونية']
+    },
+    {
+        id: 'sanad', name: 'Sanad (Jordan)', category: 'government',
+        domains: ['sanad.gov.jo'],
+        names: ['sanad jordan', 'تطبيق سند', 'خدمات سند'],
+        loginPhrases: ['sanad digital id', 'الهوية الرقمية سند']
+    },
+
+    // ---------- Delivery (parcel "customs fee" kits) ----------
+    {
+        id: 'dhl', name: 'DHL', category: 'delivery',
+        domains: ['dhl.com', 'dhl.de', 'dhl.ae'],
+        names: ['dhl', 'dhl express', 'دي إتش إل', 'دي اتش ال'],
+        loginPhrases: ['dhl shipment on hold', 'your dhl parcel', 'شحنتك من dhl'],
+        handles: ['dhl']
+    },
+    {
+        id: 'aramex', name: 'Aramex', category: 'delivery',
+        domains: ['aramex.com'],
+        names: ['aramex', 'أرامكس', 'ارامكس'],
+        loginPhrases: ['aramex shipment', 'شحنة أرامكس', 'شحنتك من ارامكس'],
+        handles: ['aramex']
+    },
+    {
+        id: 'saudipost', name: 'SPL (Saudi Post)', category: 'delivery',
+        domains: ['splonline.com.sa'],
+        names: ['saudi post', 'splonline', 'البريد السعودي'],
+        loginPhrases: ['saudi post parcel', 'طردك في البريد السعودي']
+    }
+];
@@ -0,0 +1,103 @@
+// brands.js - brand claims on a page (Advirs)
+// Finds which catalogued brands (brands-data.js) a page presents itself as, from its title,
+// site name, form labels and login wording. background.js compares the claims with the page's
+// registered domain; a claim served from outside the brand's official domains is impersonation.
+
+(function (root) {
+    const BRANDS = root.ADVIRS_BRANDS || [];
+
+    // "Sign in with Google", "المتابعة باستخدام فيسبوك" are social login buttons, not claims
+    const DELEGATION_RX = /(?:\bwith|\busing|\bvia|\bthrough|باستخدام|بواسطة|عبر|بحساب|من خلال)(?:\s+your)?\s*$/;
+
+    // Lowercases and folds Arabic spelling variants so "فيسبوك" / "فيسبُوك" / "فيـسبوك" compare equal
+    function normalize(s) {
+        return (s || '').toString().normalize('NFKC').toLowerCase()
+            .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // harakat, dagger alef, tatweel
+            .replace(/[أإآٱ]/g, 'ا')
+            .replace(/ى/g, 'ي')
+            .replace(/ة/g, 'ه')
+            .replace(/\s+/g, ' ');
+    }
+
+    function escapeRegExp(s) {
+        return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Whole-word match; Arabic names may carry a one-letter proclitic (و/ب/ل/ف: "وفيسبوك")
+    function nameRegExp(name) {
+        const n = normalize(name);
+        const proclitic = /^[\u0600-\u06FF]/.test(n) ? '(?:[وبلف])?' : '';
+        return new RegExp(`(?:^|[^\\p{L}\\p{N}])${proclitic}(${escapeRegExp(n)})(?=$|[^\\p{L}\\p{N}])`, 'gu');
+    }
+
+    let compiled = null;
+    function getCompiled() {
+        if (!compiled) {
+            compiled = BRANDS.map(brand => ({
+                brand,
+                names: brand.names.map(nameRegExp),
+                loginPhrases: (brand.loginPhrases || []).map(normalize)
+            }));
+        }
+        return compiled;
+    }
+
+    // true when some occurrence of the name is not part of a "continue with X" button
+    function mentions(text, rx) {
+        rx.lastIndex = 0;
+        let m;
+        while ((m = rx.exec(text)) !== null) {
+            const start = m.index + m[0].length - m[1].length;
+            if (!DELEGATION_RX.test(text.slice(Math.max(0, start - 30), start))) return true;
+        }
+        return false;
+    }
+
+    // Whole-word, spelling-insensitive check for any name (used for watch-list display names)
+    function mentionsName(text, name) {
+        const t = normalize(text);
+        return !!t && !!normalize(name).trim() && mentions(t, nameRegExp(name));
+    }
+
+    // fields: { title, siteName, formLabels, text } (plain strings).
+    // Returns [{ brand, evidence, inForm }] where evidence is the strongest field that claimed the brand:
+    // 'title' | 'siteName' | 'form' | 'loginPhrase', and inForm tells whether the form labels name it too.
+    // Body text only counts through the brand's login phrases.
+    function findClaims(fields = {}) {
+        const title = normalize(fields.title);
+        const siteName = normalize(fields.siteName);
+        const formLabels = normalize(fields.formLabels);
+        const all = [title, siteName, formLabels, normalize(fields.text)].join(' \n ');
+
+        const claims = [];
+        for (const { brand, names, loginPhrases } of getCompiled()) {
+            const inForm = !!formLabels && names.some(rx => mentions(formLabels, rx));
+            let evidence = null;
+            if (title && names.some(rx => mentions(title, rx))) evidence = 'title';
+            else if (siteName && names.some(rx => mentions(siteName, rx))) evidence = 'siteName';
+            else if (inForm) evidence = 'form';
+            else if (loginPhrases.some(p => all.includes(p))) evidence = 'loginPhrase';
+            if (evidence) claims.push({ brand, evidence, inForm });
+        }
+        return claims;
+    }
+
+    // registeredDomain must already be reduced with the PSL (AdvirsPsl.getRegisteredDomain)
+    function isOfficialDomain(brand, registeredDomain) {
+        return !!brand && brand.domains.includes((registeredDomain || '').toLowerCase());
+    }
+
+    // The catalogued brand whose own sign-in page url is (origin + path start with one of its loginUrls), or null
+    function findLoginPage(url) {
+        let page;
+        try { page = new URL(url); } catch (e) { return null; }
+        const href = page.origin + page.pathname;
+        return BRANDS.find(b => (b.loginUrls || []).some(prefix => href.startsWith(prefix))) || null;
+    }
+
+    function getBrand(id) {
+        return BRANDS.find(b => b.id === id) || null;
+    }
+
+    root.AdvirsBrands = { BRANDS, normalize, findClaims, mentionsName, isOfficialDomain, findLoginPage, getBrand };
+})(self);
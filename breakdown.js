@@ -0,0 +1,85 @@
+// breakdown.js - per-signal score breakdown (Advirs)
+// Renders result.signals (the score ledger of analyzeProfileCore in background.js) as a table:
+// every signal in the order it was applied, the weight, the score before and after, and whether it
+// was clamped or overrode the running score. Used by the popup, the alert report and the history page.
+
+(function (root) {
+    const OP_PREFIX = { base: "=", add: "+", max: "≥", cap: "≤" };
+
+    function fixed(n) {
+        return (Number(n) || 0).toFixed(2);
+    }
+
+    function signalLabel(code) {
+        const key = `signal_${code}`;
+        return AdvirsI18n.has(key) ? AdvirsI18n.t(key) : code;
+    }
+
+    function effectText(signal) {
+        const t = AdvirsI18n.t;
+        if (signal.effect === "added") return t("signal_effect_added", { delta: fixed(signal.after - signal.before) });
+        if (signal.effect === "raised") return t("signal_effect_raised", { delta: fixed(signal.after - signal.before) });
+        if (signal.effect === "clamped") return t("signal_effect_clamped", { delta: fixed(signal.before - signal.after) });
+        return t("signal_effect_none");
+    }
+
+    function cell(doc, tag, text, className) {
+        const el = doc.createElement(tag);
+        el.textContent = text;
+        if (className) el.className = className;
+        return el;
+    }
+
+    // Returns a <table class="advirs-breakdown">, or null when the result carries no signals
+    // (history recorded before signals existed)
+    function render(result, doc = document) {
+        const signals = result && result.signals;
+        if (!Array.isArray(signals) || !signals.length) return null;
+        const t = AdvirsI18n.t;
+
+        const table = doc.createElement("table");
+        table.className = "advirs-breakdown";
+        const head = doc.createElement("tr");
+        ["signal_col_category", "signal_col_signal", "signal_col_weight", "signal_col_score", "signal_col_effect"]
+            .forEach(key => head.appendChild(cell(doc, "th", t(key))));
+        const thead = doc.createElement("thead");
+        thead.appendChild(head);
+        table.appendChild(thead);
+
+        const tbody = doc.createElement("tbody");
+        signals.forEach(signal => {
+            const tr = doc.createElement("tr");
+            tr.className = `effect-${signal.effect}`;
+            const name = cell(doc, "td", signalLabel(signal.code));
+            if (signal.forcesVerdict) {
+                name.appendChild(cell(doc, "span", " ⚑", "forces"));
+                name.title = t("signal_forces_verdict");
+            }
+            tr.append(
+                cell(doc, "td", t(`signal_cat_${signal.category}`)),
+                name,
+                cell(doc, "td", `${OP_PREFIX[signal.op] || ""}${fixed(signal.weight)}`, "num"),
+                cell(doc, "td", `${fixed(signal.before)} → ${fixed(signal.after)}`, "num"),
+                cell(doc, "td", effectText(signal))
+            );
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+
+        const forcedBy = Array.from(new Set(signals.filter(s => s.forcesVerdict).map(s => signalLabel(s.code))));
+        const threshold = result.details && typeof result.details.suspiciousThreshold === "number" ? result.details.suspiciousThreshold : null;
+        const foot = doc.createElement("tr");
+        const verdict = cell(doc, "td", [
+            threshold !== null ? t("signal_verdict_threshold", { score: fixed(result.score), threshold: fixed(threshold) }) : "",
+            forcedBy.length ? t("signal_verdict_forced", { signals: forcedBy.join(", ") }) : ""
+        ].filter(Boolean).join(" · "));
+        verdict.colSpan = 5;
+        foot.appendChild(verdict);
+        const tfoot = doc.createElement("tfoot");
+        tfoot.appendChild(foot);
+        table.appendChild(tfoot);
+        return table;
+    }
+
+    root.AdvirsBreakdown = { render };
+})(self);
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+// advirs-scan - offline scoring with the extension's analysis engine (Advirs)
+// Scores URLs, saved HTML pages and JSONL payloads (one buildPayload object per line, as content.js
+// sends them) and prints each verdict with its score and reasons, as a table or as JSON lines.
+// Meant for batch runs over corpora of known phishing and benign pages: --expect makes the exit status
+// report inputs whose verdict differs, so a detection regression fails a script.
+//
+// What needs a browser is not reproduced: login page fingerprints (images), QR codes, social platform
+// and webmail extraction, and the downloaded blocklists (IndexedDB).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const AdvirsEngine = require('../engine.js');
+require('../i18n.js');
+
+const { AdvirsI18n, AdvirsRules, AdvirsSchemes, AdvirsUnwrap } = globalThis;
+
+const USAGE = `Usage: advirs-scan [options] <input>...
+
+Inputs:
+  https://...            a URL, scored as a link (add --fetch to download and score the page)
+  page.html              a saved page; its URL comes from the "saved from" comment, <base>,
+                         og:url or canonical link
+  payloads.jsonl         one buildPayload object per line ("-" reads JSONL from stdin)
+  urls.txt               one URL per line (lines starting with # are skipped)
+
+Options:
+  --json                 print one JSON object per input (reasons with their texts) instead of a table
+  --fetch                download http(s) URLs and score the page they serve
+  --rules <pack.json>    score with a rule pack instead of the built-in rules
+  --trusted <a,b,...>    trusted registered domains (default: ${AdvirsEngine.DEFAULT_TRUSTED.join(',')})
+  --lang <en|ar>         language of the reason texts (default: en)
+  --expect <suspicious|safe>
+                         exit with status 1 when any input gets the other verdict
+  -h, --help             show this help
+
+Exit status: 0 when every input was scored (and matched --expect), 1 when some verdict did not match
+--expect, 2 on usage errors or inputs that could not be read.
+`;
+
+const FETCH_TIMEOUT_MS = 15000;
+const TABLE_URL_WIDTH = 60;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const opts = { json: false, fetch: false, rules: null, trusted: null, lang: 'en', expect: null, inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+        if (arg === '-h' || arg === '--help') opts.help = true;
+        else if (arg === '--json') opts.json = true;
+        else if (arg === '--fetch') opts.fetch = true;
+        else if (arg === '--rules') opts.rules = value();
+        else if (arg === '--trusted') opts.trusted = value().split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+        else if (arg === '--lang') opts.lang = value();
+        else if (arg === '--expect') opts.expect = value();
+        else if (arg.startsWith('--')) throw new UsageError(`unknown option ${arg}`);
+        else opts.inputs.push(arg);
+    }
+    if (!AdvirsI18n.SUPPORTED.includes(opts.lang)) throw new UsageError(`--lang must be one of ${AdvirsI18n.SUPPORTED.join(', ')}`);
+    if (opts.expect && opts.expect !== 'suspicious' && opts.expect !== 'safe') throw new UsageError('--expect must be suspicious or safe');
+    if (!opts.help && !opts.inputs.length) throw new UsageError('no input given');
+    return opts;
+}
+
+// ---------- Saved pages ----------
+// A tag scanner is enough for what buildPayload reads (title, meta, links, forms, text); pages are not
+// rendered, so links and text added by scripts are missed.
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const SKIPPED_CONTENT_RX = /<(script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const TAG_RX = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTR_RX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const BLOCK_TAGS = new Set(['p', 'div', 'br', 'li', 'tr', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'section', 'article', 'header', 'footer', 'form', 'table', 'ul', 'ol', 'label', 'button']);
+// form wording collected like formLabels() in content.js
+const FORM_LABEL_TAGS = new Set(['label', 'legend', 'h1', 'h2', 'h3', 'button']);
+
+function decodeEntities(s) {
+    return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+        if (e[0] === '#') {
+            const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+        }
+        return ENTITIES[e.toLowerCase()] || m;
+    });
+}
+
+function parseAttributes(s) {
+    const attrs = {};
+    ATTR_RX.lastIndex = 0;
+    let m;
+    while ((m = ATTR_RX.exec(s)) !== null) {
+        const name = m[1].toLowerCase();
+        if (!(name in attrs)) attrs[name] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+    }
+    return attrs;
+}
+
+function resolveUrl(href, base) {
+    try { return new URL(href.trim(), base).href; } catch { return null; }
+}
+
+function collapse(s) {
+    return s.replace(/[ \t\f\v\r]+/g, ' ').replace(/ *\n[\n ]*/g, '\n').trim();
+}
+
+// URL a saved page was captured from: Chrome's "saved from" comment, then <base>, og:url, canonical
+function savedPageUrl(html) {
+    const saved = /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i.exec(html);
+    if (saved) return saved[1];
+    for (const rx of [/<base\b[^>]*\bhref\s*=\s*["']?([^"'\s>]+)/i, /<meta\b[^>]*\bproperty\s*=\s*["']og:url["'][^>]*\bcontent\s*=\s*["']([^"']+)/i,
+        /<link\b[^>]*\brel\s*=\s*["']canonical["'][^>]*\bhref\s*=\s*["']([^"']+)/i]) {
+        const m = rx.exec(html);
+        if (m && /^https?:\/\//i.test(m[1])) return decodeEntities(m[1]);
+    }
+    return null;
+}
+
+// Saved page -> payload in the shape of buildPayload (content.js), plus canonical/ogUrl
+function payloadFromHtml(html, url) {
+    const doc = html.replace(/<!--[\s\S]*?-->/g, ' ').replace(SKIPPED_CONTENT_RX, ' ');
+    let base = url;
+    let title = '';
+    let siteName = '';
+    let canonical = '';
+    let ogUrl = '';
+    const domLinks = [];
+    const forms = [];
+    let form = null;
+    let labelDepth = 0;
+    let label = '';
+    let inTitle = false;
+    let text = '';
+
+    let last = 0;
+    let m;
+    TAG_RX.lastIndex = 0;
+    const addText = (chunk) => {
+        const t = decodeEntities(chunk);
+        if (inTitle) title += t;
+        else text += t;
+        if (form && labelDepth) label += t;
+    };
+    while ((m = TAG_RX.exec(doc)) !== null) {
+        addText(doc.slice(last, m.index));
+        last = TAG_RX.lastIndex;
+        const closing = m[1] === '/';
+        const tag = m[2].toLowerCase();
+        if (BLOCK_TAGS.has(tag)) text += '\n';
+        if (tag === 'title') { inTitle = !closing; continue; }
+        if (form && FORM_LABEL_TAGS.has(tag)) {
+            if (!closing) labelDepth++;
+            else if (labelDepth) {
+                labelDepth--;
+                if (!labelDepth && label.trim()) form.texts.push(label);
+                if (!labelDepth) label = '';
+            }
+        }
+        if (closing) {
+            if (tag === 'form' && form) { forms.push(form); form = null; labelDepth = 0; label = ''; }
+            continue;
+        }
+        const attrs = parseAttributes(m[3]);
+        if (tag === 'base' && attrs.href) base = resolveUrl(attrs.href, url) || base;
+        else if (tag === 'meta' && attrs.property === 'og:site_name') siteName = attrs.content || '';
+        else if (tag === 'meta' && attrs.property === 'og:url') ogUrl = attrs.content || '';
+        else if (tag === 'link' && (attrs.rel || '').toLowerCase().split(/\s+/).includes('canonical')) canonical = attrs.href || '';
+        else if ((tag === 'a' || tag === 'area') && attrs.href !== undefined) {
+            const href = resolveUrl(attrs.href, base);
+            if (href) domLinks.push(AdvirsSchemes.truncateUrl(href));
+        } else if (tag === 'form' && forms.length < 20) {
+            if (form) forms.push(form);
+            form = { action: attrs.action ? resolveUrl(attrs.action, base) || '' : url, method: (attrs.method || '').toLowerCase(), inputCount: 0, hasPassword: false, texts: [] };
+        } else if (form && (tag === 'input' || tag === 'textarea' || tag === 'select')) {
+            form.inputCount++;
+            const type = (attrs.type || '').toLowerCase();
+            if (tag === 'input' && type === 'password') form.hasPassword = true;
+            form.texts.push(attrs.placeholder, attrs['aria-label']);
+            if (type === 'submit') form.texts.push(attrs.value);
+        }
+    }
+    addText(doc.slice(last));
+    if (form) forms.push(form);
+
+    const bodyText = collapse(text);
+    const textLinks = bodyText.match(/https?:\/\/[^\s"'<>]+/gi) || [];
+    let allLinks = Array.from(new Set([...domLinks, ...textLinks]));
+    const decodedLinks = allLinks.map(href => AdvirsUnwrap.unwrapUrl(href).url).filter(u => !allLinks.includes(u));
+    allLinks = Array.from(new Set([...allLinks, ...decodedLinks]));
+    const pageTitle = collapse(decodeEntities(title));
+
+    return {
+        url,
+        hostname: AdvirsEngine.safeGetHostname(url),
+        username: '',
+        displayName: pageTitle.slice(0, 120),
+        pageTitle: pageTitle.slice(0, 200),
+        siteName: siteName.slice(0, 120),
+        isVerified: false,
+        isProfile: false,
+        links: allLinks,
+        forms: forms.slice(0, 20).map(({ texts, ...f }) => ({
+            ...f,
+            labels: texts.map(s => collapse(s || '')).filter(Boolean).join(' | ').slice(0, 500)
+        })),
+        textSample: bodyText.slice(0, 4000),
+        canonical,
+        ogUrl,
+        timestamp: Date.now()
+    };
+}
+
+// ---------- Inputs ----------
+function isUrl(arg) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(arg) && !fs.existsSync(arg);
+}
+
+async function fetchPage(url) {
+    const resp = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const type = resp.headers.get('content-type') || '';
+    if (!/html/i.test(type)) throw new Error(`not an HTML page (${type || 'no content type'})`);
+    return payloadFromHtml(await resp.text(), resp.url || url);
+}
+
+async function urlPayload(url, opts) {
+    return opts.fetch && /^https?:/i.test(url) ? fetchPage(url) : { url };
+}
+
+function readLines(file) {
+    const text = file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+    return text.split(/\r?\n/);
+}
+
+// Yields { input, payload } or { input, error } for every input item
+async function* readInputs(opts) {
+    for (const arg of opts.inputs) {
+        if (isUrl(arg)) {
+            try { yield { input: arg, payload: await urlPayload(arg, opts) }; } catch (e) { yield { input: arg, error: e.message }; }
+            continue;
+        }
+        const ext = arg === '-' ? '.jsonl' : path.extname(arg).toLowerCase();
+        let lines;
+        try {
+            if (ext === '.html' || ext === '.htm') {
+                const html = fs.readFileSync(arg, 'utf8');
+                yield { input: arg, payload: payloadFromHtml(html, savedPageUrl(html) || `file://${path.resolve(arg)}`) };
+                continue;
+            }
+            lines = readLines(arg);
+        } catch (e) {
+            yield { input: arg, error: e.message };
+            continue;
+        }
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#')) continue;
+            const input = `${arg}:${i + 1}`;
+            if (ext === '.jsonl' || ext === '.ndjson') {
+                let payload;
+                try { payload = JSON.parse(line); } catch (e) { yield { input, error: `invalid JSON: ${e.message}` }; continue; }
+                if (!payload || typeof payload !== 'object' || Array.isArray(payload)) yield { input, error: 'not a payload object' };
+                else yield { input, payload };
+            } else {
+                try { yield { input, payload: await urlPayload(line, opts) }; } catch (e) { yield { input, error: e.message }; }
+            }
+        }
+    }
+}
+
+// ---------- Output ----------
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function fit(s, width) {
+    return s.length > width ? `${s.slice(0, width - 1)}…` : s.padEnd(width);
+}
+
+function printRow(row, opts) {
+    if (opts.json) {
+        console.log(JSON.stringify(row));
+        return;
+    }
+    if (row.error) {
+        console.log(`${'error'.padEnd(10)} ${''.padEnd(5)} ${fit(row.input, TABLE_URL_WIDTH)} ${row.error}`);
+        return;
+    }
+    const verdict = row.suspicious ? 'SUSPICIOUS' : 'safe';
+    console.log(`${verdict.padEnd(10)} ${row.score.toFixed(2).padStart(5)} ${fit(row.url || row.input, TABLE_URL_WIDTH)} ${row.reasons.map(r => r.code).join(', ')}`);
+}
+
+function loadRules(file) {
+    const v = AdvirsRules.parsePack(fs.readFileSync(file, 'utf8'));
+    if (!v.ok) throw new UsageError(`invalid rule pack ${file}: ${v.errors.map(e => e.path ? `${e.code} (${e.path})` : e.code).join(', ')}`);
+    return v.pack;
+}
+
+async function main(argv) {
+    const opts = parseArgs(argv);
+    if (opts.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    const rules = opts.rules ? loadRules(opts.rules) : AdvirsRules.DEFAULT_PACK;
+    const trusted = new Set(opts.trusted || AdvirsEngine.DEFAULT_TRUSTED);
+    AdvirsEngine.configure({ trusted, rules });
+    AdvirsI18n.useCatalog(opts.lang, JSON.parse(fs.readFileSync(path.join(__dirname, '..', '_locales', opts.lang, 'messages.json'), 'utf8')));
+
+    if (!opts.json) console.log(`${'VERDICT'.padEnd(10)} ${'SCORE'.padStart(5)} ${'URL'.padEnd(TABLE_URL_WIDTH)} REASONS`);
+    const totals = { scanned: 0, suspicious: 0, errors: 0, unexpected: 0 };
+    for await (const item of readInputs(opts)) {
+        if (item.error) {
+            totals.errors++;
+            printRow({ input: item.input, error: item.error }, opts);
+            continue;
+        }
+        const result = AdvirsEngine.analyzeProfileCore(item.payload, trusted, null, rules);
+        const row = {
+            input: item.input,
+            url: item.payload.url || '',
+            suspicious: result.suspicious,
+            score: round2(result.score),
+            reasons: result.reasons.map(r => ({ code: r.code, params: r.params, text: AdvirsI18n.formatReason(r) }))
+        };
+        if (opts.expect && row.suspicious !== (opts.expect === 'suspicious')) {
+            row.unexpected = true;
+            totals.unexpected++;
+        }
+        totals.scanned++;
+        if (row.suspicious) totals.suspicious++;
+        printRow(row, opts);
+    }
+
+    const summary = `${totals.scanned} scanned, ${totals.suspicious} suspicious, ${totals.errors} errors` +
+        (opts.expect ? `, ${totals.unexpected} not ${opts.expect}` : '');
+    console.error(summary);
+    return totals.errors ? 2 : totals.unexpected ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then((code) => { process.exitCode = code; }, (e) => {
+    console.error(`advirs-scan: ${e.message}`);
+    if (e instanceof UsageError) console.error('Run advirs-scan --help for usage.');
+    process.exitCode = 2;
+});
@@ -0,0 +1,114 @@
+// confusables-data.js - bundled look-alike character table (Advirs)
+// Subset of Unicode confusables.txt (UTS #39): single letters and digits that render like ASCII a-z / 0-9.
+// Keys are code points; values are the Latin skeleton they collapse to.
+
+self.ADVIRS_CONFUSABLES = {
+    // Cyrillic
+    0x0405: 's', 0x0406: 'l', 0x0408: 'j', 0x0410: 'a', 0x0412: 'b', 0x0415: 'e', 0x0417: '3', 0x041A: 'k',
+    0x041C: 'm', 0x041D: 'h', 0x041E: 'o', 0x0420: 'p', 0x0421: 'c', 0x0422: 't', 0x0423: 'y', 0x0425: 'x',
+    0x042B: 'bl', 0x042C: 'b', 0x042E: 'lo', 0x0430: 'a', 0x0431: '6', 0x0433: 'r', 0x0435: 'e', 0x043E: 'o',
+    0x0440: 'p', 0x0441: 'c', 0x0443: 'y', 0x0445: 'x', 0x0455: 's', 0x0456: 'i', 0x0458: 'j', 0x0461: 'w',
+    0x0474: 'v', 0x0475: 'v', 0x04AE: 'y', 0x04AF: 'y', 0x04BB: 'h', 0x04BD: 'e', 0x04C0: 'l', 0x04CF: 'l',
+    0x04D4: 'ae', 0x04D5: 'ae', 0x04E0: '3', 0x0501: 'd', 0x050C: 'g', 0x051B: 'q', 0x051C: 'w', 0x051D: 'w',
+    0xA644: '2', 0xA647: 'i', 0xA698: 'oo', 0xA699: 'oo',
+    // Greek
+    0x037A: 'i', 0x037F: 'j', 0x0391: 'a', 0x0392: 'b', 0x0395: 'e', 0x0396: 'z', 0x0397: 'h', 0x0399: 'l',
+    0x039A: 'k', 0x039C: 'm', 0x039D: 'n', 0x039F: 'o', 0x03A1: 'p', 0x03A4: 't', 0x03A5: 'y', 0x03A7: 'x',
+    0x03B1: 'a', 0x03B3: 'y', 0x03B9: 'i', 0x03BD: 'v', 0x03BF: 'o', 0x03C1: 'p', 0x03C3: 'o', 0x03C5: 'u',
+    0x03D2: 'y', 0x03DC: 'f', 0x03F1: 'p', 0x03F2: 'c', 0x03F3: 'j', 0x03F9: 'c', 0x03FA: 'm', 0x1D26: 'r',
+    0x1FBE: 'i',
+    // Armenian
+    0x054D: 'u', 0x054F: 's', 0x0555: 'o', 0x0561: 'w', 0x0563: 'q', 0x0566: 'q', 0x0570: 'h', 0x0578: 'n',
+    0x057C: 'n', 0x057D: 'u', 0x0581: 'g', 0x0584: 'f', 0x0585: 'o',
+    // Arabic
+    0x0627: 'l', 0x0647: 'o', 0x0661: 'l', 0x0665: 'o', 0x0667: 'v', 0x06BE: 'o', 0x06C1: 'o', 0x06D5: 'o',
+    0x06F1: 'l', 0x06F5: 'o', 0x06F7: 'v', 0xFBA6: 'o', 0xFBA7: 'o', 0xFBA8: 'o', 0xFBA9: 'o', 0xFBAA: 'o',
+    0xFBAB: 'o', 0xFBAC: 'o', 0xFBAD: 'o', 0xFE8D: 'l', 0xFE8E: 'l', 0xFEE9: 'o', 0xFEEA: 'o', 0xFEEB: 'o',
+    0xFEEC: 'o',
+    // Hebrew
+    0x05D5: 'l', 0x05D8: 'v', 0x05DF: 'l', 0x05E1: 'o', 0x05F0: 'll',
+    // Latin
+    0x00C6: 'ae', 0x00E6: 'ae', 0x0131: 'i', 0x0132: 'lj', 0x0133: 'ij', 0x0152: 'oe', 0x0153: 'oe',
+    0x017F: 'f', 0x0184: 'b', 0x018D: 'g', 0x0196: 'l', 0x01A6: 'r', 0x01A7: '2', 0x01B7: '3', 0x01BC: '5',
+    0x01BD: 's', 0x01C0: 'l', 0x01C1: 'll', 0x01C7: 'lj', 0x01C8: 'lj', 0x01C9: 'lj', 0x01CA: 'nj',
+    0x01CB: 'nj', 0x01CC: 'nj', 0x01F1: 'dz', 0x01F2: 'dz', 0x01F3: 'dz', 0x021C: '3', 0x0222: '8',
+    0x0223: '8', 0x0251: 'a', 0x0261: 'g', 0x0263: 'y', 0x0269: 'i', 0x026A: 'i', 0x026F: 'w', 0x028B: 'u',
+    0x028F: 'y', 0x02A3: 'dz', 0x02A6: 'ts', 0x02AA: 'ls', 0x02AB: 'lz', 0x1D04: 'c', 0x1D0F: 'o',
+    0x1D11: 'o', 0x1D1C: 'u', 0x1D20: 'v', 0x1D21: 'w', 0x1D22: 'z', 0x1D6B: 'ue', 0x1D83: 'g', 0x1D8C: 'y',
+    0x1E9D: 'f', 0x1EFF: 'y', 0x212A: 'k', 0x2160: 'l', 0x2161: 'll', 0x2163: 'lv', 0x2164: 'v',
+    0x2165: 'vl', 0x2168: 'lx', 0x2169: 'x', 0x216A: 'xl', 0x216C: 'l', 0x216D: 'c', 0x216E: 'd',
+    0x216F: 'm', 0x2170: 'i', 0x2171: 'ii', 0x2173: 'iv', 0x2174: 'v', 0x2175: 'vi', 0x2178: 'ix',
+    0x2179: 'x', 0x217A: 'xi', 0x217C: 'l', 0x217D: 'c', 0x217E: 'd', 0x217F: 'rn', 0xA728: 't3',
+    0xA731: 's', 0xA732: 'aa', 0xA733: 'aa', 0xA734: 'ao', 0xA735: 'ao', 0xA736: 'au', 0xA737: 'au',
+    0xA738: 'av', 0xA739: 'av', 0xA73A: 'av', 0xA73B: 'av', 0xA73C: 'ay', 0xA73D: 'ay', 0xA74E: 'oo',
+    0xA74F: 'oo', 0xA75A: '2', 0xA76A: '3', 0xA76E: '9', 0xA777: 'tf', 0xA798: 'f', 0xA799: 'f', 0xA79F: 'u',
+    0xA7AB: '3', 0xA7B2: 'j', 0xA7B3: 'x', 0xA7B4: 'b', 0xAB32: 'e', 0xAB35: 'f', 0xAB3D: 'o', 0xAB47: 'r',
+    0xAB48: 'r', 0xAB4E: 'u', 0xAB52: 'u', 0xAB5A: 'y', 0xAB63: 'uo', 0xFB00: 'ff', 0xFB01: 'fi',
+    0xFB02: 'fl', 0xFB06: 'st', 0xFF21: 'a', 0xFF22: 'b', 0xFF23: 'c', 0xFF25: 'e', 0xFF28: 'h', 0xFF29: 'l',
+    0xFF2A: 'j', 0xFF2B: 'k', 0xFF2D: 'm', 0xFF2E: 'n', 0xFF2F: 'o', 0xFF30: 'p', 0xFF33: 's', 0xFF34: 't',
+    0xFF38: 'x', 0xFF39: 'y', 0xFF3A: 'z', 0xFF41: 'a', 0xFF43: 'c', 0xFF45: 'e', 0xFF47: 'g', 0xFF48: 'h',
+    0xFF49: 'i', 0xFF4A: 'j', 0xFF4C: 'l', 0xFF4F: 'o', 0xFF50: 'p', 0xFF53: 's', 0xFF56: 'v', 0xFF58: 'x',
+    0xFF59: 'y',
+    // Common
+    0x2102: 'c', 0x210A: 'g', 0x210B: 'h', 0x210C: 'h', 0x210D: 'h', 0x210E: 'h', 0x2110: 'l', 0x2111: 'l',
+    0x2112: 'l', 0x2113: 'l', 0x2115: 'n', 0x2119: 'p', 0x211A: 'q', 0x211B: 'r', 0x211C: 'r', 0x211D: 'r',
+    0x2124: 'z', 0x2128: 'z', 0x212C: 'b', 0x212D: 'c', 0x212F: 'e', 0x2130: 'e', 0x2131: 'f', 0x2133: 'm',
+    0x2134: 'o', 0x2139: 'i', 0x213D: 'y', 0x2145: 'd', 0x2146: 'd', 0x2147: 'e', 0x2148: 'i', 0x2149: 'j',
+    // Cherokee
+    0x13A0: 'd', 0x13A1: 'r', 0x13A2: 't', 0x13A5: 'i', 0x13A9: 'y', 0x13AA: 'a', 0x13AB: 'j', 0x13AC: 'e',
+    0x13B3: 'w', 0x13B7: 'm', 0x13BB: 'h', 0x13BD: 'y', 0x13C0: 'g', 0x13C2: 'h', 0x13C3: 'z', 0x13CE: '4',
+    0x13CF: 'b', 0x13D2: 'r', 0x13D4: 'w', 0x13D5: 's', 0x13D9: 'v', 0x13DA: 's', 0x13DE: 'l', 0x13DF: 'c',
+    0x13E2: 'p', 0x13E6: 'k', 0x13E7: 'd', 0x13EE: '6', 0x13F3: 'g', 0x13F4: 'b', 0xAB75: 'i', 0xAB81: 'r',
+    0xAB83: 'w', 0xAB93: 'z', 0xABA9: 'v', 0xABAA: 's', 0xABAF: 'c',
+    // Coptic
+    0x03E8: '2', 0x2C85: 'r', 0x2C8E: 'h', 0x2C92: 'l', 0x2C94: 'k', 0x2C98: 'm', 0x2C9A: 'n', 0x2C9E: 'o',
+    0x2C9F: 'o', 0x2CA2: 'p', 0x2CA3: 'p', 0x2CA4: 'c', 0x2CA5: 'c', 0x2CA6: 't', 0x2CA8: 'y', 0x2CAC: 'x',
+    0x2CCA: '9', 0x2CCC: '3', 0x2CD0: 'l', 0x2CD2: '6',
+    // Lisu
+    0xA4D0: 'b', 0xA4D1: 'p', 0xA4D2: 'd', 0xA4D3: 'd', 0xA4D4: 't', 0xA4D6: 'g', 0xA4D7: 'k', 0xA4D9: 'j',
+    0xA4DA: 'c', 0xA4DC: 'z', 0xA4DD: 'f', 0xA4DF: 'm', 0xA4E0: 'n', 0xA4E1: 'l', 0xA4E2: 's', 0xA4E3: 'r',
+    0xA4E6: 'v', 0xA4E7: 'h', 0xA4EA: 'w', 0xA4EB: 'x', 0xA4EC: 'y', 0xA4EE: 'a', 0xA4F0: 'e', 0xA4F2: 'l',
+    0xA4F3: 'o', 0xA4F4: 'u',
+    // Canadian Aboriginal
+    0x142F: 'v', 0x144C: 'u', 0x146D: 'p', 0x146F: 'd', 0x148D: 'j', 0x14AA: 'l', 0x14BF: '2', 0x1541: 'x',
+    0x157C: 'h', 0x157D: 'x', 0x1587: 'r', 0x15AF: 'b', 0x15B4: 'f', 0x15C5: 'a', 0x15DE: 'd', 0x15EA: 'd',
+    0x15F0: 'm', 0x15F7: 'b',
+    // Tifinagh
+    0x2D38: 'v', 0x2D39: 'e', 0x2D4F: 'l', 0x2D54: 'o', 0x2D55: 'q', 0x2D5D: 'x',
+    // Runic
+    0x16B7: 'x', 0x16C1: 'l', 0x16D5: 'k', 0x16D6: 'm',
+    // Georgian
+    0x10E7: 'y', 0x10FF: 'o',
+    // Ethiopic
+    0x1200: 'u', 0x12D0: 'o',
+    // Nko
+    0x07C0: 'o', 0x07CA: 'l',
+    // Bamum
+    0xA6DF: 'v', 0xA6EF: '2',
+    // Devanagari
+    0x0966: 'o',
+    // Bengali
+    0x09E6: 'o', 0x09EA: '8', 0x09ED: '9',
+    // Gurmukhi
+    0x0A66: 'o', 0x0A67: '9', 0x0A6A: '8',
+    // Gujarati
+    0x0AE6: 'o',
+    // Oriya
+    0x0B20: 'o', 0x0B66: 'o', 0x0B68: '9',
+    // Tamil
+    0x0BE6: 'o',
+    // Telugu
+    0x0C66: 'o',
+    // Kannada
+    0x0CE6: 'o',
+    // Malayalam
+    0x0D20: 'o', 0x0D66: 'o', 0x0D6D: '9',
+    // Thai
+    0x0E50: 'o',
+    // Lao
+    0x0ED0: 'o',
+    // Myanmar
+    0x101D: 'o', 0x1040: 'o',
+    // Han
+    0x3007: 'o'
+};
@@ -1,8 +1,28 @@
-// content.js - detect phishing links in Facebook redirectors (Advirs)
+// content.js - detect phishing links behind redirectors and shorteners (Advirs)
 
 (function () {
+    // the scan toggle may inject this script into a tab that already has it
+    if (self.__advirsContentLoaded) return;
+    self.__advirsContentLoaded = true;
+
     const detectedLinksInfo = new Map();
+    const flaggedLinks = new Map(); // href -> analysis result of links found suspicious
+    const linkSources = new Map(); // href -> { kind, author, element } of the post/comment/message carrying it
+    let showInlineBadge = false;
     let __advirs_payload = null;
+    let payloadStale = false;
+    let payloadMessageKey = null; // open webmail message the current payload describes
+    let analyzedMessageKey = null; // ... and the one the last page analysis covered
+
+    // Visible wording of a form (labels, headings, placeholders, buttons) — where a phishing kit names the brand
+    function formLabels(form, inputs) {
+        const texts = Array.from(form.querySelectorAll("label, legend, h1, h2, h3, button")).map(el => el.innerText);
+        inputs.forEach(el => {
+            texts.push(el.getAttribute("placeholder"), el.getAttribute("aria-label"));
+            if (el.type === "submit") texts.push(el.value);
+        });
+        return texts.map(s => (s || "").trim()).filter(Boolean).join(" | ").slice(0, 500);
+    }
 
     function buildPayload() {
         const url = location.href;
@@ -11,12 +31,32 @@
         const bodyText = document.body?.innerText || "";
         const rawHTML = document.documentElement.innerHTML || "";
 
-        const handleMatch = bodyText.match(/@[A-Za-z0-9_.-]{2,40}/);
-        const username = handleMatch ? handleMatch[0] : "";
+        // profile identity and the posts/comments/messages on screen, via the site's adapter (platforms.js)
+        const page = AdvirsPlatforms.extract(document, location);
+        const profile = page.profile || {};
+        // an open webmail message is judged by its sender, not by the first "@name" in the mailbox (webmail.js)
+        const mail = AdvirsWebmail.extract(document, location);
+        payloadMessageKey = mail ? mail.key : null;
+        const username = !mail && profile.handle ? `@${profile.handle}` : "";
+
+        page.items.forEach(item => {
+            const source = { kind: item.kind, author: item.author, element: item.element };
+            item.links.forEach(href => {
+                if (!linkSources.has(href)) linkSources.set(href, source);
+                const destination = AdvirsUnwrap.unwrapUrl(href).url;
+                if (!linkSources.has(destination)) linkSources.set(destination, source);
+            });
+        });
+        const itemLinks = page.items.flatMap(item => item.links);
+        const mailLinks = mail ? mail.links.map(l => l.href) : [];
+        if (mail) {
+            const source = { kind: "email", author: { handle: "", displayName: mail.senderName || mail.senderAddress }, element: mail.element };
+            mailLinks.forEach(href => { if (!linkSources.has(href)) linkSources.set(href, source); });
+        }
 
         const domLinks = Array.from(document.querySelectorAll("a[href]"))
             .map(a => {
-                try { return new URL(a.getAttribute("href"), url).href; } catch { return null; }
+                try { return AdvirsSchemes.truncateUrl(new URL(a.getAttribute("href"), url).href); } catch { return null; }
             })
             .filter(Boolean);
 
@@ -29,17 +69,15 @@
             roleLinks.push(m[1]);
         }
 
-        let allLinks = Array.from(new Set([...domLinks, ...textLinks, ...roleLinks]));
+        // links decoded from QR code images go first so the 40-link cap never drops them
+        const qrUrls = Array.from(qrLinks.keys());
+        let allLinks = Array.from(new Set([...qrUrls, ...mailLinks, ...itemLinks, ...domLinks, ...textLinks, ...roleLinks]));
 
+        // unwrap redirectors (l.php, t.co, /url?q=, SafeLinks, ...) so the real destination is analyzed too
         const decodedLinks = [];
         allLinks.forEach(href => {
-            try {
-                const u = new URL(href);
-                if (u.hostname.includes("facebook.com") && u.pathname.startsWith("/l.php")) {
-                    const real = u.searchParams.get("u");
-                    if (real) decodedLinks.push(decodeURIComponent(real));
-                }
-            } catch { }
+            const unwrapped = AdvirsUnwrap.unwrapUrl(href);
+            if (unwrapped.url !== href) decodedLinks.push(unwrapped.url);
         });
         allLinks = Array.from(new Set([...allLinks, ...decodedLinks]));
 
@@ -49,56 +87,451 @@
                 action: f.action || "",
                 method: (f.method || "").toLowerCase(),
                 inputCount: inputs.length,
-                hasPassword: !!f.querySelector("input[type='password']")
+                hasPassword: !!f.querySelector("input[type='password']"),
+                labels: formLabels(f, inputs)
             };
         });
 
+        const siteName = document.querySelector("meta[property='og:site_name']")?.getAttribute("content") || "";
+
         return {
             url,
             hostname,
             username,
-            displayName: title.slice(0, 120),
-            isVerified: !!document.querySelector("[aria-label*='verified'], .verified, .badge--verified, [title*='Verified']"),
+            displayName: (profile.displayName || title).slice(0, 120),
+            pageTitle: title.slice(0, 200),
+            siteName: siteName.slice(0, 120),
+            isVerified: !!profile.isVerified,
+            platform: mail ? mail.client : page.platform,
+            isProfile: !mail && page.isProfile,
             links: allLinks,
+            qrLinks: qrUrls,
             forms,
-            textSample: bodyText.slice(0, 4000),
+            // the lure wording of an open message is in its subject and body, not in the mailbox around it
+            textSample: (mail ? `${mail.subject}\n${mail.element.innerText || mail.element.textContent || ""}` : bodyText).slice(0, 4000),
+            email: mail ? {
+                senderName: mail.senderName,
+                senderAddress: mail.senderAddress,
+                replyTo: mail.replyTo,
+                subject: mail.subject,
+                links: mail.links
+            } : undefined,
             timestamp: Date.now()
         };
     }
 
-    function analyzeLink(href) {
+    // ---------- Login page fingerprints ----------
+    const FINGERPRINT_TIMEOUT_MS = 2000;
+
+    // Same-origin images are hashed here; cross-origin ones (CORS) are fetched by the background worker
+    function hashImage(url) {
+        return AdvirsFingerprint.hashImageUrl(url).catch(() => new Promise((resolve) => {
+            chrome.runtime.sendMessage({ type: "hash_image", url }, (resp) => resolve(resp && resp.ok ? resp.hash : null));
+        }));
+    }
+
+    function logoUrls(form) {
+        const candidates = Array.from(document.querySelectorAll("img[src]")).filter(img => {
+            const hint = `${img.getAttribute("src")} ${img.alt} ${img.className} ${img.id}`;
+            return /logo/i.test(hint) || form.contains(img);
+        });
+        return Array.from(new Set(candidates.slice(0, 2).map(img => img.currentSrc || img.src))).filter(Boolean);
+    }
+
+    // Only login pages (a password field) are fingerprinted; everything stays local to the browser
+    async function collectFingerprints() {
+        const form = Array.from(document.forms).find(f => f.querySelector("input[type='password']"));
+        if (!form) return null;
+        const iconLink = document.querySelector("link[rel~='icon'][href]");
+        const faviconUrl = iconLink ? iconLink.href : new URL("/favicon.ico", location.href).href;
+        const [favicon, ...logos] = await Promise.all([faviconUrl, ...logoUrls(form)].map(hashImage));
+        return { favicon, logos: logos.filter(Boolean), form: AdvirsFingerprint.hashForm(form) };
+    }
+
+    function attachFingerprints(payload) {
+        const timeout = new Promise(resolve => setTimeout(() => resolve(null), FINGERPRINT_TIMEOUT_MS));
+        return Promise.race([collectFingerprints().catch(() => null), timeout]).then((fp) => {
+            if (fp) payload.fingerprints = fp;
+        });
+    }
+
+    function joinReasons(reasons) {
+        return AdvirsI18n.formatReasons(reasons).join(AdvirsI18n.t("reason_separator"));
+    }
+
+    // "@jane" / "Jane Doe" for the author of a post or comment, "" when unknown
+    function authorLabel(author) {
+        if (!author) return "";
+        return author.handle ? `@${author.handle}` : (author.displayName || "");
+    }
+
+    // Wording of where a flagged link was found: "comment by @jane", or the plain alert off social sites
+    function linkAlertText(href, result) {
+        const source = linkSources.get(href);
+        const params = { url: href.length > 200 ? `${href.slice(0, 200)}…` : href, reasons: joinReasons(result.reasons) };
+        if (!source) return AdvirsI18n.t("alert_link", params);
+        const kind = AdvirsI18n.t(`source_kind_${source.kind}`);
+        const author = authorLabel(source.author);
+        return author
+            ? AdvirsI18n.t("alert_link_source", { ...params, kind, author })
+            : AdvirsI18n.t("alert_link_in", { ...params, kind });
+    }
+
+    // ---------- Incremental link scanning ----------
+    // The observer only queues added nodes; they are scanned in idle time a slice at a time so an
+    // infinite-scroll feed stays smooth, and new links go to the background worker in batches.
+    const SCAN_DELAY_MS = 300; // mutations within this window are coalesced into one scan
+    const SCAN_SLICE_NODES = 40; // nodes examined per idle slice ...
+    const SCAN_SLICE_BUDGET_MS = 8; // ... or until this much time has been spent
+    const PENDING_NODES_MAX = 2000; // beyond this the oldest queued nodes are dropped (scrolled past)
+    const LINK_BATCH_SIZE = 25;
+    const LINK_BATCH_DELAY_MS = 500;
+    const LINK_RECHECK_MS = 10 * 60 * 1000; // a link is re-analyzed at most this often
+
+    const pendingNodes = [];
+    const pendingLinks = new Set();
+    let scanScheduled = false;
+    let batchTimer = null;
+    let batchInFlight = false;
+
+    const requestIdle = self.requestIdleCallback
+        ? (cb) => requestIdleCallback(cb, { timeout: 2000 })
+        : (cb) => setTimeout(() => cb({ didTimeout: true, timeRemaining: () => SCAN_SLICE_BUDGET_MS }), 50);
+
+    function scheduleScan() {
+        if (scanScheduled) return;
+        scanScheduled = true;
+        setTimeout(() => requestIdle(runScanSlice), SCAN_DELAY_MS);
+    }
+
+    function runScanSlice(deadline) {
+        const start = performance.now();
+        let scanned = 0;
+        while (pendingNodes.length && scanned < SCAN_SLICE_NODES && performance.now() - start < SCAN_SLICE_BUDGET_MS) {
+            if (!deadline.didTimeout && deadline.timeRemaining() < 1) break;
+            const node = pendingNodes.shift();
+            scanned++;
+            if (node.isConnected) scanNode(node);
+        }
+        if (pendingNodes.length) requestIdle(runScanSlice);
+        else {
+            scanScheduled = false;
+            checkOpenMessage();
+        }
+    }
+
+    // Gmail and Outlook open messages without navigating: each newly opened message gets a page analysis
+    function checkOpenMessage() {
+        const mail = AdvirsWebmail.extract(document, location);
+        if (!mail || mail.key === analyzedMessageKey) return;
+        payloadStale = true;
+        analyzePayload(currentPayload());
+    }
+
+    function anchorsIn(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return [];
+        const anchors = Array.from(node.querySelectorAll("a[href]"));
+        if (node.matches("a[href]")) anchors.unshift(node);
+        return anchors;
+    }
+
+    // javascript:/data:/blob: links worth a verdict — not void(0) placeholders or data: images
+    function isRiskySchemeLink(href) {
+        const special = AdvirsSchemes.inspectUrl(href);
+        return !!special && special.kind !== "inert" && !(special.scheme === "data" && special.kind === "other");
+    }
+
+    // Links in one added node, attributed to the post/comment/message around them
+    function scanNode(node) {
+        anchorsIn(node).forEach(a => {
+            let href;
+            try { href = AdvirsSchemes.truncateUrl(new URL(a.getAttribute("href"), location.href).href); } catch { return; }
+            if (/^https?:/i.test(href) || isRiskySchemeLink(href)) queueLink(href, AdvirsPlatforms.locate(a, document, location));
+        });
+        const text = node.textContent || "";
+        if (text.length > 10) {
+            const textLinks = text.match(/https?:\/\/[^\s"'<>]+/gi) || [];
+            if (textLinks.length) {
+                const source = AdvirsPlatforms.locate(node, document, location);
+                textLinks.forEach(href => queueLink(href, source));
+            }
+        }
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            scanQrImages(node);
+            markFlaggedAnchors(node);
+        }
+    }
+
+    function needsAnalysis(href) {
+        if (pendingLinks.has(href)) return false;
+        const info = detectedLinksInfo.get(href);
+        if (!info) return true;
+        info.lastSeen = Date.now();
+        return info.count < 2 && Date.now() - (info.checkedAt || 0) > LINK_RECHECK_MS;
+    }
+
+    // Queues a link (and its unwrapped destination) for the next batch
+    function queueLink(href, source = null) {
         if (!href) return;
-        const info = detectedLinksInfo.get(href) || { count: 0, lastSeen: 0 };
-        if (info.count >= 2) {
-            info.lastSeen = Date.now();
-            detectedLinksInfo.set(href, info);
+        const destination = AdvirsUnwrap.unwrapUrl(href).url;
+        for (const link of destination !== href ? [href, destination] : [href]) {
+            if (source && !linkSources.has(link)) linkSources.set(link, source);
+            if (needsAnalysis(link)) pendingLinks.add(link);
+        }
+        scheduleBatch();
+    }
+
+    function scheduleBatch() {
+        if (batchTimer || batchInFlight || !pendingLinks.size) return;
+        batchTimer = setTimeout(sendBatch, LINK_BATCH_DELAY_MS);
+    }
+
+    function sendBatch() {
+        batchTimer = null;
+        const batch = Array.from(pendingLinks).slice(0, LINK_BATCH_SIZE);
+        if (!batch.length) return;
+        const now = Date.now();
+        batch.forEach(href => {
+            pendingLinks.delete(href);
+            const info = detectedLinksInfo.get(href) || { count: 0 };
+            detectedLinksInfo.set(href, { ...info, lastSeen: now, checkedAt: now });
+        });
+
+        batchInFlight = true;
+        chrome.runtime.sendMessage({ type: "analyzeLinks", links: batch, qrLinks: batch.filter(href => qrLinks.has(href)) }, (resp) => {
+            batchInFlight = false;
+            if (resp && resp.ok) resp.results.forEach(({ url, result }) => handleLinkResult(url, result));
+            pruneLinkInfo();
+            scheduleBatch();
+        });
+    }
+
+    function handleLinkResult(href, result) {
+        if (!result || !result.suspicious) return;
+        flagLink(href, result);
+        chrome.runtime.sendMessage({
+            type: "phish_alert",
+            id: href,
+            origin: href,
+            result,
+            msg: linkAlertText(href, result)
+        }, (r) => {
+            if (r && r.ok) {
+                const info = detectedLinksInfo.get(href) || { count: 0 };
+                info.count = Math.min(2, (info.count || 0) + (r.notified ? 1 : 0));
+                info.lastSeen = Date.now();
+                detectedLinksInfo.set(href, info);
+            }
+        });
+    }
+
+    function pruneLinkInfo() {
+        const now = Date.now();
+        for (const [link, info] of detectedLinksInfo.entries()) {
+            if ((now - (info.lastSeen || 0)) > LINK_RECHECK_MS) {
+                detectedLinksInfo.delete(link);
+                linkSources.delete(link);
+            }
+        }
+    }
+
+    // ---------- QR codes in images ----------
+    // Images and canvases big enough to be scanned by a phone are decoded on the device (qr.js); a web
+    // address found in one is analyzed like any other link, and the image is badged when it is flagged.
+    const QR_MIN_SIDE = 80; // rendered size (px) below which an image is an icon, not a code
+    const QR_MAX_ASPECT = 2.5; // codes are square, give or take a caption or frame
+    const QR_MAX_IMAGES = 16; // images and canvases decoded per page
+    const QR_TIMEOUT_MS = 3000; // how long the first page analysis waits for the images already loaded
+
+    const qrLinks = new Map(); // decoded URL (and its unwrapped destination) -> Set of image/canvas elements
+    const qrSeen = new WeakSet();
+    let qrDecodedCount = 0;
+
+    function qrCandidates(node) {
+        if (!node || node.nodeType !== Node.ELEMENT_NODE) return [];
+        const elements = Array.from(node.querySelectorAll("img, canvas"));
+        if (node.matches("img, canvas")) elements.unshift(node);
+        return elements;
+    }
+
+    function looksScannable(el) {
+        const rect = el.getBoundingClientRect();
+        const [w, h] = el instanceof HTMLCanvasElement ? [el.width, el.height] : [el.naturalWidth, el.naturalHeight];
+        if (w < 21 || h < 21 || rect.width < QR_MIN_SIDE || rect.height < QR_MIN_SIDE) return false;
+        return Math.max(w, h) / Math.min(w, h) <= QR_MAX_ASPECT;
+    }
+
+    // Same-origin images and canvases are read here; cross-origin images (CORS) are decoded by the background worker
+    function decodeQrElement(el) {
+        try {
+            const text = el instanceof HTMLCanvasElement
+                ? AdvirsQr.decodeSource(el, el.width, el.height)
+                : AdvirsQr.decodeSource(el, el.naturalWidth, el.naturalHeight);
+            return Promise.resolve(text);
+        } catch (e) {
+            // a tainted canvas has no URL to fetch again
+            const url = el instanceof HTMLImageElement ? el.currentSrc || el.src : "";
+            if (!url) return Promise.resolve(null);
+            return new Promise((resolve) => {
+                chrome.runtime.sendMessage({ type: "decode_qr_image", url }, (resp) => resolve(resp && resp.ok ? resp.text : null));
+            });
+        }
+    }
+
+    // The web address a phone camera would open for this QR text, or ""
+    function qrTextUrl(text) {
+        const value = (text || "").trim();
+        if (/^https?:\/\/\S+$/i.test(value)) return value;
+        if (/^www\.[^\s\/]+\.[a-z]{2,}(\/\S*)?$/i.test(value)) return `https://${value}`;
+        return "";
+    }
+
+    async function scanQrElement(el) {
+        if (qrSeen.has(el) || qrDecodedCount >= QR_MAX_IMAGES || !el.isConnected || !looksScannable(el)) return;
+        qrSeen.add(el);
+        qrDecodedCount++;
+        // decoding takes a few tens of milliseconds: wait for an idle moment
+        await new Promise(resolve => requestIdle(resolve));
+        const url = qrTextUrl(await decodeQrElement(el).catch(() => null));
+        if (!url) return;
+        for (const link of new Set([url, AdvirsUnwrap.unwrapUrl(url).url])) {
+            if (!qrLinks.has(link)) qrLinks.set(link, new Set());
+            qrLinks.get(link).add(el);
+        }
+        payloadStale = true;
+        queueLink(url, AdvirsPlatforms.locate(el, document, location));
+        markFlaggedQrImages();
+    }
+
+    // Images still loading are decoded once they have loaded
+    function scanQrImages(node) {
+        return Promise.all(qrCandidates(node).map(el => {
+            if (el instanceof HTMLImageElement && !el.complete) {
+                el.addEventListener("load", () => scanQrElement(el), { once: true });
+                return null;
+            }
+            return scanQrElement(el);
+        }));
+    }
+
+    // The first page analysis waits briefly for codes already on screen, so they count toward the page verdict
+    function attachQrLinks(payload) {
+        const timeout = new Promise(resolve => setTimeout(resolve, QR_TIMEOUT_MS));
+        return Promise.race([scanQrImages(document.body).catch(() => null), timeout]).then(() => {
+            const urls = Array.from(qrLinks.keys());
+            if (!urls.length) return;
+            payload.qrLinks = urls;
+            payload.links = Array.from(new Set([...urls, ...payload.links]));
+        });
+    }
+
+    function markFlaggedQrImages() {
+        if (!showInlineBadge || !flaggedLinks.size) return;
+        qrLinks.forEach((elements, link) => {
+            const result = flaggedLinks.get(link);
+            if (result) elements.forEach(el => { if (el.isConnected) AdvirsInlineWarning.addBadge(el, result); });
+        });
+    }
+
+    // ---------- Inline badges & click-time interception ----------
+    function flagLink(href, result) {
+        flaggedLinks.set(href, result);
+        markFlaggedAnchors();
+    }
+
+    // Serializable attribution for the dialog (the item element stays in content.js)
+    function sourceInfo(href) {
+        const source = linkSources.get(href);
+        return source ? { kind: source.kind, author: authorLabel(source.author) } : null;
+    }
+
+    // Looks up the verdict for an anchor by its href or by its unwrapped destination
+    function getFlagForAnchor(anchor) {
+        let href;
+        try { href = AdvirsSchemes.truncateUrl(new URL(anchor.getAttribute("href"), location.href).href); } catch { return null; }
+        const unwrapped = AdvirsUnwrap.unwrapUrl(href);
+        const result = flaggedLinks.get(href) || flaggedLinks.get(unwrapped.url);
+        if (!result) return null;
+        return { href, destination: unwrapped.url, wrappers: unwrapped.wrappers, result, source: sourceInfo(href) || sourceInfo(unwrapped.url) };
+    }
+
+    function markFlaggedAnchors(root = document) {
+        if (!showInlineBadge || !flaggedLinks.size) return;
+        const anchors = root === document ? document.querySelectorAll("a[href]") : anchorsIn(root);
+        anchors.forEach(a => {
+            if (a.hasAttribute("data-advirs-badge")) return;
+            const flag = getFlagForAnchor(a);
+            if (flag) AdvirsInlineWarning.addBadge(a, flag.result);
+        });
+        markFlaggedQrImages();
+    }
+
+    function hostnameOf(href) {
+        try { return new URL(href).hostname.toLowerCase(); } catch { return ""; }
+    }
+
+    let allowedAnchor = null; // anchor the user chose to follow anyway; its replayed click passes through
+
+    function navigateTo(anchor, href) {
+        if (!/^https?:/i.test(href)) {
+            // script and data links only work as a click on the page's own anchor
+            allowedAnchor = anchor;
+            try { anchor.click(); } finally { allowedAnchor = null; }
             return;
         }
+        if ((anchor.target || "").toLowerCase() === "_blank") window.open(href, "_blank", "noopener");
+        else location.href = href;
+    }
 
-        chrome.runtime.sendMessage({ type: "analyzeProfile", data: { url: href } }, (resp) => {
-            if (resp && resp.result && resp.result.suspicious) {
-                chrome.runtime.sendMessage({
-                    type: "phish_alert",
-                    id: href,
-                    origin: href,
-                    result: resp.result,
-                    msg: `⚠️ تم اكتشاف رابط مشبوه:\n${href}\nالسبب: ${(resp.result.reasons || []).join("، ")}`
-                }, (r) => {
-                    if (r && r.ok) {
-                        const updated = detectedLinksInfo.get(href) || { count: 0, lastSeen: 0 };
-                        updated.count = Math.min(2, (updated.count || 0) + (r.notified ? 1 : 0));
-                        updated.lastSeen = Date.now();
-                        detectedLinksInfo.set(href, updated);
+    function onLinkClick(e) {
+        if (e.type === "auxclick" && e.button !== 1) return;
+        const anchor = e.target && e.target.closest ? e.target.closest("a[href]") : null;
+        if (!anchor || anchor === allowedAnchor) return;
+        const flag = getFlagForAnchor(anchor);
+        if (!flag) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        AdvirsInlineWarning.showLinkDialog(flag, {
+            onProceed: () => navigateTo(anchor, flag.href),
+            // javascript:/data:/blob: links have no domain to trust
+            onTrust: !/^https?:/i.test(flag.destination) ? null : () => {
+                chrome.runtime.sendMessage({ type: "trust_domain", domain: flag.destination }, () => {
+                    const trustedHost = hostnameOf(flag.destination);
+                    for (const link of Array.from(flaggedLinks.keys())) {
+                        if (hostnameOf(link) === trustedHost || hostnameOf(AdvirsUnwrap.unwrapUrl(link).url) === trustedHost) flaggedLinks.delete(link);
                     }
+                    navigateTo(anchor, flag.href);
                 });
-            } else {
-                info.lastSeen = Date.now();
-                detectedLinksInfo.set(href, info);
             }
         });
     }
 
+    document.addEventListener("click", onLinkClick, true);
+    document.addEventListener("auxclick", onLinkClick, true);
+
+    chrome.storage.sync.get({ showInlineBadge: false }, (res) => {
+        showInlineBadge = !!res.showInlineBadge;
+        markFlaggedAnchors();
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "sync" && changes.language) AdvirsI18n.init(true);
+        if (area !== "sync" || !changes.showInlineBadge) return;
+        showInlineBadge = !!changes.showInlineBadge.newValue;
+        if (showInlineBadge) markFlaggedAnchors();
+        else AdvirsInlineWarning.removeBadges();
+    });
+
+    function pageAlertText(payload, result) {
+        const reasons = joinReasons(result.reasons);
+        if (!payload.email) return AdvirsI18n.t("alert_page", { url: payload.url, reasons });
+        const sender = payload.email.senderName ? `${payload.email.senderName} <${payload.email.senderAddress}>` : payload.email.senderAddress;
+        return AdvirsI18n.t("alert_email", { sender, subject: payload.email.subject, reasons });
+    }
+
     function analyzePayload(payload) {
+        analyzedMessageKey = payloadMessageKey;
         chrome.runtime.sendMessage({ type: "analyzeProfile", data: payload }, (resp) => {
             if (resp && resp.result && resp.result.suspicious) {
                 chrome.runtime.sendMessage({
@@ -106,46 +539,53 @@
                     id: payload.url || payload.hostname || `page-${Date.now()}`,
                     origin: payload.url,
                     result: resp.result,
-                    msg: `⚠️ تم اكتشاف صفحة مشبوهة:\n${payload.url}\nالسبب: ${(resp.result.reasons || []).join("، ")}`
+                    msg: pageAlertText(payload, resp.result)
                 });
             }
         });
 
-        payload.links.slice(0, 40).forEach(href => analyzeLink(href));
+        payload.links.slice(0, 40).forEach(href => queueLink(href));
+    }
+
+    // The payload is rebuilt only when asked for (popup, "analyze now"), not on every mutation
+    function currentPayload() {
+        if (payloadStale) {
+            const fingerprints = __advirs_payload && __advirs_payload.fingerprints;
+            __advirs_payload = buildPayload();
+            if (fingerprints) __advirs_payload.fingerprints = fingerprints;
+            payloadStale = false;
+        }
+        return __advirs_payload;
     }
 
-    // Run immediately
+    // Run immediately (alerts are worded in the user's language, so load the catalog first)
     __advirs_payload = buildPayload();
-    analyzePayload(__advirs_payload);
+    Promise.all([AdvirsI18n.init(), attachFingerprints(__advirs_payload), attachQrLinks(__advirs_payload)]).then(() => analyzePayload(__advirs_payload));
 
     chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         if (!msg || typeof msg !== "object") return;
         if (msg.type === "getPayload") {
-            sendResponse({ ok: true, payload: __advirs_payload });
+            sendResponse({ ok: true, payload: currentPayload() });
         }
         if (msg.type === "analyzeNow") {
-            analyzePayload(__advirs_payload);
+            detectedLinksInfo.forEach(info => { info.checkedAt = 0; });
+            analyzePayload(currentPayload());
             sendResponse({ ok: true });
             return true;
         }
         return true;
     });
 
-    const observer = new MutationObserver(() => {
-        const newPayload = buildPayload();
-        newPayload.links.forEach(href => {
-            if (document.body.innerHTML.includes(href)) {
-                analyzeLink(href);
-            }
-        });
-        __advirs_payload = newPayload;
-
-        const now = Date.now();
-        for (const [link, info] of detectedLinksInfo.entries()) {
-            if ((now - (info.lastSeen || 0)) > (10 * 60 * 1000)) {
-                detectedLinksInfo.delete(link);
-            }
+    const observer = new MutationObserver((mutations) => {
+        for (const m of mutations) {
+            m.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) pendingNodes.push(node);
+            });
         }
+        if (!pendingNodes.length) return;
+        payloadStale = true;
+        if (pendingNodes.length > PENDING_NODES_MAX) pendingNodes.splice(0, pendingNodes.length - PENDING_NODES_MAX);
+        scheduleScan();
     });
 
     observer.observe(document.body, { childList: true, subtree: true });
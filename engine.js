@@ -0,0 +1,1002 @@
+// engine.js - phishing analysis engine (Advirs)
+// The pure part of the detector: page, link and download verdicts with their reasons and score
+// ledger, computed from a payload in the shape content.js builds (buildPayload). Nothing here touches
+// chrome.*, so the same file runs in the service worker (importScripts) and in Node
+// (require('./engine.js'), used by cli/advirs-scan.js).
+//
+// Settings the extension keeps in storage (trusted domains, rule pack, watch list, learned login
+// fingerprints) are engine state: background.js passes them to configure() before each analysis,
+// other callers either do the same or pass trustedSet/rules per call.
+
+// Node: load the helpers background.js imports ahead of this file, in the same order
+if (typeof self === 'undefined' && typeof require === 'function') {
+    globalThis.self = globalThis;
+    ['psl-data.js', 'psl.js', 'confusables-data.js', 'idn.js', 'unwrap.js', 'schemes.js', 'rules.js', 'brands-data.js', 'brands.js',
+        'fingerprints-data.js', 'fingerprint.js', 'text-data.js', 'text-model-data.js', 'text.js'].forEach(f => require(`./${f}`));
+}
+
+(function (root) {
+    const DEFAULT_TRUSTED = ['facebook.com', 'tiktok.com'];
+
+    const state = {
+        trusted: new Set(DEFAULT_TRUSTED),
+        // thresholds, weights and keyword lists of the active rule pack (rules.js)
+        rules: AdvirsRules.DEFAULT_PACK,
+        // user-maintained accounts to protect from impersonation: [{ handle, name }]
+        watchedAccounts: [],
+        // login page fingerprints: bundled ones plus those captured on the brands' own login pages (loginUrls)
+        fingerprints: root.ADVIRS_LOGIN_FINGERPRINTS || {}
+    };
+
+    // Replaces the given parts of the state; trusted accepts any iterable of registered domains
+    function configure({ trusted, rules, watchedAccounts, fingerprints } = {}) {
+        if (trusted) state.trusted = new Set(trusted);
+        if (rules) state.rules = rules;
+        if (watchedAccounts) state.watchedAccounts = watchedAccounts;
+        if (fingerprints) state.fingerprints = fingerprints;
+    }
+
+    // ---------- Utilities ----------
+    function safeGetHostname(urlOrHost) {
+        try {
+            if (!urlOrHost) return '';
+            if (!/^https?:\/\//i.test(urlOrHost)) {
+                if (/^[a-z0-9.-]+$/i.test(urlOrHost)) return urlOrHost.toLowerCase();
+                urlOrHost = 'https://' + urlOrHost;
+            }
+            return new URL(urlOrHost).hostname.toLowerCase();
+        } catch (e) {
+            return (urlOrHost || '').toString().toLowerCase();
+        }
+    }
+
+    function getLabels(hostname) {
+        return (hostname || '').split('.').filter(Boolean);
+    }
+
+    // eTLD+1 via the bundled Public Suffix List (evil.co.uk -> evil.co.uk, not co.uk)
+    function getRegisteredDomain(hostname) {
+        if (!hostname) return '';
+        if (isIpAddress(hostname)) return hostname;
+        return AdvirsPsl.getRegisteredDomain(hostname) || hostname.toLowerCase();
+    }
+
+    // Label directly left of the public suffix ("evil" for evil.co.uk)
+    function getSecondLevelLabel(hostname) {
+        if (!hostname) return '';
+        if (isIpAddress(hostname)) return hostname;
+        const label = AdvirsPsl.getRegistrableLabel(hostname);
+        if (label) return label;
+        const parts = getLabels(hostname);
+        return parts.length ? parts[0].toLowerCase() : '';
+    }
+
+    function isIpAddress(hostname) {
+        return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname);
+    }
+
+    function isPunycode(hostname) {
+        return typeof hostname === 'string' && hostname.includes('xn--');
+    }
+
+    function getTld(hostname) {
+        const parts = (hostname || '').split('.');
+        return parts.length ? parts[parts.length - 1].toLowerCase() : '';
+    }
+
+    function normalizeText(s) {
+        return (s || '').toString().trim().toLowerCase();
+    }
+
+    // Levenshtein distance (iterative)
+    function levenshtein(a = '', b = '') {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+        const v0 = new Array(b.length + 1);
+        const v1 = new Array(b.length + 1);
+        for (let i = 0; i <= b.length; i++) v0[i] = i;
+        for (let i = 0; i < a.length; i++) {
+            v1[0] = i + 1;
+            for (let j = 0; j < b.length; j++) {
+                const cost = a[i] === b[j] ? 0 : 1;
+                v1[j + 1] = Math.min(v1[j] + 1, v0[j + 1] + 1, v0[j] + cost);
+            }
+            for (let j = 0; j <= b.length; j++) v0[j] = v1[j];
+        }
+        return v1[b.length];
+    }
+
+    function normalizedDistance(a = '', b = '') {
+        const A = (a || '').toString();
+        const B = (b || '').toString();
+        const maxLen = Math.max(A.length, B.length, 1);
+        return levenshtein(A, B) / maxLen;
+    }
+
+    // ---------- Reason codes ----------
+    // Each signal is reported as a stable code plus parameters; UIs render them through AdvirsI18n
+    // (reason_<CODE> in _locales/*/messages.json).
+    function reason(code, params = {}) {
+        return { code, params };
+    }
+
+    function round2(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    // Reasons dropped from trusted pages when nothing else looked suspicious
+    const WEAK_REASON_CODES = new Set([
+        'NO_TRUSTED_SIMILARITY', 'LINK_FROM_QR',
+        'PAGE_DEEP_SUBDOMAINS', 'PAGE_MANY_HYPHENS', 'PAGE_LONG_HOSTNAME', 'PAGE_LONG_URL', 'PAGE_RANDOM_LABEL'
+    ]);
+
+    // Score ledger for analyzeProfileCore: every change to the score is recorded as a signal
+    //   { category, code, op, weight, before, after, effect, forcesVerdict }
+    // op:     'base' | 'add' | 'max' (raise to at least weight) | 'cap' (lower to at most weight)
+    // effect: 'added' | 'raised' (a max overrode the running score) | 'none' (no change) | 'clamped'
+    function createScoreLedger() {
+        const ledger = { score: 0, suspicious: false, signals: [] };
+        ledger.apply = (category, code, op, weight, forcesVerdict = false) => {
+            const before = ledger.score;
+            if (op === 'base') ledger.score = weight;
+            else if (op === 'add') ledger.score += weight;
+            else if (op === 'max') ledger.score = Math.max(before, weight);
+            else if (op === 'cap') ledger.score = Math.min(before, weight);
+            const after = ledger.score;
+            let effect = 'none';
+            if (after > before) effect = op === 'max' ? 'raised' : 'added';
+            else if (after < before) effect = 'clamped';
+            if (forcesVerdict) ledger.suspicious = true;
+            ledger.signals.push({ category, code, op, weight, before, after, effect, forcesVerdict });
+            return after;
+        };
+        return ledger;
+    }
+
+    // ---------- Heuristics ----------
+    function hostIsTrustedExact(hostname, trustedSet = state.trusted) {
+        if (!hostname) return false;
+        const reg = getRegisteredDomain(hostname).toLowerCase();
+        return trustedSet.has(reg);
+    }
+
+    // Same name as one of the brand's domains under another public suffix (facebook.com.br, paypal.de):
+    // read as one of its national domains, not as a lookalike
+    function ownsLabel(brand, sld) {
+        return brand.domains.some(d => getSecondLevelLabel(d) === sld);
+    }
+
+    // ---------- IDN homograph analysis ----------
+    // Decodes the registrable label, collapses look-alike characters to their Latin skeleton and
+    // runs the skeleton through the same typosquat comparison used for ASCII hostnames.
+    function analyzeIdnHost(hostname, trustedSet, rules = state.rules) {
+        if (!isPunycode(hostname)) return null;
+        const TRUSTED = trustedSet instanceof Set ? trustedSet : state.trusted;
+
+        const unicodeHost = AdvirsIdn.toUnicode(hostname);
+        const label = AdvirsIdn.toUnicode(getSecondLevelLabel(hostname));
+        const scripts = AdvirsIdn.getScripts(label);
+        const lookalikes = AdvirsIdn.findLookalikes(label);
+        const skeleton = AdvirsIdn.toSkeleton(label);
+        const skeletonIsLatin = /^[a-z0-9-]+$/.test(skeleton);
+        const mixedScript = scripts.length > 1;
+
+        let target = null;
+        if (lookalikes.length && skeletonIsLatin) {
+            for (const td of TRUSTED) {
+                const d = normalizedDistance(skeleton, getSecondLevelLabel(td));
+                if (d <= rules.thresholds.typosquatDistance && (!target || d < target.dist)) target = { domain: td, dist: d };
+            }
+        }
+
+        return {
+            unicodeHost,
+            scripts,
+            lookalikes,
+            skeleton,
+            mixedScript,
+            // every letter is foreign but the label still reads as Latin (e.g. all-Cyrillic "аррӏе")
+            wholeScriptConfusable: !mixedScript && skeletonIsLatin && lookalikes.length > 0,
+            target
+        };
+    }
+
+    // Language-neutral list for reason params: "а→a (U+0430 Cyrillic), ..."
+    function describeLookalikes(lookalikes) {
+        return lookalikes.slice(0, 5)
+            .map(l => `${l.char}→${l.latin} (${l.codePoint} ${l.script})`)
+            .join(', ');
+    }
+
+    // ---------- URL structure ----------
+    // Shapes of the URL itself that phishing links favour. Limits are fixed here; the rule pack weights
+    // each finding (weights.<weight> for the page URL, linkWeights.<linkWeight> for links).
+    const URL_SUBDOMAIN_DEPTH = 4; // labels left of the registered domain, "www" not counted
+    const URL_HOSTNAME_HYPHENS = 3; // outside "xn--" prefixes
+    const URL_LONG_HOSTNAME = 50;
+    const URL_LONG = 300;
+    // percent-escapes of unreserved characters (letters, digits, - . _ ~) in the host and path; query values
+    // legitimately escape ":" "/" "@" (?continue=https%3A%2F%2F...), unreserved characters never need it
+    const URL_ENCODED_CHARS = 5;
+    // development and LAN hosts run on any port
+    const LOCAL_HOST_RX = /^(?:localhost|\[::1\])$|\.(?:localhost|local)$/;
+    const URL_RANDOM_LABEL_LENGTH = 10;
+    const URL_RANDOM_LABEL_ENTROPY = 3.3; // bits per character
+    // findings that describe a deception rather than an oddity; links report them ahead of the other checks
+    const URL_DECEPTIVE_FINDINGS = new Set(['BRAND_IN_SUBDOMAIN', 'USERINFO']);
+
+    // Trusted and catalogued brand domains, per trusted set
+    let brandDomainCache = { trusted: null, list: [] };
+    function brandDomains(trustedSet) {
+        if (brandDomainCache.trusted !== trustedSet) {
+            brandDomainCache = { trusted: trustedSet, list: [...new Set([...trustedSet, ...AdvirsBrands.BRANDS.flatMap(b => b.domains)])] };
+        }
+        return brandDomainCache.list;
+    }
+
+    // "facebook.com.login-secure.xyz": a trusted or brand domain worn as subdomains of a domain it does not
+    // own. Only whole domains count; brand names alone ("live", "office", "meta") are ordinary subdomains.
+    function brandInSubdomain(subdomain, registered, trustedSet) {
+        if (!subdomain || trustedSet.has(registered)) return null;
+        const dotted = `.${subdomain}.`;
+        for (const domain of brandDomains(trustedSet)) {
+            if (!dotted.includes(`.${domain}.`)) continue;
+            const brand = AdvirsBrands.BRANDS.find(b => b.domains.includes(domain));
+            if (brand && AdvirsBrands.isOfficialDomain(brand, registered)) continue;
+            return domain;
+        }
+        return null;
+    }
+
+    function labelEntropy(label) {
+        const counts = {};
+        for (const c of label) counts[c] = (counts[c] || 0) + 1;
+        return Object.values(counts).reduce((h, n) => h - (n / label.length) * Math.log2(n / label.length), 0);
+    }
+
+    // Machine-made labels ("x7k2qj9vbz3m", "qxzvbkwrtplm"): high entropy with letters and digits interleaved
+    // or hardly any vowels; words and dates ("verification", "2024elections") do not qualify
+    function looksRandom(label) {
+        if (label.length < URL_RANDOM_LABEL_LENGTH || label.startsWith('xn--') || labelEntropy(label) < URL_RANDOM_LABEL_ENTROPY) return false;
+        const switches = (label.match(/[a-z](?=\d)|\d(?=[a-z])/g) || []).length;
+        const letters = label.replace(/[^a-z]/g, '');
+        const vowels = letters.replace(/[^aeiouy]/g, '').length;
+        return switches >= 3 || (letters.length === label.length && vowels / letters.length < 0.2);
+    }
+
+    // rawUrl as found (escapes intact), url its parsed URL. Returns the findings, strongest first:
+    // [{ code, weight, linkWeight, params, forcesVerdict }]
+    function urlStructure(rawUrl, url, trustedSet) {
+        const findings = [];
+        const add = (code, weight, linkWeight, params, forcesVerdict = false) => findings.push({ code, weight, linkWeight, params, forcesVerdict });
+        const host = (url.hostname || '').toLowerCase();
+        if (!host || isIpAddress(host)) return findings;
+        const registered = getRegisteredDomain(host).toLowerCase();
+        const subdomain = host.length > registered.length ? host.slice(0, -registered.length - 1) : '';
+        const subLabels = subdomain ? subdomain.split('.') : [];
+
+        const brand = brandInSubdomain(subdomain, registered, trustedSet);
+        if (brand) add('BRAND_IN_SUBDOMAIN', 'urlBrandInSubdomain', 'brandInSubdomain', { host, brand, domain: registered }, true);
+
+        // "https://paypal.com@evil.example/" opens evil.example; a user name that reads as a domain is the trick
+        if (url.username || url.password) {
+            let userinfo = url.username;
+            try { userinfo = decodeURIComponent(url.username); } catch (e) { /* keep it encoded */ }
+            add('USERINFO', 'urlUserinfo', 'userinfo', { userinfo: userinfo.slice(0, 60), host }, /\.[a-z]{2,}/i.test(userinfo));
+        }
+
+        const encoded = (String(rawUrl).split(/[?#]/)[0].match(/%[0-7][0-9a-f]/gi) || [])
+            .filter(e => /[a-z0-9\-._~]/i.test(String.fromCharCode(parseInt(e.slice(1), 16)))).length;
+        if (encoded >= URL_ENCODED_CHARS) add('HEAVY_ENCODING', 'urlHeavyEncoding', 'heavyEncoding', { count: encoded, host });
+
+        if (url.port && !LOCAL_HOST_RX.test(host)) add('NONSTANDARD_PORT', 'urlNonstandardPort', 'nonstandardPort', { port: url.port, host });
+
+        const randomLabel = [...subLabels, getSecondLevelLabel(host)].find(looksRandom);
+        if (randomLabel) add('RANDOM_LABEL', 'urlRandomLabel', 'randomLabel', { label: randomLabel, host });
+
+        const depth = subLabels.filter((l, i) => !(i === 0 && l === 'www')).length;
+        if (depth >= URL_SUBDOMAIN_DEPTH) add('DEEP_SUBDOMAINS', 'urlDeepSubdomains', 'deepSubdomains', { host, depth });
+
+        const hyphens = (host.replace(/(^|\.)xn--/g, '$1').match(/-/g) || []).length;
+        if (hyphens >= URL_HOSTNAME_HYPHENS) add('MANY_HYPHENS', 'urlManyHyphens', 'manyHyphens', { host, count: hyphens });
+
+        if (host.length >= URL_LONG_HOSTNAME) add('LONG_HOSTNAME', 'urlLongHostname', 'longHostname', { host, length: host.length });
+        if (url.href.length >= URL_LONG) add('LONG_URL', 'urlLong', 'longUrl', { length: url.href.length, host });
+        return findings;
+    }
+
+    // ---------- Link analysis ----------
+    // A blocklist hit is definitive: it returns 1 so the caller can mark the whole page suspicious
+    function linkIsSuspicious(linkUrl, pageHostnameNormalized, reasons, trustedSet = null, blocklistHits = null, rules = state.rules) {
+        const W = rules.linkWeights;
+        const special = AdvirsSchemes.inspectUrl(linkUrl);
+        if (special) return schemeLinkRisk(special, pageHostnameNormalized, reasons, W);
+        try {
+            const url = new URL(linkUrl, 'https://' + (pageHostnameNormalized || 'example.com'));
+            const host = (url.hostname || '').toLowerCase();
+            const path = (url.pathname || '').toLowerCase();
+
+            const listed = blocklistHits && blocklistHits.get(linkUrl);
+            if (listed) {
+                reasons.push(reason('LINK_BLOCKLISTED', { source: listed.sourceName, matchType: listed.matchType, entry: listed.entry }));
+                return 1;
+            }
+
+            if (!host) {
+                reasons.push(reason('LINK_EMPTY_HOST', { link: linkUrl }));
+                return W.emptyHost;
+            }
+
+            if (isIpAddress(host)) {
+                reasons.push(reason('LINK_IP_ADDRESS', { host }));
+                return W.ipAddress;
+            }
+
+            const idn = analyzeIdnHost(host, trustedSet, rules);
+            if (idn && idn.target) {
+                reasons.push(reason('LINK_IDN_HOMOGRAPH', { host: idn.unicodeHost, trusted: idn.target.domain, lookalikes: describeLookalikes(idn.lookalikes) }));
+                return W.idnHomograph;
+            }
+            if (idn && idn.lookalikes.length && (idn.mixedScript || idn.wholeScriptConfusable)) {
+                reasons.push(reason('LINK_IDN_MIXED_SCRIPT', { host: idn.unicodeHost, lookalikes: describeLookalikes(idn.lookalikes) }));
+                return W.idnMixedScript;
+            }
+
+            // same-host links share the page URL's structure, already scored for the page
+            const structure = host === pageHostnameNormalized ? [] : urlStructure(linkUrl, url, trustedSet instanceof Set ? trustedSet : state.trusted);
+            const deceptive = structure.find(f => URL_DECEPTIVE_FINDINGS.has(f.code));
+            if (deceptive) {
+                reasons.push(reason(`LINK_${deceptive.code}`, deceptive.params));
+                return W[deceptive.linkWeight];
+            }
+
+            if (AdvirsUnwrap.isShortener(host)) {
+                reasons.push(reason('LINK_SHORTENER', { host }));
+                return W.shortener;
+            }
+
+            const tld = getTld(host);
+            if (rules.riskyTlds.includes(tld)) {
+                reasons.push(reason('LINK_RISKY_TLD', { tld, host }));
+                return W.riskyTld;
+            }
+
+            for (const p of rules.suspiciousPathTokens) {
+                if (path.includes(p)) {
+                    reasons.push(reason('LINK_SUSPICIOUS_PATH', { token: p, path: url.pathname }));
+                    return W.suspiciousPath;
+                }
+            }
+
+            if (host !== pageHostnameNormalized) {
+                for (const t of rules.brandTokens) {
+                    if (host.includes(t)) {
+                        reasons.push(reason('LINK_BRAND_TOKEN', { token: t, host }));
+                        return W.brandToken;
+                    }
+                }
+            }
+
+            // only the heaviest of the weaker structure findings counts for a link
+            const weak = structure.filter(f => !URL_DECEPTIVE_FINDINGS.has(f.code))
+                .sort((a, b) => W[b.linkWeight] - W[a.linkWeight])[0];
+            if (weak) {
+                reasons.push(reason(`LINK_${weak.code}`, weak.params));
+                return W[weak.linkWeight];
+            }
+
+            return 0;
+        } catch (e) {
+            reasons.push(reason('LINK_MALFORMED', { link: linkUrl }));
+            return W.malformed;
+        }
+    }
+
+    // ---------- Profile impersonation ----------
+    // Digit/letter swaps and glyph pairs folded so "paypa1", "rnybank" and "my.bank" read as "paypal", "mybank"
+    const HANDLE_CONFUSABLE_PAIRS = [['rn', 'm'], ['vv', 'w'], ['cl', 'd'], ['0', 'o'], ['1', 'l'], ['i', 'l'], ['3', 'e'], ['4', 'a'], ['5', 's'], ['7', 't'], ['9', 'g']];
+
+    function handleSkeleton(handle) {
+        let s = (handle || '').toLowerCase().replace(/^@/, '').replace(/[._-]/g, '');
+        for (const [from, to] of HANDLE_CONFUSABLE_PAIRS) s = s.split(from).join(to);
+        return s;
+    }
+
+    // Accounts a profile must not imitate: the user's watch list plus the brand catalog's handles
+    function getProtectedAccounts(watchList = state.watchedAccounts) {
+        const accounts = [];
+        for (const w of watchList || []) {
+            const handle = normalizeText(w && w.handle).replace(/^@/, '');
+            if (handle) accounts.push({ handle, name: ((w && w.name) || '').toString().trim(), source: 'watchlist' });
+        }
+        for (const brand of AdvirsBrands.BRANDS) {
+            for (const handle of brand.handles || []) accounts.push({ handle, name: brand.name, source: 'catalog' });
+        }
+        return accounts;
+    }
+
+    // One edit away (longer handles only: short ones collide with ordinary names) or the same after folding
+    function findHandleLookalike(handle, accounts) {
+        const skeleton = handleSkeleton(handle);
+        let near = null;
+        for (const a of accounts) {
+            if (a.handle.length >= 3 && skeleton === handleSkeleton(a.handle)) return { account: a, confusable: true };
+            if (!near && a.handle.length >= 5 && levenshtein(handle, a.handle) === 1) near = { account: a, confusable: false };
+        }
+        return near;
+    }
+
+    // Latin display name sharing nothing with the handle ("PayPal Support" on @jk_88721);
+    // names in other scripts cannot be compared with a Latin handle and are skipped
+    function displayNameMismatch(displayName, handle) {
+        const letters = handle.replace(/[^a-z]/g, '');
+        const tokens = displayName.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .split(/[^a-z0-9]+/).filter(t => t.length >= 3);
+        if (!tokens.length || letters.length < 4) return false;
+        if (tokens.some(t => letters.includes(t) || t.includes(letters))) return false;
+        return normalizedDistance(tokens.join(''), letters) > 0.6;
+    }
+
+    // ---------- Login page fingerprints ----------
+    // fp: { favicon, logos: [], form } from content.js; returns the closest known brand login page within
+    // the rule pack's distances as { brandId, matched: ['favicon', 'form', ...] }, or null
+    function matchLoginFingerprints(fp, thresholds, known = state.fingerprints) {
+        if (!fp) return null;
+        const maxImage = Math.floor(thresholds.imageHashDistance * AdvirsFingerprint.HASH_BITS);
+        const maxForm = Math.floor(thresholds.formHashDistance * AdvirsFingerprint.HASH_BITS);
+        const near = (hash, list, max) => (list || []).some(h => AdvirsFingerprint.distance(hash, h) <= max);
+
+        let best = null;
+        for (const [brandId, kinds] of Object.entries(known)) {
+            const matched = [];
+            if (AdvirsFingerprint.isInformative(fp.favicon) && near(fp.favicon, kinds.favicon, maxImage)) matched.push('favicon');
+            if ((fp.logos || []).some(h => AdvirsFingerprint.isInformative(h) && near(h, kinds.logo, maxImage))) matched.push('logo');
+            if (fp.form && near(fp.form, kinds.form, maxForm)) matched.push('form');
+            if (matched.length && (!best || strength(matched) > strength(best.matched))) best = { brandId, matched };
+        }
+        return best;
+    }
+
+    // Image matches outrank a form layout match: many sites share a login form template
+    function strength(matched) {
+        return matched.filter(kind => kind !== 'form').length * 2 + (matched.includes('form') ? 1 : 0);
+    }
+
+    // URLs analyzeProfileCore looks at, so blocklist lookups can be done up front (they are async)
+    function collectAnalysisUrls(data = {}) {
+        const url = data.url || data.pageUrl || data.origin || '';
+        const links = Array.isArray(data.links) ? data.links : (data.linkList || []);
+        return [url, ...links.slice(0, 40)].filter(u => typeof u === 'string' && u);
+    }
+
+    // Risk of a javascript:/vbscript:/data:/blob: link (AdvirsSchemes.inspectUrl); these have no host to check
+    function schemeLinkRisk(special, pageHostnameNormalized, reasons, W) {
+        const { scheme, kind } = special;
+        if (kind === 'obfuscated_script') {
+            reasons.push(reason('LINK_SCRIPT_OBFUSCATED', { scheme, pattern: special.pattern }));
+            return W.obfuscatedScriptUrl;
+        }
+        if (kind === 'script') {
+            reasons.push(reason('LINK_SCRIPT_URL', { scheme }));
+            return W.scriptUrl;
+        }
+        if (scheme === 'data' && kind === 'executable') {
+            reasons.push(reason('LINK_DATA_EXECUTABLE', { mime: special.mime }));
+            return W.dataExecutable;
+        }
+        if (scheme === 'data' && kind === 'html') {
+            reasons.push(reason('LINK_DATA_HTML', { mime: special.mime }));
+            return W.dataHtml;
+        }
+        if (scheme === 'blob') {
+            const host = safeGetHostname(special.origin || '');
+            // a page can only create blob: URLs of its own origin, so a foreign one was handed in from elsewhere
+            if (!special.origin || host !== pageHostnameNormalized) {
+                reasons.push(reason('LINK_BLOB_URL', { origin: special.origin || 'null' }));
+                return W.blobUrl;
+            }
+        }
+        return 0;
+    }
+
+    // ---------- Webmail sender checks ----------
+    // Trusted or catalogued brand domain a sender domain imitates: an IDN homograph of a trusted domain,
+    // or a second-level label within the typosquat distance of one (paypa1.com, paypai.co). null when
+    // the sender domain is one of them or carries the same label under another suffix (google.de,
+    // amazon.co.jp): brands mail from their national domains, which the catalog does not list.
+    function senderLookalike(senderHost, trustedSet, rules) {
+        const reg = getRegisteredDomain(senderHost).toLowerCase();
+        const targets = new Set([...trustedSet, ...AdvirsBrands.BRANDS.flatMap(b => b.domains)]);
+        if (targets.has(reg)) return null;
+        const idn = analyzeIdnHost(senderHost, trustedSet, rules);
+        if (idn && idn.target) return { domain: idn.unicodeHost, target: idn.target.domain };
+        const sld = getSecondLevelLabel(senderHost);
+        let best = null;
+        for (const td of targets) {
+            const d = normalizedDistance(sld, getSecondLevelLabel(td));
+            if (d === 0) return null;
+            if (d <= rules.thresholds.typosquatDistance && (!best || d < best.dist)) best = { domain: reg, target: td, dist: d };
+        }
+        return best;
+    }
+
+    // Bare "name.tld" link texts only count for these suffixes, so "README.md" or "invoice.pdf" is not read as a domain
+    const SHOWN_DOMAIN_TLDS = new Set(['com', 'net', 'org', 'info', 'biz', 'io', 'co', 'me', 'app', 'gov', 'edu', 'sa', 'ae', 'eg']);
+
+    // Domain a link's text presents ("www.paypal.com", "https://paypal.com/login"), '' for ordinary wording
+    function shownDomain(text) {
+        const m = /^(https?:\/\/|www\.)?((?:[a-z0-9-]+\.)+([a-z]{2,}))(?:[:/?#]\S*)?$/i.exec((text || '').trim());
+        if (!m) return '';
+        return m[1] || SHOWN_DOMAIN_TLDS.has(m[3].toLowerCase()) ? m[2].toLowerCase() : '';
+    }
+
+    // ---------- Main analysis function (pure) ----------
+    // blocklistHits: optional Map(url -> hit) from AdvirsBlocklist.lookupMany(collectAnalysisUrls(data))
+    // rules: a validated rule pack (AdvirsRules.validatePack); defaults to the active one
+    function analyzeProfileCore(data = {}, trustedSet = null, blocklistHits = null, rules = null) {
+        const TRUSTED = trustedSet instanceof Set ? trustedSet : state.trusted;
+        const R = rules || state.rules;
+        const W = R.weights;
+        const T = R.thresholds;
+
+        const usernameRaw = data.username || data.handle || data.user || '';
+        const username = normalizeText(usernameRaw).replace(/^@/, '');
+        const displayName = normalizeText(data.displayName || data.fullName || data.title || '');
+        const url = data.url || data.pageUrl || data.origin || '';
+        const pageHostname = safeGetHostname(url) || (data.hostname ? safeGetHostname(data.hostname) : '');
+        const links = Array.isArray(data.links) ? data.links : (data.linkList || []);
+        const qrLinks = new Set(Array.isArray(data.qrLinks) ? data.qrLinks : []);
+        const forms = Array.isArray(data.forms) ? data.forms : (data.formList || []);
+        const textSample = (data.textSample || '').toString().slice(0, 4000);
+
+        const reasons = [];
+        const trustedExact = hostIsTrustedExact(pageHostname, TRUSTED);
+        const ledger = createScoreLedger();
+        ledger.apply('base', trustedExact ? 'TRUSTED_BASE_SCORE' : 'BASE_SCORE', 'base', trustedExact ? W.trustedBaseScore : W.baseScore);
+        let lookalikeOf = null; // trusted domain the page appears to imitate
+        const idn = analyzeIdnHost(pageHostname, TRUSTED, R);
+        const pageReg = pageHostname ? getRegisteredDomain(pageHostname).toLowerCase() : '';
+        const hasPasswordForm = forms.some(f => f && f.hasPassword);
+
+        // ---------- Typosquat detection (SLD-first) ----------
+        try {
+            const currentReg = getRegisteredDomain(pageHostname).toLowerCase();
+            const currentSld = getSecondLevelLabel(pageHostname);
+
+            if (!TRUSTED.has(currentReg)) {
+                let best = { domain: null, dist: 1.0, sld: null };
+                for (const td of TRUSTED) {
+                    const tdSld = getSecondLevelLabel(td);
+                    const d = normalizedDistance(currentSld, tdSld);
+                    if (d < best.dist) best = { domain: td, dist: d, sld: tdSld };
+                }
+
+                if (best.dist === 0) {
+                    // a trusted name under another suffix (facebook.com.br): no typosquat finding
+                } else if (idn && idn.target) {
+                    reasons.push(reason('IDN_HOMOGRAPH', { host: idn.unicodeHost, trusted: idn.target.domain, skeleton: idn.skeleton, lookalikes: describeLookalikes(idn.lookalikes) }));
+                    lookalikeOf = idn.target.domain;
+                    ledger.apply('domain', 'IDN_HOMOGRAPH', 'max', W.idnHomograph, true);
+                } else if (best.domain && best.dist <= T.typosquatDistance) {
+                    reasons.push(reason('TYPOSQUAT_SLD', { sld: currentSld, trusted: best.sld, distance: round2(best.dist), domain: currentReg, trustedDomain: best.domain }));
+                    lookalikeOf = best.domain;
+                    ledger.apply('domain', 'TYPOSQUAT_SLD', 'max', W.typosquat, true);
+                } else {
+                    let bestFull = { domain: null, dist: 1.0 };
+                    for (const td of TRUSTED) {
+                        const d = normalizedDistance(currentReg, td);
+                        if (d < bestFull.dist) bestFull = { domain: td, dist: d };
+                    }
+                    if (bestFull.domain && bestFull.dist <= T.typosquatDistance) {
+                        reasons.push(reason('TYPOSQUAT_DOMAIN', { domain: currentReg, trusted: bestFull.domain, distance: round2(bestFull.dist) }));
+                        lookalikeOf = bestFull.domain;
+                        ledger.apply('domain', 'TYPOSQUAT_DOMAIN', 'max', W.typosquat, true);
+                    } else {
+                        reasons.push(reason('NO_TRUSTED_SIMILARITY'));
+                    }
+                }
+
+                // keywords are Latin: an IDN label is read through its skeleton, and only when it has Latin letters
+                // (the punycode of an Arabic label can spell a keyword by chance: xn--mgbh0fb holds "fb")
+                const unicodeSld = AdvirsIdn.toUnicode(currentSld);
+                const keywordSld = !isPunycode(currentSld) ? currentSld
+                    : AdvirsIdn.getScripts(unicodeSld).includes('Latin') ? AdvirsIdn.toSkeleton(unicodeSld) : '';
+                for (const [brand, keywords] of Object.entries(R.brandKeywords)) {
+                    // e.g. fb.com carries the "fb" keyword but is one of Facebook's own domains, and facebook.com.br
+                    // the same name under another suffix
+                    const catalogued = AdvirsBrands.getBrand(brand);
+                    if (AdvirsBrands.isOfficialDomain(catalogued, currentReg) || (catalogued && ownsLabel(catalogued, currentSld))) continue;
+                    for (const kw of keywords) {
+                        if ((keywordSld && keywordSld.includes(kw)) && !TRUSTED.has(currentReg)) {
+                            reasons.push(reason('BRAND_TOKEN_IN_SLD', { sld: currentSld, token: kw, brand }));
+                            ledger.apply('domain', 'BRAND_TOKEN_IN_SLD', 'max', W.brandKeyword, true);
+                        }
+                    }
+                }
+            } else {
+                reasons.push(reason('TRUSTED_DOMAIN'));
+            }
+        } catch (e) {
+            reasons.push(reason('TYPOSQUAT_CHECK_ERROR'));
+        }
+
+        // ---------- Profile impersonation ----------
+        // Profile pages on social networks (or payloads marked isProfile): the handle and display name are
+        // compared with protected accounts and brands; verified profiles are left to the platform
+        const platform = AdvirsBrands.BRANDS.find(b => b.category === 'social' && AdvirsBrands.isOfficialDomain(b, pageReg));
+        let impersonates = null;
+        if (username && (data.isProfile || platform) && !data.isVerified) {
+            const accounts = getProtectedAccounts();
+            if (!accounts.some(a => a.handle === username)) {
+                const lookalike = findHandleLookalike(username, accounts);
+                if (lookalike) {
+                    const params = { handle: username, protected: lookalike.account.handle, name: lookalike.account.name };
+                    const code = lookalike.confusable ? 'PROFILE_HANDLE_CONFUSABLE' : 'PROFILE_HANDLE_NEAR_PROTECTED';
+                    reasons.push(reason(code, params));
+                    impersonates = lookalike.account.handle;
+                    ledger.apply('profile', code, 'max', lookalike.confusable ? W.profileHandleConfusable : W.profileHandleLookalike, true);
+                }
+
+                const rawName = (data.displayName || data.fullName || '').toString();
+                const watched = accounts.find(a => a.source === 'watchlist' && a.name && AdvirsBrands.mentionsName(rawName, a.name));
+                const claim = watched ? null : AdvirsBrands.findClaims({ title: rawName })
+                    .find(c => c.evidence === 'title' && c.brand !== platform);
+                const protectedName = watched ? watched.name : (claim ? claim.brand.name : null);
+                if (protectedName) {
+                    reasons.push(reason('PROFILE_PROTECTED_NAME', { handle: username, name: protectedName }));
+                    if (!impersonates) impersonates = watched ? watched.handle : claim.brand.id;
+                    ledger.apply('profile', 'PROFILE_PROTECTED_NAME', 'max', W.profileProtectedName, true);
+                }
+            }
+            if (displayName && displayNameMismatch(displayName, username)) {
+                reasons.push(reason('PROFILE_NAME_MISMATCH', { handle: username, name: data.displayName || data.fullName }));
+                ledger.apply('profile', 'PROFILE_NAME_MISMATCH', 'add', W.profileNameMismatch);
+            }
+        }
+
+        // ---------- Blocklist ----------
+        const listed = blocklistHits && blocklistHits.get(url);
+        if (listed) {
+            reasons.push(reason('PAGE_BLOCKLISTED', { source: listed.sourceName, matchType: listed.matchType, entry: listed.entry }));
+            ledger.apply('blocklist', 'PAGE_BLOCKLISTED', 'max', W.blocklist, true);
+        }
+
+        // ---------- HTTPS check ----------
+        if (!/^https:/i.test(url)) {
+            reasons.push(reason('NO_HTTPS'));
+            ledger.apply('transport', 'NO_HTTPS', 'add', W.noHttps);
+            if (trustedExact && !ledger.suspicious) ledger.apply('adjustment', 'TRUSTED_MAX_SCORE', 'cap', T.trustedMaxScore);
+        }
+
+        // ---------- Forms ----------
+        for (const f of forms) {
+            try {
+                if (f.hasPassword && f.action) {
+                    const actionHost = safeGetHostname(f.action);
+                    if (actionHost && actionHost !== pageHostname && getRegisteredDomain(actionHost) !== getRegisteredDomain(pageHostname)) {
+                        reasons.push(reason('FORM_EXTERNAL_ACTION', { host: actionHost }));
+                        ledger.apply('form', 'FORM_EXTERNAL_ACTION', 'add', W.formExternalAction, true);
+                    }
+                } else if (f.inputCount > 0 && !f.hasPassword && f.action) {
+                    reasons.push(reason('FORM_NO_PASSWORD'));
+                    ledger.apply('form', 'FORM_NO_PASSWORD', 'add', trustedExact ? W.formNoPasswordTrusted : W.formNoPassword);
+                }
+            } catch (e) {
+                reasons.push(reason('FORM_MALFORMED_ACTION'));
+                ledger.apply('form', 'FORM_MALFORMED_ACTION', 'add', W.formMalformed);
+            }
+        }
+
+        // ---------- Brand impersonation ----------
+        // The page presents itself as a catalogued brand (title, site name, form labels or the brand's
+        // login wording) while being served from outside that brand's official domains
+        const brandClaims = [];
+        if (pageHostname && !trustedExact) {
+            if (!TRUSTED.has(pageReg)) {
+                const claims = AdvirsBrands.findClaims({
+                    title: data.pageTitle || data.title || data.displayName || '',
+                    siteName: data.siteName || '',
+                    formLabels: forms.map(f => (f && f.labels) || '').join(' | '),
+                    text: textSample
+                }).filter(c => !AdvirsBrands.isOfficialDomain(c.brand, pageReg));
+
+                for (const { brand, evidence, inForm } of claims.slice(0, 3)) {
+                    const params = { brand: brand.name, domain: pageReg, official: brand.domains[0], evidence };
+                    brandClaims.push(brand.id);
+                    if (hasPasswordForm) {
+                        reasons.push(reason('BRAND_CREDENTIAL_FORM', params));
+                        if (!lookalikeOf) lookalikeOf = brand.domains[0];
+                        // a page only titled after the brand ("Facebook tips") may log users into its own site
+                        if (inForm) ledger.apply('brand', 'BRAND_CREDENTIAL_FORM', 'max', W.brandCredentialForm, true);
+                        else ledger.apply('brand', 'BRAND_CREDENTIAL_FORM', 'max', W.brandCredentialFormUnlabeled);
+                    } else {
+                        reasons.push(reason('BRAND_CLAIM', params));
+                    }
+                }
+                // mentioning several brands is no more suspicious than mentioning one
+                if (claims.length && !hasPasswordForm) ledger.apply('brand', 'BRAND_CLAIM', 'add', W.brandClaim);
+            }
+        }
+
+        // ---------- Login page fingerprints ----------
+        // favicon/logo/form layout of a known brand login page, served from somewhere else
+        if (data.fingerprints && hasPasswordForm && pageReg && !trustedExact && !TRUSTED.has(pageReg)) {
+            const match = matchLoginFingerprints(data.fingerprints, T);
+            const brand = match && AdvirsBrands.getBrand(match.brandId);
+            if (brand && !AdvirsBrands.isOfficialDomain(brand, pageReg)) {
+                reasons.push(reason('LOGIN_PAGE_FINGERPRINT', { brand: brand.name, matched: match.matched.join(' + '), domain: pageReg, official: brand.domains[0] }));
+                // a favicon or logo, or two kinds, identify the brand's page; a form layout alone only adds a little
+                if (strength(match.matched) >= 2) {
+                    if (!lookalikeOf) lookalikeOf = brand.domains[0];
+                    if (!brandClaims.includes(brand.id)) brandClaims.push(brand.id);
+                    ledger.apply('fingerprint', 'LOGIN_PAGE_FINGERPRINT', 'max', W.loginFingerprint, true);
+                } else {
+                    ledger.apply('fingerprint', 'LOGIN_PAGE_FINGERPRINT', 'add', W.loginFingerprintForm);
+                }
+            }
+        }
+
+        // ---------- Webmail message ----------
+        // data.email (webmail.js): the open message's sender, reply-to and body links. The mailbox itself is
+        // usually trusted, so each finding adds to its own running total and forces the verdict once that
+        // total reaches the suspicious threshold.
+        const email = data.email && typeof data.email === 'object' ? data.email : null;
+        if (email && email.senderAddress) {
+            const address = email.senderAddress.toString().toLowerCase();
+            const senderHost = address.split('@').pop();
+            const senderReg = getRegisteredDomain(senderHost).toLowerCase();
+            const freemail = R.freemailDomains.includes(senderReg);
+            let emailRisk = 0;
+            const flagEmail = (code, weight, params) => {
+                reasons.push(reason(code, params));
+                emailRisk += weight;
+                ledger.apply('email', code, 'add', weight, emailRisk >= T.suspiciousScore);
+            };
+
+            // display name claiming a brand; anyone can open a free-mail account, even with the brand's own provider.
+            // A brand's name under another suffix ("PayPal" <service@paypal.de>) is its national domain.
+            const senderName = (email.senderName || '').toString();
+            const senderSld = getSecondLevelLabel(senderHost);
+            const ownsSender = brand => AdvirsBrands.isOfficialDomain(brand, senderReg) || ownsLabel(brand, senderSld);
+            const claim = AdvirsBrands.findClaims({ title: senderName })
+                .find(c => c.evidence === 'title' && (freemail || (!ownsSender(c.brand) && !TRUSTED.has(senderReg))));
+            if (claim && freemail) {
+                flagEmail('EMAIL_BRAND_FREEMAIL', W.emailBrandFreemail, { name: senderName, brand: claim.brand.name, address });
+            } else if (claim) {
+                flagEmail('EMAIL_BRAND_MISMATCH', W.emailBrandMismatch, { name: senderName, brand: claim.brand.name, domain: senderReg, official: claim.brand.domains[0] });
+            }
+            if (claim && !lookalikeOf) lookalikeOf = claim.brand.domains[0];
+
+            const lookalike = freemail ? null : senderLookalike(senderHost, TRUSTED, R);
+            if (lookalike) {
+                flagEmail('EMAIL_SENDER_LOOKALIKE', W.emailSenderLookalike, { address, domain: lookalike.domain, trusted: lookalike.target });
+                if (!lookalikeOf) lookalikeOf = lookalike.target;
+            }
+
+            const replyTo = (email.replyTo || '').toString().toLowerCase();
+            const replyReg = replyTo.includes('@') ? getRegisteredDomain(replyTo.split('@').pop()).toLowerCase() : '';
+            if (replyReg && replyReg !== senderReg) {
+                flagEmail('EMAIL_REPLY_TO_MISMATCH', W.emailReplyToMismatch, { replyTo, sender: address });
+            }
+
+            // the text of a link presents one domain while it leads to another; only the first one is reported
+            const emailLinks = Array.isArray(email.links) ? email.links.slice(0, 60) : [];
+            for (const link of emailLinks) {
+                const shown = shownDomain(link && link.text);
+                const actualHost = shown ? safeGetHostname(AdvirsUnwrap.unwrapUrl((link.href || '').toString()).url) : '';
+                if (!shown || !actualHost) continue;
+                const shownReg = getRegisteredDomain(shown).toLowerCase();
+                const actualReg = getRegisteredDomain(actualHost).toLowerCase();
+                if (shownReg === actualReg) continue;
+                // fb.com shown, facebook.com linked
+                if (AdvirsBrands.BRANDS.some(b => AdvirsBrands.isOfficialDomain(b, shownReg) && AdvirsBrands.isOfficialDomain(b, actualReg))) continue;
+                flagEmail('EMAIL_LINK_TEXT_MISMATCH', W.emailLinkTextMismatch, { shown, host: actualHost });
+                break;
+            }
+        }
+
+        // ---------- Links ----------
+        if (links && links.length) {
+            let linkRiskSum = 0;
+            let blockedLink = false;
+            let dangerousScheme = false;
+            const maxLinkContribution = trustedExact ? W.linkMaxContributionTrusted : W.linkMaxContribution;
+            for (const L of links.slice(0, 40)) {
+                const linkScore = linkIsSuspicious(L, pageHostname, reasons, TRUSTED, blocklistHits, R);
+                // a risky link decoded from a QR image is called out: nothing on the page shows it as text
+                if (linkScore > 0 && qrLinks.has(L)) reasons.push(reason('LINK_FROM_QR', { link: L }));
+                if (linkScore >= 1) blockedLink = true;
+                // one smuggling or obfuscated script link is enough, however many ordinary links dilute the average
+                if (linkScore >= T.suspiciousScore && AdvirsSchemes.inspectUrl(L)) dangerousScheme = true;
+                linkRiskSum += linkScore;
+            }
+            const linkContribution = Math.min(maxLinkContribution, linkRiskSum / Math.max(1, links.length));
+            ledger.apply('links', 'LINK_RISK', 'add', linkContribution, blockedLink || dangerousScheme || linkContribution >= T.linkSuspicious);
+        }
+
+        // ---------- Text heuristics ----------
+        // bundled Arabic/English/French lure phrases plus the pack's redFlags, then the naive Bayes classifier (text.js)
+        if (textSample) {
+            const text = AdvirsText.analyze(textSample, { extraPhrases: R.redFlags });
+            for (const { phrase } of text.phrases) {
+                reasons.push(reason('TEXT_RED_FLAG', { phrase }));
+                ledger.apply('text', 'TEXT_RED_FLAG', 'add', trustedExact ? W.textRedFlagTrusted : W.textRedFlag, true);
+            }
+            if (AdvirsText.isLure(text, T.textLure)) {
+                reasons.push(reason('TEXT_LURE', { percent: Math.round(text.probability * 100), words: text.top.map(t => `"${t.text}"`).join(', ') }));
+                ledger.apply('text', 'TEXT_LURE', 'add', W.textLure * text.probability);
+            }
+        }
+
+        // ---------- Misc hostname checks ----------
+        if (idn && !idn.target && !trustedExact) {
+            if (idn.lookalikes.length && (idn.mixedScript || idn.wholeScriptConfusable)) {
+                reasons.push(reason('IDN_MIXED_SCRIPT', { host: idn.unicodeHost, scripts: idn.scripts.join(' + '), lookalikes: describeLookalikes(idn.lookalikes) }));
+                ledger.apply('hostname', 'IDN_MIXED_SCRIPT', 'add', W.idnMixedScript, true);
+            } else {
+                reasons.push(reason('IDN_DOMAIN', { host: idn.unicodeHost, scripts: idn.scripts.join('/') || 'Latin' }));
+                ledger.apply('hostname', 'IDN_DOMAIN', 'add', W.idnDomain);
+            }
+        }
+        if (AdvirsUnwrap.isShortener(pageHostname)) {
+            reasons.push(reason('PAGE_SHORTENER', { host: pageHostname }));
+            ledger.apply('hostname', 'PAGE_SHORTENER', 'add', W.pageShortener);
+        }
+        if (isIpAddress(pageHostname)) {
+            reasons.push(reason('PAGE_IP_ADDRESS'));
+            ledger.apply('hostname', 'PAGE_IP_ADDRESS', 'add', W.pageIpAddress, true);
+        }
+        let pageUrl = null;
+        try { pageUrl = new URL(url); } catch (e) { /* no usable page URL */ }
+        for (const f of pageUrl ? urlStructure(url, pageUrl, TRUSTED) : []) {
+            reasons.push(reason(`PAGE_${f.code}`, f.params));
+            ledger.apply('hostname', `PAGE_${f.code}`, 'add', W[f.weight], f.forcesVerdict && !trustedExact);
+        }
+
+        // ---------- Canonical/OG mismatch ----------
+        if (data.ogUrl || data.canonical) {
+            try {
+                const canonical = data.ogUrl || data.canonical;
+                const canonicalHost = safeGetHostname(canonical);
+                if (canonicalHost && pageHostname) {
+                    const norm = normalizedDistance(canonicalHost.replace(/^www\./, ''), pageHostname.replace(/^www\./, ''));
+                    if (norm > T.canonicalDistance) {
+                        reasons.push(reason('CANONICAL_MISMATCH', { distance: round2(norm) }));
+                        ledger.apply('canonical', 'CANONICAL_MISMATCH', 'add', trustedExact ? W.canonicalMismatchTrusted : W.canonicalMismatch, true);
+                    } else {
+                        if (!trustedExact) reasons.push(reason('CANONICAL_MATCH'));
+                    }
+                }
+            } catch (e) { /* ignore */ }
+        }
+
+        // ---------- Final trustedExact handling ----------
+        if (trustedExact && !ledger.suspicious) {
+            for (let i = reasons.length - 1; i >= 0; i--) {
+                if (WEAK_REASON_CODES.has(reasons[i].code)) reasons.splice(i, 1);
+            }
+            ledger.apply('adjustment', 'TRUSTED_MAX_SCORE', 'cap', T.trustedMaxScore);
+        }
+
+        if (ledger.score > 1) ledger.apply('adjustment', 'SCORE_UPPER_BOUND', 'cap', 1);
+        const score = Math.max(0, ledger.score);
+        // signals marked forcesVerdict make the page suspicious whatever the score
+        const suspicious = ledger.suspicious || score >= T.suspiciousScore;
+
+        const details = {
+            username,
+            displayName,
+            isVerified: !!data.isVerified,
+            isBrand: !!data.isBrand,
+            impersonates,
+            lookalikeOf,
+            brandClaims,
+            pageHostname,
+            url,
+            linksCount: links.length,
+            formsCount: forms.length,
+            suspiciousThreshold: T.suspiciousScore,
+            rulePack: { name: R.name, version: R.version }
+        };
+
+        return { suspicious, score, reasons, signals: ledger.signals, details };
+    }
+
+    // Verdict for one javascript:/data:/blob: link sent by content.js; the page checks do not apply to it
+    function analyzeSchemeLink(url, pageUrl = '', rules = null) {
+        const R = rules || state.rules;
+        const T = R.thresholds;
+        const reasons = [];
+        const ledger = createScoreLedger();
+        const risk = linkIsSuspicious(url, safeGetHostname(pageUrl), reasons, null, null, R);
+        ledger.apply('links', 'LINK_RISK', 'base', risk, risk >= T.suspiciousScore);
+        return {
+            suspicious: ledger.suspicious,
+            score: ledger.score,
+            reasons,
+            signals: ledger.signals,
+            details: { url: AdvirsSchemes.truncateUrl(url, 200), suspiciousThreshold: T.suspiciousScore, rulePack: { name: R.name, version: R.version } }
+        };
+    }
+
+    function fileNameFromUrl(url) {
+        if (!/^https?:/i.test(url || '')) return '';
+        try { return decodeURIComponent(new URL(url).pathname.split('/').pop() || ''); } catch (e) { return ''; }
+    }
+
+    // ---------- Download analysis (pure) ----------
+    // item: { url, finalUrl, mime, filename, referrer } as in chrome.downloads; pageResult: the verdict of the
+    // page it was started from, if any. details.action is 'cancel', 'warn' or 'allow'.
+    function analyzeDownloadCore(item = {}, pageResult = null, blocklistHits = null, rules = null) {
+        const R = rules || state.rules;
+        const W = R.weights;
+        const T = R.thresholds;
+        const url = item.finalUrl || item.url || '';
+        const file = AdvirsSchemes.fileExtensions(item.filename || fileNameFromUrl(url));
+        const special = AdvirsSchemes.inspectUrl(url);
+        const riskyExtension = R.riskyExtensions.includes(file.ext);
+
+        const reasons = [];
+        const ledger = createScoreLedger();
+
+        const listed = blocklistHits && (blocklistHits.get(url) || blocklistHits.get(item.url));
+        if (listed) {
+            reasons.push(reason('DOWNLOAD_BLOCKLISTED', { source: listed.sourceName, entry: listed.entry }));
+            ledger.apply('download', 'DOWNLOAD_BLOCKLISTED', 'max', W.blocklist, true);
+        }
+
+        if (file.rtlOverride) {
+            reasons.push(reason('DOWNLOAD_RTL_OVERRIDE', { name: file.name }));
+            ledger.apply('download', 'DOWNLOAD_RTL_OVERRIDE', 'max', W.downloadDoubleExtension, true);
+        } else if (riskyExtension && file.decoy) {
+            reasons.push(reason('DOWNLOAD_DOUBLE_EXTENSION', { name: file.name, decoy: file.decoy, ext: file.ext }));
+            ledger.apply('download', 'DOWNLOAD_DOUBLE_EXTENSION', 'max', W.downloadDoubleExtension, true);
+        } else if (riskyExtension) {
+            reasons.push(reason('DOWNLOAD_RISKY_EXTENSION', { ext: file.ext }));
+            ledger.apply('download', 'DOWNLOAD_RISKY_EXTENSION', 'add', W.downloadRiskyExtension);
+        }
+
+        // HTML smuggling: the file was assembled inside the page instead of fetched from a server
+        if (special && (special.scheme === 'data' || special.scheme === 'blob')) {
+            let kind = AdvirsSchemes.mimeKind(item.mime);
+            if (!kind && (special.kind === 'html' || special.kind === 'executable')) kind = special.kind;
+            if (!kind && riskyExtension) kind = 'executable';
+            if (!kind && /^(x?html?|svg|hta)$/.test(file.ext)) kind = 'html';
+            if (kind) {
+                reasons.push(reason('DOWNLOAD_SMUGGLED', { scheme: special.scheme, kind }));
+                ledger.apply('download', 'DOWNLOAD_SMUGGLED', 'add', W.downloadSmuggled);
+            }
+        }
+
+        if (pageResult && pageResult.suspicious) {
+            reasons.push(reason('DOWNLOAD_FROM_SUSPICIOUS_PAGE', { page: safeGetHostname(item.referrer || ''), score: round2(pageResult.score || 0) }));
+            ledger.apply('download', 'DOWNLOAD_FROM_SUSPICIOUS_PAGE', 'add', W.downloadSuspiciousPage);
+        }
+
+        if (ledger.score > 1) ledger.apply('adjustment', 'SCORE_UPPER_BOUND', 'cap', 1);
+        const score = Math.max(0, ledger.score);
+        const suspicious = ledger.suspicious || score >= T.suspiciousScore;
+        const action = score >= T.interstitialScore ? 'cancel' : suspicious ? 'warn' : 'allow';
+
+        const details = {
+            url: AdvirsSchemes.truncateUrl(url, 200),
+            filename: file.name,
+            mime: item.mime || '',
+            referrer: item.referrer || '',
+            action,
+            suspiciousThreshold: T.suspiciousScore,
+            rulePack: { name: R.name, version: R.version }
+        };
+
+        return { suspicious, score, reasons, signals: ledger.signals, details };
+    }
+
+    root.AdvirsEngine = {
+        DEFAULT_TRUSTED, configure,
+        safeGetHostname, getRegisteredDomain, isIpAddress, levenshtein, normalizedDistance, reason, createScoreLedger,
+        collectAnalysisUrls, analyzeProfileCore, analyzeSchemeLink, analyzeDownloadCore
+    };
+})(self);
+
+if (typeof module === 'object' && module.exports) module.exports = self.AdvirsEngine;
@@ -0,0 +1,149 @@
+// fingerprint.js - login page fingerprints (Advirs)
+// Perceptual hashes of favicon/logo images (dHash) and a structural hash of a login form's
+// DOM/class layout (SimHash). Both are 64-bit values stored as 16 hex characters and compared by
+// Hamming distance, so a cloned page still matches after small edits.
+// Used by content.js (computing), background.js (capturing the brands' own login pages) and engine.js
+// (matching against them).
+
+(function (root) {
+    const HASH_BITS = 64;
+    const POPCOUNT = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+    // Difference hash: scale to 9x8 grayscale, one bit per "left pixel brighter than right neighbour"
+    function dHash(rgba, width = 9, height = 8) {
+        let bits = '';
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width - 1; x++) {
+                const i = (y * width + x) * 4;
+                const left = rgba[i] * 0.299 + rgba[i + 1] * 0.587 + rgba[i + 2] * 0.114;
+                const right = rgba[i + 4] * 0.299 + rgba[i + 5] * 0.587 + rgba[i + 6] * 0.114;
+                bits += left > right ? '1' : '0';
+            }
+        }
+        return bitsToHex(bits);
+    }
+
+    function bitsToHex(bits) {
+        let hex = '';
+        for (let i = 0; i < bits.length; i += 4) hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+        return hex;
+    }
+
+    // Fetches and hashes an image; transparent areas are flattened onto white like a browser tab strip.
+    // Needs fetch + createImageBitmap + OffscreenCanvas (content scripts and the service worker have them).
+    async function hashImageUrl(url) {
+        const resp = await fetch(url, { credentials: 'omit' });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const bitmap = await createImageBitmap(await resp.blob());
+        const canvas = new OffscreenCanvas(9, 8);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, 9, 8);
+        ctx.drawImage(bitmap, 0, 0, 9, 8);
+        if (bitmap.close) bitmap.close();
+        return dHash(ctx.getImageData(0, 0, 9, 8).data);
+    }
+
+    // Attributes of one start tag ("<img src=a.png alt='Logo'>"), names lowercased, entities &amp; &quot; decoded
+    function tagAttributes(tag) {
+        const attrs = {};
+        const rx = /([^\s=<>\/"']+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+        let m;
+        while ((m = rx.exec(tag))) {
+            const value = m[2] !== undefined ? m[2] : (m[3] !== undefined ? m[3] : m[4]);
+            attrs[m[1].toLowerCase()] = value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+        }
+        return attrs;
+    }
+
+    // Favicon and logo image URLs of a page's HTML, picked like content.js picks them in the live page:
+    // the first <link rel~="icon"> (else /favicon.ico) and up to two images whose src/alt/class/id say "logo"
+    function findPageImages(html, pageUrl) {
+        const resolve = (href) => { try { return new URL(href, pageUrl).href; } catch (e) { return null; } };
+        const text = (html || '').toString();
+        let favicon = null;
+        for (const tag of text.match(/<link\b[^>]*>/gi) || []) {
+            const attrs = tagAttributes(tag);
+            if (attrs.href && (attrs.rel || '').toLowerCase().split(/\s+/).includes('icon')) { favicon = resolve(attrs.href); break; }
+        }
+        const logos = [];
+        for (const tag of text.match(/<img\b[^>]*>/gi) || []) {
+            const attrs = tagAttributes(tag);
+            if (!attrs.src || !/logo/i.test(`${attrs.src} ${attrs.alt || ''} ${attrs.class || ''} ${attrs.id || ''}`)) continue;
+            const src = resolve(attrs.src);
+            if (src && !logos.includes(src)) logos.push(src);
+            if (logos.length >= 2) break;
+        }
+        return { favicon: favicon || resolve('/favicon.ico'), logos };
+    }
+
+    // 32-bit FNV-1a
+    function fnv1a(str, seed = 0x811c9dc5) {
+        let h = seed;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return h >>> 0;
+    }
+
+    // SimHash over string tokens: similar token multisets give hashes a few bits apart
+    function simHash(tokens) {
+        const counts = new Array(HASH_BITS).fill(0);
+        for (const token of tokens) {
+            const parts = [fnv1a(token), fnv1a(token, 0x01000193)];
+            for (let bit = 0; bit < HASH_BITS; bit++) {
+                const word = parts[bit >> 5];
+                counts[bit] += (word >>> (bit & 31)) & 1 ? 1 : -1;
+            }
+        }
+        return bitsToHex(counts.map(c => (c > 0 ? '1' : '0')).join(''));
+    }
+
+    // Class names with build hashes or counters ("_9ay7", "btn-2") reduced to their stable part
+    function normalizeClass(cls) {
+        const c = cls.toLowerCase().replace(/\d+/g, '#');
+        return c.length > 40 || /^[_#-]*$/.test(c) ? '' : c;
+    }
+
+    // Structural tokens of a form: each element as tag[type].classes, plus parent>child pairs.
+    // Text and attribute values are ignored so translations and prefilled data do not matter.
+    function formTokens(form, maxTokens = 400) {
+        const tokens = [];
+        const walk = (el, depth, parent) => {
+            for (const child of el.children) {
+                if (tokens.length >= maxTokens || depth > 8) return;
+                const tag = child.tagName.toLowerCase();
+                if (tag === 'script' || tag === 'style' || tag === 'noscript') continue;
+                const type = tag === 'input' || tag === 'button' ? `[${(child.getAttribute('type') || '').toLowerCase()}]` : '';
+                const classes = Array.from(child.classList).map(normalizeClass).filter(Boolean).sort();
+                const node = tag + type + (classes.length ? '.' + classes.join('.') : '');
+                tokens.push(node, `${parent}>${node}`);
+                walk(child, depth + 1, node);
+            }
+        };
+        walk(form, 0, 'form');
+        return tokens;
+    }
+
+    function hashForm(form) {
+        const tokens = formTokens(form);
+        return tokens.length ? simHash(tokens) : null;
+    }
+
+    function distance(a, b) {
+        if (!a || !b || a.length !== b.length) return HASH_BITS;
+        let d = 0;
+        for (let i = 0; i < a.length; i++) d += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+        return d;
+    }
+
+    // Blank or single-colour images hash to (almost) all zeros and would match each other
+    function isInformative(hash) {
+        if (!hash || hash.length !== HASH_BITS / 4) return false;
+        const ones = distance(hash, '0'.repeat(HASH_BITS / 4));
+        return ones >= 6 && ones <= HASH_BITS - 6;
+    }
+
+    root.AdvirsFingerprint = { HASH_BITS, dHash, hashImageUrl, findPageImages, simHash, formTokens, hashForm, distance, isInformative };
+})(self);
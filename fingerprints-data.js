@@ -0,0 +1,14 @@
+// fingerprints-data.js - bundled login page fingerprints (Advirs)
+// Keyed by brand id from brands-data.js; each kind holds 64-bit hashes from fingerprint.js:
+//   favicon  dHash of the page's favicon
+//   logo     dHash of logo images on the login page
+//   form     SimHash of the login form's DOM/class structure
+// background.js captures the favicon and logos of each brand's own sign-in page (loginUrls in
+// brands-data.js) when the extension is installed or updated, and the form layout whenever the user
+// opens one of those pages (chrome.storage.local.loginFingerprints, same format). To ship captures
+// with the extension, copy them here. Entries must come from the brands' own sign-in pages, never
+// from reports of clones.
+
+self.ADVIRS_LOGIN_FINGERPRINTS = {
+    // facebook: { favicon: ['...'], logo: ['...'], form: ['...'] }
+};
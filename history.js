@@ -0,0 +1,194 @@
+// history.js - scan history dashboard (Advirs)
+// Reads the history:<host> lists written by background.js from chrome.storage.local
+
+const HISTORY_PREFIX = "history:";
+
+document.addEventListener("DOMContentLoaded", async () => {
+    await AdvirsI18n.init();
+    AdvirsI18n.localizePage();
+    const t = AdvirsI18n.t;
+
+    const rowsEl = document.getElementById("rows");
+    const summaryEl = document.getElementById("summary");
+    const searchEl = document.getElementById("search");
+    const verdictEl = document.getElementById("verdictFilter");
+    const fromEl = document.getElementById("fromDate");
+    const toEl = document.getElementById("toDate");
+
+    let entries = []; // flattened: { origin, index, url, timestamp, score, verdict, reasons, reasonText, result }
+    let sort = { key: "timestamp", dir: -1 };
+
+    function load() {
+        chrome.storage.local.get(null, (all) => {
+            entries = [];
+            Object.entries(all || {}).forEach(([key, list]) => {
+                if (!key.startsWith(HISTORY_PREFIX) || !Array.isArray(list)) return;
+                const origin = key.slice(HISTORY_PREFIX.length);
+                list.forEach((e, index) => {
+                    const result = (e && e.result) || {};
+                    entries.push({
+                        origin,
+                        index,
+                        url: e.url || "",
+                        timestamp: e.timestamp || 0,
+                        score: typeof result.score === "number" ? result.score : 0,
+                        verdict: result.suspicious ? "suspicious" : "safe",
+                        reasons: result.reasons || [],
+                        reasonText: AdvirsI18n.formatReasons(result.reasons || []),
+                        result
+                    });
+                });
+            });
+            render();
+        });
+    }
+
+    function dayStart(value) {
+        return value ? new Date(value + "T00:00:00").getTime() : null;
+    }
+
+    function filtered() {
+        const q = (searchEl.value || "").trim().toLowerCase();
+        const verdict = verdictEl.value;
+        const from = dayStart(fromEl.value);
+        const to = dayStart(toEl.value);
+
+        return entries.filter(e => {
+            if (verdict !== "all" && e.verdict !== verdict) return false;
+            if (from !== null && e.timestamp < from) return false;
+            if (to !== null && e.timestamp >= to + 24 * 60 * 60 * 1000) return false;
+            if (!q) return true;
+            return e.origin.includes(q) || e.url.toLowerCase().includes(q) || e.reasonText.some(r => r.toLowerCase().includes(q));
+        }).sort((a, b) => {
+            const av = a[sort.key], bv = b[sort.key];
+            if (av === bv) return b.timestamp - a.timestamp;
+            return (av > bv ? 1 : -1) * sort.dir;
+        });
+    }
+
+    function render() {
+        const list = filtered();
+        rowsEl.innerHTML = "";
+        summaryEl.textContent = t("history_summary", {
+            shown: list.length,
+            total: entries.length,
+            origins: new Set(entries.map(e => e.origin)).size
+        });
+
+        list.forEach(e => {
+            const tr = document.createElement("tr");
+
+            const time = document.createElement("td");
+            time.textContent = new Date(e.timestamp).toLocaleString();
+
+            const origin = document.createElement("td");
+            origin.className = "url";
+            origin.textContent = e.origin;
+            if (e.url && e.url !== e.origin) origin.title = e.url;
+
+            const score = document.createElement("td");
+            score.textContent = `${Math.round(e.score * 100)}%`;
+
+            const verdict = document.createElement("td");
+            verdict.className = `verdict-${e.verdict}`;
+            verdict.textContent = t(e.verdict === "suspicious" ? "history_suspicious" : "history_safe");
+
+            const reasons = document.createElement("td");
+            const ul = document.createElement("ul");
+            e.reasonText.forEach(r => {
+                const li = document.createElement("li");
+                li.textContent = r;
+                ul.appendChild(li);
+            });
+            reasons.appendChild(ul);
+            const table = AdvirsBreakdown.render(e.result);
+            if (table) {
+                const details = document.createElement("details");
+                const summary = document.createElement("summary");
+                summary.textContent = t("signal_breakdown");
+                details.append(summary, table);
+                reasons.appendChild(details);
+            }
+
+            const actions = document.createElement("td");
+            const del = document.createElement("button");
+            del.className = "danger";
+            del.textContent = t("history_delete");
+            del.addEventListener("click", () => deleteEntry(e));
+            actions.appendChild(del);
+
+            tr.append(time, origin, score, verdict, reasons, actions);
+            rowsEl.appendChild(tr);
+        });
+    }
+
+    function deleteEntry(entry) {
+        const key = HISTORY_PREFIX + entry.origin;
+        chrome.storage.local.get(key, (res) => {
+            const list = Array.isArray(res[key]) ? res[key] : [];
+            const idx = list.findIndex(e => e && e.timestamp === entry.timestamp && (e.url || "") === entry.url);
+            if (idx >= 0) list.splice(idx, 1);
+            const done = () => load();
+            if (list.length) chrome.storage.local.set({ [key]: list }, done);
+            else chrome.storage.local.remove(key, done);
+        });
+    }
+
+    function download(filename, mime, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: mime }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function csvCell(v) {
+        let s = (v === undefined || v === null) ? "" : String(v);
+        // URLs and reasons come from visited pages: a leading = + - @ would be evaluated as a spreadsheet formula
+        if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }
+
+    function exportName(ext) {
+        return `advirs-history-${new Date().toISOString().slice(0, 10)}.${ext}`;
+    }
+
+    document.getElementById("exportCsv").addEventListener("click", () => {
+        const header = ["timestamp", "origin", "url", "score", "verdict", "reasons"];
+        const lines = [header.join(",")].concat(filtered().map(e => [
+            new Date(e.timestamp).toISOString(), e.origin, e.url, e.score.toFixed(2), e.verdict, e.reasonText.join(" | ")
+        ].map(csvCell).join(",")));
+        download(exportName("csv"), "text/csv", lines.join("\n"));
+    });
+
+    document.getElementById("exportJson").addEventListener("click", () => {
+        const data = filtered().map(e => ({
+            timestamp: new Date(e.timestamp).toISOString(), origin: e.origin, url: e.url, score: e.score, verdict: e.verdict,
+            reasons: e.reasonText, reasonCodes: e.reasons.map(r => (typeof r === "string" ? null : r))
+        }));
+        download(exportName("json"), "application/json", JSON.stringify(data, null, 2));
+    });
+
+    document.getElementById("purgeAll").addEventListener("click", () => {
+        if (!confirm(t("history_confirm_purge"))) return;
+        const keys = Array.from(new Set(entries.map(e => HISTORY_PREFIX + e.origin)));
+        chrome.storage.local.remove(keys, load);
+    });
+
+    document.querySelectorAll("th[data-sort]").forEach(th => {
+        th.addEventListener("click", () => {
+            const key = th.dataset.sort;
+            sort = { key, dir: sort.key === key ? -sort.dir : (key === "origin" ? 1 : -1) };
+            render();
+        });
+    });
+
+    [searchEl, verdictEl, fromEl, toEl].forEach(el => el.addEventListener("input", render));
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && Object.keys(changes).some(k => k.startsWith(HISTORY_PREFIX))) load();
+    });
+
+    load();
+});
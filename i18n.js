@@ -0,0 +1,122 @@
+// i18n.js - Arabic/English localization (Advirs)
+// Loads _locales/<lang>/messages.json for the language chosen in options ("auto" follows the browser),
+// renders reason codes from analyzeProfileCore and localizes pages marked with data-i18n attributes.
+// chrome.i18n alone cannot switch language at runtime, so the catalogs are loaded directly;
+// content scripts cannot fetch extension files and get the catalog from the background instead.
+
+(function (root) {
+    const SUPPORTED = ['en', 'ar'];
+    const RTL_LANGUAGES = new Set(['ar']);
+    const FALLBACK = 'en';
+
+    let language = FALLBACK;
+    let messages = {};
+    let initPromise = null;
+
+    function resolveLanguage(preference) {
+        if (SUPPORTED.includes(preference)) return preference;
+        const ui = ((chrome.i18n && chrome.i18n.getUILanguage && chrome.i18n.getUILanguage()) || '').toLowerCase();
+        const base = ui.split(/[-_]/)[0];
+        return SUPPORTED.includes(base) ? base : FALLBACK;
+    }
+
+    function getPreference() {
+        return new Promise((resolve) => {
+            chrome.storage.sync.get({ language: 'auto' }, (res) => resolve(res.language || 'auto'));
+        });
+    }
+
+    async function loadCatalog(lang) {
+        const resp = await fetch(chrome.runtime.getURL(`_locales/${lang}/messages.json`));
+        return resp.json();
+    }
+
+    function isExtensionContext() {
+        return typeof location !== 'undefined' && location.protocol === 'chrome-extension:';
+    }
+
+    // Resolves the language and loads its catalog; safe to call repeatedly (pass force after a settings change)
+    function init(force = false) {
+        if (initPromise && !force) return initPromise;
+        initPromise = (async () => {
+            try {
+                if (isExtensionContext()) {
+                    language = resolveLanguage(await getPreference());
+                    messages = await loadCatalog(language);
+                } else {
+                    const resp = await new Promise((resolve) => chrome.runtime.sendMessage({ type: 'get_i18n' }, resolve));
+                    if (resp && resp.ok) {
+                        language = resp.language;
+                        messages = resp.messages || {};
+                    }
+                }
+            } catch (e) {
+                console.warn('Advirs i18n init failed', e);
+            }
+            return language;
+        })();
+        return initPromise;
+    }
+
+    // t('popup_safe', { score: 12 }) => "✅ This page looks safe (12%)"
+    function t(key, params = {}) {
+        const entry = messages[key];
+        if (!entry) {
+            const builtin = typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getMessage ? chrome.i18n.getMessage(key) : '';
+            return builtin || key;
+        }
+        // placeholder names are case-insensitive in messages.json, so match params the same way
+        const lookup = {};
+        Object.keys(params || {}).forEach(k => { lookup[k.toLowerCase()] = params[k]; });
+        return entry.message.replace(/\$([a-z0-9_]+)\$/gi, (m, name) => {
+            const value = lookup[name.toLowerCase()];
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+
+    function has(key) {
+        return !!messages[key];
+    }
+
+    // Reasons are { code, params }; plain strings (history recorded before reason codes) pass through
+    function formatReason(reason) {
+        if (!reason) return '';
+        if (typeof reason === 'string') return reason;
+        const key = `reason_${reason.code}`;
+        return has(key) ? t(key, reason.params || {}) : reason.code;
+    }
+
+    function formatReasons(reasons) {
+        return (reasons || []).map(formatReason);
+    }
+
+    function isRtl() {
+        return RTL_LANGUAGES.has(language);
+    }
+
+    function getLanguage() {
+        return language;
+    }
+
+    // Fills [data-i18n] text, [data-i18n-placeholder] and [data-i18n-title], and sets lang/dir on <html>
+    function localizePage(doc = document) {
+        doc.documentElement.lang = language;
+        doc.documentElement.dir = isRtl() ? 'rtl' : 'ltr';
+        doc.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        doc.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+        doc.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    }
+
+    function getCatalog() {
+        return messages;
+    }
+
+    // Outside the extension (the advirs-scan CLI) the caller reads the catalog itself
+    function useCatalog(lang, catalog) {
+        language = lang;
+        messages = catalog || {};
+        initPromise = Promise.resolve(language);
+    }
+
+    root.AdvirsI18n = { SUPPORTED, init, t, has, formatReason, formatReasons, isRtl, getLanguage, getCatalog, useCatalog, localizePage, loadCatalog, resolveLanguage };
+})(self);
@@ -0,0 +1,117 @@
+// idn.js - IDN decoding and confusable skeletons (Advirs)
+// Decodes punycode (RFC 3492) hostnames to Unicode and collapses look-alike characters to Latin
+// using the table in confusables-data.js, so "xn--fcebook-2fg.com" can be compared as "facebook.com".
+
+(function (root) {
+    const CONFUSABLES = root.ADVIRS_CONFUSABLES || {};
+
+    // ---------- Punycode (RFC 3492) ----------
+    const BASE = 36, TMIN = 1, TMAX = 26, SKEW = 38, DAMP = 700, INITIAL_BIAS = 72, INITIAL_N = 128;
+
+    function adapt(delta, numPoints, firstTime) {
+        delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+        let k = 0;
+        while (delta > ((BASE - TMIN) * TMAX) >> 1) {
+            delta = Math.floor(delta / (BASE - TMIN));
+            k += BASE;
+        }
+        return k + Math.floor(((BASE - TMIN + 1) * delta) / (delta + SKEW));
+    }
+
+    function basicToDigit(code) {
+        if (code >= 48 && code <= 57) return code - 22; // 0-9 => 26-35
+        if (code >= 65 && code <= 90) return code - 65; // A-Z
+        if (code >= 97 && code <= 122) return code - 97; // a-z
+        return BASE;
+    }
+
+    function decodePunycodeLabel(input) {
+        const output = [];
+        const basicEnd = Math.max(0, input.lastIndexOf('-'));
+        for (let j = 0; j < basicEnd; j++) output.push(input.charCodeAt(j));
+
+        let n = INITIAL_N, bias = INITIAL_BIAS, i = 0;
+        for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+            const oldi = i;
+            for (let w = 1, k = BASE; ; k += BASE) {
+                if (index >= input.length) throw new Error('Invalid punycode input');
+                const digit = basicToDigit(input.charCodeAt(index++));
+                if (digit >= BASE) throw new Error('Invalid punycode digit');
+                i += digit * w;
+                const t = k <= bias ? TMIN : (k >= bias + TMAX ? TMAX : k - bias);
+                if (digit < t) break;
+                w *= BASE - t;
+            }
+            const outLength = output.length + 1;
+            bias = adapt(i - oldi, outLength, oldi === 0);
+            n += Math.floor(i / outLength);
+            i %= outLength;
+            output.splice(i++, 0, n);
+        }
+        return String.fromCodePoint(...output);
+    }
+
+    // "xn--fcebook-2fg.com" => "fаcebook.com"; undecodable labels are kept as-is
+    function toUnicode(hostname) {
+        return (hostname || '').toString().toLowerCase().split('.').map(label => {
+            if (!label.startsWith('xn--')) return label;
+            try { return decodePunycodeLabel(label.slice(4)); } catch (e) { return label; }
+        }).join('.');
+    }
+
+    // ---------- Scripts ----------
+    const SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Arabic', 'Hebrew', 'Georgian', 'Cherokee',
+        'Devanagari', 'Thai', 'Han', 'Hiragana', 'Katakana', 'Hangul'];
+    const SCRIPT_PATTERNS = SCRIPTS.map(name => [name, new RegExp(`^\\p{Script=${name}}$`, 'u')]);
+
+    function getScript(ch) {
+        if (/^[0-9.\-_]$/.test(ch)) return 'Common';
+        for (const [name, rx] of SCRIPT_PATTERNS) if (rx.test(ch)) return name;
+        return /^\p{Script=Common}$/u.test(ch) ? 'Common' : 'Other';
+    }
+
+    function getScripts(text) {
+        const set = new Set();
+        for (const ch of text || '') {
+            const script = getScript(ch);
+            if (script !== 'Common') set.add(script);
+        }
+        return Array.from(set);
+    }
+
+    // ---------- Skeleton ----------
+    function mapChar(ch) {
+        const mapped = CONFUSABLES[ch.codePointAt(0)];
+        return mapped === undefined ? ch : mapped;
+    }
+
+    // Collapses look-alike characters to their Latin skeleton (UTS #39 style, lowercased)
+    function toSkeleton(text) {
+        const folded = (text || '').toString().normalize('NFKC').toLowerCase();
+        let out = '';
+        for (const ch of folded) out += mapChar(ch);
+        return out;
+    }
+
+    // Lists the non-ASCII characters of a string that render like Latin letters or digits
+    function findLookalikes(text) {
+        const seen = new Set();
+        const found = [];
+        for (const ch of (text || '').toString().normalize('NFKC').toLowerCase()) {
+            if (ch.codePointAt(0) < 128 || seen.has(ch)) continue;
+            const latin = CONFUSABLES[ch.codePointAt(0)];
+            if (latin === undefined) continue;
+            seen.add(ch);
+            found.push({
+                char: ch,
+                codePoint: 'U+' + ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'),
+                latin,
+                script: getScript(ch)
+            });
+        }
+        return found;
+    }
+
+    root.AdvirsIdn = { toUnicode, toSkeleton, findLookalikes, getScripts, decodePunycodeLabel };
+})(self);
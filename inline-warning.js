@@ -0,0 +1,200 @@
+// inline-warning.js - in-page warning badge, link confirm dialog and password reuse warning (Advirs)
+// UI only: content.js and password-guard.js decide what is flagged and what happens on each choice.
+
+(function (root) {
+    const BADGE_ATTR = "data-advirs-badge";
+
+    function reasonsTooltip(reasons) {
+        const list = AdvirsI18n.formatReasons((reasons || []).slice(0, 8)).map(r => `• ${r}`).join("\n");
+        return `${AdvirsI18n.t("inline_badge_label")}\n${list}`;
+    }
+
+    // Inserts a small warning badge right after the anchor; returns false if already badged
+    function addBadge(anchor, result) {
+        if (!anchor || anchor.hasAttribute(BADGE_ATTR)) return false;
+        anchor.setAttribute(BADGE_ATTR, "1");
+
+        const badge = document.createElement("span");
+        badge.className = "advirs-inline-badge";
+        badge.textContent = "⚠";
+        badge.title = reasonsTooltip(result && result.reasons);
+        badge.setAttribute("role", "img");
+        badge.setAttribute("aria-label", AdvirsI18n.t("inline_badge_label"));
+        Object.assign(badge.style, {
+            display: "inline-block",
+            marginInlineStart: "4px",
+            padding: "0 5px",
+            borderRadius: "8px",
+            background: "#d93025",
+            color: "#fff",
+            font: "bold 11px/16px Arial, sans-serif",
+            cursor: "help",
+            verticalAlign: "middle"
+        });
+        anchor.insertAdjacentElement("afterend", badge);
+        return true;
+    }
+
+    function removeBadges() {
+        document.querySelectorAll(".advirs-inline-badge").forEach(b => b.remove());
+        document.querySelectorAll(`[${BADGE_ATTR}]`).forEach(a => a.removeAttribute(BADGE_ATTR));
+    }
+
+    const DIALOG_CSS = `
+        .overlay { position: fixed; inset: 0; background: rgba(17, 24, 39, 0.6); display: flex;
+            align-items: center; justify-content: center; z-index: 2147483647; }
+        .overlay.full { background: #7f1d1d; }
+        .dialog { background: #1f2937; color: #f9fafb; max-width: 480px; width: 90%; border-radius: 12px;
+            padding: 18px; font-family: "Segoe UI", Arial, sans-serif; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.5); }
+        h2 { margin: 0 0 10px 0; font-size: 18px; color: #fca5a5; }
+        .dest { direction: ltr; text-align: left; word-break: break-all; background: #111827; padding: 8px; max-height: 96px; overflow: auto;
+            border-radius: 8px; font-family: monospace; font-size: 13px; margin: 8px 0; }
+        ul { margin: 8px 0; padding-inline-start: 20px; font-size: 13px; color: #d1d5db; max-height: 160px; overflow: auto; }
+        .actions { display: flex; gap: 8px; flex-wrap: wrap; margin-top: 12px; }
+        button { border: none; border-radius: 6px; padding: 8px 12px; cursor: pointer; font-weight: 600; }
+        .back { background: #2563eb; color: #fff; }
+        .proceed { background: #374151; color: #f9fafb; }
+        .trust { background: #14532d; color: #bbf7d0; }
+    `;
+
+    let openDialog = null;
+
+    function closeDialog() {
+        if (openDialog) {
+            const { host, onKey, onClose } = openDialog;
+            openDialog = null;
+            host.remove();
+            document.removeEventListener("keydown", onKey, true);
+            if (onClose) onClose();
+        }
+    }
+
+    // Shadow host + overlay + dialog box; the caller fills the dialog and calls mount()
+    function createDialog(overlayClass) {
+        const host = document.createElement("div");
+        const shadow = host.attachShadow({ mode: "closed" });
+        const style = document.createElement("style");
+        style.textContent = DIALOG_CSS;
+
+        const overlay = document.createElement("div");
+        overlay.className = overlayClass;
+        const dialog = document.createElement("div");
+        dialog.className = "dialog";
+        dialog.setAttribute("dir", AdvirsI18n.isRtl() ? "rtl" : "ltr");
+        dialog.setAttribute("role", "alertdialog");
+        dialog.setAttribute("aria-modal", "true");
+
+        function mount(focus, onClose = null) {
+            const onKey = (e) => { if (e.key === "Escape") { e.stopPropagation(); closeDialog(); } };
+            document.addEventListener("keydown", onKey, true);
+            overlay.appendChild(dialog);
+            shadow.append(style, overlay);
+            (document.body || document.documentElement).appendChild(host);
+            openDialog = { host, onKey, onClose };
+            focus.focus();
+        }
+
+        return { overlay, dialog, mount };
+    }
+
+    function button(className, key) {
+        const b = document.createElement("button");
+        b.className = className;
+        b.textContent = AdvirsI18n.t(key);
+        return b;
+    }
+
+    // Shows a blocking confirm dialog for a flagged link.
+    // handlers: { onProceed(), onTrust() } — cancelling just closes the dialog; without onTrust there is no trust button.
+    // source (optional): { kind, author } of the post/comment/message that carried the link
+    function showLinkDialog({ href, destination, wrappers, result, source }, handlers = {}) {
+        closeDialog();
+        const { overlay, dialog, mount } = createDialog("overlay");
+
+        const h = document.createElement("h2");
+        h.textContent = AdvirsI18n.t("inline_title", { score: Math.round(((result && result.score) || 0) * 100) });
+        const intro = document.createElement("div");
+        intro.textContent = AdvirsI18n.t("inline_destination");
+        const dest = document.createElement("div");
+        dest.className = "dest";
+        dest.textContent = destination || href;
+        dialog.append(h, intro, dest);
+
+        if (wrappers && wrappers.length) {
+            const via = document.createElement("div");
+            via.textContent = AdvirsI18n.t("inline_via", { wrappers: wrappers.join(AdvirsI18n.isRtl() ? " ← " : " → ") });
+            dialog.appendChild(via);
+        }
+
+        if (source) {
+            const from = document.createElement("div");
+            const kind = AdvirsI18n.t(`source_kind_${source.kind}`);
+            from.textContent = source.author
+                ? AdvirsI18n.t("inline_source", { kind, author: source.author })
+                : AdvirsI18n.t("inline_source_in", { kind });
+            dialog.appendChild(from);
+        }
+
+        const list = document.createElement("ul");
+        AdvirsI18n.formatReasons(((result && result.reasons) || []).slice(0, 8)).forEach(r => {
+            const li = document.createElement("li");
+            li.textContent = r;
+            list.appendChild(li);
+        });
+        dialog.appendChild(list);
+
+        const actions = document.createElement("div");
+        actions.className = "actions";
+        const back = button("back", "inline_back");
+        const proceed = button("proceed", "inline_proceed");
+        actions.append(back, proceed);
+        if (handlers.onTrust) {
+            const trust = button("trust", "inline_trust");
+            trust.addEventListener("click", () => { closeDialog(); handlers.onTrust(); });
+            actions.appendChild(trust);
+        }
+        dialog.appendChild(actions);
+
+        back.addEventListener("click", closeDialog);
+        proceed.addEventListener("click", () => { closeDialog(); if (handlers.onProceed) handlers.onProceed(); });
+        overlay.addEventListener("click", (e) => { if (e.target === overlay) closeDialog(); });
+        mount(back);
+    }
+
+    // Covers the whole page after a protected password was typed on it.
+    // handlers: { onLeave(), onIgnore(), onClose() } — onClose runs however the warning is dismissed.
+    function showPasswordWarning({ domain, host }, handlers = {}) {
+        closeDialog();
+        const { dialog, mount } = createDialog("overlay full");
+
+        const h = document.createElement("h2");
+        h.textContent = AdvirsI18n.t("password_warning_title");
+        const text = document.createElement("div");
+        text.textContent = AdvirsI18n.t("password_warning_text", { domain });
+        const dest = document.createElement("div");
+        dest.className = "dest";
+        dest.textContent = host;
+        const advice = document.createElement("ul");
+        ["password_warning_advice_leave", "password_warning_advice_change"].forEach(key => {
+            const li = document.createElement("li");
+            li.textContent = AdvirsI18n.t(key, { domain });
+            advice.appendChild(li);
+        });
+        dialog.append(h, text, dest, advice);
+
+        const actions = document.createElement("div");
+        actions.className = "actions";
+        const leave = button("back", "password_warning_leave");
+        const ignore = button("proceed", "password_warning_ignore");
+        const dismiss = button("proceed", "password_warning_dismiss");
+        actions.append(leave, ignore, dismiss);
+        dialog.appendChild(actions);
+
+        leave.addEventListener("click", () => { closeDialog(); if (handlers.onLeave) handlers.onLeave(); });
+        ignore.addEventListener("click", () => { closeDialog(); if (handlers.onIgnore) handlers.onIgnore(); });
+        dismiss.addEventListener("click", closeDialog);
+        mount(leave, handlers.onClose || null);
+    }
+
+    root.AdvirsInlineWarning = { addBadge, removeBadges, showLinkDialog, showPasswordWarning, closeDialog };
+})(self);
@@ -3,11 +3,19 @@
 
 const DEFAULTS = {
     trustedDomains: ["tiktok.com", "facebook.com", "instagram.com", "twitter.com", "x.com", "linkedin.com", "youtube.com"],
-    enabledSites: {}, // map of origin -> true (opt-in)
-    showInlineBadge: false
+    enabledSites: {}, // map of host pattern -> true (opt-in; empty = scan all sites)
+    disabledSites: {}, // map of host pattern -> true (never scanned, wins over enabledSites)
+    watchedAccounts: [], // [{ handle, name }] social media accounts protected from impersonation
+    showInlineBadge: false,
+    language: "auto" // "auto" follows the browser UI language
 };
 
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+    await AdvirsI18n.init();
+    AdvirsI18n.localizePage();
+    const t = AdvirsI18n.t;
+
+    const languageEl = document.getElementById("language");
     const trustedListEl = document.getElementById("trustedList");
     const trustedInput = document.getElementById("trustedInput");
     const addTrustedBtn = document.getElementById("addTrusted");
@@ -18,11 +26,36 @@ document.addEventListener("DOMContentLoaded", () => {
     const addEnabledBtn = document.getElementById("addEnabled");
     const clearEnabledBtn = document.getElementById("clearEnabled");
 
+    const disabledListEl = document.getElementById("disabledList");
+    const disabledInput = document.getElementById("disabledInput");
+    const addDisabledBtn = document.getElementById("addDisabled");
+    const clearDisabledBtn = document.getElementById("clearDisabled");
+
+    const watchedListEl = document.getElementById("watchedList");
+    const watchedHandleInput = document.getElementById("watchedHandle");
+    const watchedNameInput = document.getElementById("watchedName");
+    const addWatchedBtn = document.getElementById("addWatched");
+    const clearWatchedBtn = document.getElementById("clearWatched");
+
     const showInlineEl = document.getElementById("showInlineBadge");
     const saveBtn = document.getElementById("saveBtn");
     const restoreBtn = document.getElementById("restoreBtn");
     const statusEl = document.getElementById("status");
 
+    const blocklistNameEl = document.getElementById("blocklistName");
+    const blocklistFormatEl = document.getElementById("blocklistFormat");
+    const blocklistFileEl = document.getElementById("blocklistFile");
+    const importBlocklistBtn = document.getElementById("importBlocklist");
+    const blocklistSourcesEl = document.getElementById("blocklistSources");
+
+    const rulePackInfoEl = document.getElementById("rulePackInfo");
+    const rulePackBox = document.getElementById("rulePackBox");
+    const rulePackFileEl = document.getElementById("rulePackFile");
+    const ruleStatusEl = document.getElementById("ruleStatus");
+    const ruleErrorsEl = document.getElementById("ruleErrors");
+
+    const cacheStatsEl = document.getElementById("cacheStats");
+
     const jsonBox = document.getElementById("jsonBox");
     const exportBtn = document.getElementById("exportBtn");
     const importBtn = document.getElementById("importBtn");
@@ -51,7 +84,7 @@ document.addEventListener("DOMContentLoaded", () => {
             const span = document.createElement("span");
             span.textContent = d;
             const rem = document.createElement("button");
-            rem.textContent = "Remove";
+            rem.textContent = t("options_remove");
             rem.addEventListener("click", () => {
                 state.trustedDomains.splice(i, 1);
                 renderTrusted();
@@ -62,14 +95,14 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
 
-    function renderEnabled() {
-        enabledListEl.innerHTML = "";
-        const keys = Object.keys(state.enabledSites || {});
+    function renderSiteList(listEl, sites, emptyText, rerender) {
+        listEl.innerHTML = "";
+        const keys = Object.keys(sites || {});
         if (!keys.length) {
             const n = document.createElement("div");
             n.className = "muted";
-            n.textContent = "No enabled sites configured (empty = allow all pages to be scanned).";
-            enabledListEl.appendChild(n);
+            n.textContent = emptyText;
+            listEl.appendChild(n);
             return;
         }
         keys.forEach((h) => {
@@ -78,90 +111,416 @@ document.addEventListener("DOMContentLoaded", () => {
             const span = document.createElement("span");
             span.textContent = h;
             const rem = document.createElement("button");
-            rem.textContent = "Remove";
+            rem.textContent = t("options_remove");
+            rem.addEventListener("click", () => {
+                delete sites[h];
+                rerender();
+            });
+            item.appendChild(span);
+            item.appendChild(rem);
+            listEl.appendChild(item);
+        });
+    }
+
+    function renderEnabled() {
+        renderSiteList(enabledListEl, state.enabledSites, t("options_enabled_empty"), renderEnabled);
+    }
+
+    function renderDisabled() {
+        renderSiteList(disabledListEl, state.disabledSites, t("options_disabled_empty"), renderDisabled);
+    }
+
+    function renderWatched() {
+        watchedListEl.innerHTML = "";
+        if (!state.watchedAccounts.length) {
+            const n = document.createElement("div");
+            n.className = "muted";
+            n.textContent = t("options_watched_empty");
+            watchedListEl.appendChild(n);
+            return;
+        }
+        state.watchedAccounts.forEach((acc, i) => {
+            const item = document.createElement("div");
+            item.className = "item";
+            const span = document.createElement("span");
+            span.textContent = acc.name ? `@${acc.handle} — ${acc.name}` : `@${acc.handle}`;
+            const rem = document.createElement("button");
+            rem.textContent = t("options_remove");
             rem.addEventListener("click", () => {
-                delete state.enabledSites[h];
-                renderEnabled();
+                state.watchedAccounts.splice(i, 1);
+                renderWatched();
             });
             item.appendChild(span);
             item.appendChild(rem);
-            enabledListEl.appendChild(item);
+            watchedListEl.appendChild(item);
         });
     }
 
+    // "@Some.Handle" -> "some.handle"; '' when it is not a plausible handle
+    function normalizeHandle(s) {
+        const v = (s || "").toString().trim().replace(/^@/, "").toLowerCase();
+        return /^[a-z0-9._]{2,40}$/.test(v) ? v : "";
+    }
+
+    function normalizeWatchList(list) {
+        const seen = new Set();
+        return (Array.isArray(list) ? list : []).map((acc) => ({
+            handle: normalizeHandle(acc && acc.handle),
+            name: ((acc && acc.name) || "").toString().trim().slice(0, 80)
+        })).filter((acc) => acc.handle && !seen.has(acc.handle) && seen.add(acc.handle));
+    }
+
+    // Keeps only entries that can be turned into content script match patterns
+    function normalizeSiteMap(map) {
+        const out = {};
+        Object.keys(map || {}).forEach((k) => {
+            const v = AdvirsScanScope.normalizeEntry(k);
+            if (v && map[k]) out[v] = true;
+        });
+        return out;
+    }
+
     function setStatus(msg, timeout = 2000) {
         statusEl.textContent = msg;
         if (timeout) setTimeout(() => { if (statusEl.textContent === msg) statusEl.textContent = ""; }, timeout);
     }
 
+    // Blocklists live in IndexedDB (shared with the background worker), not in chrome.storage
+    function renderBlocklistSources() {
+        AdvirsBlocklist.listSources().then((sources) => {
+            blocklistSourcesEl.innerHTML = "";
+            if (!sources.length) {
+                const n = document.createElement("div");
+                n.className = "muted";
+                n.textContent = t("options_blocklist_none");
+                blocklistSourcesEl.appendChild(n);
+                return;
+            }
+            sources.forEach((src) => {
+                const item = document.createElement("div");
+                item.className = "item";
+                const span = document.createElement("span");
+                span.textContent = t("options_blocklist_entry", {
+                    name: src.name,
+                    count: src.count.toLocaleString(),
+                    format: AdvirsBlocklist.FORMATS[src.format] || src.format,
+                    date: new Date(src.importedAt).toLocaleString()
+                });
+                const rem = document.createElement("button");
+                rem.textContent = t("options_remove");
+                rem.addEventListener("click", () => {
+                    if (!confirm(t("options_blocklist_remove_confirm", { name: src.name }))) return;
+                    AdvirsBlocklist.removeSource(src.id).then(() => {
+                        chrome.runtime.sendMessage({ type: "blocklist_updated" });
+                        renderBlocklistSources();
+                    });
+                });
+                item.appendChild(span);
+                item.appendChild(rem);
+                blocklistSourcesEl.appendChild(item);
+            });
+        }).catch((e) => setStatus(t("options_blocklist_unavailable", { error: e.message })));
+    }
+
+    [["auto", t("options_blocklist_auto")], ...Object.entries(AdvirsBlocklist.FORMATS)].forEach(([value, label]) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = label;
+        blocklistFormatEl.appendChild(opt);
+    });
+
+    importBlocklistBtn.addEventListener("click", () => {
+        const file = blocklistFileEl.files && blocklistFileEl.files[0];
+        if (!file) return setStatus(t("options_blocklist_choose"));
+        const name = (blocklistNameEl.value || "").trim() || file.name;
+        setStatus(t("options_blocklist_importing", { file: file.name }), 0);
+        importBlocklistBtn.disabled = true;
+        file.text()
+            .then(text => AdvirsBlocklist.importFeed(name, text, blocklistFormatEl.value, file.name))
+            .then((src) => {
+                chrome.runtime.sendMessage({ type: "blocklist_updated" });
+                setStatus(t("options_blocklist_imported", { count: src.count.toLocaleString(), name: src.name }));
+                blocklistFileEl.value = "";
+                blocklistNameEl.value = "";
+                renderBlocklistSources();
+            })
+            .catch((e) => setStatus(t("options_blocklist_failed", { error: e.message }), 5000))
+            .finally(() => { importBlocklistBtn.disabled = false; });
+    });
+
+    renderBlocklistSources();
+
+    // Rule packs are stored as written (possibly partial) in chrome.storage.local.rulePack;
+    // background.js re-validates and merges them over the built-in pack when loading
+    function renderRulePack() {
+        chrome.storage.local.get({ rulePack: null }, (res) => {
+            const pack = res.rulePack;
+            rulePackInfoEl.textContent = pack
+                ? t("options_rules_active", { name: pack.name, version: pack.version || "-" })
+                : t("options_rules_builtin");
+            rulePackBox.value = JSON.stringify(pack || AdvirsRules.DEFAULT_PACK, null, 2);
+        });
+    }
+
+    // Shows the validation result; returns the parsed pack when it is valid
+    function checkRulePack() {
+        const text = rulePackBox.value;
+        const v = AdvirsRules.parsePack(text);
+        ruleErrorsEl.innerHTML = "";
+        v.errors.forEach((e) => {
+            const li = document.createElement("li");
+            li.textContent = t(`rules_error_${e.code}`, { path: e.path, supported: AdvirsRules.SCHEMA_VERSION });
+            ruleErrorsEl.appendChild(li);
+        });
+        ruleStatusEl.textContent = v.ok
+            ? t("options_rules_valid", { name: v.pack.name, version: v.pack.version || "-" })
+            : t("options_rules_invalid", { count: v.errors.length });
+        return v.ok ? JSON.parse(text) : null;
+    }
+
+    document.getElementById("validateRules").addEventListener("click", checkRulePack);
+
+    document.getElementById("applyRules").addEventListener("click", () => {
+        const raw = checkRulePack();
+        if (!raw) return;
+        chrome.storage.local.set({ rulePack: raw }, () => {
+            ruleStatusEl.textContent = t("options_rules_applied", { name: raw.name });
+            renderRulePack();
+        });
+    });
+
+    rulePackFileEl.addEventListener("change", () => {
+        const file = rulePackFileEl.files && rulePackFileEl.files[0];
+        if (!file) return;
+        file.text().then((text) => {
+            rulePackBox.value = text;
+            rulePackFileEl.value = "";
+            checkRulePack();
+        });
+    });
+
+    document.getElementById("exportRules").addEventListener("click", () => {
+        const url = URL.createObjectURL(new Blob([rulePackBox.value], { type: "application/json" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = "advirs-rule-pack.json";
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    document.getElementById("resetRules").addEventListener("click", () => {
+        if (!confirm(t("options_rules_reset_confirm"))) return;
+        chrome.storage.local.remove("rulePack", () => {
+            ruleErrorsEl.innerHTML = "";
+            ruleStatusEl.textContent = t("options_rules_reset_done");
+            renderRulePack();
+        });
+    });
+
+    renderRulePack();
+
+    // Counters of the background verdict cache (verdict-cache.js); they restart with the browser session
+    function renderCacheStats(stats) {
+        if (!stats) {
+            cacheStatsEl.textContent = t("options_cache_unavailable");
+            return;
+        }
+        const lookups = stats.hits + stats.misses;
+        cacheStatsEl.textContent = t("options_cache_stats", {
+            hits: stats.hits.toLocaleString(),
+            misses: stats.misses.toLocaleString(),
+            rate: lookups ? Math.round((stats.hits / lookups) * 100) : 0,
+            size: stats.size.toLocaleString(),
+            max: stats.maxEntries.toLocaleString(),
+            minutes: Math.round(stats.ttlMs / 60000)
+        });
+    }
+
+    function loadCacheStats() {
+        chrome.runtime.sendMessage({ type: "get_cache_stats" }, (resp) => renderCacheStats(resp && resp.ok ? resp.stats : null));
+    }
+
+    document.getElementById("refreshCacheStats").addEventListener("click", loadCacheStats);
+
+    document.getElementById("clearCache").addEventListener("click", () => {
+        chrome.runtime.sendMessage({ type: "clear_verdict_cache" }, (resp) => {
+            renderCacheStats(resp && resp.ok ? resp.stats : null);
+            if (resp && resp.ok) setStatus(t("options_cache_cleared"));
+        });
+    });
+
+    loadCacheStats();
+
+    // Password reuse alert: kept by background.js in chrome.storage.local, applied immediately
+    const passwordEnabledEl = document.getElementById("passwordGuardEnabled");
+    const protectedPasswordsEl = document.getElementById("protectedPasswords");
+    const passwordIgnoredEl = document.getElementById("passwordIgnored");
+
+    function listItem(text, buttonText, onClick) {
+        const item = document.createElement("div");
+        item.className = "item";
+        const span = document.createElement("span");
+        span.textContent = text;
+        const btn = document.createElement("button");
+        btn.textContent = buttonText;
+        btn.addEventListener("click", onClick);
+        item.append(span, btn);
+        return item;
+    }
+
+    function emptyNote(key) {
+        const n = document.createElement("div");
+        n.className = "muted";
+        n.textContent = t(key);
+        return n;
+    }
+
+    function renderPasswordGuard(guard) {
+        passwordEnabledEl.checked = !!guard.enabled;
+        protectedPasswordsEl.innerHTML = "";
+        if (!guard.domains.length) protectedPasswordsEl.appendChild(emptyNote("options_password_empty"));
+        guard.domains.forEach(d => {
+            const text = t("options_password_entry", { domain: d.domain, count: d.count, date: new Date(d.addedAt).toLocaleDateString() });
+            protectedPasswordsEl.appendChild(listItem(text, t("options_remove"), () => {
+                chrome.runtime.sendMessage({ type: "forget_passwords", domain: d.domain }, loadPasswordGuard);
+            }));
+        });
+        passwordIgnoredEl.innerHTML = "";
+        if (!guard.ignoredHosts.length) passwordIgnoredEl.appendChild(emptyNote("options_password_ignored_empty"));
+        guard.ignoredHosts.forEach(host => {
+            passwordIgnoredEl.appendChild(listItem(host, t("options_remove"), () => {
+                chrome.runtime.sendMessage({ type: "password_guard_ignore", host, ignore: false }, loadPasswordGuard);
+            }));
+        });
+    }
+
+    function loadPasswordGuard() {
+        chrome.runtime.sendMessage({ type: "get_password_guard" }, (resp) => {
+            if (resp && resp.ok) renderPasswordGuard(resp);
+        });
+    }
+
+    passwordEnabledEl.addEventListener("change", () => {
+        chrome.runtime.sendMessage({ type: "set_password_guard", enabled: passwordEnabledEl.checked }, loadPasswordGuard);
+    });
+
+    document.getElementById("forgetPasswords").addEventListener("click", () => {
+        if (!confirm(t("options_password_confirm_forget"))) return;
+        chrome.runtime.sendMessage({ type: "forget_passwords" }, loadPasswordGuard);
+    });
+
+    loadPasswordGuard();
+
     // Load saved
     chrome.storage.sync.get(DEFAULTS, (res) => {
         state.trustedDomains = Array.isArray(res.trustedDomains) ? res.trustedDomains : DEFAULTS.trustedDomains.slice();
         state.enabledSites = typeof res.enabledSites === "object" && res.enabledSites ? res.enabledSites : {};
+        state.disabledSites = typeof res.disabledSites === "object" && res.disabledSites ? res.disabledSites : {};
+        state.watchedAccounts = normalizeWatchList(res.watchedAccounts);
         state.showInlineBadge = !!res.showInlineBadge;
+        state.language = res.language || "auto";
         showInlineEl.checked = state.showInlineBadge;
+        languageEl.value = state.language;
         renderTrusted();
         renderEnabled();
+        renderDisabled();
+        renderWatched();
     });
 
     // Add trusted
     addTrustedBtn.addEventListener("click", () => {
         const v = hostOnly(trustedInput.value);
-        if (!v) return setStatus("Enter a valid hostname");
+        if (!v) return setStatus(t("options_enter_hostname"));
         if (!state.trustedDomains.includes(v)) state.trustedDomains.push(v);
         trustedInput.value = "";
         renderTrusted();
     });
     clearTrustedBtn.addEventListener("click", () => {
-        if (!confirm("Clear all trusted domains?")) return;
+        if (!confirm(t("options_confirm_clear_trusted"))) return;
         state.trustedDomains = [];
         renderTrusted();
     });
 
     // Add enabled
     addEnabledBtn.addEventListener("click", () => {
-        let v = (enabledInput.value || "").trim();
-        if (!v) return setStatus("Enter a valid site origin or hostname");
-        // normalize
-        try {
-            const u = new URL(v);
-            v = u.origin;
-        } catch (e) {
-            // accept just hostname
-            v = hostOnly(v);
-        }
-        if (!v) return setStatus("Invalid host/origin");
+        const raw = (enabledInput.value || "").trim();
+        if (!raw) return setStatus(t("options_enter_site"));
+        const v = AdvirsScanScope.normalizeEntry(raw);
+        if (!v) return setStatus(t("options_invalid_pattern"));
         state.enabledSites[v] = true;
         enabledInput.value = "";
         renderEnabled();
     });
     clearEnabledBtn.addEventListener("click", () => {
-        if (!confirm("Clear all enabled sites?")) return;
+        if (!confirm(t("options_confirm_clear_enabled"))) return;
         state.enabledSites = {};
         renderEnabled();
     });
 
+    // Add disabled
+    addDisabledBtn.addEventListener("click", () => {
+        const raw = (disabledInput.value || "").trim();
+        if (!raw) return setStatus(t("options_enter_site"));
+        const v = AdvirsScanScope.normalizeEntry(raw);
+        if (!v) return setStatus(t("options_invalid_pattern"));
+        state.disabledSites[v] = true;
+        disabledInput.value = "";
+        renderDisabled();
+    });
+    clearDisabledBtn.addEventListener("click", () => {
+        if (!confirm(t("options_confirm_clear_disabled"))) return;
+        state.disabledSites = {};
+        renderDisabled();
+    });
+
+    // Add watched account
+    addWatchedBtn.addEventListener("click", () => {
+        const handle = normalizeHandle(watchedHandleInput.value);
+        if (!handle) return setStatus(t("options_enter_handle"));
+        const name = (watchedNameInput.value || "").trim().slice(0, 80);
+        state.watchedAccounts = state.watchedAccounts.filter(acc => acc.handle !== handle).concat([{ handle, name }]);
+        watchedHandleInput.value = "";
+        watchedNameInput.value = "";
+        renderWatched();
+    });
+    clearWatchedBtn.addEventListener("click", () => {
+        if (!confirm(t("options_confirm_clear_watched"))) return;
+        state.watchedAccounts = [];
+        renderWatched();
+    });
+
     // Save
     saveBtn.addEventListener("click", () => {
         state.showInlineBadge = !!showInlineEl.checked;
+        const languageChanged = languageEl.value !== state.language;
+        state.language = languageEl.value;
         chrome.storage.sync.set({
             trustedDomains: state.trustedDomains,
             enabledSites: state.enabledSites,
-            showInlineBadge: state.showInlineBadge
+            disabledSites: state.disabledSites,
+            watchedAccounts: state.watchedAccounts,
+            showInlineBadge: state.showInlineBadge,
+            language: state.language
         }, () => {
-            setStatus("Saved");
+            setStatus(t("options_saved"));
+            if (languageChanged) location.reload();
         });
     });
 
     // Restore defaults
     restoreBtn.addEventListener("click", () => {
-        if (!confirm("Restore defaults? This will replace current settings.")) return;
-        state = { ...DEFAULTS, trustedDomains: DEFAULTS.trustedDomains.slice(), enabledSites: {} };
+        if (!confirm(t("options_confirm_restore"))) return;
+        state = { ...DEFAULTS, trustedDomains: DEFAULTS.trustedDomains.slice(), enabledSites: {}, disabledSites: {}, watchedAccounts: [] };
         showInlineEl.checked = state.showInlineBadge;
+        const languageChanged = languageEl.value !== state.language;
+        languageEl.value = state.language;
         renderTrusted();
         renderEnabled();
-        chrome.storage.sync.set({ trustedDomains: state.trustedDomains, enabledSites: state.enabledSites, showInlineBadge: state.showInlineBadge }, () => {
-            setStatus("Defaults restored");
+        renderDisabled();
+        renderWatched();
+        chrome.storage.sync.set({ trustedDomains: state.trustedDomains, enabledSites: state.enabledSites, disabledSites: state.disabledSites, watchedAccounts: state.watchedAccounts, showInlineBadge: state.showInlineBadge, language: state.language }, () => {
+            setStatus(t("options_defaults_restored"));
+            if (languageChanged) location.reload();
         });
     });
 
@@ -170,29 +529,40 @@ document.addEventListener("DOMContentLoaded", () => {
         const data = {
             trustedDomains: state.trustedDomains,
             enabledSites: state.enabledSites,
-            showInlineBadge: state.showInlineBadge
+            disabledSites: state.disabledSites,
+            watchedAccounts: state.watchedAccounts,
+            showInlineBadge: state.showInlineBadge,
+            language: state.language
         };
         jsonBox.value = JSON.stringify(data, null, 2);
-        setStatus("Export ready in box");
+        setStatus(t("options_export_ready"));
     });
 
     // Import settings from JSON in textarea
     importBtn.addEventListener("click", () => {
         const txt = (jsonBox.value || "").trim();
-        if (!txt) return setStatus("Paste JSON to import");
+        if (!txt) return setStatus(t("options_paste_json"));
         try {
             const parsed = JSON.parse(txt);
             if (Array.isArray(parsed.trustedDomains)) state.trustedDomains = parsed.trustedDomains.map(hostOnly).filter(Boolean);
-            if (parsed.enabledSites && typeof parsed.enabledSites === "object") state.enabledSites = parsed.enabledSites;
+            if (parsed.enabledSites && typeof parsed.enabledSites === "object") state.enabledSites = normalizeSiteMap(parsed.enabledSites);
+            if (parsed.disabledSites && typeof parsed.disabledSites === "object") state.disabledSites = normalizeSiteMap(parsed.disabledSites);
+            if (Array.isArray(parsed.watchedAccounts)) state.watchedAccounts = normalizeWatchList(parsed.watchedAccounts);
             state.showInlineBadge = !!parsed.showInlineBadge;
+            const previousLanguage = state.language;
+            if (parsed.language === "auto" || AdvirsI18n.SUPPORTED.includes(parsed.language)) state.language = parsed.language;
             showInlineEl.checked = state.showInlineBadge;
+            languageEl.value = state.language;
             renderTrusted();
             renderEnabled();
-            chrome.storage.sync.set({ trustedDomains: state.trustedDomains, enabledSites: state.enabledSites, showInlineBadge: state.showInlineBadge }, () => {
-                setStatus("Imported and saved");
+            renderDisabled();
+            renderWatched();
+            chrome.storage.sync.set({ trustedDomains: state.trustedDomains, enabledSites: state.enabledSites, disabledSites: state.disabledSites, watchedAccounts: state.watchedAccounts, showInlineBadge: state.showInlineBadge, language: state.language }, () => {
+                setStatus(t("options_imported"));
+                if (state.language !== previousLanguage) location.reload();
             });
         } catch (e) {
-            setStatus("Invalid JSON: " + e.message);
+            setStatus(t("options_invalid_json", { error: e.message }));
         }
     });
 });
\ No newline at end of file
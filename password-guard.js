@@ -0,0 +1,116 @@
+// password-guard.js - password reuse alert (Advirs)
+// Opt-in content script registered on every site while the password alert is enabled.
+// On trusted domains it hands the password typed at login to background.js, which keeps only a salted
+// PBKDF2 hash of it; everywhere else it asks background.js whether what is typed into password fields
+// matches one of them. Passwords go no further than the extension: the salt and hashes stay in background.js.
+
+(function () {
+    if (self.__advirsPasswordGuardLoaded) return;
+    self.__advirsPasswordGuardLoaded = true;
+
+    const MIN_PASSWORD_LENGTH = 8; // shorter values are neither remembered nor checked
+    const CHECK_DELAY_MS = 250; // typing pause before a check: each one costs the background a slow hash
+
+    let state = { mode: "off" }; // { mode: "protect" | "watch" | "off" }
+    const sent = new WeakMap(); // password field -> value last sent from it
+    let checkTimer = 0;
+    let warned = false;
+
+    function send(message) {
+        return new Promise((resolve) => chrome.runtime.sendMessage(message, (resp) => resolve(resp || { ok: false })));
+    }
+
+    // the focused element of an event, looking through open shadow roots
+    function eventField(e) {
+        const el = e.composedPath ? e.composedPath()[0] : e.target;
+        return el instanceof HTMLInputElement && el.type === "password" ? el : null;
+    }
+
+    function passwordFields(root) {
+        return Array.from((root || document).querySelectorAll('input[type="password"]'));
+    }
+
+    // ---------- Trusted pages: remember the login password ----------
+    function capture(root) {
+        for (const field of passwordFields(root)) {
+            const value = field.value;
+            if (value.length < MIN_PASSWORD_LENGTH || sent.get(field) === value) continue;
+            sent.set(field, value);
+            send({ type: "protect_password", password: value });
+        }
+    }
+
+    function onSubmit(e) {
+        if (state.mode === "protect") capture(e.target);
+    }
+
+    function onKeyDown(e) {
+        if (e.key !== "Enter") return;
+        const field = eventField(e);
+        if (!field) return;
+        if (state.mode === "protect") capture(field.form || document);
+        else if (state.mode === "watch") check(field);
+    }
+
+    // sign-in buttons of script-driven forms never fire submit
+    function onClick(e) {
+        if (state.mode !== "protect") return;
+        const button = e.target instanceof Element && e.target.closest('button, input[type="submit"], [role="button"]');
+        if (button) capture(button.form || document);
+    }
+
+    // ---------- Other pages: check what is typed ----------
+    function onInput(e) {
+        if (state.mode !== "watch" || warned) return;
+        const field = eventField(e);
+        if (!field) return;
+        clearTimeout(checkTimer);
+        if (field.value.length >= MIN_PASSWORD_LENGTH) checkTimer = setTimeout(() => check(field), CHECK_DELAY_MS);
+    }
+
+    async function check(field) {
+        clearTimeout(checkTimer);
+        const value = field.value;
+        if (state.mode !== "watch" || warned || value.length < MIN_PASSWORD_LENGTH || sent.get(field) === value) return;
+        sent.set(field, value);
+        const resp = await send({ type: "check_password", password: value });
+        if (!resp.ok || !resp.match || warned) return;
+        warned = true;
+        field.value = "";
+        const dialog = await warningDialog();
+        if (!dialog) return;
+        dialog.showPasswordWarning({ domain: resp.domain, host: location.hostname }, {
+            onLeave: () => send({ type: "leave_blocked_page" }),
+            onIgnore: async () => {
+                await send({ type: "password_guard_ignore", host: location.hostname, ignore: true });
+                state = { mode: "off" };
+            },
+            onClose: () => { warned = false; }
+        });
+    }
+
+    // The dialog comes with content.js on the pages it scans; background.js loads it into other frames,
+    // so i18n.js and inline-warning.js are not injected twice where both scripts run
+    async function warningDialog() {
+        if (!self.AdvirsInlineWarning) await send({ type: "load_password_warning" });
+        if (!self.AdvirsInlineWarning) return null;
+        // the warning is worded in the user's language
+        await AdvirsI18n.init();
+        return AdvirsInlineWarning;
+    }
+
+    async function refreshState() {
+        const resp = await send({ type: "password_guard_state" });
+        state = { mode: resp.ok && resp.mode ? resp.mode : "off" };
+    }
+
+    document.addEventListener("submit", onSubmit, true);
+    document.addEventListener("keydown", onKeyDown, true);
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("input", onInput, true);
+
+    refreshState();
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && changes.passwordGuard) refreshState();
+    });
+})();
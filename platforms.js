@@ -0,0 +1,362 @@
+// platforms.js - per-platform page extractors (Advirs)
+// Each adapter knows one social network's markup: whose profile the page shows and whether it is
+// verified, and which posts, comments and direct messages are on screen together with their authors
+// and the links inside them. content.js uses the adapter for the current host so a verdict can be
+// attributed to the comment or message that carried the link; unknown sites use the generic adapter.
+// Selectors follow the sites' stable hooks (data-testid, data-e2e, role, aria) where they exist.
+
+(function (root) {
+    const MAX_ITEMS = 80;
+    const MAX_NAME = 80;
+
+    function hostMatches(host, domain) {
+        return host === domain || host.endsWith('.' + domain);
+    }
+
+    function cleanText(s) {
+        return (s || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME);
+    }
+
+    function firstText(doc, selectors) {
+        for (const sel of selectors) {
+            const el = doc.querySelector(sel);
+            const text = el && cleanText(el.innerText || el.textContent);
+            if (text) return text;
+        }
+        return '';
+    }
+
+    function metaContent(doc, property) {
+        const el = doc.querySelector(`meta[property='${property}'], meta[name='${property}']`);
+        return el ? (el.getAttribute('content') || '').trim() : '';
+    }
+
+    // "Jane Doe (@jane.doe) • Instagram photos and videos", "Jane (@jane) / X", "Jane (@jane) | TikTok"
+    function parseNameHandle(title) {
+        const m = (title || '').match(/^(.*?)\s*\(@([\w.-]{1,40})\)/);
+        return m ? { displayName: cleanText(m[1]), handle: m[2] } : null;
+    }
+
+    function pathSegments(pathname) {
+        return (pathname || '').split('/').filter(Boolean).map(s => { try { return decodeURIComponent(s); } catch { return s; } });
+    }
+
+    function toUrl(href, base) {
+        try { return new URL(href, base); } catch { return null; }
+    }
+
+    // Handle from "/<handle>/..." paths, skipping the site's own sections
+    function firstSegmentHandle(reserved, pattern = /^[\w.-]{1,50}$/) {
+        return (url) => {
+            const seg = pathSegments(url.pathname)[0] || '';
+            return seg && !reserved.has(seg.toLowerCase()) && pattern.test(seg) ? seg : '';
+        };
+    }
+
+    // Text of an item without the items nested in it, so a post does not take the URLs typed in its comments
+    function ownText(el, itemSelector) {
+        let text = '';
+        for (const node of el.childNodes) {
+            if (node.nodeType === 3) text += node.nodeValue;
+            else if (node.nodeType === 1 && !node.matches(itemSelector)) text += ownText(node, itemSelector);
+        }
+        return text;
+    }
+
+    // Item links: http(s) anchors whose nearest item element is this one (so a post does not
+    // also claim the links of the comments nested inside it), minus the author's own profile link
+    function itemLinks(el, itemSelector, authorEl, base) {
+        const links = [];
+        el.querySelectorAll('a[href]').forEach(a => {
+            if (authorEl && (a === authorEl || authorEl.contains(a) || a.contains(authorEl))) return;
+            if (a.closest(itemSelector) !== el) return;
+            const u = toUrl(a.getAttribute('href'), base);
+            if (u && (u.protocol === 'http:' || u.protocol === 'https:')) links.push(u.href);
+        });
+        const text = el.querySelector(itemSelector) ? ownText(el, itemSelector) : (el.innerText || el.textContent || '');
+        (text.match(/https?:\/\/[^\s"'<>]+/gi) || []).forEach(href => links.push(href));
+        return Array.from(new Set(links));
+    }
+
+    // adapter.items: [{ kind, selector, author, path }] where author is a selector inside the item or
+    // a function (item, doc) -> element, and path (optional) limits the spec to matching pathnames.
+    // Specs are tried in order, so nested kinds (a comment inside a post article) are listed first.
+    function activeSpecs(adapter, loc) {
+        return (adapter.items || []).filter(s => !s.path || s.path.test(loc.pathname));
+    }
+
+    function itemAuthor(adapter, spec, el, doc, loc) {
+        let authorEl = null;
+        if (typeof spec.author === 'function') authorEl = spec.author(el, doc);
+        else if (spec.author) authorEl = el.querySelector(spec.author);
+        if (!authorEl) return { authorEl: null, author: null };
+
+        let handle = '';
+        const authorUrl = authorEl.getAttribute('href') ? toUrl(authorEl.getAttribute('href'), loc.href) : null;
+        if (authorUrl && hostMatches(authorUrl.hostname, adapter.domain)) handle = adapter.handleFromUrl(authorUrl);
+        return { authorEl, author: { handle, displayName: cleanText(authorEl.innerText || authorEl.textContent) } };
+    }
+
+    function collectItems(adapter, doc, loc) {
+        const specs = activeSpecs(adapter, loc);
+        if (!specs.length) return [];
+        const itemSelector = specs.map(s => s.selector).join(', ');
+        const items = [];
+        for (const el of Array.from(doc.querySelectorAll(itemSelector)).slice(0, MAX_ITEMS)) {
+            const spec = specs.find(s => el.matches(s.selector));
+            const { authorEl, author } = itemAuthor(adapter, spec, el, doc, loc);
+            const links = itemLinks(el, itemSelector, authorEl, loc.href);
+            if (links.length) items.push({ kind: spec.kind, element: el, author, links });
+        }
+        return items;
+    }
+
+    const FACEBOOK_RESERVED = new Set([
+        'home.php', 'watch', 'groups', 'marketplace', 'gaming', 'events', 'pages', 'friends', 'messages', 'notifications',
+        'settings', 'login', 'login.php', 'reel', 'reels', 'stories', 'photo', 'photo.php', 'permalink.php', 'story.php',
+        'search', 'hashtag', 'help', 'privacy', 'policies', 'ads', 'business', 'share', 'sharer', 'sharer.php', 'dialog',
+        'l.php', 'bookmarks', 'saved', 'memories', 'fundraisers', 'profile.php', 'people', 'checkpoint', 'recover'
+    ]);
+    const INSTAGRAM_RESERVED = new Set([
+        'p', 'reel', 'reels', 'explore', 'stories', 'direct', 'accounts', 'about', 'legal', 'tv', 'developer', 'web', 'challenge'
+    ]);
+    const X_RESERVED = new Set([
+        'home', 'explore', 'notifications', 'messages', 'i', 'settings', 'search', 'compose', 'login', 'signup', 'tos',
+        'privacy', 'hashtag', 'intent', 'share', 'logout', 'jobs'
+    ]);
+
+    // Tabs that still show the profile header ("/jane/about", "/jane/with_replies")
+    const PROFILE_TABS = new Set([
+        'about', 'photos', 'videos', 'followers', 'following', 'friends', 'reels', 'with_replies', 'media', 'likes',
+        'featured', 'tagged', 'shorts', 'streams', 'playlists', 'community', 'verified_followers', 'highlights', 'posts'
+    ]);
+
+    function isProfilePath(url, offset = 1) {
+        const segs = pathSegments(url.pathname);
+        return segs.length === offset || (segs.length === offset + 1 && PROFILE_TABS.has(segs[offset].toLowerCase()));
+    }
+
+    const VERIFIED_LABELS = ['Verified', 'موثق', 'موثّق', 'تم التحقق'];
+    function verifiedSelector(scope, tag = '') {
+        return VERIFIED_LABELS.map(l => `${scope} ${tag}[aria-label*='${l}' i], ${scope} ${tag}[title*='${l}' i]`).join(', ');
+    }
+
+    const ADAPTERS = [
+        {
+            id: 'facebook',
+            domain: 'facebook.com',
+            aliases: ['messenger.com'],
+            handleFromUrl(url) {
+                if (url.pathname === '/profile.php') return url.searchParams.get('id') || '';
+                return firstSegmentHandle(FACEBOOK_RESERVED)(url);
+            },
+            profile(doc, url) {
+                const handle = this.handleFromUrl(url);
+                if (!handle || !isProfilePath(url)) return null;
+                return {
+                    handle,
+                    displayName: firstText(doc, ["div[role='main'] h1"]) || metaContent(doc, 'og:title'),
+                    isVerified: !!doc.querySelector(verifiedSelector("div[role='main'] h1"))
+                };
+            },
+            items: [
+                { kind: 'comment', selector: "[role='article'] [role='article']", author: "a[role='link'][href]" },
+                { kind: 'message', selector: "[role='main'] [role='row']", author: null, path: /^\/(messages|t|e2ee)\// },
+                { kind: 'post', selector: "[role='article']", author: "h2 a[href], h3 a[href], h4 a[href], strong a[href]" }
+            ]
+        },
+        {
+            id: 'instagram',
+            domain: 'instagram.com',
+            handleFromUrl: firstSegmentHandle(INSTAGRAM_RESERVED),
+            profile(doc, url) {
+                const handle = this.handleFromUrl(url);
+                if (!handle || !isProfilePath(url)) return null;
+                const fromTitle = parseNameHandle(metaContent(doc, 'og:title'));
+                return {
+                    handle,
+                    displayName: (fromTitle && fromTitle.displayName) || firstText(doc, ['header section h1', 'header section span[dir="auto"]']),
+                    isVerified: !!doc.querySelector(verifiedSelector('header'))
+                };
+            },
+            items: [
+                { kind: 'comment', selector: 'article ul li', author: 'h3 a[href], h2 a[href]' },
+                { kind: 'message', selector: "div[role='row']", author: null, path: /^\/direct\// },
+                { kind: 'post', selector: 'article', author: 'header a[href]' },
+                { kind: 'bio', selector: 'header section', author: null }
+            ]
+        },
+        {
+            id: 'tiktok',
+            domain: 'tiktok.com',
+            handleFromUrl(url) {
+                const seg = pathSegments(url.pathname)[0] || '';
+                return seg.startsWith('@') ? seg.slice(1) : '';
+            },
+            profile(doc, url) {
+                const handle = this.handleFromUrl(url);
+                if (!handle || !isProfilePath(url)) return null;
+                const fromTitle = parseNameHandle(doc.title);
+                return {
+                    handle,
+                    displayName: firstText(doc, ["[data-e2e='user-subtitle']"]) || (fromTitle && fromTitle.displayName) || '',
+                    isVerified: !!doc.querySelector("[data-e2e='user-title'] svg, [data-e2e='verify-icon'], " + verifiedSelector("[data-e2e='user-page']"))
+                };
+            },
+            items: [
+                {
+                    kind: 'comment',
+                    selector: "[data-e2e='comment-level-1'], [data-e2e='comment-level-2']",
+                    author: (el) => el.parentElement && el.parentElement.querySelector("[data-e2e^='comment-username'] a[href], a[href^='/@']")
+                },
+                {
+                    kind: 'post',
+                    selector: "[data-e2e='browse-video-desc'], [data-e2e='video-desc']",
+                    author: (el, doc) => doc.querySelector("a[data-e2e='browse-username'], [data-e2e='video-author-uniqueid']")
+                },
+                { kind: 'bio', selector: "[data-e2e='user-bio'], [data-e2e='user-link']", author: null }
+            ]
+        },
+        {
+            id: 'x',
+            domain: 'x.com',
+            aliases: ['twitter.com'],
+            handleFromUrl: firstSegmentHandle(X_RESERVED, /^\w{1,15}$/),
+            profile(doc, url) {
+                const handle = this.handleFromUrl(url);
+                if (!handle || !isProfilePath(url)) return null;
+                const fromTitle = parseNameHandle(doc.title);
+                const nameEl = doc.querySelector("[data-testid='UserName']");
+                const nameLine = nameEl ? cleanText((nameEl.innerText || '').split('\n')[0]) : '';
+                return {
+                    handle,
+                    displayName: nameLine || (fromTitle && fromTitle.displayName) || '',
+                    isVerified: !!doc.querySelector("[data-testid='UserName'] [data-testid='icon-verified'], " + verifiedSelector("[data-testid='UserName']", 'svg'))
+                };
+            },
+            items: [
+                { kind: 'message', selector: "[data-testid='messageEntry']", author: null },
+                { kind: 'post', selector: "article[data-testid='tweet']", author: "[data-testid='User-Name'] a[href]" },
+                { kind: 'bio', selector: "[data-testid='UserDescription'], [data-testid='UserUrl']", author: null }
+            ]
+        },
+        {
+            id: 'linkedin',
+            domain: 'linkedin.com',
+            handleFromUrl(url) {
+                const segs = pathSegments(url.pathname);
+                return (segs[0] === 'in' || segs[0] === 'company') && segs[1] ? segs[1] : '';
+            },
+            profile(doc, url) {
+                const handle = this.handleFromUrl(url);
+                if (!handle || !isProfilePath(url, 2)) return null;
+                return {
+                    handle,
+                    displayName: firstText(doc, ['main h1']) || metaContent(doc, 'og:title').split(/ [-|] /)[0],
+                    isVerified: !!doc.querySelector(verifiedSelector('main section:first-of-type'))
+                };
+            },
+            items: [
+                { kind: 'comment', selector: 'article.comments-comment-entity, article.comments-comment-item', author: "a.comments-comment-meta__description-container, a.comments-post-meta__actor-link, a[href*='/in/']" },
+                { kind: 'message', selector: 'li.msg-s-event-listitem, .msg-s-message-list__event', author: 'a.msg-s-message-group__profile-link' },
+                { kind: 'post', selector: 'div.feed-shared-update-v2', author: "a.update-components-actor__meta-link, .update-components-actor__container a[href]" }
+            ]
+        },
+        {
+            id: 'youtube',
+            domain: 'youtube.com',
+            handleFromUrl(url) {
+                const segs = pathSegments(url.pathname);
+                if (segs[0] && segs[0].startsWith('@')) return segs[0].slice(1);
+                return ['channel', 'c', 'user'].includes(segs[0]) && segs[1] ? segs[1] : '';
+            },
+            profile(doc, url) {
+                const handle = this.handleFromUrl(url);
+                if (!handle || !isProfilePath(url, url.pathname.startsWith('/@') ? 1 : 2)) return null;
+                return {
+                    handle,
+                    displayName: firstText(doc, ['yt-page-header-view-model h1', '#channel-header #channel-name #text']) || metaContent(doc, 'og:title'),
+                    isVerified: !!doc.querySelector('#channel-header .badge-style-type-verified, ' + verifiedSelector('yt-page-header-view-model'))
+                };
+            },
+            items: [
+                { kind: 'comment', selector: 'ytd-comment-view-model, ytd-comment-renderer', author: 'a#author-text' },
+                {
+                    kind: 'description',
+                    selector: 'ytd-watch-metadata #description',
+                    author: (el, doc) => doc.querySelector('ytd-watch-metadata #owner ytd-channel-name a[href]')
+                },
+                { kind: 'bio', selector: 'ytd-about-channel-renderer #links-section, yt-page-header-view-model yt-attribution-view-model', author: null }
+            ]
+        }
+    ];
+
+    // Sites without an adapter: first @handle in the text and a loose verified-badge check, no items
+    const GENERIC = {
+        id: 'generic',
+        domain: '',
+        handleFromUrl: () => '',
+        profile(doc) {
+            const m = (doc.body ? doc.body.innerText || doc.body.textContent : '').match(/@[A-Za-z0-9_.-]{2,40}/);
+            return {
+                handle: m ? m[0].slice(1) : '',
+                displayName: cleanText(doc.title),
+                isVerified: !!doc.querySelector("[aria-label*='verified'], .verified, .badge--verified, [title*='Verified']")
+            };
+        },
+        items: []
+    };
+
+    function getAdapter(hostname) {
+        const host = (hostname || '').toLowerCase();
+        return ADAPTERS.find(a => [a.domain, ...(a.aliases || [])].some(d => hostMatches(host, d))) || GENERIC;
+    }
+
+    // Runs the adapter for the current page.
+    // Returns { platform, isProfile, profile: { handle, displayName, isVerified } | null,
+    //           items: [{ kind, element, author: { handle, displayName } | null, links }] }
+    // kind is 'post' | 'comment' | 'message' | 'bio' | 'description'; only items with links are returned.
+    function extract(doc = document, loc = location) {
+        const adapter = getAdapter(loc.hostname);
+        const url = toUrl(loc.href);
+        let profile = null;
+        let items = [];
+        try {
+            profile = url ? adapter.profile(doc, url) : null;
+            items = collectItems(adapter, doc, loc);
+        } catch (e) {
+            // a site redesign must not break the rest of the scan
+            console.warn(`Advirs: ${adapter.id} extractor failed`, e);
+        }
+        return { platform: adapter.id, isProfile: adapter !== GENERIC && !!profile, profile, items };
+    }
+
+    // The post/comment/message containing a node (used for content added after the first scan).
+    // Returns { kind, element, author } or null outside any item.
+    function locate(node, doc = document, loc = location) {
+        const el = node && (node.nodeType === 1 ? node : node.parentElement);
+        if (!el) return null;
+        const adapter = getAdapter(loc.hostname);
+        const specs = activeSpecs(adapter, loc);
+        if (!specs.length) return null;
+        try {
+            const item = el.closest(specs.map(s => s.selector).join(', '));
+            if (!item) return null;
+            const spec = specs.find(s => item.matches(s.selector));
+            return { kind: spec.kind, element: item, author: itemAuthor(adapter, spec, item, doc, loc).author };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Adds or replaces an adapter (same shape as ADAPTERS entries)
+    function registerAdapter(adapter) {
+        if (!adapter || !adapter.id || !adapter.domain || typeof adapter.profile !== 'function' || typeof adapter.handleFromUrl !== 'function') return false;
+        const i = ADAPTERS.findIndex(a => a.id === adapter.id);
+        if (i >= 0) ADAPTERS.splice(i, 1);
+        ADAPTERS.unshift(adapter);
+        return true;
+    }
+
+    root.AdvirsPlatforms = { ADAPTERS, GENERIC, getAdapter, extract, locate, registerAdapter, parseNameHandle };
+})(self);
@@ -1,32 +1,45 @@
-// popup.js - advirs popup script (عربي بالكامل)
+// popup.js - advirs popup script (عربي / English حسب إعداد اللغة)
+
+document.addEventListener("DOMContentLoaded", async () => {
+  await AdvirsI18n.init();
+  AdvirsI18n.localizePage();
+  const t = AdvirsI18n.t;
 
-document.addEventListener("DOMContentLoaded", () => {
   const statusEl = document.getElementById("status");
   const resultsEl = document.getElementById("results");
+  const scanToggleEl = document.getElementById("scanToggle");
 
   function renderResult(data) {
     resultsEl.innerHTML = ""; // مسح النتائج القديمة
 
     if (!data || !data.result) {
-      statusEl.innerText = "❌ لا يوجد تحليل حتى الآن.";
+      statusEl.innerText = t("popup_no_analysis");
       return;
     }
 
     const { suspicious, score, reasons } = data.result;
 
-    statusEl.innerText = suspicious
-      ? `⚠️ تم اكتشاف نشاط مشبوه (${Math.round(score * 100)}٪)`
-      : `✅ الصفحة آمنة (${Math.round(score * 100)}٪)`;
+    statusEl.innerText = t(suspicious ? "popup_suspicious" : "popup_safe", { score: Math.round(score * 100) });
 
     const list = document.createElement("ul");
-    list.style.paddingLeft = "20px";
-    (reasons || []).slice(0, 10).forEach(r => {
+    list.style.paddingInlineStart = "20px";
+    AdvirsI18n.formatReasons((reasons || []).slice(0, 10)).forEach(r => {
       const li = document.createElement("li");
-      li.innerText = r; // ممكن تترجم الأسباب في الـ background.js لو حبيت
+      li.innerText = r;
       list.appendChild(li);
     });
 
     resultsEl.appendChild(list);
+
+    // per-signal contributions, collapsed by default
+    const table = AdvirsBreakdown.render(data.result);
+    if (table) {
+      const details = document.createElement("details");
+      const summary = document.createElement("summary");
+      summary.innerText = t("signal_breakdown");
+      details.append(summary, table);
+      resultsEl.appendChild(details);
+    }
   }
 
   // تحميل نتيجة التحليل الحالية
@@ -35,19 +48,59 @@ document.addEventListener("DOMContentLoaded", () => {
       if (!tabs || !tabs[0]) return;
       chrome.tabs.sendMessage(tabs[0].id, { type: "getPayload" }, (resp) => {
         if (!resp || !resp.payload) {
-          statusEl.innerText = "⚠️ لا توجد بيانات مرسلة من الصفحة.";
+          statusEl.innerText = t("popup_no_payload");
           return;
         }
         chrome.runtime.sendMessage({ type: "analyzeProfile", data: resp.payload }, (analysis) => {
           if (analysis && analysis.result) {
             renderResult(analysis);
           } else {
-            statusEl.innerText = "❌ لم يتم الحصول على نتيجة التحليل.";
+            statusEl.innerText = t("popup_no_result");
           }
         });
       });
     });
   }
 
+  // زر "فحص هذا الموقع" — يضيف/يزيل الموقع الحالي من نطاق الفحص
+  function renderScanToggle(scanning) {
+    scanToggleEl.hidden = false;
+    scanToggleEl.classList.toggle("off", !scanning);
+    scanToggleEl.innerText = t(scanning ? "popup_scan_stop" : "popup_scan_start");
+  }
+
+  function loadScanToggle() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = tabs && tabs[0];
+      if (!tab || !/^https?:/i.test(tab.url || "")) return;
+      chrome.runtime.sendMessage({ type: "check_host", url: tab.url }, (resp) => {
+        if (resp && resp.ok) renderScanToggle(resp.scanning);
+      });
+      scanToggleEl.onclick = () => {
+        chrome.runtime.sendMessage({ type: "toggle_site_scan", url: tab.url, tabId: tab.id }, (resp) => {
+          if (!resp || !resp.ok) return;
+          renderScanToggle(resp.scanning);
+          if (resp.scanning) setTimeout(loadCurrent, 500);
+          else statusEl.innerText = t("popup_scan_stopped");
+        });
+      };
+    });
+  }
+
+  document.getElementById("historyLink").addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+  });
+
+  const alertsLinkEl = document.getElementById("alertsLink");
+  alertsLinkEl.addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("alert-center.html") });
+  });
+  chrome.runtime.sendMessage({ type: "get_alerts" }, (resp) => {
+    if (resp && resp.ok && resp.unread) alertsLinkEl.innerText = t("popup_alerts", { count: resp.unread });
+  });
+
+  loadScanToggle();
   loadCurrent();
 });
@@ -0,0 +1,57 @@
+// psl.js - offline Public Suffix List resolver (Advirs)
+// Resolves public suffixes and registered domains (eTLD+1) using the rules bundled in psl-data.js
+
+(function (root) {
+    const exactRules = new Set();
+    const wildcardRules = new Set(); // "*.ck" stored as "ck"
+    const exceptionRules = new Set(); // "!www.ck" stored as "www.ck"
+
+    for (const rule of root.ADVIRS_PSL_RULES || []) {
+        if (!rule) continue;
+        if (rule.startsWith('!')) exceptionRules.add(rule.slice(1));
+        else if (rule.startsWith('*.')) wildcardRules.add(rule.slice(2));
+        else exactRules.add(rule);
+    }
+
+    function toLabels(hostname) {
+        return (hostname || '').toString().toLowerCase().replace(/\.+$/, '').split('.').filter(Boolean);
+    }
+
+    // Returns the public suffix of a hostname per the PSL algorithm:
+    // exception rules win, otherwise the longest matching rule, otherwise the implicit "*" rule.
+    function getPublicSuffix(hostname) {
+        const labels = toLabels(hostname);
+        if (!labels.length) return '';
+
+        for (let i = 0; i < labels.length; i++) {
+            if (exceptionRules.has(labels.slice(i).join('.'))) return labels.slice(i + 1).join('.');
+        }
+
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (exactRules.has(candidate)) return candidate;
+            if (i + 1 < labels.length && wildcardRules.has(labels.slice(i + 1).join('.'))) return candidate;
+        }
+
+        return labels[labels.length - 1];
+    }
+
+    // Returns the registered domain (public suffix + one label), or '' when the
+    // hostname is itself a public suffix.
+    function getRegisteredDomain(hostname) {
+        const labels = toLabels(hostname);
+        const suffix = getPublicSuffix(hostname);
+        if (!suffix) return '';
+        const suffixLength = suffix.split('.').length;
+        if (labels.length <= suffixLength) return '';
+        return labels.slice(-(suffixLength + 1)).join('.');
+    }
+
+    // Returns the label directly left of the public suffix ("evil" for evil.co.uk).
+    function getRegistrableLabel(hostname) {
+        const reg = getRegisteredDomain(hostname);
+        return reg ? reg.split('.')[0] : '';
+    }
+
+    root.AdvirsPsl = { getPublicSuffix, getRegisteredDomain, getRegistrableLabel };
+})(self);
@@ -0,0 +1,744 @@
+// qr.js - offline QR code decoder (Advirs)
+// Finds and decodes one QR code in an image: adaptive binarization, finder/alignment pattern search,
+// perspective sampling, format and version information, Reed-Solomon error correction and segment
+// decoding (numeric, alphanumeric, byte, kanji, ECI). Everything runs on the device.
+// Used by content.js for images and canvases on the page, and by background.js for cross-origin
+// images the page cannot read.
+
+(function (root) {
+    const MAX_SIDE = 800; // images are scaled down to this before decoding
+
+    // ---------- Galois field GF(256), primitive polynomial 0x11d ----------
+    const GF_EXP = new Uint8Array(512);
+    const GF_LOG = new Uint8Array(256);
+    (function () {
+        let x = 1;
+        for (let i = 0; i < 255; i++) {
+            GF_EXP[i] = x;
+            GF_LOG[x] = i;
+            x <<= 1;
+            if (x & 0x100) x ^= 0x11d;
+        }
+        for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+    })();
+
+    function gfMul(a, b) {
+        return a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0;
+    }
+
+    function gfDiv(a, b) {
+        return a ? GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255] : 0;
+    }
+
+    function gfPow(x, power) {
+        return GF_EXP[(((GF_LOG[x] * power) % 255) + 255) % 255];
+    }
+
+    function polyScale(p, x) {
+        return p.map(c => gfMul(c, x));
+    }
+
+    function polyAdd(p, q) {
+        const r = new Array(Math.max(p.length, q.length)).fill(0);
+        p.forEach((c, i) => { r[i + r.length - p.length] = c; });
+        q.forEach((c, i) => { r[i + r.length - q.length] ^= c; });
+        return r;
+    }
+
+    function polyMul(p, q) {
+        const r = new Array(p.length + q.length - 1).fill(0);
+        for (let j = 0; j < q.length; j++) {
+            for (let i = 0; i < p.length; i++) r[i + j] ^= gfMul(p[i], q[j]);
+        }
+        return r;
+    }
+
+    // Horner evaluation, highest degree first
+    function polyEval(p, x) {
+        let y = p[0];
+        for (let i = 1; i < p.length; i++) y = gfMul(y, x) ^ p[i];
+        return y;
+    }
+
+    // Corrects a block (data + nsym error correction codewords) in place; false when it has too many errors
+    function rsCorrect(msg, nsym) {
+        const synd = [0];
+        let clean = true;
+        for (let i = 0; i < nsym; i++) {
+            synd.push(polyEval(msg, GF_EXP[i]));
+            if (synd[i + 1]) clean = false;
+        }
+        if (clean) return true;
+
+        // Berlekamp-Massey: error locator polynomial
+        let errLoc = [1];
+        let oldLoc = [1];
+        for (let i = 0; i < nsym; i++) {
+            const k = i + 1;
+            let delta = synd[k];
+            for (let j = 1; j < errLoc.length; j++) delta ^= gfMul(errLoc[errLoc.length - 1 - j], synd[k - j]);
+            oldLoc = oldLoc.concat([0]);
+            if (delta) {
+                if (oldLoc.length > errLoc.length) {
+                    const newLoc = polyScale(oldLoc, delta);
+                    oldLoc = polyScale(errLoc, gfDiv(1, delta));
+                    errLoc = newLoc;
+                }
+                errLoc = polyAdd(errLoc, polyScale(oldLoc, delta));
+            }
+        }
+        while (errLoc.length && !errLoc[0]) errLoc.shift();
+        const errs = errLoc.length - 1;
+        if (errs * 2 > nsym) return false;
+
+        // Chien search: error positions
+        const reversed = errLoc.slice().reverse();
+        const errPos = [];
+        for (let i = 0; i < msg.length; i++) {
+            if (polyEval(reversed, gfPow(2, i)) === 0) errPos.push(msg.length - 1 - i);
+        }
+        if (errPos.length !== errs) return false;
+
+        // Forney: error magnitudes
+        const coefPos = errPos.map(p => msg.length - 1 - p);
+        let locator = [1];
+        coefPos.forEach(p => { locator = polyMul(locator, [gfPow(2, p), 1]); });
+        const product = polyMul(synd.slice().reverse(), locator);
+        const evaluator = product.slice(product.length - locator.length).reverse();
+        const X = coefPos.map(p => gfPow(2, p));
+        for (let i = 0; i < X.length; i++) {
+            const xiInv = gfDiv(1, X[i]);
+            let locPrime = 1;
+            for (let j = 0; j < X.length; j++) {
+                if (j !== i) locPrime = gfMul(locPrime, 1 ^ gfMul(xiInv, X[j]));
+            }
+            if (!locPrime) return false;
+            const y = gfMul(X[i], polyEval(evaluator.slice().reverse(), xiInv));
+            msg[errPos[i]] ^= gfDiv(y, locPrime);
+        }
+        for (let i = 0; i < nsym; i++) {
+            if (polyEval(msg, GF_EXP[i])) return false;
+        }
+        return true;
+    }
+
+    // ---------- Version tables ----------
+    // [ecLevel][version], ecLevel in format-bit order L, M, Q, H
+    const EC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+    const EC_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+    // format bits 00 = M, 01 = L, 10 = H, 11 = Q -> table row
+    const EC_LEVEL_ROW = [1, 0, 3, 2];
+
+    function alignmentPositions(version) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.floor((version * 4 + count * 2 + 1) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let i = count - 1, pos = version * 4 + 10; i >= 1; i--, pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    function rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const count = Math.floor(version / 7) + 2;
+            result -= (25 * count - 10) * count - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function formatCode(data) {
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        return ((data << 10) | rem) ^ 0x5412;
+    }
+
+    function versionCode(version) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        return (version << 12) | rem;
+    }
+
+    function bitCount(n) {
+        let c = 0;
+        for (; n; n &= n - 1) c++;
+        return c;
+    }
+
+    // The valid code closest to one of the read copies, or -1 beyond 3 bit errors
+    function closestCode(reads, count, codeOf) {
+        let best = -1;
+        let bestDistance = 4;
+        for (let v = 0; v < count; v++) {
+            for (const read of reads) {
+                const d = bitCount(read ^ codeOf(v));
+                if (d < bestDistance) { best = v; bestDistance = d; }
+            }
+        }
+        return best;
+    }
+
+    // ---------- Binarization ----------
+    const BLOCK = 8;
+
+    // 1 = dark module; light-on-dark codes are read with invert
+    function binarize(rgba, width, height, invert) {
+        const lum = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < lum.length; i++, p += 4) {
+            const a = rgba[p + 3] / 255;
+            // transparent pixels are treated as a white background
+            lum[i] = (0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2]) * a + 255 * (1 - a);
+        }
+
+        const bw = Math.ceil(width / BLOCK);
+        const bh = Math.ceil(height / BLOCK);
+        const avg = new Float32Array(bw * bh);
+        for (let by = 0; by < bh; by++) {
+            for (let bx = 0; bx < bw; bx++) {
+                let sum = 0, min = 255, max = 0, n = 0;
+                for (let y = by * BLOCK; y < Math.min((by + 1) * BLOCK, height); y++) {
+                    for (let x = bx * BLOCK; x < Math.min((bx + 1) * BLOCK, width); x++) {
+                        const v = lum[y * width + x];
+                        sum += v;
+                        n++;
+                        if (v < min) min = v;
+                        if (v > max) max = v;
+                    }
+                }
+                let a = sum / n;
+                // a flat block is background unless its neighbours say it is inside a dark area
+                if (max - min <= 24) {
+                    a = min / 2;
+                    if (by > 0 && bx > 0) {
+                        const neighbours = (avg[(by - 1) * bw + bx] + 2 * avg[by * bw + bx - 1] + avg[(by - 1) * bw + bx - 1]) / 4;
+                        if (min < neighbours) a = neighbours;
+                    }
+                }
+                avg[by * bw + bx] = a;
+            }
+        }
+
+        const bits = new Uint8Array(width * height);
+        for (let by = 0; by < bh; by++) {
+            for (let bx = 0; bx < bw; bx++) {
+                let sum = 0;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        const y = Math.min(bh - 1, Math.max(0, by + dy));
+                        const x = Math.min(bw - 1, Math.max(0, bx + dx));
+                        sum += avg[y * bw + x];
+                    }
+                }
+                const threshold = sum / 25;
+                for (let y = by * BLOCK; y < Math.min((by + 1) * BLOCK, height); y++) {
+                    for (let x = bx * BLOCK; x < Math.min((bx + 1) * BLOCK, width); x++) {
+                        const dark = lum[y * width + x] <= threshold;
+                        bits[y * width + x] = dark !== invert ? 1 : 0;
+                    }
+                }
+            }
+        }
+        return { bits, width, height, dark: (x, y) => x >= 0 && y >= 0 && x < width && y < height && bits[y * width + x] === 1 };
+    }
+
+    // ---------- Finder patterns (the three 1:1:3:1:1 squares) ----------
+    function isFinderRatio(c) {
+        let total = 0;
+        for (let i = 0; i < 5; i++) {
+            if (!c[i]) return false;
+            total += c[i];
+        }
+        if (total < 7) return false;
+        const m = total / 7;
+        const v = m / 2;
+        return Math.abs(m - c[0]) < v && Math.abs(m - c[1]) < v && Math.abs(3 * m - c[2]) < 3 * v &&
+            Math.abs(m - c[3]) < v && Math.abs(m - c[4]) < v;
+    }
+
+    // Re-measures the pattern through (x, y) along (dx, dy); returns the centre offset or NaN
+    function crossCheck(img, x, y, dx, dy, maxCount, originalTotal) {
+        const c = [0, 0, 0, 0, 0];
+        const dark = (k) => img.dark(x + dx * k, y + dy * k);
+        const inside = (k) => x + dx * k >= 0 && y + dy * k >= 0 && x + dx * k < img.width && y + dy * k < img.height;
+        let k = 0;
+        while (inside(k) && dark(k)) { c[2]++; k--; }
+        if (!inside(k)) return NaN;
+        while (inside(k) && !dark(k) && c[1] <= maxCount) { c[1]++; k--; }
+        if (!inside(k) || c[1] > maxCount) return NaN;
+        while (inside(k) && dark(k) && c[0] <= maxCount) { c[0]++; k--; }
+        if (c[0] > maxCount) return NaN;
+        k = 1;
+        while (inside(k) && dark(k)) { c[2]++; k++; }
+        if (!inside(k)) return NaN;
+        while (inside(k) && !dark(k) && c[3] < maxCount) { c[3]++; k++; }
+        if (!inside(k) || c[3] >= maxCount) return NaN;
+        while (inside(k) && dark(k) && c[4] < maxCount) { c[4]++; k++; }
+        if (c[4] >= maxCount) return NaN;
+        const total = c[0] + c[1] + c[2] + c[3] + c[4];
+        if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal) return NaN;
+        return isFinderRatio(c) ? k - c[4] - c[3] - c[2] / 2 : NaN;
+    }
+
+    function findFinderPatterns(img) {
+        const centers = [];
+
+        function addCenter(c, row, end) {
+            const total = c[0] + c[1] + c[2] + c[3] + c[4];
+            const x0 = end - c[4] - c[3] - c[2] / 2;
+            const dy = crossCheck(img, Math.floor(x0), row, 0, 1, c[2], total);
+            if (Number.isNaN(dy)) return false;
+            const y = row + dy;
+            const dx = crossCheck(img, Math.floor(x0), Math.floor(y), 1, 0, c[2], total);
+            if (Number.isNaN(dx)) return false;
+            const x = Math.floor(x0) + dx;
+            const size = total / 7;
+            const same = centers.find(p => Math.abs(p.y - y) <= size && Math.abs(p.x - x) <= size &&
+                (Math.abs(p.size - size) <= 1 || Math.abs(p.size - size) <= p.size));
+            if (same) {
+                const n = same.count + 1;
+                same.x = (same.x * same.count + x) / n;
+                same.y = (same.y * same.count + y) / n;
+                same.size = (same.size * same.count + size) / n;
+                same.count = n;
+            } else {
+                centers.push({ x, y, size, count: 1 });
+            }
+            return true;
+        }
+
+        for (let y = 0; y < img.height; y++) {
+            let c = [0, 0, 0, 0, 0];
+            let state = 0;
+            for (let x = 0; x < img.width; x++) {
+                if (img.bits[y * img.width + x]) {
+                    if (state & 1) state++;
+                    c[state]++;
+                } else if (state & 1) {
+                    c[state]++;
+                } else if (state === 4) {
+                    if (isFinderRatio(c) && addCenter(c, y, x)) {
+                        c = [0, 0, 0, 0, 0];
+                        state = 0;
+                    } else {
+                        c = [c[2], c[3], c[4], 1, 0];
+                        state = 3;
+                    }
+                } else {
+                    state++;
+                    c[state]++;
+                }
+            }
+            if (state === 4 && isFinderRatio(c)) addCenter(c, y, img.width);
+        }
+        return centers;
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // Candidate { topLeft, topRight, bottomLeft } triples, most plausible first
+    function finderTriples(centers) {
+        let pool = centers.filter(c => c.count >= 2);
+        if (pool.length < 3) pool = centers.slice();
+        pool = pool.sort((a, b) => b.count - a.count).slice(0, 12);
+        const triples = [];
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const p = [pool[i], pool[j], pool[k]];
+                    const sizes = p.map(c => c.size);
+                    const sizeSpread = Math.max(...sizes) / Math.min(...sizes);
+                    if (sizeSpread > 1.5) continue;
+                    // the top-left pattern is the corner opposite the longest side
+                    const d01 = distance(p[0], p[1]), d12 = distance(p[1], p[2]), d02 = distance(p[0], p[2]);
+                    let a, b, c;
+                    if (d12 >= d01 && d12 >= d02) [b, a, c] = p;
+                    else if (d02 >= d01 && d02 >= d12) [a, b, c] = p;
+                    else [a, c, b] = p;
+                    if ((c.x - b.x) * (a.y - b.y) - (c.y - b.y) * (a.x - b.x) < 0) [a, c] = [c, a];
+                    const side1 = distance(b, c), side2 = distance(b, a);
+                    const module = (a.size + b.size + c.size) / 3;
+                    if (Math.min(side1, side2) < module * 10) continue;
+                    const sideRatio = Math.max(side1, side2) / Math.min(side1, side2);
+                    const cos = ((c.x - b.x) * (a.x - b.x) + (c.y - b.y) * (a.y - b.y)) / (side1 * side2);
+                    if (sideRatio > 1.6 || Math.abs(cos) > 0.4) continue;
+                    triples.push({ topLeft: b, topRight: c, bottomLeft: a, module, score: sideRatio - 1 + Math.abs(cos) + (sizeSpread - 1) });
+                }
+            }
+        }
+        return triples.sort((x, y) => x.score - y.score).slice(0, 4);
+    }
+
+    // ---------- Alignment pattern and perspective ----------
+    // Looks for the bottom-right alignment pattern (dark centre, light ring, dark ring) near the estimate
+    function findAlignment(img, estX, estY, module) {
+        const ring = (r) => [[r, 0], [-r, 0], [0, r], [0, -r], [r, r], [r, -r], [-r, r], [-r, -r]];
+        const inner = ring(module);
+        const outer = ring(2 * module);
+        const step = Math.max(1, module / 3);
+        let best = null;
+        for (const allowance of [4, 8, 16]) {
+            const radius = allowance * module;
+            for (let y = estY - radius; y <= estY + radius; y += step) {
+                for (let x = estX - radius; x <= estX + radius; x += step) {
+                    if (!img.dark(Math.round(x), Math.round(y))) continue;
+                    let score = 1;
+                    inner.forEach(([dx, dy]) => { if (!img.dark(Math.round(x + dx), Math.round(y + dy))) score++; });
+                    outer.forEach(([dx, dy]) => { if (img.dark(Math.round(x + dx), Math.round(y + dy))) score++; });
+                    if (score < 16) continue;
+                    const d = Math.hypot(x - estX, y - estY);
+                    if (!best || score > best.score || (score === best.score && d < best.d)) best = { x, y, score, d };
+                }
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+
+    function squareToQuad(x0, y0, x1, y1, x2, y2, x3, y3) {
+        const dx3 = x0 - x1 + x2 - x3;
+        const dy3 = y0 - y1 + y2 - y3;
+        if (dx3 === 0 && dy3 === 0) {
+            return { a11: x1 - x0, a21: x2 - x1, a31: x0, a12: y1 - y0, a22: y2 - y1, a32: y0, a13: 0, a23: 0, a33: 1 };
+        }
+        const dx1 = x1 - x2, dx2 = x3 - x2, dy1 = y1 - y2, dy2 = y3 - y2;
+        const denom = dx1 * dy2 - dx2 * dy1;
+        const a13 = (dx3 * dy2 - dx2 * dy3) / denom;
+        const a23 = (dx1 * dy3 - dx3 * dy1) / denom;
+        return { a11: x1 - x0 + a13 * x1, a21: x3 - x0 + a23 * x3, a31: x0, a12: y1 - y0 + a13 * y1, a22: y3 - y0 + a23 * y3, a32: y0, a13, a23, a33: 1 };
+    }
+
+    function adjoint(m) {
+        return {
+            a11: m.a22 * m.a33 - m.a23 * m.a32, a21: m.a23 * m.a31 - m.a21 * m.a33, a31: m.a21 * m.a32 - m.a22 * m.a31,
+            a12: m.a13 * m.a32 - m.a12 * m.a33, a22: m.a11 * m.a33 - m.a13 * m.a31, a32: m.a12 * m.a31 - m.a11 * m.a32,
+            a13: m.a12 * m.a23 - m.a13 * m.a22, a23: m.a13 * m.a21 - m.a11 * m.a23, a33: m.a11 * m.a22 - m.a12 * m.a21
+        };
+    }
+
+    function times(a, b) {
+        return {
+            a11: a.a11 * b.a11 + a.a21 * b.a12 + a.a31 * b.a13, a21: a.a11 * b.a21 + a.a21 * b.a22 + a.a31 * b.a23, a31: a.a11 * b.a31 + a.a21 * b.a32 + a.a31 * b.a33,
+            a12: a.a12 * b.a11 + a.a22 * b.a12 + a.a32 * b.a13, a22: a.a12 * b.a21 + a.a22 * b.a22 + a.a32 * b.a23, a32: a.a12 * b.a31 + a.a22 * b.a32 + a.a32 * b.a33,
+            a13: a.a13 * b.a11 + a.a23 * b.a12 + a.a33 * b.a13, a23: a.a13 * b.a21 + a.a23 * b.a22 + a.a33 * b.a23, a33: a.a13 * b.a31 + a.a23 * b.a32 + a.a33 * b.a33
+        };
+    }
+
+    // Reads the module grid: module centres are mapped through the transform that takes the finder
+    // (and alignment) centres in module coordinates to their positions in the image
+    function sampleGrid(img, triple, dimension) {
+        const { topLeft, topRight, bottomLeft, module } = triple;
+        const far = dimension - 3.5;
+        let brX = topRight.x - topLeft.x + bottomLeft.x;
+        let brY = topRight.y - topLeft.y + bottomLeft.y;
+        let brModule = far;
+        if (dimension > 21) {
+            const correction = 1 - 3 / (dimension - 7);
+            const estX = topLeft.x + correction * (brX - topLeft.x);
+            const estY = topLeft.y + correction * (brY - topLeft.y);
+            const alignment = findAlignment(img, estX, estY, module);
+            if (alignment) {
+                brX = alignment.x;
+                brY = alignment.y;
+                brModule = far - 3;
+            }
+        }
+        const transform = times(
+            squareToQuad(topLeft.x, topLeft.y, topRight.x, topRight.y, brX, brY, bottomLeft.x, bottomLeft.y),
+            adjoint(squareToQuad(3.5, 3.5, far, 3.5, brModule, brModule, 3.5, far))
+        );
+        const grid = [];
+        for (let y = 0; y < dimension; y++) {
+            const row = new Uint8Array(dimension);
+            for (let x = 0; x < dimension; x++) {
+                const mx = x + 0.5, my = y + 0.5;
+                const denom = transform.a13 * mx + transform.a23 * my + transform.a33;
+                const px = (transform.a11 * mx + transform.a21 * my + transform.a31) / denom;
+                const py = (transform.a12 * mx + transform.a22 * my + transform.a32) / denom;
+                row[x] = img.dark(Math.floor(px), Math.floor(py)) ? 1 : 0;
+            }
+            grid.push(row);
+        }
+        return grid;
+    }
+
+    // ---------- Module grid -> codewords ----------
+    function functionModules(version) {
+        const size = version * 4 + 17;
+        const fn = Array.from({ length: size }, () => new Uint8Array(size));
+        const mark = (x, y) => { if (x >= 0 && y >= 0 && x < size && y < size) fn[y][x] = 1; };
+        for (let i = 0; i < size; i++) { mark(6, i); mark(i, 6); }
+        for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+            for (let dy = -4; dy <= 4; dy++) for (let dx = -4; dx <= 4; dx++) mark(cx + dx, cy + dy);
+        }
+        const align = alignmentPositions(version);
+        const last = align.length - 1;
+        align.forEach((ax, i) => align.forEach((ay, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) mark(ax + dx, ay + dy);
+        }));
+        for (let i = 0; i <= 8; i++) { mark(8, i); mark(i, 8); }
+        for (let i = 0; i < 8; i++) { mark(size - 1 - i, 8); mark(8, size - 1 - i); }
+        if (version >= 7) {
+            for (let i = 0; i < 18; i++) {
+                mark(size - 11 + (i % 3), Math.floor(i / 3));
+                mark(Math.floor(i / 3), size - 11 + (i % 3));
+            }
+        }
+        return fn;
+    }
+
+    function readFormat(grid) {
+        const size = grid.length;
+        const bit = (x, y) => grid[y][x];
+        let a = 0, b = 0;
+        for (let i = 0; i <= 5; i++) a |= bit(8, i) << i;
+        a |= bit(8, 7) << 6;
+        a |= bit(8, 8) << 7;
+        a |= bit(7, 8) << 8;
+        for (let i = 9; i < 15; i++) a |= bit(14 - i, 8) << i;
+        for (let i = 0; i < 8; i++) b |= bit(size - 1 - i, 8) << i;
+        for (let i = 8; i < 15; i++) b |= bit(8, size - 15 + i) << i;
+        const data = closestCode([a, b], 32, formatCode);
+        return data < 0 ? null : { ecRow: EC_LEVEL_ROW[data >> 3], mask: data & 7 };
+    }
+
+    function readVersion(grid) {
+        const size = grid.length;
+        let a = 0, b = 0;
+        for (let i = 0; i < 18; i++) {
+            const p = size - 11 + (i % 3), q = Math.floor(i / 3);
+            a |= grid[q][p] << i;
+            b |= grid[p][q] << i;
+        }
+        const v = closestCode([a, b], 41, (n) => (n >= 7 ? versionCode(n) : -1));
+        return v >= 7 ? v : null;
+    }
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    // Unmasked codewords in placement order (the zigzag from the bottom-right corner)
+    function readCodewords(grid, version, mask) {
+        const size = grid.length;
+        const fn = functionModules(version);
+        const total = Math.floor(rawDataModules(version) / 8);
+        const out = new Uint8Array(total);
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (fn[y][x] || i >= total * 8) continue;
+                    const bit = grid[y][x] ^ (MASKS[mask](x, y) ? 1 : 0);
+                    out[i >> 3] |= bit << (7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+        return out;
+    }
+
+    // De-interleaves the blocks and corrects each; null when a block is beyond repair
+    function correctedData(codewords, version, ecRow) {
+        const numBlocks = EC_BLOCKS[ecRow][version];
+        const ecLen = EC_CODEWORDS_PER_BLOCK[ecRow][version];
+        const total = codewords.length;
+        const numShort = numBlocks - (total % numBlocks);
+        const shortLen = Math.floor(total / numBlocks);
+        const dataShort = shortLen - ecLen;
+        const blocks = Array.from({ length: numBlocks }, () => []);
+        let k = 0;
+        // short blocks have one data codeword less; the error correction codewords line up again after it
+        for (let i = 0; i <= shortLen; i++) {
+            for (let j = 0; j < numBlocks; j++) {
+                if (i === dataShort && j < numShort) continue;
+                blocks[j].push(codewords[k++]);
+            }
+        }
+        const data = [];
+        for (let j = 0; j < numBlocks; j++) {
+            const block = blocks[j];
+            if (!rsCorrect(block, ecLen)) return null;
+            data.push(...block.slice(0, block.length - ecLen));
+        }
+        return data;
+    }
+
+    // ---------- Codewords -> text ----------
+    const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+    function decodeBytes(bytes, charset) {
+        const arr = new Uint8Array(bytes);
+        if (charset === 'shift_jis') {
+            try { return new TextDecoder('shift_jis').decode(arr); } catch (e) { /* fall through */ }
+        }
+        if (charset !== 'latin1') {
+            try { return new TextDecoder('utf-8', { fatal: true }).decode(arr); } catch (e) { /* not UTF-8 */ }
+        }
+        return Array.from(arr, b => String.fromCharCode(b)).join('');
+    }
+
+    function decodeSegments(data, version) {
+        let pos = 0;
+        const available = () => data.length * 8 - pos;
+        const read = (n) => {
+            let v = 0;
+            for (let i = 0; i < n; i++, pos++) v = (v << 1) | ((data[pos >> 3] >> (7 - (pos & 7))) & 1);
+            return v;
+        };
+        const sizeClass = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+        let text = '';
+        let charset = '';
+        while (available() >= 4) {
+            const mode = read(4);
+            if (mode === 0) break;
+            if (mode === 1) {
+                let count = read([10, 12, 14][sizeClass]);
+                for (; count >= 3; count -= 3) text += String(read(10)).padStart(3, '0');
+                if (count === 2) text += String(read(7)).padStart(2, '0');
+                else if (count === 1) text += String(read(4));
+            } else if (mode === 2) {
+                let count = read([9, 11, 13][sizeClass]);
+                for (; count >= 2; count -= 2) {
+                    const v = read(11);
+                    text += ALPHANUMERIC[Math.floor(v / 45)] + ALPHANUMERIC[v % 45];
+                }
+                if (count === 1) text += ALPHANUMERIC[read(6)];
+            } else if (mode === 4) {
+                const count = read([8, 16, 16][sizeClass]);
+                if (available() < count * 8) return null;
+                const bytes = [];
+                for (let i = 0; i < count; i++) bytes.push(read(8));
+                text += decodeBytes(bytes, charset);
+            } else if (mode === 8) {
+                const count = read([8, 10, 12][sizeClass]);
+                const bytes = [];
+                for (let i = 0; i < count; i++) {
+                    const v = read(13);
+                    let assembled = ((Math.floor(v / 0xc0)) << 8) | (v % 0xc0);
+                    assembled += assembled < 0x1f00 ? 0x8140 : 0xc140;
+                    bytes.push(assembled >> 8, assembled & 0xff);
+                }
+                text += decodeBytes(bytes, 'shift_jis');
+            } else if (mode === 7) {
+                const first = read(8);
+                let designator = first;
+                if ((first & 0xc0) === 0x80) designator = ((first & 0x3f) << 8) | read(8);
+                else if ((first & 0xe0) === 0xc0) designator = ((first & 0x1f) << 16) | read(16);
+                charset = designator === 26 ? 'utf-8' : designator === 20 ? 'shift_jis' : designator <= 3 ? 'latin1' : charset;
+            } else if (mode === 3) {
+                read(16); // structured append header
+            } else if (mode === 5) {
+                // FNC1 first position
+            } else if (mode === 9) {
+                read(8);
+            } else {
+                break;
+            }
+        }
+        return text;
+    }
+
+    function decodeGrid(grid) {
+        const version = (grid.length - 17) / 4;
+        const format = readFormat(grid);
+        if (!format) return null;
+        const data = correctedData(readCodewords(grid, version, format.mask), version, format.ecRow);
+        return data ? decodeSegments(data, version) : null;
+    }
+
+    function transpose(grid) {
+        return grid.map((row, y) => row.map((_, x) => grid[x][y]));
+    }
+
+    // ---------- Image -> text ----------
+    function decodeBinary(img) {
+        for (const triple of finderTriples(findFinderPatterns(img))) {
+            const sideModules = (distance(triple.topLeft, triple.topRight) + distance(triple.topLeft, triple.bottomLeft)) / 2 / triple.module;
+            const estimate = Math.round(sideModules) + 7;
+            // nearest sizes of the form 4v + 17 first
+            const dims = [];
+            for (let d = estimate - 4; d <= estimate + 4; d++) {
+                if (d >= 21 && d <= 177 && d % 4 === 1) dims.push(d);
+            }
+            dims.sort((a, b) => Math.abs(a - estimate) - Math.abs(b - estimate));
+            const tried = new Set();
+            while (dims.length) {
+                const dimension = dims.shift();
+                if (tried.has(dimension)) continue;
+                tried.add(dimension);
+                const grid = sampleGrid(img, triple, dimension);
+                if (dimension >= 45) {
+                    // version 7+ carries its version; a mismatch means the size estimate was off
+                    const version = readVersion(grid);
+                    if (version && version * 4 + 17 !== dimension) { dims.unshift(version * 4 + 17); continue; }
+                }
+                for (const g of [grid, transpose(grid)]) {
+                    const text = decodeGrid(g);
+                    if (text !== null) return text;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Decodes the QR code in RGBA pixels (ImageData.data); returns its text or null
+    function decode(rgba, width, height) {
+        if (!width || !height) return null;
+        for (const invert of [false, true]) {
+            const text = decodeBinary(binarize(rgba, width, height, invert));
+            if (text !== null) return text;
+        }
+        return null;
+    }
+
+    // Any drawable (image, bitmap, canvas, video frame), scaled down to MAX_SIDE
+    function decodeSource(source, width, height) {
+        const scale = Math.min(1, MAX_SIDE / Math.max(width, height));
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        const canvas = new OffscreenCanvas(w, h);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, w, h);
+        ctx.drawImage(source, 0, 0, w, h);
+        return decode(ctx.getImageData(0, 0, w, h).data, w, h);
+    }
+
+    async function decodeImageUrl(url) {
+        const resp = await fetch(url, { credentials: 'omit' });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const bitmap = await createImageBitmap(await resp.blob());
+        try {
+            return decodeSource(bitmap, bitmap.width, bitmap.height);
+        } finally {
+            if (bitmap.close) bitmap.close();
+        }
+    }
+
+    root.AdvirsQr = { MAX_SIDE, decode, decodeSource, decodeImageUrl };
+})(self);
@@ -0,0 +1,224 @@
+// rules.js - detection rule packs (Advirs)
+// Every threshold, weight and keyword list that drives analyzeProfileCore lives in a versioned JSON
+// "rule pack". DEFAULT_PACK reproduces the built-in behaviour; the options page validates and stores
+// a custom pack in chrome.storage.local (rulePack) and background.js loads it at runtime.
+//
+// Packs may be partial: anything missing falls back to DEFAULT_PACK, so a deployment only needs to
+// list what it changes, e.g. { "format": "advirs-rule-pack", "schemaVersion": 1, "name": "Strict",
+// "version": "1", "thresholds": { "suspiciousScore": 0.45 } }.
+
+(function (root) {
+    const FORMAT = 'advirs-rule-pack';
+    const SCHEMA_VERSION = 1;
+
+    const DEFAULT_PACK = {
+        format: FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        name: 'Advirs default',
+        version: '1.0.0',
+        description: 'Built-in detection rules',
+        thresholds: {
+            typosquatDistance: 0.30, // normalized edit distance; smaller => stricter
+            suspiciousScore: 0.55, // final verdict cutoff
+            interstitialScore: 0.80, // top-level pages at or above this get blocked.html
+            canonicalDistance: 0.35, // canonical/og:url host vs page host
+            linkSuspicious: 0.30, // averaged link risk that alone makes the page suspicious
+            trustedMaxScore: 0.05, // cap for trusted pages when nothing else looked suspicious
+            imageHashDistance: 0.10, // favicon/logo dHash bits that may differ (fraction of 64)
+            formHashDistance: 0.15, // login form structure SimHash bits that may differ (fraction of 64)
+            textLure: 0.90 // phishing text classifier probability from which the text counts as a lure (AdvirsText.isLure)
+        },
+        weights: {
+            baseScore: 0.25,
+            trustedBaseScore: 0.02,
+            typosquat: 0.75,
+            idnHomograph: 0.90,
+            brandKeyword: 0.65,
+            brandClaim: 0.15, // page claims a catalogued brand off its official domains (brands-data.js)
+            brandCredentialForm: 0.85, // ... and asks for a password in a form whose labels name the brand
+            brandCredentialFormUnlabeled: 0.45, // ... password form, brand named only by title, site name or login wording
+            loginFingerprint: 0.90, // favicon/logo/form layout of a brand login page off its official domains
+            loginFingerprintForm: 0.15, // ... when only the form layout matches
+            profileHandleConfusable: 0.85, // handle equals a protected one after 0/o, 1/l, rn/m folding
+            profileHandleLookalike: 0.75, // handle one edit away from a protected one
+            profileProtectedName: 0.60, // unverified profile using a protected brand or watch-list name
+            profileNameMismatch: 0.06, // Latin display name unrelated to the handle
+            blocklist: 0.98,
+            noHttps: 0.20,
+            formExternalAction: 0.40,
+            formNoPassword: 0.06,
+            formNoPasswordTrusted: 0.02,
+            formMalformed: 0.04,
+            linkMaxContribution: 0.40,
+            linkMaxContributionTrusted: 0.15,
+            textRedFlag: 0.08,
+            textRedFlagTrusted: 0.20,
+            textLure: 0.25, // scaled by the classifier probability; never decides the verdict alone
+            idnMixedScript: 0.30,
+            idnDomain: 0.05,
+            pageShortener: 0.15,
+            pageIpAddress: 0.40,
+            urlBrandInSubdomain: 0.70, // trusted or brand domain worn as subdomains ("facebook.com.login-secure.xyz")
+            urlUserinfo: 0.40, // "user@host" URL; decides the verdict when the user part reads as a domain
+            urlHeavyEncoding: 0.15, // letters, digits or separators percent-encoded for no reason
+            urlNonstandardPort: 0.15,
+            urlRandomLabel: 0.12, // machine-generated looking label ("x7k2qj9vbz3m")
+            urlDeepSubdomains: 0.10,
+            urlManyHyphens: 0.10,
+            urlLongHostname: 0.08,
+            urlLong: 0.04,
+            canonicalMismatch: 0.12,
+            canonicalMismatchTrusted: 0.20,
+            downloadRiskyExtension: 0.55, // .exe, .scr, .iso, ... (riskyExtensions)
+            downloadDoubleExtension: 0.85, // "invoice.pdf.exe", or a right-to-left override in the name
+            downloadSmuggled: 0.55, // HTML or an executable assembled in the page (data:/blob: URL)
+            downloadSuspiciousPage: 0.55, // started from a page analyzed as suspicious
+            emailBrandFreemail: 0.85, // webmail sender name claims a brand, address is free-mail (freemailDomains)
+            emailBrandMismatch: 0.45, // ... address is on a domain the brand does not own
+            emailSenderLookalike: 0.80, // sender domain imitates a trusted or brand domain
+            emailReplyToMismatch: 0.20, // replies go to another domain than the sender's
+            emailLinkTextMismatch: 0.40 // a link's text shows one domain, the link goes to another
+        },
+        // per-link risk returned by linkIsSuspicious (averaged over the page's links)
+        linkWeights: {
+            emptyHost: 0.02,
+            ipAddress: 0.20,
+            idnHomograph: 0.35,
+            idnMixedScript: 0.18,
+            shortener: 0.10,
+            riskyTld: 0.12,
+            suspiciousPath: 0.10,
+            brandToken: 0.14,
+            brandInSubdomain: 0.35,
+            userinfo: 0.30,
+            heavyEncoding: 0.10,
+            nonstandardPort: 0.08,
+            randomLabel: 0.08,
+            deepSubdomains: 0.06,
+            manyHyphens: 0.06,
+            longHostname: 0.05,
+            longUrl: 0.02,
+            malformed: 0.05,
+            scriptUrl: 0.10, // javascript:/vbscript: link that does more than void(0)
+            obfuscatedScriptUrl: 0.60, // ... and decodes or builds its code (eval, atob, fromCharCode, ...)
+            dataHtml: 0.65, // data: URL serving an HTML page (HTML smuggling)
+            dataExecutable: 0.85,
+            blobUrl: 0.30
+        },
+        riskyTlds: ['xyz', 'top', 'club', 'pw', 'icu', 'work', 'gq', 'cf', 'tk', 'ml', 'ga', 'biz', 'click', 'win', 'loan', 'party'],
+        suspiciousPathTokens: ['verify', 'confirm', 'signin', 'login', 'account', 'secure', 'billing', 'payment'],
+        brandTokens: ['secure', 'login', 'paypal', 'bank', 'apple', 'google', 'microsoft'],
+        // download file extensions that run code or mount as a drive when opened
+        riskyExtensions: ['exe', 'scr', 'com', 'pif', 'bat', 'cmd', 'msi', 'msix', 'appx', 'iso', 'img', 'vhd', 'vhdx',
+            'lnk', 'hta', 'js', 'jse', 'vbs', 'vbe', 'wsf', 'ps1', 'jar', 'apk', 'dmg', 'pkg', 'reg', 'cpl', 'chm'],
+        // webmail providers where anyone can open an address
+        freemailDomains: ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'yahoo.com',
+            'ymail.com', 'aol.com', 'icloud.com', 'me.com', 'mail.com', 'gmx.com', 'gmx.net', 'proton.me', 'protonmail.com',
+            'yandex.com', 'yandex.ru', 'mail.ru', 'zoho.com', 'qq.com', '163.com'],
+        // phrases matched on top of the bundled Arabic/English/French lists (text-data.js)
+        redFlags: [
+            'your account will be locked', 'verify your account', 'click here to verify',
+            'confirm your identity', 'payment required', 'suspend', 'urgent action required'
+        ],
+        brandKeywords: {
+            facebook: ['faceb', 'fbk', 'fb', 'facebok', 'faceboek', 'faceboook'],
+            tiktok: ['tiktok', 'ttk', 'tik-tok']
+        }
+    };
+
+    const NUMBER_SECTIONS = ['thresholds', 'weights', 'linkWeights'];
+    const LIST_FIELDS = ['riskyTlds', 'suspiciousPathTokens', 'brandTokens', 'redFlags', 'riskyExtensions', 'freemailDomains'];
+
+    function isPlainObject(v) {
+        return !!v && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    function cleanList(list, field) {
+        const out = list.map(s => s.trim().toLowerCase());
+        return field === 'riskyTlds' || field === 'riskyExtensions' ? out.map(s => s.replace(/^\./, '')) : out;
+    }
+
+    function isStringList(v) {
+        return Array.isArray(v) && v.every(s => typeof s === 'string' && s.trim());
+    }
+
+    // Checks a parsed pack and merges it over DEFAULT_PACK.
+    // Returns { ok, errors: [{ code, path }], pack } — errors use stable codes so the UI can localize them;
+    // pack is only set when ok.
+    function validatePack(raw) {
+        const errors = [];
+        const err = (code, path) => errors.push({ code, path });
+
+        if (!isPlainObject(raw)) {
+            err('NOT_OBJECT', '');
+            return { ok: false, errors, pack: null };
+        }
+        if (raw.format !== FORMAT) err('FORMAT', 'format');
+        if (!Number.isInteger(raw.schemaVersion) || raw.schemaVersion < 1 || raw.schemaVersion > SCHEMA_VERSION) err('SCHEMA_VERSION', 'schemaVersion');
+        if (typeof raw.name !== 'string' || !raw.name.trim()) err('NAME', 'name');
+        if (raw.version !== undefined && typeof raw.version !== 'string' && typeof raw.version !== 'number') err('VERSION', 'version');
+
+        const pack = {
+            format: FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            name: typeof raw.name === 'string' ? raw.name.trim() : '',
+            version: raw.version !== undefined ? String(raw.version) : '',
+            description: typeof raw.description === 'string' ? raw.description : ''
+        };
+
+        for (const section of NUMBER_SECTIONS) {
+            const defaults = DEFAULT_PACK[section];
+            pack[section] = { ...defaults };
+            if (raw[section] === undefined) continue;
+            if (!isPlainObject(raw[section])) { err('SECTION', section); continue; }
+            for (const [key, value] of Object.entries(raw[section])) {
+                if (!(key in defaults)) { err('UNKNOWN_KEY', `${section}.${key}`); continue; }
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) { err('NUMBER_RANGE', `${section}.${key}`); continue; }
+                pack[section][key] = value;
+            }
+        }
+
+        for (const field of LIST_FIELDS) {
+            if (raw[field] === undefined) { pack[field] = DEFAULT_PACK[field].slice(); continue; }
+            if (!isStringList(raw[field])) { err('STRING_LIST', field); continue; }
+            pack[field] = cleanList(raw[field], field);
+        }
+
+        if (raw.brandKeywords === undefined) {
+            pack.brandKeywords = JSON.parse(JSON.stringify(DEFAULT_PACK.brandKeywords));
+        } else if (!isPlainObject(raw.brandKeywords)) {
+            err('KEYWORD_MAP', 'brandKeywords');
+        } else {
+            pack.brandKeywords = {};
+            for (const [brand, keywords] of Object.entries(raw.brandKeywords)) {
+                if (!brand.trim() || !isStringList(keywords)) { err('KEYWORD_MAP', `brandKeywords.${brand}`); continue; }
+                pack.brandKeywords[brand.trim().toLowerCase()] = cleanList(keywords, 'brandKeywords');
+            }
+        }
+
+        return errors.length ? { ok: false, errors, pack: null } : { ok: true, errors, pack };
+    }
+
+    // Parses pack JSON text; a syntax error is reported like any other validation error
+    function parsePack(text) {
+        let raw;
+        try { raw = JSON.parse(text); } catch (e) {
+            return { ok: false, errors: [{ code: 'INVALID_JSON', path: e.message }], pack: null };
+        }
+        return validatePack(raw);
+    }
+
+    // The stored pack, re-validated on load; anything invalid (or nothing stored) means DEFAULT_PACK
+    function loadActivePack() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get({ rulePack: null }, (res) => {
+                if (!res.rulePack) return resolve(DEFAULT_PACK);
+                const v = validatePack(res.rulePack);
+                if (!v.ok) console.warn('Stored rule pack is invalid, using defaults', v.errors);
+                resolve(v.ok ? v.pack : DEFAULT_PACK);
+            });
+        });
+    }
+
+    root.AdvirsRules = { FORMAT, SCHEMA_VERSION, DEFAULT_PACK, validatePack, parsePack, loadActivePack };
+})(self);
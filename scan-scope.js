@@ -0,0 +1,75 @@
+// scan-scope.js - "Enabled Sites" / "Disabled Sites" host patterns (Advirs)
+// Shared by background.js (content script registration) and options.js (validation).
+//
+// Supported entries:
+//   example.com            exactly that host
+//   *.example.com          example.com and every subdomain
+//   https://example.com    that origin only (scheme + host)
+//   *                      every site
+
+(function (root) {
+    const HOST_RX = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+    // Returns the canonical form of an entry, or '' if it cannot be expressed as a match pattern
+    function normalizeEntry(entry) {
+        let v = (entry || '').toString().trim().toLowerCase();
+        if (!v) return '';
+        if (v === '*' || v === '<all_urls>') return '*';
+
+        if (/^https?:\/\//.test(v)) {
+            try {
+                const u = new URL(v);
+                return HOST_RX.test(u.hostname) ? `${u.protocol}//${u.hostname}` : '';
+            } catch (e) { return ''; }
+        }
+
+        v = v.split('/')[0].replace(/:\d+$/, '');
+        if (v.startsWith('*.')) return HOST_RX.test(v.slice(2)) ? v : '';
+        return HOST_RX.test(v) ? v : '';
+    }
+
+    // Converts an entry to chrome.scripting match patterns
+    function toMatchPatterns(entry) {
+        const v = normalizeEntry(entry);
+        if (!v) return [];
+        if (v === '*') return ['*://*/*'];
+        if (/^https?:\/\//.test(v)) return [`${v}/*`];
+        return [`*://${v}/*`];
+    }
+
+    function entryMatchesUrl(entry, url) {
+        const v = normalizeEntry(entry);
+        if (!v) return false;
+        let u;
+        try { u = new URL(url); } catch (e) { return false; }
+        if (!/^https?:$/.test(u.protocol)) return false;
+        const host = u.hostname.toLowerCase();
+        if (v === '*') return true;
+        if (/^https?:\/\//.test(v)) return `${u.protocol}//${host}` === v;
+        if (v.startsWith('*.')) {
+            const base = v.slice(2);
+            return host === base || host.endsWith('.' + base);
+        }
+        return host === v;
+    }
+
+    // { matches, excludeMatches } for registerContentScripts; an empty allow list means every site
+    function buildScope(enabledSites = {}, disabledSites = {}) {
+        const allow = Object.keys(enabledSites || {}).filter(k => enabledSites[k]);
+        const deny = Object.keys(disabledSites || {}).filter(k => disabledSites[k]);
+        const matches = allow.length ? Array.from(new Set(allow.flatMap(toMatchPatterns))) : ['*://*/*'];
+        const excludeMatches = Array.from(new Set(deny.flatMap(toMatchPatterns)));
+        return { matches, excludeMatches };
+    }
+
+    // Same answer as the patterns from buildScope(): "*://" only covers http and https
+    function isUrlInScope(url, enabledSites = {}, disabledSites = {}) {
+        if (!entryMatchesUrl('*', url)) return false;
+        const allow = Object.keys(enabledSites || {}).filter(k => enabledSites[k]);
+        const deny = Object.keys(disabledSites || {}).filter(k => disabledSites[k]);
+        if (deny.some(e => entryMatchesUrl(e, url))) return false;
+        return !allow.length || allow.some(e => entryMatchesUrl(e, url));
+    }
+
+    root.AdvirsScanScope = { normalizeEntry, toMatchPatterns, entryMatchesUrl, buildScope, isUrlInScope };
+})(self);
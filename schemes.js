@@ -0,0 +1,119 @@
+// schemes.js - non-web URL schemes and download file names (Advirs)
+// javascript:, vbscript:, data: and blob: URLs have no host for the domain heuristics to look at;
+// this classifies what they would run or deliver, including HTML smuggling (data/blob URLs that
+// serve an HTML page or an executable). Also splits download file names into their extensions.
+// Shared by background.js (link scoring, downloads) and content.js (which links to send).
+
+(function (root) {
+    const SCRIPT_SCHEMES = ['javascript', 'vbscript'];
+
+    // href="javascript:" placeholders that only stop the default navigation
+    const INERT_SCRIPT_RX = /^(void\s*\(?\s*0?\s*\)?|return\s+false|false|undefined|null|#)?\s*;?\s*$/i;
+    // what obfuscated or smuggling script URLs tend to call
+    const SCRIPT_PATTERNS = [
+        ['eval', /\beval\s*\(/i],
+        ['atob', /\batob\s*\(/i],
+        ['fromCharCode', /fromCharCode/i],
+        ['unescape', /\b(unescape|decodeURIComponent)\s*\(/i],
+        ['document.write', /document\s*\.\s*write/i],
+        ['Function', /\bnew\s+Function\b|\bFunction\s*\(/],
+        ['Blob', /\bnew\s+Blob\b|createObjectURL/i],
+        ['escapes', /(\\x[0-9a-f]{2}|\\u[0-9a-f]{4}|%[0-9a-f]{2}){6}/i]
+    ];
+
+    const HTML_MIMES = ['text/html', 'application/xhtml+xml', 'image/svg+xml', 'text/xml', 'application/xml'];
+    const EXECUTABLE_MIMES = [
+        'application/x-msdownload', 'application/x-msdos-program', 'application/x-dosexec', 'application/x-executable',
+        'application/vnd.microsoft.portable-executable', 'application/x-ms-installer', 'application/x-msi',
+        'application/vnd.android.package-archive', 'application/x-iso9660-image', 'application/x-apple-diskimage',
+        'application/x-ms-shortcut', 'application/hta', 'application/x-sh', 'application/java-archive'
+    ];
+
+    // extensions that make a decoy in front of the real one ("invoice.pdf.exe")
+    const DECOY_EXTENSIONS = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'rtf', 'csv', 'jpg', 'jpeg',
+        'png', 'gif', 'bmp', 'mp3', 'mp4', 'avi', 'mov', 'wav', 'zip', 'rar', '7z', 'htm', 'html'];
+
+    const DATA_SNIFF_CHARS = 512;
+
+    function schemeOf(url) {
+        const m = /^\s*([a-z][a-z0-9+.-]*):/i.exec(url || '');
+        return m ? m[1].toLowerCase() : '';
+    }
+
+    function mimeKind(mime) {
+        const m = (mime || '').toLowerCase().split(';')[0].trim();
+        if (HTML_MIMES.includes(m)) return 'html';
+        if (EXECUTABLE_MIMES.includes(m)) return 'executable';
+        return '';
+    }
+
+    // What the start of a decoded payload looks like: 'html', 'executable' (PE/ELF header) or ''
+    function sniffPayload(text) {
+        const head = (text || '').slice(0, DATA_SNIFF_CHARS);
+        if (/^(MZ|\x7fELF)/.test(head)) return 'executable';
+        if (/<(!doctype\s+html|html|head|body|script|iframe|form|svg|meta\s+http-equiv)\b/i.test(head)) return 'html';
+        return '';
+    }
+
+    // data:[<mime>][;base64],<payload> -> { mime, base64, head }; head is the decoded start of the payload
+    function parseDataUrl(url) {
+        const m = /^\s*data:([^,]*),(.*)$/is.exec(url || '');
+        if (!m) return null;
+        const params = m[1].split(';').map(s => s.trim());
+        const base64 = params.includes('base64');
+        const raw = m[2].slice(0, DATA_SNIFF_CHARS * 2);
+        let head = raw;
+        try {
+            if (base64) {
+                const b64 = raw.replace(/[^a-z0-9+/]/gi, '');
+                head = atob(b64.slice(0, b64.length - (b64.length % 4)));
+            } else {
+                head = decodeURIComponent(raw);
+            }
+        } catch (e) { /* undecodable: sniff the raw text */ }
+        return { mime: (params[0] || 'text/plain').toLowerCase(), base64, head };
+    }
+
+    // Classifies a URL with a non-web scheme; null for http(s), relative and other URLs.
+    // { scheme, kind } where kind is 'inert' (javascript:void(0)), 'script', 'obfuscated_script',
+    // 'html', 'executable' or 'other'; script kinds carry the matched pattern, data kinds the mime
+    function inspectUrl(url) {
+        const scheme = schemeOf(url);
+        if (SCRIPT_SCHEMES.includes(scheme)) {
+            let body = (url || '').replace(/^\s*[a-z]+:/i, '');
+            try { body = decodeURIComponent(body); } catch (e) { /* keep it encoded */ }
+            if (INERT_SCRIPT_RX.test(body.trim())) return { scheme, kind: 'inert' };
+            const hit = SCRIPT_PATTERNS.find(([, rx]) => rx.test(body));
+            return hit ? { scheme, kind: 'obfuscated_script', pattern: hit[0] } : { scheme, kind: 'script' };
+        }
+        if (scheme === 'data') {
+            const data = parseDataUrl(url);
+            if (!data) return { scheme, kind: 'other' };
+            const kind = mimeKind(data.mime) || sniffPayload(data.head) || 'other';
+            return { scheme, kind, mime: data.mime };
+        }
+        if (scheme === 'blob') {
+            let origin = '';
+            try { origin = new URL(url.trim().slice(5)).origin; } catch (e) { /* opaque blob */ }
+            return { scheme, kind: 'other', origin };
+        }
+        return null;
+    }
+
+    // Long data: URLs only need their header and the start of the payload to be classified
+    function truncateUrl(url, max = 2048) {
+        return schemeOf(url) === 'data' && url.length > max ? url.slice(0, max) : url;
+    }
+
+    // "Invoice.PDF   .exe" -> { name, ext: 'exe', decoy: 'pdf', rtlOverride: false }
+    function fileExtensions(filename) {
+        const name = (filename || '').split(/[\\/]/).pop();
+        const rtlOverride = /[\u202d\u202e\u2066-\u2069]/.test(name);
+        const parts = name.replace(/[\u200b-\u200f\u202a-\u202e\u2066-\u2069]/g, '').toLowerCase().split('.').map(s => s.trim());
+        const ext = parts.length > 1 ? parts[parts.length - 1] : '';
+        const prev = parts.length > 2 ? parts[parts.length - 2] : '';
+        return { name, ext, decoy: DECOY_EXTENSIONS.includes(prev) && prev !== ext ? prev : '', rtlOverride };
+    }
+
+    root.AdvirsSchemes = { schemeOf, mimeKind, sniffPayload, parseDataUrl, inspectUrl, truncateUrl, fileExtensions };
+})(self);
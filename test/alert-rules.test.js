@@ -0,0 +1,70 @@
+// Alert mute rules: snooze, muted domains and quiet hours (alert-rules.js)
+const test = require('node:test');
+const assert = require('node:assert');
+globalThis.self = globalThis;
+require('../alert-rules.js');
+const { parseTime, normalizeRules, inQuietHours, muteReason, muteDomain, unmuteDomain } = self.AdvirsAlertRules;
+
+// local time on a fixed day
+function at(hours, minutes = 0) {
+    return new Date(2026, 9, 19, hours, minutes);
+}
+
+const HOUR = 60 * 60 * 1000;
+
+test('times parse as minutes after midnight', () => {
+    assert.strictEqual(parseTime('07:30'), 450);
+    assert.strictEqual(parseTime(' 0:00 '), 0);
+    assert.strictEqual(parseTime('24:00'), null);
+    assert.strictEqual(parseTime('7h'), null);
+});
+
+test('quiet hours may span midnight', () => {
+    const rules = { quietHours: { enabled: true, start: '22:00', end: '07:00' } };
+    assert.strictEqual(inQuietHours(rules, at(23, 30)), true);
+    assert.strictEqual(inQuietHours(rules, at(0, 0)), true);
+    assert.strictEqual(inQuietHours(rules, at(6, 59)), true);
+    assert.strictEqual(inQuietHours(rules, at(7, 0)), false);
+    assert.strictEqual(inQuietHours(rules, at(21, 59)), false);
+    assert.strictEqual(inQuietHours(rules, at(22, 0)), true);
+});
+
+test('quiet hours within one day, disabled or empty', () => {
+    const day = { quietHours: { enabled: true, start: '09:00', end: '17:00' } };
+    assert.strictEqual(inQuietHours(day, at(12)), true);
+    assert.strictEqual(inQuietHours(day, at(17)), false);
+    assert.strictEqual(inQuietHours(day, at(8, 59)), false);
+    assert.strictEqual(inQuietHours({ quietHours: { enabled: false, start: '00:00', end: '23:59' } }, at(12)), false);
+    assert.strictEqual(inQuietHours({ quietHours: { enabled: true, start: '10:00', end: '10:00' } }, at(10)), false);
+});
+
+test('snooze wins over a muted domain, which wins over quiet hours', () => {
+    const now = at(23).getTime();
+    const rules = {
+        snoozeUntil: now + HOUR,
+        mutedDomains: { 'Evil.example': now + HOUR },
+        quietHours: { enabled: true, start: '22:00', end: '07:00' }
+    };
+    assert.strictEqual(muteReason(rules, 'evil.example', now), 'snoozed');
+    assert.strictEqual(muteReason({ ...rules, snoozeUntil: now - 1 }, 'EVIL.example', now), 'domain_muted');
+    assert.strictEqual(muteReason({ ...rules, snoozeUntil: 0 }, 'other.example', now), 'quiet_hours');
+    assert.strictEqual(muteReason({ ...rules, snoozeUntil: 0 }, 'other.example', at(12).getTime()), null);
+});
+
+test('domain mutes expire and can be lifted', () => {
+    const now = at(12).getTime();
+    let rules = muteDomain({}, 'Evil.example', HOUR, now);
+    assert.strictEqual(muteReason(rules, 'evil.example', now + HOUR - 1), 'domain_muted');
+    assert.strictEqual(muteReason(rules, 'evil.example', now + HOUR), null);
+    assert.deepStrictEqual(normalizeRules(rules, now + HOUR).mutedDomains, {});
+    rules = unmuteDomain(rules, 'EVIL.EXAMPLE', now);
+    assert.strictEqual(muteReason(rules, 'evil.example', now), null);
+});
+
+test('malformed rules fall back to the defaults', () => {
+    assert.deepStrictEqual(normalizeRules({ snoozeUntil: 'soon', mutedDomains: { 'a.example': 'x' }, quietHours: { enabled: 1, start: '25:00' } }, 0), {
+        snoozeUntil: 0,
+        mutedDomains: {},
+        quietHours: { enabled: true, start: '22:00', end: '07:00' }
+    });
+});
@@ -0,0 +1,48 @@
+// Offline blocklist store (blocklist.js) on an in-memory IndexedDB
+const test = require('node:test');
+const assert = require('node:assert');
+const { IDBFactory } = require('fake-indexeddb');
+require('fake-indexeddb/auto');
+
+globalThis.self = globalThis;
+const BLOCKLIST = require.resolve('../blocklist.js');
+
+// A fresh module instance on an empty database
+function freshBlocklist() {
+    globalThis.indexedDB = new IDBFactory();
+    delete require.cache[BLOCKLIST];
+    require(BLOCKLIST);
+    return self.AdvirsBlocklist;
+}
+
+test('hosts files: sink addresses and localhost are not blocked hosts', () => {
+    const { keys } = freshBlocklist().parseFeed('0.0.0.0 0.0.0.0\n127.0.0.1 localhost\n0.0.0.0 phish.example\n0.0.0.0\n', 'hosts');
+    assert.deepStrictEqual(keys, ['h:phish.example']);
+});
+
+test('hosts files: every name on a line is blocked and end-of-line comments are skipped', () => {
+    const { keys } = freshBlocklist().parseFeed('# header\n0.0.0.0 a.example www.b.example  # campaign 12\n127.0.0.1\tc.example\nd.example\n', 'hosts');
+    assert.deepStrictEqual(keys, ['h:a.example', 'h:b.example', 'h:c.example', 'h:d.example']);
+});
+
+test('removing or re-importing one source keeps the keys another source also lists', async () => {
+    const blocklist = freshBlocklist();
+    await blocklist.importFeed('List A', 'https://shared.example/login\nhttps://only-a.example/\n', 'openphish');
+    await blocklist.importFeed('List B', 'https://shared.example/login\nhttps://only-b.example/\n', 'openphish');
+
+    await blocklist.importFeed('List B', 'https://only-b.example/\n', 'openphish');
+    let hits = await blocklist.lookupMany(['https://shared.example/login', 'https://only-b.example/']);
+    assert.strictEqual(hits.get('https://shared.example/login').source, 'list a');
+    assert.strictEqual(hits.get('https://only-b.example/').source, 'list b');
+
+    await blocklist.importFeed('List B', 'https://shared.example/login\n', 'openphish');
+    await blocklist.removeSource('list b');
+    hits = await blocklist.lookupMany(['https://shared.example/login', 'https://only-a.example/', 'https://only-b.example/']);
+    assert.strictEqual(hits.get('https://shared.example/login').source, 'list a');
+    assert.ok(hits.has('https://only-a.example/'));
+    assert.ok(!hits.has('https://only-b.example/'));
+
+    await blocklist.removeSource('list a');
+    hits = await blocklist.lookupMany(['https://shared.example/login']);
+    assert.strictEqual(hits.size, 0);
+});
@@ -0,0 +1,28 @@
+// Brand impersonation: pages claiming a catalogued brand off its official domains
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProfileCore } = require('../engine.js');
+const { DEFAULT_PACK } = self.AdvirsRules;
+
+function analyze(pageTitle, labels) {
+    const result = analyzeProfileCore({
+        url: 'https://socialnews.example/articles/42',
+        pageTitle,
+        forms: [{ action: 'https://socialnews.example/login', hasPassword: true, labels }]
+    });
+    return { result, signal: result.signals.find(s => s.code === 'BRAND_CREDENTIAL_FORM') };
+}
+
+test('a page titled after a brand with its own site login is not blocked', () => {
+    const { result, signal } = analyze('Facebook changes its news feed again', 'Username | Password');
+    assert.ok(signal, 'reason reported');
+    assert.strictEqual(signal.forcesVerdict, false);
+    assert.strictEqual(result.suspicious, false);
+    assert.ok(result.score < DEFAULT_PACK.thresholds.interstitialScore, String(result.score));
+});
+
+test('a password form whose labels name the brand forces the verdict', () => {
+    const { result, signal } = analyze('Log in', 'Facebook email or phone | Password');
+    assert.ok(signal && signal.forcesVerdict);
+    assert.strictEqual(result.suspicious, true);
+});
@@ -0,0 +1,69 @@
+// advirs-scan exit statuses and --json output (cli/advirs-scan.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli', 'advirs-scan.js');
+
+function scan(args, input) {
+    const run = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+    return { status: run.status, stdout: run.stdout, stderr: run.stderr };
+}
+
+function jsonLines(stdout) {
+    return stdout.trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('--json prints one verdict per input with reason codes and texts', () => {
+    const run = scan(['--json', 'https://faceb00k.com/login', 'https://www.google.com/']);
+    assert.strictEqual(run.status, 0);
+    const [lookalike, trusted] = jsonLines(run.stdout);
+    assert.strictEqual(lookalike.suspicious, true);
+    assert.deepStrictEqual(lookalike.reasons.map(r => r.code), ['TYPOSQUAT_SLD', 'BRAND_TOKEN_IN_SLD']);
+    assert.ok(lookalike.reasons.every(r => r.text));
+    assert.strictEqual(trusted.suspicious, false);
+    assert.match(run.stderr, /2 scanned, 1 suspicious, 0 errors/);
+});
+
+test('JSONL payloads, saved pages and URL lists are read from files and stdin', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'advirs-cli-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'urls.txt'), '# corpus\nhttps://faceb00k.com/login\n');
+        fs.writeFileSync(path.join(dir, 'page.html'), '<!-- saved from url=(0026)https://faceb00k.com/login -->\n' +
+            '<title>Log in</title><form><input type="password"></form>');
+        const run = scan(['--json', path.join(dir, 'urls.txt'), path.join(dir, 'page.html'), '-'], '{"url":"https://www.google.com/"}\n');
+        assert.strictEqual(run.status, 0);
+        const rows = jsonLines(run.stdout);
+        assert.deepStrictEqual(rows.map(r => [path.basename(r.input), r.url, r.suspicious]), [
+            ['urls.txt:2', 'https://faceb00k.com/login', true],
+            ['page.html', 'https://faceb00k.com/login', true],
+            ['-:1', 'https://www.google.com/', false]
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('--expect exits with 1 when a verdict differs', () => {
+    assert.strictEqual(scan(['--expect', 'suspicious', 'https://faceb00k.com/login']).status, 0);
+    const run = scan(['--json', '--expect', 'safe', 'https://faceb00k.com/login', 'https://www.google.com/']);
+    assert.strictEqual(run.status, 1);
+    assert.deepStrictEqual(jsonLines(run.stdout).map(r => !!r.unexpected), [true, false]);
+    assert.match(run.stderr, /1 not safe/);
+});
+
+test('usage errors and unreadable inputs exit with 2', () => {
+    assert.strictEqual(scan(['--bogus', 'https://example.com/']).status, 2);
+    assert.strictEqual(scan([]).status, 2);
+    assert.strictEqual(scan(['--expect', 'maybe', 'https://example.com/']).status, 2);
+    const run = scan(['--json', path.join(os.tmpdir(), 'advirs-missing.jsonl')]);
+    assert.strictEqual(run.status, 2);
+    assert.match(jsonLines(run.stdout)[0].error, /ENOENT/);
+    const bad = scan(['--json', '-'], '{"url":\n');
+    assert.strictEqual(bad.status, 2);
+    assert.match(jsonLines(bad.stdout)[0].error, /^invalid JSON/);
+    assert.strictEqual(scan(['--help']).status, 0);
+});
@@ -0,0 +1,21 @@
+// Page domain checks: typosquats, brand keywords and IDN homographs
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProfileCore } = require('../engine.js');
+
+function codes(url) {
+    const result = analyzeProfileCore({ url });
+    return { result, codes: result.reasons.map(r => r.code) };
+}
+
+test('brand keywords are not matched inside the punycode of non-Latin labels', () => {
+    const { result, codes: found } = codes('https://xn--mgbh0fb.xn--kgbechtv/');
+    assert.ok(!found.includes('BRAND_TOKEN_IN_SLD'), String(found));
+    assert.strictEqual(result.suspicious, false);
+});
+
+test('brand keywords are matched in ASCII labels and in the skeleton of Latin IDN labels', () => {
+    assert.ok(codes('https://fb-login.example/').codes.includes('BRAND_TOKEN_IN_SLD'));
+    // "fаcebook-help" with a Cyrillic а
+    assert.ok(codes('https://xn--fcebook-help-x9j.com/').codes.includes('BRAND_TOKEN_IN_SLD'));
+});
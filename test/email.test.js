@@ -0,0 +1,44 @@
+// Webmail sender checks (data.email from webmail.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProfileCore } = require('../engine.js');
+
+const MAILBOX = 'https://mail.google.com/mail/u/0/#inbox/abc';
+
+function analyzeSender(senderAddress, senderName = '') {
+    const result = analyzeProfileCore({ url: MAILBOX, email: { senderAddress, senderName, links: [] } });
+    return { result, codes: result.reasons.map(r => r.code) };
+}
+
+test('brands mailing from their own label under another suffix are not look-alikes', () => {
+    for (const [address, name] of [
+        ['no-reply@google.de', 'Google'],
+        ['x@microsoft.de', 'Microsoft'],
+        ['no-reply@facebook.de', 'Facebook'],
+        ['x@netflix.net', 'Netflix'],
+        ['bob@amazon.co.jp', 'Amazon'],
+        ['service@paypal.de', 'PayPal']
+    ]) {
+        const { result, codes } = analyzeSender(address, name);
+        assert.ok(!codes.includes('EMAIL_SENDER_LOOKALIKE'), `${address}: ${codes}`);
+        assert.ok(!codes.includes('EMAIL_BRAND_MISMATCH'), `${address}: ${codes}`);
+        assert.strictEqual(result.suspicious, false, address);
+    }
+});
+
+test('typosquatted sender domains are look-alikes', () => {
+    const { result, codes } = analyzeSender('service@paypa1.com', 'PayPal');
+    assert.ok(codes.includes('EMAIL_SENDER_LOOKALIKE'), String(codes));
+    assert.strictEqual(result.suspicious, true);
+});
+
+test('a brand name on an unrelated domain is a mismatch', () => {
+    const { codes } = analyzeSender('alerts@account-center.example', 'PayPal');
+    assert.ok(codes.includes('EMAIL_BRAND_MISMATCH'), String(codes));
+});
+
+test('a brand name on a free-mail address is flagged', () => {
+    const { result, codes } = analyzeSender('paypal.support@gmail.com', 'PayPal Support');
+    assert.ok(codes.includes('EMAIL_BRAND_FREEMAIL'), String(codes));
+    assert.strictEqual(result.suspicious, true);
+});
@@ -0,0 +1,75 @@
+// Login page fingerprints: capture on the brands' own sign-in pages and matching of clones
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProfileCore, configure } = require('../engine.js');
+const { simHash, distance, findPageImages } = self.AdvirsFingerprint;
+
+const FACEBOOK = {
+    favicon: ['f0f0f0f00f0f0f0f'],
+    logo: ['3c3c3c3cc3c3c3c3'],
+    form: [simHash(['form>input[email].inputtext', 'input[password].inputtext', 'button[submit]._42ft'])]
+};
+configure({ fingerprints: { facebook: FACEBOOK } });
+
+// one bit away from the stored hash, as a re-encoded copy of the image would be
+function nearby(hash) {
+    return (parseInt(hash[0], 16) ^ 1).toString(16) + hash.slice(1);
+}
+
+function clone(fingerprints, url = 'https://secure-login.example/') {
+    return analyzeProfileCore({ url, forms: [{ hasPassword: true }], fingerprints });
+}
+
+test("a known brand's favicon on another domain identifies a clone of its login page", () => {
+    const result = clone({ favicon: nearby(FACEBOOK.favicon[0]), logos: [] });
+    const found = result.reasons.find(r => r.code === 'LOGIN_PAGE_FINGERPRINT');
+    assert.ok(found, String(result.reasons.map(r => r.code)));
+    assert.strictEqual(found.params.brand, 'Facebook');
+    assert.strictEqual(found.params.matched, 'favicon');
+    assert.strictEqual(result.suspicious, true);
+    assert.ok(result.signals.some(s => s.code === 'LOGIN_PAGE_FINGERPRINT' && s.forcesVerdict));
+});
+
+test('a matching form layout alone only adds a little', () => {
+    const result = clone({ favicon: null, logos: [], form: FACEBOOK.form[0] });
+    const signal = result.signals.find(s => s.code === 'LOGIN_PAGE_FINGERPRINT');
+    assert.ok(signal);
+    assert.strictEqual(signal.op, 'add');
+    assert.ok(!signal.forcesVerdict);
+    assert.strictEqual(result.suspicious, false);
+
+    const both = clone({ favicon: null, logos: [FACEBOOK.logo[0]], form: FACEBOOK.form[0] });
+    assert.strictEqual(both.reasons.find(r => r.code === 'LOGIN_PAGE_FINGERPRINT').params.matched, 'logo + form');
+    assert.strictEqual(both.suspicious, true);
+});
+
+test("the brand's own domains and unrelated images do not match", () => {
+    const own = clone({ favicon: FACEBOOK.favicon[0], logos: [] }, 'https://www.facebook.com/login/');
+    assert.ok(!own.reasons.some(r => r.code === 'LOGIN_PAGE_FINGERPRINT'));
+    const other = clone({ favicon: '0f0f0f0ff0f0f0f0', logos: [] });
+    assert.ok(!other.reasons.some(r => r.code === 'LOGIN_PAGE_FINGERPRINT'));
+    assert.strictEqual(distance('0f0f0f0ff0f0f0f0', FACEBOOK.favicon[0]), 64);
+});
+
+test("fingerprints are only captured on a brand's own sign-in pages", () => {
+    const { findLoginPage } = self.AdvirsBrands;
+    assert.strictEqual(findLoginPage('https://www.facebook.com/login/?next=%2F').id, 'facebook');
+    assert.strictEqual(findLoginPage('https://accounts.google.com/v3/signin/identifier?flowName=x').id, 'google');
+    assert.strictEqual(findLoginPage('https://www.facebook.com/groups/some-group/'), null);
+    assert.strictEqual(findLoginPage('https://sites.google.com/view/signin'), null);
+    assert.strictEqual(findLoginPage('http://www.facebook.com/login/'), null);
+    assert.strictEqual(findLoginPage('https://www.facebook.com.evil.example/login'), null);
+});
+
+test('favicon and logo URLs are read from the sign-in page HTML', () => {
+    const html = `<html><head><link rel="stylesheet" href="/a.css"><link rel='shortcut icon' href="https://static.example/rsrc.php/favicon.ico?v=1&amp;x=2">
+        </head><body><img src="/spacer.gif"><img class="fb_logo _8ilh" src="/images/logo.svg" alt=""><img alt="Facebook logo" src=//cdn.example/l2.png>
+        <img id="logo-3" src="/l3.png"></body></html>`;
+    assert.deepStrictEqual(findPageImages(html, 'https://www.facebook.com/login/'), {
+        favicon: 'https://static.example/rsrc.php/favicon.ico?v=1&x=2',
+        logos: ['https://www.facebook.com/images/logo.svg', 'https://cdn.example/l2.png']
+    });
+    assert.deepStrictEqual(findPageImages('<title>x</title>', 'https://www.paypal.com/signin'), {
+        favicon: 'https://www.paypal.com/favicon.ico', logos: []
+    });
+});
@@ -0,0 +1,18 @@
+// Punycode decoding and confusable skeletons
+const test = require('node:test');
+const assert = require('node:assert');
+globalThis.self = globalThis;
+require('../confusables-data.js');
+require('../idn.js');
+const { toUnicode, toSkeleton } = self.AdvirsIdn;
+
+test('punycode labels decode to their Unicode form', () => {
+    assert.strictEqual(toUnicode('xn--fcebook-2fg.com'), 'fаcebook.com');
+    assert.strictEqual(toUnicode('www.example.com'), 'www.example.com');
+});
+
+test('Cyrillic look-alikes collapse to the Latin skeleton', () => {
+    assert.strictEqual(toSkeleton('fаcebook'), 'facebook');
+    // а р р ӏ е: U+04CF palochka reads as "l"
+    assert.strictEqual(toSkeleton('аррӏе'), 'apple');
+});
@@ -0,0 +1,42 @@
+// Social profile impersonation against the watch list and the brand catalog's handles
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProfileCore, configure } = require('../engine.js');
+
+configure({ watchedAccounts: [{ handle: '@ministry_of_health', name: 'Ministry of Health' }] });
+
+function profile(username, extra = {}) {
+    const result = analyzeProfileCore({ url: `https://www.instagram.com/${username}/`, username, ...extra });
+    return { result, codes: result.reasons.map(r => r.code) };
+}
+
+test('a handle that folds to a protected one is a confusable', () => {
+    const { result, codes } = profile('ministry_0f_heaIth');
+    assert.ok(codes.includes('PROFILE_HANDLE_CONFUSABLE'), String(codes));
+    assert.strictEqual(result.reasons.find(r => r.code === 'PROFILE_HANDLE_CONFUSABLE').params.protected, 'ministry_of_health');
+    assert.strictEqual(result.suspicious, true);
+    assert.ok(profile('paypa1').codes.includes('PROFILE_HANDLE_CONFUSABLE'));
+});
+
+test('a handle one edit away from a protected one is a lookalike', () => {
+    const { result, codes } = profile('ministry_of_healths');
+    assert.ok(codes.includes('PROFILE_HANDLE_NEAR_PROTECTED'), String(codes));
+    assert.strictEqual(result.suspicious, true);
+});
+
+test('a display name claiming a protected account or brand is flagged', () => {
+    assert.ok(profile('news_daily_2291', { displayName: 'Ministry of Health' }).codes.includes('PROFILE_PROTECTED_NAME'));
+    assert.ok(profile('jk_88721', { displayName: 'PayPal Support' }).codes.includes('PROFILE_PROTECTED_NAME'));
+});
+
+test('the protected accounts themselves, verified profiles and other pages are left alone', () => {
+    for (const { codes } of [
+        profile('ministry_of_health', { displayName: 'Ministry of Health' }),
+        profile('paypal', { displayName: 'PayPal' }),
+        profile('paypa1', { isVerified: true })
+    ]) {
+        assert.ok(!codes.some(c => c.startsWith('PROFILE_')), String(codes));
+    }
+    const blog = analyzeProfileCore({ url: 'https://blog.example/ministry_0f_health', username: 'ministry_0f_health' });
+    assert.ok(!blog.reasons.some(r => r.code.startsWith('PROFILE_')));
+});
@@ -0,0 +1,31 @@
+// Message catalogs: Chrome refuses to load an extension whose messages use an undeclared placeholder
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES = path.join(__dirname, '..', '_locales');
+
+function readCatalog(lang) {
+    return JSON.parse(fs.readFileSync(path.join(LOCALES, lang, 'messages.json'), 'utf8'));
+}
+
+for (const lang of fs.readdirSync(LOCALES)) {
+    test(`${lang}: every $name$ in a message is declared and every placeholder is used`, () => {
+        const problems = [];
+        for (const [key, entry] of Object.entries(readCatalog(lang))) {
+            const used = new Set((entry.message.match(/\$[a-z0-9_@]+\$/gi) || []).map(m => m.slice(1, -1).toLowerCase()));
+            const declared = new Set(Object.keys(entry.placeholders || {}).map(n => n.toLowerCase()));
+            for (const n of used) if (!declared.has(n)) problems.push(`${key}: $${n}$ not declared`);
+            for (const n of declared) if (!used.has(n)) problems.push(`${key}: placeholder ${n} unused`);
+        }
+        assert.deepStrictEqual(problems, []);
+    });
+}
+
+test('catalogs define the same keys', () => {
+    const en = Object.keys(readCatalog('en')).sort();
+    for (const lang of fs.readdirSync(LOCALES)) {
+        assert.deepStrictEqual(Object.keys(readCatalog(lang)).sort(), en, lang);
+    }
+});
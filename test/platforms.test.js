@@ -0,0 +1,55 @@
+// Per-platform profile and item extraction (platforms.js) on static pages
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+globalThis.self = globalThis;
+require('../platforms.js');
+const { extract, getAdapter, parseNameHandle } = self.AdvirsPlatforms;
+
+function page(url, html) {
+    const { window } = new JSDOM(html, { url });
+    return extract(window.document, window.location);
+}
+
+test('adapters are chosen by host, aliases included', () => {
+    assert.strictEqual(getAdapter('www.facebook.com').id, 'facebook');
+    assert.strictEqual(getAdapter('mobile.twitter.com').id, 'x');
+    assert.strictEqual(getAdapter('notfacebook.com').id, 'generic');
+    assert.deepStrictEqual(parseNameHandle('Jane Doe (@jane.doe) • Instagram photos and videos'), { displayName: 'Jane Doe', handle: 'jane.doe' });
+});
+
+test('profile pages give the handle, display name and verified badge', () => {
+    const ig = page('https://www.instagram.com/jane.doe/', `<head>
+        <meta property="og:title" content="Jane Doe (@jane.doe) • Instagram photos and videos"></head>
+        <body><header><section><h1>jane.doe</h1><svg aria-label="Verified"></svg></section></header></body>`);
+    assert.strictEqual(ig.platform, 'instagram');
+    assert.strictEqual(ig.isProfile, true);
+    assert.deepStrictEqual(ig.profile, { handle: 'jane.doe', displayName: 'Jane Doe', isVerified: true });
+
+    const tab = page('https://x.com/paypa1/with_replies', '<title>PayPal Support (@paypa1) / X</title><body></body>');
+    assert.deepStrictEqual(tab.profile, { handle: 'paypa1', displayName: 'PayPal Support', isVerified: false });
+
+    const section = page('https://www.instagram.com/explore/', '<body></body>');
+    assert.strictEqual(section.isProfile, false);
+    assert.strictEqual(section.profile, null);
+});
+
+test('links are attributed to the comment that carries them, not the post around it', () => {
+    const fb = page('https://www.facebook.com/groups/123/posts/456/', `<body><div role="main">
+        <div role="article"><h3><a href="/page.owner">Page Owner</a></h3>
+            <p>Our shop: <a href="https://shop.example/">shop.example</a></p>
+            <div role="article"><a role="link" href="https://www.facebook.com/prize.desk.77">Prize Desk</a>
+                claim at <a href="https://claim-prize.example/login">here</a> or https://mirror.example/x</div>
+        </div></div></body>`);
+    assert.deepStrictEqual(fb.items.map(i => ({ kind: i.kind, author: i.author, links: i.links })), [
+        { kind: 'post', author: { handle: 'page.owner', displayName: 'Page Owner' }, links: ['https://shop.example/'] },
+        { kind: 'comment', author: { handle: 'prize.desk.77', displayName: 'Prize Desk' }, links: ['https://claim-prize.example/login', 'https://mirror.example/x'] }
+    ]);
+});
+
+test('message items only count on message paths, and pages without links give no items', () => {
+    const html = `<body><div role="main"><div role="row">pay here https://pay.example/</div></div></body>`;
+    assert.strictEqual(page('https://www.facebook.com/messages/t/1', html).items[0].kind, 'message');
+    assert.deepStrictEqual(page('https://www.facebook.com/watch/', html).items, []);
+    assert.deepStrictEqual(page('https://www.facebook.com/groups/1/', '<div role="article">no links</div>').items, []);
+});
@@ -0,0 +1,30 @@
+// Registered domains from the bundled Public Suffix List, and the typosquat check built on them
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProfileCore } = require('../engine.js');
+const { getPublicSuffix, getRegisteredDomain, getRegistrableLabel } = self.AdvirsPsl;
+
+function codes(url) {
+    return analyzeProfileCore({ url }).reasons.map(r => r.code);
+}
+
+test('registered domains follow exact, wildcard and exception rules', () => {
+    assert.strictEqual(getRegisteredDomain('login.evil.co.uk'), 'evil.co.uk');
+    assert.strictEqual(getRegisteredDomain('www.facebook.com.br'), 'facebook.com.br');
+    assert.strictEqual(getPublicSuffix('foo.bar.ck'), 'bar.ck');
+    assert.strictEqual(getRegisteredDomain('www.ck'), 'www.ck');
+    assert.strictEqual(getRegisteredDomain('co.uk'), '');
+    assert.strictEqual(getRegistrableLabel('secure.evil.com.eg'), 'evil');
+});
+
+test('a trusted name under another public suffix is not a typosquat', () => {
+    const found = codes('https://facebook.com.br/');
+    assert.ok(!found.includes('TYPOSQUAT_SLD'), String(found));
+    assert.ok(!found.includes('TYPOSQUAT_DOMAIN'), String(found));
+    assert.strictEqual(analyzeProfileCore({ url: 'https://facebook.com.br/' }).suspicious, false);
+});
+
+test('a near miss of a trusted name is a typosquat', () => {
+    assert.ok(codes('https://faceb00k.com/').includes('TYPOSQUAT_SLD'));
+    assert.ok(codes('https://secure.faceb00k.co.uk/').includes('TYPOSQUAT_SLD'));
+});
@@ -0,0 +1,115 @@
+// Offline QR decoding (qr.js) on rendered module grids
+const test = require('node:test');
+const assert = require('node:assert');
+globalThis.self = globalThis;
+require('../qr.js');
+const { decode } = self.AdvirsQr;
+
+// version 3-M, "https://paypa1-login.example/verify?id=42"
+const URL_V3 = [
+    '#######..###.#..##.##.#######',
+    '#.....#...##...##.#.#.#.....#',
+    '#.###.#.##....#.#.#.#.#.###.#',
+    '#.###.#.##...##.##....#.###.#',
+    '#.###.#.##..#.....###.#.###.#',
+    '#.....#.##.#..###.#...#.....#',
+    '#######.#.#.#.#.#.#.#.#######',
+    '........#.#.#..#...##........',
+    '#.#####......#..##.#..#####..',
+    '#.##.#.#.##..##.####.####...#',
+    '..########.##.##.....#..#....',
+    '.#..##..####..#.#..##...##.#.',
+    '..#...###....#.#.#.#.#.#.##..',
+    '###.#..#.####.#.#..##.###...#',
+    '.#.##.#.##....###.#.##.####..',
+    '.#..##..####...#..#........#.',
+    '..#####...#..#...#.#.#.#.##..',
+    '#......#..#...#.#########.#.#',
+    '#.###.#....###.#....#.###.#..',
+    '#.#..#..##........###...#..#.',
+    '#..#..##...##..###..#####.###',
+    '........##.###..#.#.#...#####',
+    '#######..###.####..##.#.###..',
+    '#.....#.######.##..##...#....',
+    '#.###.#.#..#..##.##.#####.###',
+    '#.###.#.##.##...#####....####',
+    '#.###.#.###.####.#.#########.',
+    '#.....#..#.##...#...#.#.##.#.',
+    '#######.#.#...####.#.#..###..'
+];
+
+// version 2-Q, alphanumeric mode "HTTPS://EXAMPLE.COM/A1"
+const ALNUM_V2 = [
+    '#######.##.##.#...#######',
+    '#.....#.#.#..#....#.....#',
+    '#.###.#.##.....#..#.###.#',
+    '#.###.#.###.##....#.###.#',
+    '#.###.#.#.####..#.#.###.#',
+    '#.....#...##..##..#.....#',
+    '#######.#.#.#.#.#.#######',
+    '........#..##..#.........',
+    '.##.#.##..###...#.#.#####',
+    '.....#.#######.####.#..##',
+    '...#..#.#..#..###..######',
+    '#..#.#.#########...#...##',
+    '.#..#.#...#.#.#..####.#..',
+    '.#####.#..#.#.#.#..#...##',
+    '#.#.#.#.#.#.#.#.#.##.....',
+    '.#.##..#..##.#...#.###...',
+    '#.##.###.#.#....######..#',
+    '........#.##.#..#...#.#.#',
+    '#######.#.##.##.#.#.###.#',
+    '#.....#..#...####...#.#.#',
+    '#.###.#.##.##...#######..',
+    '#.###.#...#....#.#..##.#.',
+    '#.###.#.#..##.#.....#...#',
+    '#.....#.###...##.#..#####',
+    '#######..#.##.####.####.#'
+];
+
+// Grid -> grayscale RGBA with a 4-module quiet zone, optionally inverted or rotated about the centre
+function render(rows, { scale = 4, invert = false, angle = 0 } = {}) {
+    const size = rows.length;
+    const side = (size + 8) * scale;
+    const rgba = new Uint8ClampedArray(side * side * 4);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    for (let y = 0; y < side; y++) {
+        for (let x = 0; x < side; x++) {
+            const u = x - side / 2, v = y - side / 2;
+            const mx = Math.floor((cos * u + sin * v + side / 2) / scale) - 4;
+            const my = Math.floor((-sin * u + cos * v + side / 2) / scale) - 4;
+            const dark = mx >= 0 && my >= 0 && mx < size && my < size && rows[my][mx] === '#';
+            const i = (y * side + x) * 4;
+            rgba[i] = rgba[i + 1] = rgba[i + 2] = dark !== invert ? 20 : 235;
+            rgba[i + 3] = 255;
+        }
+    }
+    return [rgba, side, side];
+}
+
+function flip(rows, cells) {
+    const out = rows.map(r => r.split(''));
+    for (const [x, y] of cells) out[y][x] = out[y][x] === '#' ? '.' : '#';
+    return out.map(r => r.join(''));
+}
+
+test('byte and alphanumeric segments decode', () => {
+    assert.strictEqual(decode(...render(URL_V3)), 'https://paypa1-login.example/verify?id=42');
+    assert.strictEqual(decode(...render(ALNUM_V2, { scale: 3 })), 'HTTPS://EXAMPLE.COM/A1');
+});
+
+test('inverted and rotated codes decode', () => {
+    assert.strictEqual(decode(...render(URL_V3, { invert: true })), 'https://paypa1-login.example/verify?id=42');
+    assert.strictEqual(decode(...render(ALNUM_V2, { scale: 6, angle: 0.25 })), 'HTTPS://EXAMPLE.COM/A1');
+});
+
+test('damaged modules are repaired by error correction', () => {
+    const damaged = flip(URL_V3, [[12, 12], [13, 12], [14, 13], [20, 16], [21, 17], [10, 25]]);
+    assert.strictEqual(decode(...render(damaged)), 'https://paypa1-login.example/verify?id=42');
+});
+
+test('images without a code give null', () => {
+    const blank = new Uint8ClampedArray(100 * 100 * 4).fill(255);
+    assert.strictEqual(decode(blank, 100, 100), null);
+    assert.strictEqual(decode(new Uint8ClampedArray(0), 0, 0), null);
+});
@@ -0,0 +1,72 @@
+// Rule pack validation (rules.js)
+const test = require('node:test');
+const assert = require('node:assert');
+globalThis.self = globalThis;
+require('../rules.js');
+const { DEFAULT_PACK, validatePack, parsePack } = self.AdvirsRules;
+
+const HEADER = { format: 'advirs-rule-pack', schemaVersion: 1, name: 'Strict', version: 2 };
+
+function codes(result) {
+    return result.errors.map(e => `${e.code} ${e.path}`);
+}
+
+test('a partial pack is merged over the defaults', () => {
+    const { ok, pack } = validatePack({
+        ...HEADER,
+        thresholds: { suspiciousScore: 0.45 },
+        riskyTlds: [' .ZIP ', 'mov'],
+        brandKeywords: { ' PayPal ': ['PayPa1'] }
+    });
+    assert.strictEqual(ok, true);
+    assert.strictEqual(pack.version, '2');
+    assert.strictEqual(pack.thresholds.suspiciousScore, 0.45);
+    assert.strictEqual(pack.thresholds.typosquatDistance, DEFAULT_PACK.thresholds.typosquatDistance);
+    assert.deepStrictEqual(pack.weights, DEFAULT_PACK.weights);
+    assert.deepStrictEqual(pack.riskyTlds, ['zip', 'mov']);
+    assert.deepStrictEqual(pack.suspiciousPathTokens, DEFAULT_PACK.suspiciousPathTokens);
+    assert.deepStrictEqual(pack.brandKeywords, { paypal: ['paypa1'] });
+});
+
+test('merging does not alter the default pack', () => {
+    const before = JSON.stringify(DEFAULT_PACK);
+    validatePack({ ...HEADER, thresholds: { suspiciousScore: 0.1 }, riskyTlds: ['zip'] }).pack.riskyTlds.push('x');
+    assert.strictEqual(JSON.stringify(DEFAULT_PACK), before);
+});
+
+test('numbers must lie between 0 and 1', () => {
+    const result = validatePack({
+        ...HEADER,
+        thresholds: { suspiciousScore: 1.5, typosquatDistance: -0.1, interstitialScore: '0.9' },
+        weights: { typosquat: 0, blocklist: 1 }
+    });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.pack, null);
+    assert.deepStrictEqual(codes(result), [
+        'NUMBER_RANGE thresholds.suspiciousScore',
+        'NUMBER_RANGE thresholds.typosquatDistance',
+        'NUMBER_RANGE thresholds.interstitialScore'
+    ]);
+});
+
+test('header, unknown keys and list shapes are checked', () => {
+    const result = validatePack({
+        format: 'other', schemaVersion: 2, name: ' ',
+        thresholds: { noSuchThreshold: 0.5 },
+        weights: [],
+        riskyTlds: ['xyz', ''],
+        brandKeywords: { facebook: 'fb' }
+    });
+    assert.deepStrictEqual(codes(result), [
+        'FORMAT format', 'SCHEMA_VERSION schemaVersion', 'NAME name',
+        'UNKNOWN_KEY thresholds.noSuchThreshold', 'SECTION weights',
+        'STRING_LIST riskyTlds', 'KEYWORD_MAP brandKeywords.facebook'
+    ]);
+});
+
+test('JSON syntax errors are reported as validation errors', () => {
+    const result = parsePack('{ "format": ');
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.errors[0].code, 'INVALID_JSON');
+    assert.strictEqual(parsePack(JSON.stringify(HEADER)).ok, true);
+});
@@ -0,0 +1,43 @@
+// Enabled / disabled site lists and the content script match patterns built from them
+const test = require('node:test');
+const assert = require('node:assert');
+globalThis.self = globalThis;
+require('../scan-scope.js');
+const { normalizeEntry, buildScope, isUrlInScope } = self.AdvirsScanScope;
+
+test('entries are normalized or rejected', () => {
+    assert.strictEqual(normalizeEntry(' Example.COM/path '), 'example.com');
+    assert.strictEqual(normalizeEntry('example.com:8080'), 'example.com');
+    assert.strictEqual(normalizeEntry('https://Mail.Example.com/inbox'), 'https://mail.example.com');
+    assert.strictEqual(normalizeEntry('*.example.com'), '*.example.com');
+    assert.strictEqual(normalizeEntry('<all_urls>'), '*');
+    assert.strictEqual(normalizeEntry('exa mple.com'), '');
+    assert.strictEqual(normalizeEntry('*.'), '');
+});
+
+test('an empty allow list scans every site minus the deny list', () => {
+    assert.deepStrictEqual(buildScope({}, { 'bank.example': true, 'off.example': false }), {
+        matches: ['*://*/*'],
+        excludeMatches: ['*://bank.example/*']
+    });
+});
+
+test('allow and deny entries become match patterns', () => {
+    const scope = buildScope(
+        { '*.example.com': true, 'https://mail.example.org': true, 'example.com': true, 'bad entry': true },
+        { 'https://admin.example.com/x': true }
+    );
+    assert.deepStrictEqual(scope.matches, ['*://*.example.com/*', 'https://mail.example.org/*', '*://example.com/*']);
+    assert.deepStrictEqual(scope.excludeMatches, ['https://admin.example.com/*']);
+});
+
+test('the deny list wins over the allow list', () => {
+    const enabled = { '*.example.com': true };
+    const disabled = { 'admin.example.com': true };
+    assert.strictEqual(isUrlInScope('https://www.example.com/', enabled, disabled), true);
+    assert.strictEqual(isUrlInScope('https://example.com/', enabled, disabled), true);
+    assert.strictEqual(isUrlInScope('https://admin.example.com/', enabled, disabled), false);
+    assert.strictEqual(isUrlInScope('https://other.example/', enabled, disabled), false);
+    assert.strictEqual(isUrlInScope('http://mail.example.org/', { 'https://mail.example.org': true }, {}), false);
+    assert.strictEqual(isUrlInScope('file:///etc/passwd', {}, {}), false);
+});
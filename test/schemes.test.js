@@ -0,0 +1,68 @@
+// javascript:, data: and blob: links and download checks (schemes.js, engine.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeSchemeLink, analyzeDownloadCore } = require('../engine.js');
+const { inspectUrl, fileExtensions, parseDataUrl } = self.AdvirsSchemes;
+
+function codes(result) {
+    return result.reasons.map(r => r.code);
+}
+
+test('script URLs: placeholders, plain scripts and obfuscated ones', () => {
+    assert.deepStrictEqual(inspectUrl('javascript:void(0);'), { scheme: 'javascript', kind: 'inert' });
+    assert.deepStrictEqual(inspectUrl('JavaScript:'), { scheme: 'javascript', kind: 'inert' });
+    assert.deepStrictEqual(inspectUrl('javascript:openMenu()'), { scheme: 'javascript', kind: 'script' });
+    assert.deepStrictEqual(inspectUrl('javascript:eval(atob("YWxlcnQoMSk="))'), { scheme: 'javascript', kind: 'obfuscated_script', pattern: 'eval' });
+    assert.strictEqual(inspectUrl('https://example.com/'), null);
+});
+
+test('data: URLs are classified by mime type or by sniffing the payload', () => {
+    assert.strictEqual(inspectUrl('data:text/html,<h1>hi</h1>').kind, 'html');
+    assert.strictEqual(inspectUrl('data:application/octet-stream;base64,' + Buffer.from('MZ\x90\x00').toString('base64')).kind, 'executable');
+    assert.strictEqual(inspectUrl('data:text/plain;base64,' + Buffer.from('<!DOCTYPE html><form>').toString('base64')).kind, 'html');
+    assert.strictEqual(inspectUrl('data:image/png;base64,iVBORw0KGgo=').kind, 'other');
+    assert.deepStrictEqual(parseDataUrl('data:,a%20b'), { mime: 'text/plain', base64: false, head: 'a b' });
+    assert.deepStrictEqual(inspectUrl('blob:https://evil.example/1f0c'), { scheme: 'blob', kind: 'other', origin: 'https://evil.example' });
+});
+
+test('file names give their extension, a decoy extension and RTL overrides', () => {
+    assert.deepStrictEqual(fileExtensions('C:\\Users\\me\\Invoice.PDF .exe'), { name: 'Invoice.PDF .exe', ext: 'exe', decoy: 'pdf', rtlOverride: false });
+    assert.deepStrictEqual(fileExtensions('archive.tar.gz'), { name: 'archive.tar.gz', ext: 'gz', decoy: '', rtlOverride: false });
+    assert.strictEqual(fileExtensions('photo\u202egpj.exe').rtlOverride, true);
+});
+
+test('scheme links are scored by what they would run or deliver', () => {
+    assert.strictEqual(analyzeSchemeLink('javascript:void(0)').score, 0);
+    const obfuscated = analyzeSchemeLink('javascript:eval(atob("YWxlcnQoMSk="))', 'https://shop.example/');
+    assert.deepStrictEqual(codes(obfuscated), ['LINK_SCRIPT_OBFUSCATED']);
+    assert.strictEqual(obfuscated.suspicious, true);
+    assert.strictEqual(analyzeSchemeLink('data:text/html;base64,PGh0bWw+').suspicious, true);
+    assert.strictEqual(analyzeSchemeLink('blob:https://evil.example/1').suspicious, false);
+});
+
+test('downloads: double extensions and RTL overrides are cancelled, plain executables warned about', () => {
+    const decoy = analyzeDownloadCore({ url: 'https://cdn.example/Invoice.pdf.exe' });
+    assert.deepStrictEqual(codes(decoy), ['DOWNLOAD_DOUBLE_EXTENSION']);
+    assert.strictEqual(decoy.details.action, 'cancel');
+    assert.strictEqual(analyzeDownloadCore({ url: 'https://x.example/a', filename: 'photo\u202egpj.exe' }).details.action, 'cancel');
+    assert.strictEqual(analyzeDownloadCore({ url: 'https://cdn.example/setup.exe' }).details.action, 'warn');
+    const pdf = analyzeDownloadCore({ url: 'https://cdn.example/report.pdf' });
+    assert.strictEqual(pdf.details.action, 'allow');
+    assert.deepStrictEqual(pdf.reasons, []);
+});
+
+test('downloads: files assembled in the page and downloads from suspicious pages', () => {
+    const smuggled = analyzeDownloadCore({ url: 'blob:https://evil.example/1', filename: 'invoice.html', mime: 'text/html' });
+    assert.deepStrictEqual(codes(smuggled), ['DOWNLOAD_SMUGGLED']);
+    assert.strictEqual(smuggled.reasons[0].params.kind, 'html');
+    assert.strictEqual(smuggled.suspicious, true);
+
+    const fromPage = analyzeDownloadCore({ url: 'https://cdn.example/setup.exe', referrer: 'https://evil.example/' }, { suspicious: true, score: 0.9 });
+    assert.deepStrictEqual(codes(fromPage), ['DOWNLOAD_RISKY_EXTENSION', 'DOWNLOAD_FROM_SUSPICIOUS_PAGE']);
+    assert.strictEqual(fromPage.details.action, 'cancel');
+
+    const listed = analyzeDownloadCore({ url: 'https://cdn.example/report.pdf' }, null,
+        new Map([['https://cdn.example/report.pdf', { sourceName: 'Team list', entry: 'cdn.example' }]]));
+    assert.deepStrictEqual(codes(listed), ['DOWNLOAD_BLOCKLISTED']);
+    assert.strictEqual(listed.details.action, 'cancel');
+});
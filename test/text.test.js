@@ -0,0 +1,26 @@
+// Phishing wording: bundled phrase lists and the naive Bayes model (text.js, text-model-data.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyzeProfileCore } = require('../engine.js');
+
+function readJsonl(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+}
+
+test('text-model-data.js is the model trained from training/text-corpus.jsonl', () => {
+    const corpus = readJsonl(path.join(__dirname, '..', 'training', 'text-corpus.jsonl'));
+    const model = self.AdvirsText.train(corpus, { version: self.ADVIRS_TEXT_MODEL.version });
+    assert.deepStrictEqual(self.ADVIRS_TEXT_MODEL, model);
+});
+
+// held-out texts, none of them in the training corpus
+for (const { lure, lang, text } of readJsonl(path.join(__dirname, 'text-regression.jsonl'))) {
+    test(`${lure ? 'lure' : 'ordinary'} (${lang}): ${text.slice(0, 60)}`, () => {
+        const result = analyzeProfileCore({ url: 'https://shop.example/', textSample: text });
+        const codes = result.reasons.map(r => r.code).filter(c => c === 'TEXT_LURE' || c === 'TEXT_RED_FLAG');
+        if (lure) assert.ok(codes.length, 'reported');
+        else assert.deepStrictEqual(codes, []);
+    });
+}
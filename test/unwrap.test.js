@@ -0,0 +1,55 @@
+// Redirector unwrapping and shortener detection
+const test = require('node:test');
+const assert = require('node:assert');
+globalThis.self = globalThis;
+require('../unwrap.js');
+const { unwrapUrl, decodeTarget, isShortener } = self.AdvirsUnwrap;
+
+test('known redirectors are peeled off, nested ones too', () => {
+    const fb = unwrapUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Fevil.example%2Flogin&h=AT0');
+    assert.strictEqual(fb.url, 'https://evil.example/login');
+    assert.deepStrictEqual(fb.wrappers, ['facebook']);
+
+    const inner = 'https://www.google.com/url?q=' + encodeURIComponent('https://evil.example/');
+    const nested = unwrapUrl('https://nam02.safelinks.protection.outlook.com/?url=' + encodeURIComponent(inner) + '&data=x');
+    assert.strictEqual(nested.url, 'https://evil.example/');
+    assert.deepStrictEqual(nested.wrappers, ['outlook-safelinks', 'google']);
+    assert.strictEqual(nested.chain.length, 3);
+});
+
+test('Proofpoint and base64 encodings are decoded', () => {
+    assert.strictEqual(unwrapUrl('https://urldefense.proofpoint.com/v2/url?u=https-3A__evil.example_a&d=x').url, 'https://evil.example/a');
+    assert.strictEqual(decodeTarget(Buffer.from('https://evil.example/').toString('base64')), 'https://evil.example/');
+    assert.strictEqual(decodeTarget('/relative/path'), null);
+});
+
+test('shorteners are reported because their destination cannot be recovered', () => {
+    assert.strictEqual(unwrapUrl('https://bit.ly/3abc').shortener, 'bit.ly');
+    assert.strictEqual(isShortener('www.tinyurl.com'), true);
+    assert.strictEqual(isShortener('example.com'), false);
+});
+
+test('the generic unwrapper reads redirect endpoints on another site', () => {
+    const out = unwrapUrl('https://news.example/out.php?url=https%3A%2F%2Fevil.example%2F');
+    assert.strictEqual(out.url, 'https://evil.example/');
+    assert.deepStrictEqual(out.wrappers, ['generic']);
+    assert.strictEqual(unwrapUrl('https://tracker.example/r/?to=https://evil.example/x').url, 'https://evil.example/x');
+});
+
+test('search, login and share pages are not taken for redirects', () => {
+    for (const href of [
+        'https://www.bing.com/search?q=https%3A%2F%2Fpaypal.com',
+        'https://accounts.example/login?next=https%3A%2F%2Fother.example%2F',
+        'https://twitter.com/intent/tweet?url=https%3A%2F%2Fnews.example%2Fstory',
+        'https://www.facebook.com/sharer/sharer.php?u=https%3A%2F%2Fnews.example%2Fstory'
+    ]) {
+        const result = unwrapUrl(href);
+        assert.strictEqual(result.url, href);
+        assert.deepStrictEqual(result.wrappers, []);
+    }
+});
+
+test('a redirect back to the same site is not unwrapped', () => {
+    const href = 'https://www.example.com/redirect?url=https%3A%2F%2Fexample.com%2Fhome';
+    assert.strictEqual(unwrapUrl(href).url, href);
+});
@@ -0,0 +1,40 @@
+// URL structure signals of page URLs
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeProfileCore } = require('../engine.js');
+
+function analyze(url) {
+    const result = analyzeProfileCore({ url });
+    return { result, codes: result.reasons.map(r => r.code) };
+}
+
+test('escaped URLs in query values are not heavy encoding', () => {
+    for (const url of [
+        'https://accounts.google.com/ServiceLogin?continue=https%3A%2F%2Fmail.google.com%2Fmail%2Fu%2F0%2F&service=mail',
+        'https://www.amazon.com/ap/signin?openid.return_to=https%3A%2F%2Fwww.amazon.com%2F%3Fref_%3Dnav_signin&openid.mode=checkid_setup',
+        'https://search.example/?q=https%3A%2F%2Fexample.org%2Fa%2Fb%2Fc'
+    ]) {
+        assert.ok(!analyze(url).codes.includes('PAGE_HEAVY_ENCODING'), url);
+    }
+});
+
+test('escaped letters in the path are heavy encoding', () => {
+    assert.ok(analyze('https://evil.example/%70%61%79%70%61%6c%2e%63%6f%6d/login').codes.includes('PAGE_HEAVY_ENCODING'));
+});
+
+test('Arabic paths are not heavy encoding', () => {
+    assert.ok(!analyze('https://ar.wikipedia.org/wiki/%D9%85%D8%B5%D8%B1').codes.includes('PAGE_HEAVY_ENCODING'));
+});
+
+test('local development hosts may use any port', () => {
+    const { result, codes } = analyze('http://localhost:8080/');
+    assert.ok(!codes.includes('PAGE_NONSTANDARD_PORT'), String(codes));
+    assert.strictEqual(result.suspicious, false);
+    assert.ok(analyze('https://example.com:8443/').codes.includes('PAGE_NONSTANDARD_PORT'));
+});
+
+test('a trusted domain worn as subdomains forces the verdict', () => {
+    const { result, codes } = analyze('http://paypal.com.secure-login.xyz/signin');
+    assert.ok(codes.includes('PAGE_BRAND_IN_SUBDOMAIN'));
+    assert.strictEqual(result.suspicious, true);
+});
@@ -0,0 +1,63 @@
+// Verdict cache keys, LRU eviction and expiry (verdict-cache.js), without chrome.storage.session
+const test = require('node:test');
+const assert = require('node:assert');
+globalThis.self = globalThis;
+globalThis.chrome = { storage: {} };
+require('../verdict-cache.js');
+const cache = self.AdvirsVerdictCache;
+
+const RESULT = { suspicious: false, score: 0.1, reasons: [] };
+
+test('URLs are normalized: case, fragment, trailing slash, tracking and parameter order', () => {
+    assert.strictEqual(cache.normalizeUrl('HTTPS://Example.COM:443/a/?b=2&utm_source=x&a=1#top'), 'https://example.com/a?a=1&b=2');
+    assert.strictEqual(cache.normalizeUrl('https://example.com/?fbclid=abc'), 'https://example.com');
+    assert.strictEqual(cache.normalizeUrl('javascript:alert(1)'), '');
+});
+
+test('URL-only checks use u: keys, page payloads p: keys with a digest of the payload', () => {
+    assert.strictEqual(cache.keyFor({ url: 'https://example.com/' }), 'u:https://example.com');
+    assert.strictEqual(cache.keyFor({ url: 'https://example.com/', timestamp: 1 }), 'u:https://example.com');
+    const page = cache.keyFor({ url: 'https://example.com/', forms: [{ hasPassword: true }], timestamp: 1 });
+    assert.match(page, /^p:https:\/\/example\.com#[0-9a-f]{8}$/);
+    assert.strictEqual(cache.keyFor({ timestamp: 2, forms: [{ hasPassword: true }], url: 'https://example.com' }), page);
+    assert.notStrictEqual(cache.keyFor({ url: 'https://example.com/', forms: [] }), page);
+    assert.strictEqual(cache.keyFor({ url: 'ftp://example.com/' }), '');
+});
+
+test('cached verdicts are returned until they expire', async (t) => {
+    await cache.clear();
+    const data = { url: 'https://example.com/page' };
+    assert.strictEqual(await cache.get(data), null);
+    await cache.set(data, RESULT);
+    assert.deepStrictEqual(await cache.get({ url: 'https://EXAMPLE.com/page/#x' }), RESULT);
+
+    const now = Date.now;
+    t.after(() => { Date.now = now; });
+    Date.now = () => now() + cache.TTL_MS + 1;
+    assert.strictEqual(await cache.get(data), null);
+    const stats = await cache.getStats();
+    assert.strictEqual(stats.hits, 1);
+    assert.strictEqual(stats.misses, 2);
+});
+
+test('the least recently used verdict is evicted first', async () => {
+    await cache.clear();
+    for (let i = 0; i < cache.MAX_ENTRIES; i++) await cache.set({ url: `https://example.com/${i}` }, RESULT);
+    assert.ok(await cache.get({ url: 'https://example.com/0' })); // now the most recent
+    await cache.set({ url: 'https://example.com/new' }, RESULT);
+    assert.ok(await cache.get({ url: 'https://example.com/0' }));
+    assert.strictEqual(await cache.get({ url: 'https://example.com/1' }), null);
+    const stats = await cache.getStats();
+    assert.strictEqual(stats.size, cache.MAX_ENTRIES);
+    assert.strictEqual(stats.evictions, 1);
+});
+
+test('invalidating drops every verdict but keeps the counters', async () => {
+    await cache.set({ url: 'https://example.com/kept' }, RESULT);
+    const before = await cache.getStats();
+    await cache.invalidate();
+    const after = await cache.getStats();
+    assert.strictEqual(after.size, 0);
+    assert.strictEqual(after.invalidations, before.invalidations + 1);
+    assert.strictEqual(after.hits, before.hits);
+});
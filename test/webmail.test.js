@@ -0,0 +1,67 @@
+// Open message extraction in webmail clients (webmail.js) on static pages
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+globalThis.self = globalThis;
+require('../unwrap.js');
+require('../webmail.js');
+const { extract, getAdapter, parseAddress } = self.AdvirsWebmail;
+
+function page(url, html) {
+    const { window } = new JSDOM(html, { url });
+    return extract(window.document, window.location);
+}
+
+const GMAIL_MESSAGE = `<body><div role="main">
+    <h2 class="hP">Your account is on hold</h2>
+    <div class="adn ads"><table><tbody>
+        <tr><td><span class="gD" email="Service@PayPal-Support.example" name="PayPal Service">PayPal Service</span></td></tr>
+        <tr><td>Reply-To: <span email="help@collect.example">help@collect.example</span></td></tr>
+    </tbody></table>
+    <div class="a3s">
+        <p>Reply-To: someone@quoted.example</p>
+        <a href="https://www.google.com/url?q=https://paypal-login.example/verify&amp;sa=D">paypal.com/verify</a>
+        <a href="https://paypal-login.example/verify">paypal.com/verify</a>
+        <a href="mailto:help@collect.example">write to us</a>
+    </div></div>
+</div></body>`;
+
+test('adapters are chosen by host; addresses are found in free text', () => {
+    assert.strictEqual(getAdapter('mail.google.com').id, 'gmail');
+    assert.strictEqual(getAdapter('OUTLOOK.office.com').id, 'outlook');
+    assert.strictEqual(getAdapter('google.com'), null);
+    assert.strictEqual(parseAddress('"PayPal" <Service@PayPal.com>'), 'service@paypal.com');
+    assert.strictEqual(parseAddress('no address here'), '');
+});
+
+test('Gmail: sender, reply-to from the header, subject and unwrapped body links', () => {
+    const mail = page('https://mail.google.com/mail/u/0/#inbox/FMfcg', GMAIL_MESSAGE);
+    assert.strictEqual(mail.client, 'gmail');
+    assert.strictEqual(mail.senderName, 'PayPal Service');
+    assert.strictEqual(mail.senderAddress, 'service@paypal-support.example');
+    assert.strictEqual(mail.replyTo, 'help@collect.example');
+    assert.strictEqual(mail.subject, 'Your account is on hold');
+    assert.strictEqual(mail.key, '/mail/u/0/#inbox/FMfcg|service@paypal-support.example|Your account is on hold');
+    assert.deepStrictEqual(mail.links, [{ href: 'https://paypal-login.example/verify', text: 'paypal.com/verify' }]);
+});
+
+test('Outlook: the sender persona carries name and address in its text', () => {
+    const mail = page('https://outlook.office.com/mail/inbox/id/AAQk', `<body><div role="main">
+        <div role="heading" aria-level="2">Invoice 4471</div>
+        <div><div><span data-testid="SenderPersona">Microsoft 365 &lt;billing@micros0ft.example&gt;</span></div>
+        <div id="UniqueMessageBody_1"><a href="https://nam02.safelinks.protection.outlook.com/?url=https%3A%2F%2Finvoice.example%2Fpay&amp;data=x">Pay now</a></div></div>
+    </div></body>`);
+    assert.strictEqual(mail.client, 'outlook');
+    assert.strictEqual(mail.senderName, 'Microsoft 365');
+    assert.strictEqual(mail.senderAddress, 'billing@micros0ft.example');
+    assert.strictEqual(mail.replyTo, '');
+    assert.strictEqual(mail.subject, 'Invoice 4471');
+    assert.deepStrictEqual(mail.links, [{ href: 'https://invoice.example/pay', text: 'Pay now' }]);
+});
+
+test('mailbox lists, messages without a sender address and other sites give nothing', () => {
+    assert.strictEqual(page('https://mail.google.com/mail/u/0/#inbox', '<body><div role="main"><table><tr><td>Inbox</td></tr></table></div></body>'), null);
+    assert.strictEqual(page('https://mail.google.com/mail/u/0/#inbox/x', `<body><div role="main"><div class="adn ads">
+        <span class="gD" email="" name="Nobody">Nobody</span><div class="a3s">hi</div></div></div></body>`), null);
+    assert.strictEqual(page('https://example.com/', GMAIL_MESSAGE), null);
+});
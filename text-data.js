@@ -0,0 +1,86 @@
+// text-data.js - bundled phishing phrase lists (Advirs)
+// Wording of account-threat, verification, prize, payment and final-warning lures, grouped by
+// language and tactic.
+// Arabic lists hold Modern Standard Arabic, Egyptian dialect and Arabizi spellings. Matching (text.js)
+// ignores case, accents, Arabic diacritics, alef/ya/ta-marbuta variants and Arabizi digits, so one
+// spelling per phrase is enough. Keep phrases specific: a phrase that also fits ordinary messages
+// ("your account", "حسابك", "update your payment information") flags every settings or billing page.
+
+self.ADVIRS_TEXT_PHRASES = {
+    ar: {
+        account: [
+            'تم تعليق حسابك', 'سيتم تعليق حسابك', 'تم إيقاف حسابك', 'سيتم إيقاف حسابك', 'سيتم حذف حسابك',
+            'سيتم إغلاق حسابك', 'تم تقييد حسابك', 'حسابك معرض للحذف', 'حسابك مهدد بالإغلاق', 'تم قفل حسابك',
+            'صفحتك مخالفة', 'صفحتك ستحذف', 'صفحتك انتهكت', 'مخالفة معايير المجتمع',
+            'حسابك هيتقفل', 'حسابك هيتحذف', 'الأكونت هيتقفل', 'الصفحة هتتقفل', 'اتقفل حسابك',
+            '7esabak hayet2efel', 'el account hayet2efel', 'el page hatet2efel'
+        ],
+        verify: [
+            'تحقق من هويتك', 'قم بتأكيد هويتك', 'يرجى تأكيد هويتك', 'يرجى تحديث بياناتك', 'قم بتحديث بياناتك',
+            'أدخل رمز التحقق', 'أرسل رمز التحقق', 'أرسل الكود', 'ابعت الكود',
+            'ابعتلي الكود', 'ابعتلي الرقم اللي وصلك', 'اكتب الكود اللي جالك', 'أكد حسابك من الرابط',
+            'اضغط على الرابط لتأكيد', 'ادخل على اللينك', 'دوس على اللينك',
+            'ab3atly el code', 'eb3at el code', 'dos 3la el link', 'edkhol 3la el link'
+        ],
+        prize: [
+            'مبروك لقد ربحت', 'مبروك ربحت', 'لقد فزت بجائزة', 'فزت بجائزة', 'تم اختيارك للفوز', 'ربحت جائزة',
+            'استلم جائزتك', 'للحصول على الجائزة', 'جائزة نقدية',
+            'كسبت جايزة', 'مبروك كسبت', 'فلوس ببلاش', 'رصيد ببلاش',
+            'mabrook kesbt', 'kesbt gayza', 'rased bbalash'
+        ],
+        payment: [
+            'ادفع رسوم الشحن', 'ادفع الرسوم الجمركية', 'أدخل بيانات البطاقة', 'أدخل رقم البطاقة',
+            'حوّل على فودافون كاش', 'ابعت على فودافون كاش',
+            'شحنتك معلقة', 'الطرد معلق', 'تعذر توصيل الشحنة',
+            '7awel 3la vodafone cash', 'eb3at 3la vodafone cash'
+        ],
+        urgency: [
+            'آخر تحذير', 'إنذار أخير', 'تحذير نهائي', 'سيتم اتخاذ إجراء قانوني'
+        ]
+    },
+    en: {
+        account: [
+            'your account will be locked', 'your account has been suspended', 'your account has been locked',
+            'your account will be suspended', 'your account will be disabled', 'your account has been limited',
+            'unusual sign-in activity', 'unusual activity on your account', 'your page will be deleted',
+            'your page has violated', 'violates our community standards'
+        ],
+        verify: [
+            'verify your account', 'click here to verify', 'confirm your identity', 'verify your identity',
+            'send me the code', 'share the verification code', 'login to confirm'
+        ],
+        prize: [
+            'congratulations you have won', 'you have been selected', 'claim your prize', 'claim your reward',
+            'you are our lucky winner', 'free gift card', 'giveaway winner'
+        ],
+        payment: [
+            'payment required', 'pay the delivery fee', 'pay the customs fee', 'your package is on hold',
+            'we were unable to deliver your package', 'refund is pending', 'enter your card details'
+        ],
+        urgency: [
+            'urgent action required', 'immediate action required', 'final warning', 'last warning'
+        ]
+    },
+    fr: {
+        account: [
+            'votre compte a été suspendu', 'votre compte sera suspendu', 'votre compte a été bloqué',
+            'votre compte sera bloqué', 'votre compte sera supprimé', 'activité inhabituelle sur votre compte',
+            'votre page sera supprimée'
+        ],
+        verify: [
+            'vérifiez votre compte', 'confirmez votre identité', 'vérifier votre identité',
+            'cliquez ici pour confirmer', 'envoyez-moi le code'
+        ],
+        prize: [
+            'félicitations vous avez gagné', 'vous avez été sélectionné', 'réclamez votre cadeau',
+            'réclamer votre prix', 'carte cadeau gratuite'
+        ],
+        payment: [
+            'payer les frais de livraison', 'payer les frais de douane', 'votre colis est en attente', 'votre colis est bloqué',
+            'remboursement en attente', 'saisissez vos coordonnées bancaires'
+        ],
+        urgency: [
+            'action urgente requise', 'dernier avertissement'
+        ]
+    }
+};
@@ -0,0 +1,275 @@
+// text-model-data.js - bundled phishing text classifier (Advirs)
+// Naive Bayes model for text.js, generated by training/train-text-model.js (AdvirsText.train()) from the
+// 87 lure and 113 ordinary messages and page texts of training/text-corpus.jsonl: Arabic (MSA,
+// Egyptian dialect, Arabizi), English and French. counts holds, per feature (normalized unigram or
+// bigram), the number of lure and ordinary samples containing it; only features seen twice that lean
+// clearly one way are kept (261). Do not edit by hand: change the corpus and retrain.
+
+self.ADVIRS_TEXT_MODEL = {
+    "format": "advirs-text-model",
+    "version": "2",
+    "docs": { "lure": 87, "safe": 113 },
+    "counts": {
+        "1 99": [2,0],
+        "24 99": [0,2],
+        "24 heures": [2,1],
+        "24 ساعه": [3,2],
+        "48 ساعه": [2,0],
+        "a new": [0,2],
+        "access": [2,0],
+        "account has": [3,0],
+        "account will": [2,0],
+        "action required": [2,0],
+        "activite": [2,0],
+        "activite inhabituelle": [2,0],
+        "activity": [2,0],
+        "appeal": [2,0],
+        "attente": [2,0],
+        "avez": [4,0],
+        "avez gagne": [2,0],
+        "bancaires": [2,0],
+        "bank account": [2,0],
+        "bayanat": [2,0],
+        "be deleted": [2,0],
+        "bloque": [2,0],
+        "btaatak": [2,0],
+        "budget": [0,3],
+        "cadeau": [3,0],
+        "card": [5,1],
+        "card details": [3,0],
+        "carte": [3,0],
+        "carte cadeau": [2,0],
+        "cash": [2,0],
+        "change": [0,3],
+        "change your": [0,2],
+        "claim": [3,0],
+        "claim your": [2,0],
+        "code elly": [2,0],
+        "colis est": [2,0],
+        "compte sera": [2,0],
+        "confirm": [4,1],
+        "confirm your": [4,0],
+        "confirmer": [2,0],
+        "confirmez": [2,0],
+        "connectez vous": [0,2],
+        "days": [0,3],
+        "de livraison": [2,0],
+        "de passe": [0,3],
+        "deleted": [3,0],
+        "details": [6,0],
+        "details to": [4,0],
+        "due": [2,0],
+        "due to": [2,0],
+        "edkhol": [2,0],
+        "edkhol ala": [2,0],
+        "el account": [2,0],
+        "el code": [2,0],
+        "el gedid": [0,2],
+        "el link": [5,0],
+        "en attente": [2,0],
+        "enter your": [3,1],
+        "expires": [2,0],
+        "facebook": [2,0],
+        "fee": [3,0],
+        "frais": [3,0],
+        "frais de": [3,0],
+        "full": [2,0],
+        "gagne": [2,0],
+        "geneh": [2,0],
+        "giveaway": [2,0],
+        "giveaway enter": [2,0],
+        "have won": [2,0],
+        "hayetaefel": [2,0],
+        "here to": [2,0],
+        "hold": [2,0],
+        "ici": [2,0],
+        "identite": [2,0],
+        "identite en": [2,0],
+        "identity": [4,0],
+        "immediately": [2,0],
+        "in settings": [0,2],
+        "inhabituelle": [2,0],
+        "iphone": [3,0],
+        "is ready": [0,2],
+        "just": [2,0],
+        "keep your": [2,0],
+        "kesbt": [2,0],
+        "la livraison": [2,0],
+        "les frais": [3,0],
+        "link": [5,0],
+        "link w": [2,0],
+        "livraison": [3,0],
+        "lucky": [2,0],
+        "lucky winner": [2,0],
+        "mot": [0,3],
+        "mot de": [0,3],
+        "n est": [0,2],
+        "new": [0,7],
+        "new account": [0,2],
+        "on hold": [2,0],
+        "orders": [0,3],
+        "our lucky": [2,0],
+        "passe": [0,4],
+        "pay": [4,0],
+        "pay the": [3,0],
+        "pour recevoir": [2,0],
+        "prize": [2,0],
+        "receive": [2,0],
+        "recevoir": [4,0],
+        "review the": [0,2],
+        "sent": [2,0],
+        "settings": [0,3],
+        "sign in": [1,4],
+        "submit": [2,0],
+        "suspended": [2,0],
+        "thanks for": [0,2],
+        "the front": [0,2],
+        "to keep": [2,0],
+        "to receive": [2,0],
+        "une carte": [2,0],
+        "unusual": [2,0],
+        "update your": [2,1],
+        "urgent": [2,0],
+        "verifiez": [2,0],
+        "verifiez votre": [2,0],
+        "verify": [5,0],
+        "verify your": [5,0],
+        "veuillez": [2,0],
+        "violation": [2,0],
+        "vos informations": [3,1],
+        "votre colis": [2,1],
+        "votre compte": [4,2],
+        "votre identite": [2,0],
+        "votre mot": [0,2],
+        "vous avez": [4,0],
+        "winner": [2,0],
+        "winner of": [2,0],
+        "won": [2,0],
+        "won a": [2,0],
+        "your account": [6,4],
+        "your bank": [3,0],
+        "your card": [3,0],
+        "your identity": [4,0],
+        "your new": [0,2],
+        "your receipt": [0,2],
+        "ابعت": [2,0],
+        "ابعت كود": [2,0],
+        "ادخل علي": [3,1],
+        "ادفع": [3,0],
+        "اسبوع": [0,5],
+        "اشتراكك": [2,0],
+        "اشعار": [2,0],
+        "اضغط": [4,0],
+        "اضغط علي": [2,0],
+        "اضغط هنا": [2,0],
+        "اغلاق": [3,0],
+        "اكد": [2,0],
+        "اكونت": [3,0],
+        "اكونت بتاعك": [2,0],
+        "الان": [5,1],
+        "الان لتجنب": [2,0],
+        "اي شخص": [0,2],
+        "ايام": [0,3],
+        "ايام عمل": [0,2],
+        "ايقاف": [3,0],
+        "باسورد": [2,0],
+        "ببلاش": [2,0],
+        "بجايزه": [2,0],
+        "بسبب": [6,1],
+        "بسرعه": [2,0],
+        "بطاقه": [5,0],
+        "بقيمه": [2,0],
+        "بلاغات": [2,0],
+        "بلاغات كتير": [2,0],
+        "بيانات": [6,0],
+        "بيانات بطاقه": [2,0],
+        "بياناتك": [6,0],
+        "بياناتك ورقم": [2,0],
+        "بيت": [2,0],
+        "تاكيد": [3,0],
+        "تاكيد هويتك": [2,0],
+        "تحذير": [2,0],
+        "تسجيل": [0,4],
+        "تسجيل دخول": [0,3],
+        "تطبيق": [0,4],
+        "تعليق": [2,0],
+        "تم ايقاف": [2,0],
+        "توصيل": [2,0],
+        "جايزتك": [3,0],
+        "جايزه": [3,0],
+        "جديده": [0,3],
+        "جنيه": [8,0],
+        "حدث": [2,0],
+        "حذف": [3,0],
+        "حذف حسابك": [2,0],
+        "حساب": [6,1],
+        "حسابك نهاييا": [2,0],
+        "حول": [2,0],
+        "خاصه بك": [2,0],
+        "خدمه عملاء": [0,2],
+        "خلال 24": [3,0],
+        "خلال 48": [2,0],
+        "دعم": [2,0],
+        "رابط": [9,0],
+        "ربحت": [2,0],
+        "رسوم": [6,0],
+        "رسوم شحن": [3,0],
+        "رقم سري": [2,0],
+        "سجل": [2,0],
+        "سحب": [3,0],
+        "سري": [2,0],
+        "سيتم حذف": [2,0],
+        "صفحتك": [2,0],
+        "عبر": [4,1],
+        "عبر رابط": [4,0],
+        "عزيزي": [3,0],
+        "عزيزي عميل": [2,0],
+        "علي رابط": [2,0],
+        "علي فودافون": [2,0],
+        "علي لينك": [4,0],
+        "عميل": [2,0],
+        "فريق دعم": [2,0],
+        "فزت": [2,0],
+        "فزت بجايزه": [2,0],
+        "فلوس": [3,0],
+        "فودافون كاش": [2,1],
+        "فورا": [2,0],
+        "في تطبيق": [0,2],
+        "في سحب": [3,0],
+        "فيزا": [2,0],
+        "قبل": [3,0],
+        "قدم": [2,0],
+        "كارت": [2,0],
+        "كتير": [2,0],
+        "كود": [5,0],
+        "كود اللي": [2,0],
+        "لاستلام": [2,0],
+        "لاعاده": [2,0],
+        "لتجنب": [3,0],
+        "لعدم": [2,0],
+        "لكل": [2,0],
+        "لينك": [5,0],
+        "لينك ده": [2,0],
+        "مبروك علي": [0,2],
+        "مبروك لقد": [2,0],
+        "مخالفه": [2,0],
+        "مع اي": [0,2],
+        "معلق": [2,0],
+        "من اعدادات": [0,2],
+        "من رابط": [3,0],
+        "من فريق": [2,0],
+        "من هنا": [3,0],
+        "موقتا": [2,0],
+        "نهاييا": [2,0],
+        "هنا": [5,0],
+        "هويتك": [3,0],
+        "واستلم": [2,0],
+        "وصلك": [2,0],
+        "يرجي": [5,1],
+        "يرجي تاكيد": [2,0],
+        "يرجي تحديث": [2,0],
+        "يمكنك": [0,4],
+        "يمكنك تعديل": [0,2],
+        "يوم": [0,6]
+    }
+};
@@ -0,0 +1,234 @@
+// text.js - phishing wording in page and message text (Advirs)
+// Two signals over the same normalized text: phrase lists of known lure wording in Arabic (MSA,
+// Egyptian dialect and Arabizi), English and French (text-data.js), and a naive Bayes classifier over
+// word unigrams and bigrams (text-model-data.js) that also catches rephrased lures no list spells out.
+// engine.js reports the matched phrases and the classifier's probability with the words that
+// pushed it up.
+
+(function (root) {
+    const PHRASES = root.ADVIRS_TEXT_PHRASES || {};
+    const MODEL = root.ADVIRS_TEXT_MODEL || null;
+    const MODEL_FORMAT = 'advirs-text-model';
+
+    const MAX_TOKENS = 1500;
+    const MAX_PHRASES = 5;
+    const MAX_TOP = 3;
+
+    // Arabizi digits stand for letters with no Latin equivalent ("7esabak et2afal"); they are read as
+    // the closest Latin letters so that spellings with and without digits compare equal
+    const ARABIZI = { 2: 'a', 3: 'a', 5: 'kh', 6: 't', 7: 'h', 8: 'q', 9: 's' };
+    const ARABIC_LETTERS = { 'ٱ': 'ا', 'ى': 'ي', 'ة': 'ه', 'ی': 'ي', 'ک': 'ك', 'ۀ': 'ه' };
+    // definite article and the conjunction/preposition glued to it ("والحساب", "بالجائزة")
+    const ARTICLE_RX = /^(?:وال|بال|فال|كال|لل|ال)(?=[؀-ۿ]{3})/;
+    // function words carry no evidence on their own (normalized forms); they still join bigrams
+    const STOPWORDS = new Set([
+        'في', 'من', 'علي', 'الي', 'عن', 'مع', 'هذا', 'هذه', 'ذلك', 'التي', 'الذي', 'او', 'و', 'ثم', 'قد', 'لقد',
+        'كل', 'ان', 'لا', 'ما', 'لم', 'لن', 'هو', 'هي', 'انت', 'انا', 'نحن', 'كان', 'يا', 'ده', 'دي', 'اللي',
+        'بتاع', 'بتاعك', 'عشان', 'مش', 'لو', 'بس', 'علشان', 'ع', 'el', 'fe', 'fel', 'w', 'ya', 'da', 'di',
+        'elly', 'law', 'mesh', 'bs', 'aashan', 'ana', 'enta', 'mn', 'ala', 'aal',
+        'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from', 'is', 'are',
+        'was', 'be', 'been', 'it', 'this', 'that', 'you', 'your', 'we', 'our', 'us', 'i', 'my', 'me', 'if',
+        'will', 'has', 'have', 'can', 'not', 'no', 'as', 'so', 'do',
+        'le', 'la', 'les', 'l', 'un', 'une', 'des', 'de', 'du', 'd', 'et', 'ou', 'a', 'au', 'aux', 'en', 'dans',
+        'pour', 'par', 'sur', 'avec', 'est', 'sont', 'vous', 'votre', 'vos', 'nous', 'notre', 'je', 'ce',
+        'cette', 'qui', 'que', 'ne', 'pas', 'se', 'sera', 'ete'
+    ]);
+
+    function escapeRegExp(s) {
+        return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // One word: NFKC, lowercase, marks removed after NFD (Latin accents, Arabic harakat and the hamza
+    // of أ/إ/آ/ؤ/ئ), tatweel dropped, ya/ta-marbuta/Persian letter variants folded, Arabic-Indic digits
+    // to ASCII and Arabizi digits to letters
+    function normalizeWord(word) {
+        let w = word.normalize('NFKC').toLowerCase().normalize('NFD')
+            .replace(/[\p{M}ـ]/gu, '')
+            .replace(/[ٱىةیکۀ]/g, c => ARABIC_LETTERS[c])
+            .replace(/[٠-٩]/g, c => String(c.charCodeAt(0) - 0x0660))
+            .replace(/[۰-۹]/g, c => String(c.charCodeAt(0) - 0x06F0));
+        if (/[a-z]/.test(w) && /[235-9]/.test(w)) w = w.replace(/[235-9]/g, d => ARABIZI[d]);
+        return w.replace(/[^\p{L}\p{N}]/gu, '');
+    }
+
+    // Text -> [{ norm, raw }]; raw keeps the word as written for display in reasons
+    function tokenize(text) {
+        const tokens = [];
+        for (const raw of (text || '').toString().split(/[^\p{L}\p{N}\p{M}ـ]+/u)) {
+            if (!raw) continue;
+            const norm = normalizeWord(raw);
+            if (norm) tokens.push({ norm, raw });
+            if (tokens.length >= MAX_TOKENS) break;
+        }
+        return tokens;
+    }
+
+    function normalize(text) {
+        return tokenize(text).map(t => t.norm).join(' ');
+    }
+
+    // Classifier features: light-stemmed unigrams and bigrams, each counted once per text
+    function stem(norm) {
+        return norm.replace(ARTICLE_RX, '');
+    }
+
+    function features(tokens) {
+        const out = new Map(); // feature -> raw words
+        for (let i = 0; i < tokens.length; i++) {
+            const a = stem(tokens[i].norm);
+            const aStop = STOPWORDS.has(a);
+            if (!aStop && !out.has(a)) out.set(a, tokens[i].raw);
+            if (i + 1 < tokens.length) {
+                const b = stem(tokens[i + 1].norm);
+                if (aStop && STOPWORDS.has(b)) continue;
+                const ab = `${a} ${b}`;
+                if (!out.has(ab)) out.set(ab, `${tokens[i].raw} ${tokens[i + 1].raw}`);
+            }
+        }
+        return out;
+    }
+
+    // ---------- Phrase lists ----------
+    // Phrases match at the start of a word, so suffixes still match ("verify your account" in
+    // "...accounts", "تحقق من هويتك" in "...هويتكم"); Arabic phrases may carry a one-letter proclitic.
+    function compilePhrase(phrase, lang, tactic) {
+        const norm = normalize(phrase);
+        if (!norm) return null;
+        const proclitic = /^[؀-ۿ]/.test(norm) ? '(?:[وفبل])?' : '';
+        return { phrase, lang, tactic, norm, rx: new RegExp(`(?:^| )${proclitic}${escapeRegExp(norm)}`) };
+    }
+
+    let compiledBundled = null;
+    function bundledPhrases() {
+        if (!compiledBundled) {
+            compiledBundled = [];
+            for (const [lang, tactics] of Object.entries(PHRASES)) {
+                for (const [tactic, list] of Object.entries(tactics)) {
+                    for (const p of list) {
+                        const c = compilePhrase(p, lang, tactic);
+                        if (c) compiledBundled.push(c);
+                    }
+                }
+            }
+        }
+        return compiledBundled;
+    }
+
+    // extra: plain phrases (the rule pack's redFlags); the cache keeps the last list compiled
+    let compiledExtra = { source: null, list: [] };
+    function extraPhrases(extra) {
+        if (compiledExtra.source !== extra) {
+            const list = (Array.isArray(extra) ? extra : []).map(p => compilePhrase(String(p), '', 'custom')).filter(Boolean);
+            compiledExtra = { source: extra, list };
+        }
+        return compiledExtra.list;
+    }
+
+    // Matched phrases, most specific (longest) first, one per normalized form
+    function matchPhrases(normText, extra) {
+        const seen = new Set();
+        const hits = [];
+        for (const p of bundledPhrases().concat(extraPhrases(extra))) {
+            if (seen.has(p.norm) || !p.rx.test(normText)) continue;
+            seen.add(p.norm);
+            hits.push(p);
+        }
+        hits.sort((a, b) => b.norm.length - a.norm.length);
+        // a phrase contained in a longer hit adds nothing ("verify your account" vs "click here to verify your account")
+        const kept = hits.filter((p, i) => !hits.slice(0, i).some(q => q.norm.includes(p.norm)));
+        return kept.slice(0, MAX_PHRASES).map(({ phrase, lang, tactic }) => ({ phrase, lang, tactic }));
+    }
+
+    // ---------- Naive Bayes ----------
+    // Model: { format, version, docs: { lure, safe }, counts: { feature: [lureDocs, safeDocs] } }.
+    // Bernoulli naive Bayes restricted to the features present in the text, add-one smoothing; unknown
+    // features carry no evidence either way.
+    function isModel(m) {
+        return !!m && m.format === MODEL_FORMAT && m.docs && m.docs.lure > 0 && m.docs.safe > 0 && !!m.counts;
+    }
+
+    function featureWeight(model, counts) {
+        const [lure, safe] = counts;
+        return Math.log((lure + 1) / (model.docs.lure + 2)) - Math.log((safe + 1) / (model.docs.safe + 2));
+    }
+
+    // Returns { probability, top: [{ feature, text, weight }], pairs } (top = strongest lure evidence, pairs =
+    // lure-leaning bigrams of two content words), or null when there is no model or the text has no known feature
+    function classifyTokens(tokens, model = MODEL) {
+        if (!isModel(model)) return null;
+        let logOdds = Math.log(model.docs.lure / model.docs.safe);
+        let known = 0;
+        let pairs = 0;
+        const evidence = [];
+        for (const [feature, raw] of features(tokens)) {
+            const counts = model.counts[feature];
+            if (!counts) continue;
+            known++;
+            const weight = featureWeight(model, counts);
+            logOdds += weight;
+            if (weight > 0) {
+                evidence.push({ feature, text: raw, weight });
+                if (feature.includes(' ') && !feature.split(' ').some(w => STOPWORDS.has(w))) pairs++;
+            }
+        }
+        if (!known) return null;
+        evidence.sort((a, b) => b.weight - a.weight);
+        // bigram evidence already covers its words
+        const top = [];
+        for (const e of evidence) {
+            if (top.some(t => t.feature.split(' ').includes(e.feature) || e.feature.split(' ').includes(t.feature))) continue;
+            top.push(e);
+            if (top.length >= MAX_TOP) break;
+        }
+        return { probability: 1 / (1 + Math.exp(-logOdds)), top, pairs };
+    }
+
+    function classify(text, model = MODEL) {
+        return classifyTokens(tokenize(text), model);
+    }
+
+    // Single words worth keeping: at least three letters, so numbers ("24") and particles carry no evidence
+    const UNIGRAM_RX = /\p{L}.*\p{L}.*\p{L}/u;
+
+    // samples: [{ text, lure: boolean }]; keeps features seen in at least minDocs texts whose weight
+    // moves the odds by at least minRatio either way (unigramMinRatio for single words, which on their own
+    // are mostly ordinary vocabulary: "account", "information")
+    function train(samples, { minDocs = 2, minRatio = 1.5, unigramMinRatio = 3, version = '1' } = {}) {
+        const docs = { lure: 0, safe: 0 };
+        const all = {};
+        for (const s of samples) {
+            const idx = s.lure ? 0 : 1;
+            docs[s.lure ? 'lure' : 'safe']++;
+            for (const f of features(tokenize(s.text)).keys()) {
+                if (!all[f]) all[f] = [0, 0];
+                all[f][idx]++;
+            }
+        }
+        const model = { format: MODEL_FORMAT, version, docs, counts: {} };
+        for (const f of Object.keys(all).sort()) {
+            const unigram = !f.includes(' ');
+            if (unigram && !UNIGRAM_RX.test(f)) continue;
+            const ratio = unigram ? unigramMinRatio : minRatio;
+            if (all[f][0] + all[f][1] >= minDocs && Math.abs(featureWeight(model, all[f])) >= Math.log(ratio)) model.counts[f] = all[f];
+        }
+        return model;
+    }
+
+    // Returns { probability (null without a model), phrases: [{ phrase, lang, tactic }], top, pairs } for a
+    // text; extraPhrases are matched like the bundled lists
+    function analyze(text, { extraPhrases: extra = [], model = MODEL } = {}) {
+        const tokens = tokenize(text);
+        const phrases = matchPhrases(` ${tokens.map(t => t.norm).join(' ')} `, extra);
+        const result = classifyTokens(tokens, model);
+        return { probability: result ? result.probability : null, phrases, top: result ? result.top : [], pairs: result ? result.pairs : 0 };
+    }
+
+    // Whether an analyze() result reads as a lure: a probability at or above threshold is not enough by
+    // itself, the evidence must include a word pair or a matched phrase. Single words ("account", "today")
+    // are shared with ordinary login pages and news.
+    function isLure(result, threshold) {
+        return !!result && result.probability !== null && result.probability >= threshold && (result.pairs > 0 || result.phrases.length > 0);
+    }
+
+    root.AdvirsText = { normalize, tokenize, classify, train, analyze, isLure };
+})(self);
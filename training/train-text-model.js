@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// train-text-model.js - rebuilds text-model-data.js from the labelled corpus (Advirs)
+//
+//   node training/train-text-model.js            retrain, write text-model-data.js, print the evaluation
+//   node training/train-text-model.js --check    evaluate only; exit 1 when text-model-data.js is stale
+//
+// text-corpus.jsonl holds one { lure, lang, text } object per line. The evaluation is leave-one-out:
+// each sample is scored by a model trained on all the others and counted as reported the way engine.js
+// reports TEXT_LURE (AdvirsText.isLure at the default pack's textLure threshold).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+globalThis.self = globalThis;
+require('../text-data.js');
+require('../text-model-data.js');
+require('../text.js');
+require('../rules.js');
+
+const ROOT = path.join(__dirname, '..');
+const CORPUS = path.join(__dirname, 'text-corpus.jsonl');
+const MODEL_FILE = path.join(ROOT, 'text-model-data.js');
+
+function readCorpus() {
+    return fs.readFileSync(CORPUS, 'utf8').split('\n').filter(l => l.trim()).map((line, i) => {
+        const s = JSON.parse(line);
+        if (typeof s.lure !== 'boolean' || typeof s.text !== 'string') throw new Error(`text-corpus.jsonl:${i + 1}: needs lure and text`);
+        return s;
+    });
+}
+
+function renderModel(model) {
+    const lines = Object.entries(model.counts).map(([f, c]) => `        ${JSON.stringify(f)}: ${JSON.stringify(c)}`);
+    return `// text-model-data.js - bundled phishing text classifier (Advirs)
+// Naive Bayes model for text.js, generated by training/train-text-model.js (AdvirsText.train()) from the
+// ${model.docs.lure} lure and ${model.docs.safe} ordinary messages and page texts of training/text-corpus.jsonl: Arabic (MSA,
+// Egyptian dialect, Arabizi), English and French. counts holds, per feature (normalized unigram or
+// bigram), the number of lure and ordinary samples containing it; only features seen twice that lean
+// clearly one way are kept (${lines.length}). Do not edit by hand: change the corpus and retrain.
+
+self.ADVIRS_TEXT_MODEL = {
+    "format": "advirs-text-model",
+    "version": ${JSON.stringify(model.version)},
+    "docs": { "lure": ${model.docs.lure}, "safe": ${model.docs.safe} },
+    "counts": {
+${lines.join(',\n')}
+    }
+};
+`;
+}
+
+function evaluate(samples, threshold) {
+    const byLang = {};
+    for (let i = 0; i < samples.length; i++) {
+        const s = samples[i];
+        const model = AdvirsText.train(samples.filter((_, j) => j !== i));
+        const reported = AdvirsText.isLure(AdvirsText.analyze(s.text, { model }), threshold);
+        const row = byLang[s.lang || '?'] || (byLang[s.lang || '?'] = { lures: 0, caught: 0, ordinary: 0, falseAlarms: 0 });
+        if (s.lure) { row.lures++; if (reported) row.caught++; } else { row.ordinary++; if (reported) row.falseAlarms++; }
+    }
+    return byLang;
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const samples = readCorpus();
+    const model = AdvirsText.train(samples, { version: self.ADVIRS_TEXT_MODEL ? self.ADVIRS_TEXT_MODEL.version : '1' });
+    const rendered = renderModel(model);
+    const stale = fs.readFileSync(MODEL_FILE, 'utf8') !== rendered;
+
+    const threshold = AdvirsRules.DEFAULT_PACK.thresholds.textLure;
+    const byLang = evaluate(samples, threshold);
+    const total = { lures: 0, caught: 0, ordinary: 0, falseAlarms: 0 };
+    console.log(`leave-one-out, reported at probability >= ${threshold}:`);
+    for (const [lang, row] of Object.entries(byLang).sort()) {
+        for (const k of Object.keys(total)) total[k] += row[k];
+        console.log(`  ${lang.padEnd(8)} lures caught ${row.caught}/${row.lures}  false alarms ${row.falseAlarms}/${row.ordinary}`);
+    }
+    console.log(`  ${'all'.padEnd(8)} lures caught ${total.caught}/${total.lures}  false alarms ${total.falseAlarms}/${total.ordinary}`);
+    console.log(`${Object.keys(model.counts).length} features`);
+
+    if (check) {
+        if (stale) {
+            console.error('text-model-data.js does not match training/text-corpus.jsonl; run node training/train-text-model.js');
+            process.exitCode = 1;
+        }
+        return;
+    }
+    if (stale) fs.writeFileSync(MODEL_FILE, rendered);
+    console.log(stale ? 'text-model-data.js updated' : 'text-model-data.js already up to date');
+}
+
+main();
@@ -0,0 +1,180 @@
+// unwrap.js - redirector and URL-shortener unwrapping (Advirs)
+// Shared by content.js and background.js. Each unwrapper recognizes one wrapping service and returns
+// the embedded target URL; unwrapUrl() applies them repeatedly so nested wrapping is peeled off too.
+
+(function (root) {
+    const MAX_DEPTH = 6;
+
+    // Shorteners resolve server-side, so the destination cannot be recovered offline
+    const SHORTENER_HOSTS = new Set([
+        't.co', 'lnkd.in', 'bit.ly', 'bitly.com', 'tinyurl.com', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
+        'rebrand.ly', 'cutt.ly', 'shorturl.at', 'rb.gy', 't.ly', 's.id', 'tiny.cc', 'fb.me', 'v.gd',
+        'shorte.st', 'adf.ly', 'bl.ink', 'short.io', 'tr.im', 'vm.tiktok.com', 'vt.tiktok.com', 'qrco.de'
+    ]);
+
+    // Query parameters commonly used by open redirectors
+    const GENERIC_REDIRECT_PARAMS = ['url', 'u', 'q', 'target', 'dest', 'destination', 'redirect', 'redirect_uri', 'redir', 'to', 'link', 'next', 'goto', 'out'];
+
+    // Paths of redirect endpoints ("/redirect", "/out.php", "/r/", "/click"); the generic unwrapper only reads
+    // the parameters above on these, so search (?q=), login (?next=) and share (?url=) pages keep their own URL
+    const GENERIC_REDIRECT_PATH = /(^|\/)(redirect|redir|out|outbound|goto|go|away|exit|external|click|track|link|url|r|l)(\.[a-z]+)?(\/|$)/i;
+
+    function hostMatches(host, domain) {
+        return host === domain || host.endsWith('.' + domain);
+    }
+
+    // Proofpoint v2 encodes "-XX" as a hex escape and "_" as "/"
+    function decodeProofpointV2(value) {
+        return value.replace(/_/g, '/').replace(/-([0-9A-Fa-f]{2})/g, '%$1');
+    }
+
+    const UNWRAPPERS = [
+        {
+            name: 'facebook',
+            match: (u) => /(^|\.)facebook\.com$/.test(u.hostname) && u.pathname.startsWith('/l.php'),
+            extract: (u) => u.searchParams.get('u')
+        },
+        {
+            name: 'messenger',
+            match: (u) => hostMatches(u.hostname, 'messenger.com') && u.pathname.startsWith('/l.php'),
+            extract: (u) => u.searchParams.get('u')
+        },
+        {
+            name: 'instagram',
+            match: (u) => u.hostname === 'l.instagram.com',
+            extract: (u) => u.searchParams.get('u')
+        },
+        {
+            name: 'google',
+            match: (u) => /(^|\.)google\.[a-z.]+$/.test(u.hostname) && u.pathname === '/url',
+            extract: (u) => u.searchParams.get('q') || u.searchParams.get('url')
+        },
+        {
+            name: 'youtube',
+            match: (u) => hostMatches(u.hostname, 'youtube.com') && u.pathname === '/redirect',
+            extract: (u) => u.searchParams.get('q')
+        },
+        {
+            name: 'tiktok',
+            match: (u) => hostMatches(u.hostname, 'tiktok.com') && u.pathname.startsWith('/link'),
+            extract: (u) => u.searchParams.get('target') || u.searchParams.get('url')
+        },
+        {
+            name: 'linkedin',
+            match: (u) => hostMatches(u.hostname, 'linkedin.com') && u.pathname.startsWith('/redir/'),
+            extract: (u) => u.searchParams.get('url')
+        },
+        {
+            name: 'outlook-safelinks',
+            match: (u) => hostMatches(u.hostname, 'safelinks.protection.outlook.com'),
+            extract: (u) => u.searchParams.get('url')
+        },
+        {
+            name: 'proofpoint-v2',
+            match: (u) => u.hostname === 'urldefense.proofpoint.com' && u.pathname.startsWith('/v2/url'),
+            extract: (u) => {
+                const v = u.searchParams.get('u');
+                return v ? decodeProofpointV2(v) : null;
+            }
+        },
+        {
+            name: 'proofpoint-v3',
+            match: (u) => u.hostname === 'urldefense.com' && u.pathname.startsWith('/v3/__'),
+            extract: (u) => {
+                const m = u.href.match(/\/v3\/__(.+?)__;/);
+                return m ? m[1] : null;
+            }
+        },
+        {
+            name: 'generic',
+            match: (u) => GENERIC_REDIRECT_PATH.test(u.pathname),
+            extract: (u) => {
+                for (const p of GENERIC_REDIRECT_PARAMS) {
+                    const v = u.searchParams.get(p);
+                    const target = v && decodeTarget(v);
+                    if (target && siteOf(safeHostname(target)) !== siteOf(u.hostname)) return target;
+                }
+                return null;
+            }
+        }
+    ];
+
+    function safeHostname(href) {
+        try { return new URL(href).hostname.toLowerCase(); } catch (e) { return ''; }
+    }
+
+    // Registered domain where psl.js is loaded (background, CLI), otherwise the host without "www."
+    function siteOf(hostname) {
+        const host = (hostname || '').toLowerCase();
+        return (root.AdvirsPsl && root.AdvirsPsl.getRegisteredDomain(host)) || host.replace(/^www\./, '');
+    }
+
+    function isAbsoluteHttpUrl(s) {
+        return /^https?:\/\/[^\s/]+/i.test(s || '');
+    }
+
+    // Peels percent-encoding (possibly applied several times) and base64 wrapping off a parameter value.
+    // Returns an absolute http(s) URL or null.
+    function decodeTarget(value) {
+        let v = (value || '').toString().trim();
+        for (let i = 0; i < 4; i++) {
+            if (isAbsoluteHttpUrl(v)) return v;
+            if (/%[0-9a-f]{2}/i.test(v)) {
+                try { v = decodeURIComponent(v); continue; } catch (e) { /* fall through to base64 */ }
+            }
+            // "aHR0c" is base64 for "http"
+            if (/^aHR0c[A-Za-z0-9+/_-]+=*$/.test(v)) {
+                try { v = atob(v.replace(/-/g, '+').replace(/_/g, '/')); continue; } catch (e) { return null; }
+            }
+            break;
+        }
+        return isAbsoluteHttpUrl(v) ? v : null;
+    }
+
+    function isShortener(hostname) {
+        const host = (hostname || '').toLowerCase().replace(/^www\./, '');
+        return SHORTENER_HOSTS.has(host);
+    }
+
+    // Returns { url, chain, wrappers, shortener } where url is the innermost recoverable destination
+    // and shortener names a shortening service when the chain ends in one.
+    function unwrapUrl(href) {
+        const chain = [href];
+        const wrappers = [];
+        let current = href;
+
+        for (let depth = 0; depth < MAX_DEPTH; depth++) {
+            let u;
+            try { u = new URL(current); } catch (e) { break; }
+            u.hostname = u.hostname.toLowerCase();
+
+            let next = null;
+            for (const unwrapper of UNWRAPPERS) {
+                if (!unwrapper.match(u)) continue;
+                const raw = unwrapper.extract(u);
+                next = raw ? decodeTarget(raw) : null;
+                if (next) {
+                    wrappers.push(unwrapper.name);
+                    break;
+                }
+            }
+            if (!next || next === current) break;
+            chain.push(next);
+            current = next;
+        }
+
+        const finalHost = safeHostname(current);
+        return { url: current, chain, wrappers, shortener: isShortener(finalHost) ? finalHost : null };
+    }
+
+    // Unwrappers can be extended at runtime: { name, match(URL), extract(URL) => string|null }
+    function registerUnwrapper(unwrapper, { first = true } = {}) {
+        if (!unwrapper || typeof unwrapper.match !== 'function' || typeof unwrapper.extract !== 'function') return false;
+        // the generic fallback always stays last
+        if (first) UNWRAPPERS.unshift(unwrapper);
+        else UNWRAPPERS.splice(UNWRAPPERS.length - 1, 0, unwrapper);
+        return true;
+    }
+
+    root.AdvirsUnwrap = { unwrapUrl, decodeTarget, isShortener, registerUnwrapper };
+})(self);
@@ -0,0 +1,141 @@
+// verdict-cache.js - analysis result cache for the background worker (Advirs)
+// Results are keyed by normalized URL; full-page scans add a digest of the page payload, so the same
+// URL with different content is analyzed again. Entries are evicted least-recently-used first and
+// expire after TTL_MS. The cache is mirrored to chrome.storage.session so it survives the MV3
+// service worker being stopped; background.js clears it whenever trusted domains, rules or lists change.
+
+(function (root) {
+    const STORAGE_KEY = 'verdictCache';
+    const MAX_ENTRIES = 1000;
+    const TTL_MS = 15 * 60 * 1000;
+    const PERSIST_DELAY_MS = 1000;
+
+    // Click-tracking parameters that do not change where a link leads
+    const TRACKING_PARAM_RX = /^(utm_[a-z]+|fbclid|gclid|dclid|msclkid|igshid|mc_eid|_ga)$/i;
+
+    let entries = new Map(); // key -> { result, expires }, least recently used first
+    let stats = newStats();
+    let loadPromise = null;
+    let persistTimer = null;
+
+    function newStats() {
+        return { hits: 0, misses: 0, evictions: 0, invalidations: 0, since: Date.now() };
+    }
+
+    // Lowercase host, no fragment, no default port or trailing slash, tracking parameters removed,
+    // remaining parameters sorted
+    function normalizeUrl(url) {
+        try {
+            const u = new URL(url);
+            if (!/^https?:$/.test(u.protocol)) return '';
+            u.hash = '';
+            const params = Array.from(u.searchParams.entries()).filter(([k]) => !TRACKING_PARAM_RX.test(k));
+            params.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+            u.search = new URLSearchParams(params).toString();
+            return u.href.replace(/\/+(?=$|\?)/, '');
+        } catch (e) { return ''; }
+    }
+
+    // 32-bit FNV-1a as hex
+    function digest(str) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return h.toString(16).padStart(8, '0');
+    }
+
+    // 'u:<url>' for URL-only checks (links, pre-navigation), 'p:<url>#<digest>' for page payloads
+    function keyFor(data = {}) {
+        const url = normalizeUrl(data.url || data.pageUrl || data.origin || '');
+        if (!url) return '';
+        const fields = Object.keys(data).filter(k => k !== 'url' && k !== 'timestamp').sort();
+        if (!fields.length) return `u:${url}`;
+        const rest = {};
+        fields.forEach(k => { rest[k] = data[k]; });
+        return `p:${url}#${digest(JSON.stringify(rest))}`;
+    }
+
+    function load() {
+        if (!loadPromise) {
+            loadPromise = new Promise((resolve) => {
+                if (!chrome.storage.session) return resolve();
+                chrome.storage.session.get(STORAGE_KEY, (res) => {
+                    const saved = res && res[STORAGE_KEY];
+                    const now = Date.now();
+                    if (saved && Array.isArray(saved.entries)) {
+                        // entries cached while this copy was loading stay the most recent
+                        const restored = new Map(saved.entries.filter(([, e]) => e && e.expires > now));
+                        for (const [key, entry] of entries) { restored.delete(key); restored.set(key, entry); }
+                        entries = restored;
+                    }
+                    if (saved && saved.stats) stats = { ...newStats(), ...saved.stats };
+                    resolve();
+                });
+            });
+        }
+        return loadPromise;
+    }
+
+    function persist() {
+        if (persistTimer || !chrome.storage.session) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            chrome.storage.session.set({ [STORAGE_KEY]: { entries: Array.from(entries), stats } });
+        }, PERSIST_DELAY_MS);
+    }
+
+    // Cached result for an analysis input, or null (counted as a miss)
+    async function get(data) {
+        await load();
+        const key = keyFor(data);
+        const entry = key && entries.get(key);
+        if (entry) entries.delete(key);
+        if (!entry || entry.expires <= Date.now()) {
+            if (key) stats.misses++;
+            persist();
+            return null;
+        }
+        entries.set(key, entry); // most recently used
+        stats.hits++;
+        persist();
+        return entry.result;
+    }
+
+    async function set(data, result) {
+        await load();
+        const key = keyFor(data);
+        if (!key || !result) return;
+        entries.delete(key);
+        entries.set(key, { result, expires: Date.now() + TTL_MS });
+        while (entries.size > MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+        persist();
+    }
+
+    // Drops every verdict (settings changed); counters are kept
+    async function invalidate() {
+        await load();
+        if (entries.size) stats.invalidations++;
+        entries.clear();
+        persist();
+    }
+
+    // Drops every verdict and restarts the counters
+    async function clear() {
+        await load();
+        entries.clear();
+        stats = newStats();
+        persist();
+    }
+
+    async function getStats() {
+        await load();
+        return { ...stats, size: entries.size, maxEntries: MAX_ENTRIES, ttlMs: TTL_MS };
+    }
+
+    root.AdvirsVerdictCache = { MAX_ENTRIES, TTL_MS, normalizeUrl, keyFor, get, set, invalidate, clear, getStats };
+})(self);
@@ -0,0 +1,153 @@
+// webmail.js - open message extractors for webmail clients (Advirs)
+// In Gmail or Outlook on the web the page is a mailbox, not a site: what matters is who sent the
+// message being read. Each adapter finds the open message in its client's markup; the shared reader
+// takes its sender name and address, reply-to, subject and body links (redirectors such as SafeLinks
+// unwrapped, with their visible text). content.js sends the result as payload.email and background.js
+// checks it for sender spoofing.
+
+(function (root) {
+    const MAX_LINKS = 60;
+    const MAX_TEXT = 200;
+
+    const ADDRESS_RX = /[a-z0-9._%+'-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/i;
+    // header row labels of the reply-to address ("Reply-To:", "الرد على:")
+    const REPLY_TO_RX = /^\s*(reply[- ]to|الرد على|الرد إلى)\s*:?/i;
+
+    function hostMatches(host, domain) {
+        return host === domain || host.endsWith('.' + domain);
+    }
+
+    function cleanText(s, max = MAX_TEXT) {
+        return (s || '').replace(/\s+/g, ' ').trim().slice(0, max);
+    }
+
+    function parseAddress(text) {
+        const m = ADDRESS_RX.exec(text || '');
+        return m ? m[0].toLowerCase() : '';
+    }
+
+    // "PayPal Service <service@paypal.com>" -> "PayPal Service"; a bare address has no name
+    function nameWithout(text, address) {
+        const name = cleanText((text || '').replace(/<[^>]*>/g, '').replace(ADDRESS_RX, ''), 120).replace(/^["'\s]+|["'\s]+$/g, '');
+        return name.toLowerCase() === address ? '' : name;
+    }
+
+    function firstText(doc, selectors) {
+        for (const sel of selectors) {
+            const el = doc.querySelector(sel);
+            const text = el && cleanText(el.innerText || el.textContent);
+            if (text) return text;
+        }
+        return '';
+    }
+
+    // Sender element -> { name, address }; clients keep the address in an attribute (email, title) or the text
+    function readSender(el) {
+        if (!el) return { name: '', address: '' };
+        const text = el.innerText || el.textContent || '';
+        const address = parseAddress(el.getAttribute('email')) || parseAddress(el.getAttribute('title')) || parseAddress(text) ||
+            parseAddress(el.getAttribute('aria-label'));
+        const name = cleanText(el.getAttribute('name'), 120) || nameWithout(text, address) || nameWithout(el.getAttribute('aria-label'), address);
+        return { name: name.replace(/^(from|من)\s*:\s*/i, ''), address };
+    }
+
+    // Header rows outside the body whose label reads "Reply-To"
+    function readReplyTo(container, body) {
+        for (const row of container.querySelectorAll("tr, [role='row']")) {
+            if (body.contains(row)) continue;
+            const text = row.innerText || row.textContent || '';
+            if (!REPLY_TO_RX.test(text)) continue;
+            const tagged = row.querySelector('[email]');
+            const address = parseAddress(tagged && tagged.getAttribute('email')) || parseAddress(text);
+            if (address) return address;
+        }
+        return '';
+    }
+
+    // Body links as { href, text }: href with redirectors unwrapped, text as the reader sees it
+    function readLinks(body, base) {
+        const seen = new Set();
+        const links = [];
+        for (const a of body.querySelectorAll('a[href]')) {
+            let url;
+            try { url = new URL(a.getAttribute('href'), base); } catch { continue; }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+            const href = root.AdvirsUnwrap ? root.AdvirsUnwrap.unwrapUrl(url.href).url : url.href;
+            const text = cleanText(a.innerText || a.textContent);
+            const key = `${href}\n${text}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            links.push({ href, text });
+            if (links.length >= MAX_LINKS) break;
+        }
+        return links;
+    }
+
+    // adapter: { id, domains, body, sender, subject } — body selects the open message bodies (the last one
+    // is read, as conversations expand the newest message last), sender the sender element in the message
+    // header and subject the subject line. The header is the nearest ancestor of the body holding a sender.
+    const ADAPTERS = [
+        {
+            id: 'gmail',
+            domains: ['mail.google.com'],
+            body: "[role='main'] .adn.ads .a3s",
+            sender: '.gD[email], span[email][name]',
+            subject: ["[role='main'] h2.hP", "[role='main'] h2[data-thread-perm-id]"]
+        },
+        {
+            id: 'outlook',
+            domains: ['outlook.live.com', 'outlook.office.com', 'outlook.office365.com', 'outlook.cloud.microsoft'],
+            body: "[id^='UniqueMessageBody'], [aria-label='Message body'], [aria-label='نص الرسالة']",
+            sender: "[data-testid='SenderPersona'], [aria-label^='From:'], [aria-label^='من:'], span[title*='@']",
+            subject: ["[role='main'] [role='heading'][aria-level='2']", "[role='main'] .allowTextSelection[title]", '#ConversationReadingPaneContainer [role="heading"]']
+        }
+    ];
+
+    function getAdapter(hostname) {
+        const host = (hostname || '').toLowerCase();
+        return ADAPTERS.find(a => a.domains.some(d => hostMatches(host, d))) || null;
+    }
+
+    function headerOf(body, senderSelector) {
+        let el = body.parentElement;
+        for (let depth = 0; el && depth < 12; depth++, el = el.parentElement) {
+            if (el.querySelector(senderSelector)) return el;
+        }
+        return null;
+    }
+
+    // The open message, or null when the client shows a list (or is not a known webmail client).
+    // Returns { client, key, element, senderName, senderAddress, replyTo, subject, links: [{ href, text }] };
+    // key identifies the message so content.js can tell when another one is opened.
+    function extract(doc = document, loc = location) {
+        const adapter = getAdapter(loc.hostname);
+        if (!adapter) return null;
+        try {
+            const bodies = doc.querySelectorAll(adapter.body);
+            const body = bodies[bodies.length - 1];
+            if (!body) return null;
+            const container = headerOf(body, adapter.sender);
+            if (!container) return null;
+            const senders = Array.from(container.querySelectorAll(adapter.sender)).filter(el => !body.contains(el));
+            const sender = readSender(senders[0]);
+            if (!sender.address) return null;
+            const subject = firstText(doc, adapter.subject);
+            return {
+                client: adapter.id,
+                key: `${loc.pathname}${loc.hash}|${sender.address}|${subject}`,
+                element: body,
+                senderName: sender.name,
+                senderAddress: sender.address,
+                replyTo: readReplyTo(container, body),
+                subject,
+                links: readLinks(body, loc.href)
+            };
+        } catch (e) {
+            // a client redesign must not break the rest of the scan
+            console.warn(`Advirs: ${adapter.id} message extractor failed`, e);
+            return null;
+        }
+    }
+
+    root.AdvirsWebmail = { ADAPTERS, getAdapter, extract, parseAddress };
+})(self);